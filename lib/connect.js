@@ -8,6 +8,7 @@ const constants = require('./util/constants');
 const Room = require('./room');
 const E = require('./util/constants').typeErrors;
 const EncodingParametersImpl = require('./encodingparameters');
+const getCodec = require('./data/serializer').getCodec;
 const guessBrowser = require('./util').guessBrowser;
 const LocalAudioTrack = require('./media/track/es5/localaudiotrack');
 const LocalDataTrack = require('./media/track/es5/localdatatrack');
@@ -15,6 +16,7 @@ const LocalParticipant = require('./localparticipant');
 const LocalVideoTrack = require('./media/track/es5/localvideotrack');
 const Log = require('./util/log');
 const MediaStreamTrack = require('@twilio/webrtc').MediaStreamTrack;
+const { NetworkQualityVerbosity } = require('./signaling/v2/networkqualitymonitor');
 const NTSIceServerSource = require('./iceserversource/nts');
 const SignalingV2 = require('./signaling/v2');
 const util = require('./util');
@@ -122,7 +124,11 @@ function connect(token, options) {
 
   options = Object.assign({
     abortOnIceServersTimeout: false,
+    audioOutputDevice: null,
+    automaticSubscription: true,
     createLocalTracks,
+    dataTrackSerializer: null,
+    dominantSpeaker: false,
     environment: constants.DEFAULT_ENVIRONMENT,
     iceServersTimeout: constants.ICE_SERVERS_TIMEOUT_MS,
     insights: true,
@@ -135,10 +141,13 @@ function connect(token, options) {
     maxAudioBitrate: null,
     maxVideoBitrate: null,
     name: null,
+    networkQuality: false,
     preferredAudioCodecs: [],
     preferredVideoCodecs: [],
     realm: constants.DEFAULT_REALM,
-    signaling: SignalingV2
+    signaling: SignalingV2,
+    signalingReconnectTimeout: constants.SIGNALING_RECONNECT_TIMEOUT_MS,
+    switchOffInvisibleTracks: false
   }, util.filterObject(options));
 
   /* eslint new-cap:0 */
@@ -179,6 +188,17 @@ function connect(token, options) {
     return CancelablePromise.reject(E.INVALID_TYPE('token', 'string'));
   }
 
+  if (options.audioOutputDevice !== null && typeof options.audioOutputDevice !== 'string') {
+    return CancelablePromise.reject(E.INVALID_TYPE('options.audioOutputDevice', 'string'));
+  }
+
+  try {
+    getCodec(options.dataTrackSerializer, 'options.dataTrackSerializer');
+    validateNetworkQualityConfiguration(options.networkQuality);
+  } catch (error) {
+    return CancelablePromise.reject(error);
+  }
+
   // NOTE(mmalavalli): The Room "name" in "options" was being used
   // as the LocalTrack name in asLocalTrack(). So we pass a copy of
   // "options" without the "name".
@@ -219,10 +239,15 @@ function connect(token, options) {
       ? options.iceServers
       : new NTSIceServerSource(token, ntsIceServerSourceOptions);
 
-  const preferredCodecs = {
-    audio: options.preferredAudioCodecs,
-    video: options.preferredVideoCodecs.map(normalizeVideoCodecSettings)
-  };
+  let preferredCodecs;
+  try {
+    preferredCodecs = {
+      audio: options.preferredAudioCodecs,
+      video: options.preferredVideoCodecs.map(normalizeVideoCodecSettings)
+    };
+  } catch (error) {
+    return CancelablePromise.reject(error);
+  }
 
   // Create a CancelableRoomPromise<Room> that resolves after these steps:
   // 1 - Get the LocalTracks.
@@ -254,6 +279,18 @@ function connect(token, options) {
   return cancelableRoomPromise;
 }
 
+/**
+ * You may pass these options to {@link connect} in order to configure how
+ * {@link NetworkQualityLevel}s are computed.
+ * @typedef {object} NetworkQualityConfiguration
+ * @property {number} [interval=1000] - How often, in milliseconds, to compute
+ *   the {@link NetworkQualityLevel}s; must be greater than 0
+ * @property {NetworkQualityVerbosity} [local=1] - Verbosity for the
+ *   {@link LocalParticipant}: 0 (none), 1 (minimal) or 2 (moderate)
+ * @property {NetworkQualityVerbosity} [remote=1] - Verbosity for the
+ *   {@link RemoteParticipant}s: 0 (none), 1 (minimal) or 2 (moderate)
+ */
+
 /**
  * You may pass these options to {@link connect} in order to override the
  * default behavior.
@@ -267,6 +304,23 @@ function connect(token, options) {
  * @property {boolean|CreateLocalTrackOptions} [audio=true] - Whether or not to
  *   get local audio with <code>getUserMedia</code> when <code>tracks</code>
  *   are not provided.
+ * @property {?string} [audioOutputDevice=null] - The deviceId of the audio
+ *   output device on which to play each {@link RemoteAudioTrack}, unless
+ *   another one is chosen with {@link RemoteAudioTrack#setOutputDevice}; by
+ *   default, the browser's default audio output device is used
+ * @property {boolean} [automaticSubscription=true] - Whether or not to
+ *   automatically subscribe to every {@link RemoteTrack} published to the
+ *   {@link Room}; If set to <code>false</code>, you can subscribe to individual
+ *   {@link RemoteTrack}s with {@link RemoteTrackPublication#subscribe}
+ * @property {?DataTrackSerializer} [dataTrackSerializer=null] - Set this to
+ *   have each {@link RemoteDataTrack} decode messages serialized by
+ *   {@link LocalDataTrack}s with a {@link DataTrackSerializer}; the built-in
+ *   "json" and "binary" {@link DataTrackCodec}s are always recognized, and a
+ *   custom {@link DataTrackCodec} passed here is recognized, too
+ * @property {boolean} [dominantSpeaker=false] - Whether or not to detect
+ *   the {@link Room}'s dominant speaker; If set, the {@link Room} will emit
+ *   "dominantSpeakerChanged" events and update its <code>dominantSpeaker</code>
+ *   property
  * @property {Array<RTCIceServer>} iceServers - Override the STUN and TURN
  *   servers used when connecting to {@link Room}s
  * @property {number} [iceServersTimeout=3000] - Override the amount of time, in
@@ -284,6 +338,11 @@ function connect(token, options) {
  *   as a hint for variable bitrate codecs, but will not take effect for fixed
  *   bitrate codecs
  * @property {?string} [name=null] - Set to connect to a {@link Room} by name
+ * @property {boolean|NetworkQualityConfiguration} [networkQuality=false] -
+ *   Whether or not to compute the {@link NetworkQualityLevel}s of the
+ *   {@link LocalParticipant} and {@link RemoteParticipant}s; Pass a
+ *   {@link NetworkQualityConfiguration} to override the polling interval and
+ *   the {@link NetworkQualityVerbosity} for each
  * @property {Array<AudioCodec>} [preferredAudioCodecs=[]] - Preferred audio codecs;
  *  An empty array preserves the current audio codec preference order.
  * @property {Array<VideoCodec|VideoCodecSettings>} [preferredVideoCodecs=[]] -
@@ -293,6 +352,14 @@ function connect(token, options) {
  *  <code>VideoCodecs</code> property.
  *  See <a href="https://www.twilio.com/docs/api/video/rooms-resource#create-room">
  *  here</a> for more information.
+ * @property {number} [signalingReconnectTimeout=30000] - Override the amount
+ *   of time, in milliseconds, that the SDK will spend trying to re-establish a
+ *   lost signaling connection before disconnecting from the {@link Room}
+ * @property {boolean} [switchOffInvisibleTracks=false] - Whether or not to ask
+ *   the server to switch off each {@link RemoteVideoTrack} while it is not
+ *   attached to any visible HTMLMediaElement, in order to save downlink
+ *   bandwidth; the {@link RemoteVideoTrack} emits "switchedOff" and
+ *   "switchedOn" accordingly
  * @property {LogLevel|LogLevels} [logLevel='warn'] - Set the log verbosity
  *   of logging to console. Passing a {@link LogLevel} string will use the same
  *   level for all components. Pass a {@link LogLevels} to set specific log
@@ -327,9 +394,18 @@ function connect(token, options) {
  * VP8 codec settings.
  * @typedef {VideoCodecSettings} VP8CodecSettings
  * @property {VideoCodec} name - "VP8"
- * @property {boolean} [simulcast=false] - Enable/disable VP8 simulcast; if
- *   enabled, Twilio's Video SDK will send three video streams of different
- *   qualities
+ * @property {boolean|SimulcastLayers} [simulcast=false] - Enable/disable VP8
+ *   simulcast; if enabled, Twilio's Video SDK will send three video streams of
+ *   different qualities, unless you specify the number of layers
+ */
+
+/**
+ * Simulcast layer settings for a {@link LocalVideoTrack}. The layers are
+ * ordered from the lowest to the highest quality.
+ * @typedef {object} SimulcastLayers
+ * @property {number} [layers=3] - The number of simulcast layers (2 or 3)
+ * @property {Array<boolean>} [active] - Whether each layer is sent; by
+ *   default, all of the layers are sent
  */
 
 /**
@@ -442,13 +518,48 @@ function getLocalTracks(options, handleLocalTracks) {
   });
 }
 
+/**
+ * Throw if the given <code>networkQuality</code> option is invalid.
+ * @private
+ * @param {boolean|NetworkQualityConfiguration} networkQuality
+ * @throws {TypeError|RangeError}
+ */
+function validateNetworkQualityConfiguration(networkQuality) {
+  if (typeof networkQuality === 'boolean') {
+    return;
+  }
+  if (!networkQuality || typeof networkQuality !== 'object' || Array.isArray(networkQuality)) {
+    throw E.INVALID_TYPE('options.networkQuality', 'boolean or NetworkQualityConfiguration');
+  }
+  const { interval } = networkQuality;
+  if (typeof interval !== 'undefined') {
+    if (typeof interval !== 'number') {
+      throw E.INVALID_TYPE('options.networkQuality.interval', 'number');
+    }
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw E.INVALID_VALUE('options.networkQuality.interval', ['a number greater than 0']);
+    }
+  }
+  const verbosities = Object.keys(NetworkQualityVerbosity).map(name => NetworkQualityVerbosity[name]);
+  ['local', 'remote'].forEach(prop => {
+    if (typeof networkQuality[prop] !== 'undefined' && !verbosities.includes(networkQuality[prop])) {
+      throw E.INVALID_VALUE(`options.networkQuality.${prop}`, verbosities);
+    }
+  });
+}
+
 function normalizeVideoCodecSettings(nameOrSettings) {
   const settings = typeof nameOrSettings === 'string'
     ? { codec: nameOrSettings }
     : nameOrSettings;
   switch (settings.codec.toLowerCase()) {
     case 'vp8': {
-      return Object.assign({ simulcast: false }, settings);
+      const vp8Settings = Object.assign({ simulcast: false }, settings);
+      if (vp8Settings.simulcast && typeof vp8Settings.simulcast === 'object') {
+        vp8Settings.simulcast = util.normalizeSimulcastLayers(vp8Settings.simulcast,
+          'options.preferredVideoCodecs[].simulcast');
+      }
+      return vp8Settings;
     }
     default: {
       return settings;
@@ -0,0 +1,108 @@
+'use strict';
+
+const buildLogLevels = require('./util').buildLogLevels;
+const defaultGetDisplayMedia = require('./util/getdisplaymedia');
+const LocalVideoTrack = require('./media/track/es5/localvideotrack');
+const Log = require('./util/log');
+const DEFAULT_LOG_LEVEL = require('./util/constants').DEFAULT_LOG_LEVEL;
+const E = require('./util/constants').typeErrors;
+const VIDEO_CONTENT_HINTS = require('./util/constants').VIDEO_CONTENT_HINTS;
+
+// This is used to make out which createLocalScreenTrack() call a particular
+// Log statement belongs to. Each call to createLocalScreenTrack() increments
+// this counter.
+let createLocalScreenTrackCalls = 0;
+
+/**
+ * Request a {@link LocalVideoTrack} which captures the screen (or a window, or
+ * a tab). The {@link LocalVideoTrack}'s <code>content</code> is set to
+ * "screen", and is shown on the corresponding {@link RemoteTrackPublication}s,
+ * so that other Participants can tell it apart from a camera. When the user
+ * stops sharing using the browser's own controls, the {@link LocalVideoTrack}
+ * emits "stopped".
+ * @param {CreateLocalScreenTrackOptions} [options]
+ * @returns {Promise<LocalVideoTrack>}
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * Video.connect('my-token', {
+ *   name: 'my-cool-room'
+ * }).then(function(room) {
+ *   return Video.createLocalScreenTrack({ name: 'screen' }).then(function(screenTrack) {
+ *     room.localParticipant.publishTrack(screenTrack);
+ *     screenTrack.once('stopped', function() {
+ *       room.localParticipant.unpublishTrack(screenTrack);
+ *     });
+ *   });
+ * });
+ */
+function createLocalScreenTrack(options) {
+  options = Object.assign({
+    contentHint: 'detail',
+    getDisplayMedia: defaultGetDisplayMedia,
+    LocalVideoTrack,
+    Log,
+    logLevel: DEFAULT_LOG_LEVEL
+  }, options);
+
+  const logComponentName = `[createLocalScreenTrack #${++createLocalScreenTrackCalls}]`;
+  const logLevels = buildLogLevels(options.logLevel);
+  const log = new options.Log('default', logComponentName, logLevels);
+
+  if (!VIDEO_CONTENT_HINTS.includes(options.contentHint)) {
+    // eslint-disable-next-line new-cap
+    return Promise.reject(E.INVALID_VALUE('options.contentHint', VIDEO_CONTENT_HINTS));
+  }
+
+  const localTrackOptions = {
+    content: 'screen',
+    contentHint: options.contentHint,
+    log
+  };
+  if (typeof options.name === 'string') {
+    localTrackOptions.name = options.name;
+  }
+
+  const getDisplayMediaOptions = { extensionId: options.extensionId };
+  const getDisplayMedia = options.getDisplayMedia;
+  const LocalScreenTrack = options.LocalVideoTrack;
+  [
+    'contentHint',
+    'extensionId',
+    'getDisplayMedia',
+    'LocalVideoTrack',
+    'Log',
+    'logLevel',
+    'name'
+  ].forEach(option => delete options[option]);
+
+  const video = Object.keys(options).length > 0 ? options : true;
+
+  return getDisplayMedia({ audio: false, video }, getDisplayMediaOptions).then(mediaStream => {
+    const mediaStreamTrack = mediaStream.getVideoTracks()[0];
+    log.info('Call to getDisplayMedia successful; got MediaStreamTrack:',
+      mediaStreamTrack);
+    return new LocalScreenTrack(mediaStreamTrack, localTrackOptions);
+  }, error => {
+    log.warn('Call to getDisplayMedia failed:', error);
+    throw error;
+  });
+}
+
+/**
+ * {@link createLocalScreenTrack} options. Any other properties are passed to
+ * getDisplayMedia as video constraints.
+ * @typedef {MediaTrackConstraints} CreateLocalScreenTrackOptions
+ * @property {VideoContentHint} [contentHint="detail"] - Whether motion or
+ *   detail matters more for the {@link LocalVideoTrack}; by default, the
+ *   resolution is kept when bandwidth or CPU runs short
+ * @property {string} [extensionId] - In versions of Chrome without
+ *   getDisplayMedia, the ID of a Chrome extension which chooses the screen to
+ *   share using chrome.desktopCapture
+ * @property {LogLevel|LogLevels} [logLevel='warn'] - Set the log verbosity
+ *   of logging to console
+ * @property {string} [name] - The {@link LocalVideoTrack}'s name; by default,
+ *   it is set to the {@link LocalVideoTrack}'s ID.
+ */
+
+module.exports = createLocalScreenTrack;
@@ -51,6 +51,15 @@ function createLocalTrack(kind, options) {
  * Video.createLocalAudioTrack({ name: 'microphone' }).then(function(localTrack) {
  *   console.log(localTrack.name); // 'microphone'
  * });
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * // Switch to the default microphone when the current one is unplugged
+ * Video.createLocalAudioTrack({ deviceFailover: true }).then(function(localTrack) {
+ *   localTrack.on('deviceChanged', function(track, oldDeviceId, newDeviceId) {
+ *     console.log('Switched from ' + oldDeviceId + ' to ' + newDeviceId);
+ *   });
+ * });
  */
 function createLocalAudioTrack(options) {
   return createLocalTrack('audio', options);
@@ -88,6 +97,12 @@ function createLocalVideoTrack(options) {
 /**
  * Create {@link LocalTrack} options.
  * @typedef {MediaTrackConstraints} CreateLocalTrackOptions
+ * @property {VideoContentHint} [contentHint] - Whether motion or detail
+ *   matters more for a {@link LocalVideoTrack}; ignored otherwise
+ * @property {boolean} [deviceFailover=false] - Whether to restart the
+ *   {@link LocalTrack} on the default device when its device is unplugged
+ *   (instead of stopping it), or, if it uses the default device, when the
+ *   default device changes
  * @property {LogLevel|LogLevels} logLevel
  * @property {string} [name] - The {@link LocalTrack}'s name; by default,
  *   it is set to the {@link LocalTrack}'s ID.
@@ -9,6 +9,8 @@ const LocalVideoTrack = require('./media/track/es5/localvideotrack');
 const MediaStreamTrack = require('@twilio/webrtc').MediaStreamTrack;
 const Log = require('./util/log');
 const DEFAULT_LOG_LEVEL = require('./util/constants').DEFAULT_LOG_LEVEL;
+const E = require('./util/constants').typeErrors;
+const VIDEO_CONTENT_HINTS = require('./util/constants').VIDEO_CONTENT_HINTS;
 
 // This is used to make out which createLocalTracks() call a particular Log
 // statement belongs to. Each call to createLocalTracks() increments this
@@ -96,6 +98,22 @@ function createLocalTracks(options) {
       : {}
   };
 
+  if (typeof options.video === 'object' && options.video && 'contentHint' in options.video) {
+    if (!VIDEO_CONTENT_HINTS.includes(options.video.contentHint)) {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_VALUE('options.video.contentHint', VIDEO_CONTENT_HINTS));
+    }
+    localTrackNameOptions.video.contentHint = options.video.contentHint;
+    delete options.video.contentHint;
+  }
+
+  ['audio', 'video'].forEach(kind => {
+    if (typeof options[kind] === 'object' && options[kind] && 'deviceFailover' in options[kind]) {
+      localTrackNameOptions[kind].deviceFailover = !!options[kind].deviceFailover;
+      delete options[kind].deviceFailover;
+    }
+  });
+
   if (options.audio) {
     delete options.audio.name;
   }
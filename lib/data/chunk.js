@@ -0,0 +1,142 @@
+'use strict';
+
+const { decodeUTF8, encodeUTF8 } = require('../util');
+
+// NOTE(mroberts): Every chunk starts with this "magic" prefix, so that
+// receivers can tell chunks apart from messages sent unchunked (for example,
+// by older versions of twilio-video.js).
+const MAGIC = [0x54, 0x56, 0x44, 0x43];
+
+const FLAG_STRING = 0x01;
+
+/**
+ * The length, in bytes, of the header of a chunk: the magic prefix, flags,
+ * message ID, chunk index and chunk count.
+ * @type {number}
+ */
+const HEADER_LENGTH = MAGIC.length + 1 + 4 + 4 + 4;
+
+/**
+ * Split a message into chunks of at most <code>maxChunkSize</code> bytes. If
+ * the message fits within a single chunk, it is returned unchanged, so that
+ * receivers which do not understand chunks can still receive it.
+ * @param {string|ArrayBuffer|ArrayBufferView} data
+ * @param {number} messageId - an unsigned 32-bit integer
+ * @param {number} maxChunkSize
+ * @param {number} maxMessageSize
+ * @returns {Array<string|ArrayBuffer|ArrayBufferView>}
+ * @throws {RangeError}
+ */
+function createChunks(data, messageId, maxChunkSize, maxMessageSize) {
+  const isString = typeof data === 'string';
+
+  // NOTE(mroberts): A UTF-8 encoded character takes at most 3 bytes per UTF-16
+  // code unit, so short strings need not be encoded.
+  if (isString && data.length * 3 <= maxChunkSize) {
+    return [data];
+  }
+
+  const bytes = isString ? encodeUTF8(data) : toUint8Array(data);
+  if (bytes.byteLength > maxMessageSize) {
+    throw new RangeError(`The message is ${bytes.byteLength} bytes, which exceeds the maximum of ${maxMessageSize} bytes`);
+  }
+  if (bytes.byteLength <= maxChunkSize && !startsWithMagic(bytes)) {
+    return [data];
+  }
+
+  const maxPayloadSize = maxChunkSize - HEADER_LENGTH;
+  const count = Math.max(1, Math.ceil(bytes.byteLength / maxPayloadSize));
+  const chunks = [];
+  for (let index = 0; index < count; index++) {
+    const payload = bytes.subarray(index * maxPayloadSize, (index + 1) * maxPayloadSize);
+    const chunk = new Uint8Array(HEADER_LENGTH + payload.byteLength);
+    const view = new DataView(chunk.buffer);
+    chunk.set(MAGIC, 0);
+    view.setUint8(MAGIC.length, isString ? FLAG_STRING : 0);
+    view.setUint32(MAGIC.length + 1, messageId >>> 0);
+    view.setUint32(MAGIC.length + 5, index);
+    view.setUint32(MAGIC.length + 9, count);
+    chunk.set(payload, HEADER_LENGTH);
+    chunks.push(chunk.buffer);
+  }
+  return chunks;
+}
+
+/**
+ * Parse a chunk created by {@link createChunks}.
+ * @param {*} data
+ * @returns {?Chunk} - null if the data is not a chunk
+ */
+function parseChunk(data) {
+  if (!(data instanceof ArrayBuffer) || data.byteLength < HEADER_LENGTH) {
+    return null;
+  }
+  const bytes = new Uint8Array(data);
+  if (!startsWithMagic(bytes)) {
+    return null;
+  }
+  const view = new DataView(data);
+  const index = view.getUint32(MAGIC.length + 5);
+  const count = view.getUint32(MAGIC.length + 9);
+  if (index >= count) {
+    return null;
+  }
+  return {
+    count,
+    index,
+    isString: (view.getUint8(MAGIC.length) & FLAG_STRING) === FLAG_STRING,
+    messageId: view.getUint32(MAGIC.length + 1),
+    payload: bytes.subarray(HEADER_LENGTH)
+  };
+}
+
+/**
+ * Join the payloads of a message's {@link Chunk}s back together.
+ * @param {Array<Chunk>} chunks - all of the message's {@link Chunk}s, in order
+ * @returns {string|ArrayBuffer}
+ */
+function joinChunks(chunks) {
+  const byteLength = chunks.reduce((sum, chunk) => sum + chunk.payload.byteLength, 0);
+  const bytes = new Uint8Array(byteLength);
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk.payload, offset);
+    return offset + chunk.payload.byteLength;
+  }, 0);
+  return chunks[0].isString ? decodeUTF8(bytes) : bytes.buffer;
+}
+
+/**
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function startsWithMagic(bytes) {
+  return bytes.byteLength >= MAGIC.length
+    && MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * @private
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+function toUint8Array(data) {
+  return ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+}
+
+/**
+ * A chunk of a message sent over a {@link DataTrackSender}.
+ * @typedef {object} Chunk
+ * @property {number} count - the number of chunks in the message
+ * @property {number} index - the index of this chunk in the message
+ * @property {boolean} isString - whether the message is a string
+ * @property {number} messageId
+ * @property {Uint8Array} payload
+ */
+
+exports.HEADER_LENGTH = HEADER_LENGTH;
+exports.createChunks = createChunks;
+exports.joinChunks = joinChunks;
+exports.parseChunk = parseChunk;
@@ -1,11 +1,15 @@
 'use strict';
 
 const DataTrackTransceiver = require('./transceiver');
+const joinChunks = require('./chunk').joinChunks;
+const parseChunk = require('./chunk').parseChunk;
+const DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE = require('../util/constants').DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE;
 
 /**
  * A {@link DataTrackReceiver} represents a {@link DataTrackTransceiver} over
  * which data can be received. Internally, it users a single RTCDataChannel to
- * receive data.
+ * receive data. Chunked messages are joined back together, so that it emits
+ * one "message" event per message.
  * @extends DataTrackTransceiver
  * @emits DataTrackReceiver#message
  */
@@ -13,8 +17,10 @@ class DataTrackReceiver extends DataTrackTransceiver {
   /**
    * Construct an {@link DataTrackReceiver}.
    * @param {RTCDataChannel} dataChannel
+   * @param {number} [maxMessageSize] - defaults to 16 MiB; chunked messages
+   *   which exceed it are dropped
    */
-  constructor(dataChannel) {
+  constructor(dataChannel, maxMessageSize) {
     super(
       dataChannel.label,
       dataChannel.maxPacketLifeTime,
@@ -27,9 +33,66 @@ class DataTrackReceiver extends DataTrackTransceiver {
     // and Safari.
     dataChannel.binaryType = 'arraybuffer';
 
+    Object.defineProperties(this, {
+      _maxMessageSize: {
+        value: typeof maxMessageSize === 'number'
+          ? maxMessageSize
+          : DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE
+      },
+      _pendingMessages: {
+        value: new Map()
+      }
+    });
+
     dataChannel.addEventListener('message', event => {
-      this.emit('message', event.data);
+      const chunk = parseChunk(event.data);
+      const data = chunk ? this._addChunk(chunk) : event.data;
+      if (data !== null) {
+        this.emit('message', data);
+      }
+    });
+  }
+
+  /**
+   * Add a {@link Chunk} to its pending message.
+   * @private
+   * @param {Chunk} chunk
+   * @returns {?(string|ArrayBuffer)} - the message, if it is complete
+   */
+  _addChunk(chunk) {
+    if (chunk.count === 1) {
+      return joinChunks([chunk]);
+    }
+
+    let message = this._pendingMessages.get(chunk.messageId);
+    if (!message || message.chunks.length !== chunk.count) {
+      message = { byteLength: 0, chunks: new Array(chunk.count), received: 0 };
+      this._pendingMessages.set(chunk.messageId, message);
+    }
+    if (!message.chunks[chunk.index]) {
+      message.chunks[chunk.index] = chunk;
+      message.byteLength += chunk.payload.byteLength;
+      message.received++;
+    }
+
+    if (message.received === chunk.count) {
+      this._pendingMessages.delete(chunk.messageId);
+      return joinChunks(message.chunks);
+    }
+
+    // NOTE(mroberts): Chunks of messages sent over unreliable RTCDataChannels
+    // can be lost, so we drop the oldest pending messages rather than letting
+    // them accumulate beyond the maximum message size.
+    let byteLength = 0;
+    this._pendingMessages.forEach(pendingMessage => {
+      byteLength += pendingMessage.byteLength;
     });
+    while (byteLength > this._maxMessageSize && this._pendingMessages.size > 0) {
+      const oldestMessageId = this._pendingMessages.keys().next().value;
+      byteLength -= this._pendingMessages.get(oldestMessageId).byteLength;
+      this._pendingMessages.delete(oldestMessageId);
+    }
+    return null;
   }
 }
 
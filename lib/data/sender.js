@@ -1,13 +1,23 @@
 'use strict';
 
 const DataTrackTransceiver = require('./transceiver');
+const createChunks = require('./chunk').createChunks;
 const makeUUID = require('../util').makeUUID;
+const DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD = require('../util/constants').DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD;
+const DATA_TRACK_CHUNK_SIZE = require('../util/constants').DATA_TRACK_CHUNK_SIZE;
+const DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE = require('../util/constants').DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE;
 
 /**
  * A {@link DataTrackSender} represents a {@link DataTrackTransceiver} over
  * which data can be sent. Internally, it uses a collection of RTCDataChannels
- * to send data.
+ * to send data. Messages which are too large for a single RTCDataChannel
+ * message are split into chunks, which the {@link DataTrackReceiver} joins
+ * back together.
  * @extends DataTrackTransceiver
+ * @property {number} bufferedAmount - the largest number of bytes queued to be
+ *   sent over any of the underlying RTCDataChannels
+ * @property {number} maxMessageSize - the maximum size of a message, in bytes
+ * @emits DataTrackSender#sendFailed
  */
 class DataTrackSender extends DataTrackTransceiver {
   /**
@@ -15,12 +25,35 @@ class DataTrackSender extends DataTrackTransceiver {
    * @param {?number} maxPacketLifeTime
    * @param {?number} maxRetransmits
    * @param {boolean} ordered
+   * @param {number} [maxMessageSize] - defaults to 16 MiB
    */
-  constructor(maxPacketLifeTime, maxRetransmtis, ordered) {
+  constructor(maxPacketLifeTime, maxRetransmtis, ordered, maxMessageSize) {
     super(makeUUID(), maxPacketLifeTime, maxRetransmtis, ordered);
     Object.defineProperties(this, {
       _dataChannels: {
         value: new Set()
+      },
+      _messageId: {
+        value: 0,
+        writable: true
+      },
+      _sendQueue: {
+        value: Promise.resolve(),
+        writable: true
+      },
+      bufferedAmount: {
+        enumerable: true,
+        get() {
+          return Array.from(this._dataChannels).reduce((bufferedAmount, dataChannel) => {
+            return Math.max(bufferedAmount, dataChannel.bufferedAmount || 0);
+          }, 0);
+        }
+      },
+      maxMessageSize: {
+        enumerable: true,
+        value: typeof maxMessageSize === 'number'
+          ? maxMessageSize
+          : DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE
       }
     });
   }
@@ -31,6 +64,7 @@ class DataTrackSender extends DataTrackTransceiver {
    * @returns {this}
    */
   addDataChannel(dataChannel) {
+    dataChannel.bufferedAmountLowThreshold = DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD;
     this._dataChannels.add(dataChannel);
     return this;
   }
@@ -47,20 +81,124 @@ class DataTrackSender extends DataTrackTransceiver {
 
   /**
    * Send data over the {@link DataTrackSender}. Internally, this calls
-   * <code>send</code> over each of the underlying RTCDataChannels.
+   * <code>send</code> over each of the underlying RTCDataChannels, once for
+   * each chunk of the message.
    * @param {string|Blob|ArrayBuffer|ArrayBufferView} data
    * @returns {this}
+   * @throws {RangeError} - if the message exceeds the maximum message size
    */
   send(data) {
+    const chunks = this._createChunks(data);
     this._dataChannels.forEach(dataChannel => {
       try {
-        dataChannel.send(data);
+        chunks.forEach(chunk => dataChannel.send(chunk));
       } catch (error) {
-        // Do nothing.
+        this.emit('sendFailed', error);
       }
     });
     return this;
   }
+
+  /**
+   * Send data over the {@link DataTrackSender}, respecting backpressure.
+   * Before sending each chunk of the message over an underlying
+   * RTCDataChannel, this waits for the RTCDataChannel to open and for its
+   * <code>bufferedAmount</code> to fall to its
+   * <code>bufferedAmountLowThreshold</code>. Calls to
+   * {@link DataTrackSender#sendAsync} are queued, so that messages are sent in
+   * order.
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} data
+   * @returns {Promise<void>} - rejects if sending over any of the underlying
+   *   RTCDataChannels fails, or if the message exceeds the maximum message size
+   */
+  sendAsync(data) {
+    let chunks;
+    try {
+      chunks = this._createChunks(data);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const dataChannels = Array.from(this._dataChannels);
+    const promise = this._sendQueue.then(() => Promise.all(dataChannels.map(dataChannel => {
+      return sendChunks(dataChannel, chunks).catch(error => {
+        this.emit('sendFailed', error);
+        throw error;
+      });
+    }))).then(() => {});
+    this._sendQueue = promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Split data into the chunks to send over each RTCDataChannel.
+   * @private
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} data
+   * @returns {Array<string|Blob|ArrayBuffer|ArrayBufferView>}
+   * @throws {RangeError}
+   */
+  _createChunks(data) {
+    // NOTE(mroberts): Blobs cannot be read synchronously, so we send them
+    // unchunked.
+    const chunks = typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+      ? createChunks(data, this._messageId, DATA_TRACK_CHUNK_SIZE, this.maxMessageSize)
+      : [data];
+    if (chunks.length > 1 || chunks[0] !== data) {
+      this._messageId = (this._messageId + 1) >>> 0;
+    }
+    return chunks;
+  }
 }
 
+/**
+ * Send chunks over an RTCDataChannel, waiting for it to open and, before each
+ * chunk, for its buffer to drain.
+ * @private
+ * @param {RTCDataChannel} dataChannel
+ * @param {Array<string|Blob|ArrayBuffer|ArrayBufferView>} chunks
+ * @returns {Promise<void>}
+ */
+function sendChunks(dataChannel, chunks) {
+  return chunks.reduce((promise, chunk) => promise.then(() => {
+    return waitForDataChannel(dataChannel, 'bufferedamountlow', () => {
+      return dataChannel.bufferedAmount > dataChannel.bufferedAmountLowThreshold;
+    });
+  }).then(() => {
+    dataChannel.send(chunk);
+  }), waitForDataChannel(dataChannel, 'open', () => {
+    return dataChannel.readyState === 'connecting';
+  }));
+}
+
+/**
+ * Wait for an RTCDataChannel to raise an event, while a condition holds. If
+ * the RTCDataChannel closes in the meantime, stop waiting, so that the
+ * subsequent call to <code>send</code> fails.
+ * @private
+ * @param {RTCDataChannel} dataChannel
+ * @param {string} type
+ * @param {function(): boolean} shouldWait
+ * @returns {Promise<void>}
+ */
+function waitForDataChannel(dataChannel, type, shouldWait) {
+  if (!shouldWait() || dataChannel.readyState === 'closing' || dataChannel.readyState === 'closed') {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    function onEvent() {
+      dataChannel.removeEventListener(type, onEvent);
+      dataChannel.removeEventListener('close', onEvent);
+      resolve();
+    }
+    dataChannel.addEventListener(type, onEvent);
+    dataChannel.addEventListener('close', onEvent);
+  });
+}
+
+/**
+ * Sending data over one of the {@link DataTrackSender}'s RTCDataChannels
+ * failed.
+ * @event DataTrackSender#sendFailed
+ * @param {Error} error - the error raised by the RTCDataChannel
+ */
+
 module.exports = DataTrackSender;
@@ -0,0 +1,368 @@
+'use strict';
+
+const { decodeUTF8, encodeUTF8 } = require('../util');
+const E = require('../util/constants').typeErrors;
+
+// NOTE(mroberts): Custom codecs must use IDs in this range, so that they never
+// collide with the built-in codecs.
+const MIN_CUSTOM_CODEC_ID = 16;
+const MAX_CUSTOM_CODEC_ID = 255;
+
+// Every serialized message starts with this "magic" prefix, followed by the ID
+// of its DataTrackCodec, so that receivers can tell serialized messages apart
+// from binary messages sent by LocalDataTracks without a serializer.
+const MAGIC = [0x54, 0x56, 0x44, 0x53];
+
+/**
+ * The length, in bytes, of the header of a serialized message: the magic
+ * prefix and the ID of the {@link DataTrackCodec}.
+ * @type {number}
+ */
+const HEADER_LENGTH = MAGIC.length + 1;
+
+const TAG_NULL = 0x00;
+const TAG_FALSE = 0x01;
+const TAG_TRUE = 0x02;
+const TAG_INT8 = 0x03;
+const TAG_INT32 = 0x04;
+const TAG_FLOAT64 = 0x05;
+const TAG_STRING = 0x06;
+const TAG_ARRAY = 0x07;
+const TAG_OBJECT = 0x08;
+const TAG_BINARY = 0x09;
+
+/**
+ * The built-in "json" {@link DataTrackCodec}.
+ * @private
+ * @type {DataTrackCodec}
+ */
+const jsonCodec = {
+  id: 1,
+  encode(value) {
+    const json = JSON.stringify(value);
+    return encodeUTF8(typeof json === 'string' ? json : 'null');
+  },
+  decode(data) {
+    return JSON.parse(decodeUTF8(new Uint8Array(data)));
+  }
+};
+
+/**
+ * The built-in "binary" {@link DataTrackCodec}. It encodes the same values as
+ * the "json" {@link DataTrackCodec}, more compactly, and also encodes
+ * ArrayBuffers and ArrayBufferViews (which it decodes as ArrayBuffers).
+ * @private
+ * @type {DataTrackCodec}
+ */
+const binaryCodec = {
+  id: 2,
+  encode(value) {
+    const bytes = [];
+    encodeValue(value, bytes);
+    return new Uint8Array(bytes);
+  },
+  decode(data) {
+    const reader = { offset: 0, view: new DataView(data) };
+    const value = decodeValue(reader);
+    if (reader.offset !== data.byteLength) {
+      throw new Error('Unexpected trailing bytes');
+    }
+    return value;
+  }
+};
+
+const builtInCodecs = {
+  binary: binaryCodec,
+  json: jsonCodec
+};
+
+/**
+ * Get the {@link DataTrackCodec} for a {@link DataTrackSerializer}.
+ * @param {?DataTrackSerializer} serializer
+ * @param {string} name - the name of the option, for error messages
+ * @returns {?DataTrackCodec} - null if the serializer is null
+ * @throws {TypeError|RangeError}
+ */
+function getCodec(serializer, name) {
+  if (serializer === null || typeof serializer === 'undefined') {
+    return null;
+  }
+  if (typeof serializer === 'string') {
+    if (!builtInCodecs[serializer]) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_VALUE(name, Object.keys(builtInCodecs));
+    }
+    return builtInCodecs[serializer];
+  }
+  if (typeof serializer !== 'object'
+    || typeof serializer.encode !== 'function'
+    || typeof serializer.decode !== 'function') {
+    // eslint-disable-next-line new-cap
+    throw E.INVALID_TYPE(name, 'DataTrackSerializer');
+  }
+  if (!Number.isInteger(serializer.id)
+    || serializer.id < MIN_CUSTOM_CODEC_ID
+    || serializer.id > MAX_CUSTOM_CODEC_ID) {
+    // eslint-disable-next-line new-cap
+    throw E.INVALID_TYPE(`${name}.id`, `integer between ${MIN_CUSTOM_CODEC_ID} and ${MAX_CUSTOM_CODEC_ID}`);
+  }
+  return serializer;
+}
+
+/**
+ * Get the {@link DataTrackCodec}s that can decode messages, by ID: the
+ * built-in {@link DataTrackCodec}s, and the given one.
+ * @param {?DataTrackCodec} codec
+ * @returns {Map<number, DataTrackCodec>}
+ */
+function getDecodingCodecs(codec) {
+  const codecs = new Map([jsonCodec, binaryCodec].map(codec => [codec.id, codec]));
+  if (codec) {
+    codecs.set(codec.id, codec);
+  }
+  return codecs;
+}
+
+/**
+ * Check whether a message was serialized with {@link serialize}.
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isSerialized(data) {
+  if (!(data instanceof ArrayBuffer) || data.byteLength < HEADER_LENGTH) {
+    return false;
+  }
+  const bytes = new Uint8Array(data);
+  return MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Serialize a value, prefixing it with the magic prefix and the ID of the
+ * {@link DataTrackCodec}.
+ * @param {DataTrackCodec} codec
+ * @param {*} value
+ * @returns {ArrayBuffer}
+ */
+function serialize(codec, value) {
+  const payload = codec.encode(value);
+  const bytes = ArrayBuffer.isView(payload)
+    ? new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength)
+    : new Uint8Array(payload);
+  const data = new Uint8Array(HEADER_LENGTH + bytes.byteLength);
+  data.set(MAGIC, 0);
+  data[MAGIC.length] = codec.id;
+  data.set(bytes, HEADER_LENGTH);
+  return data.buffer;
+}
+
+/**
+ * Deserialize a message serialized with {@link serialize}.
+ * @param {Map<number, DataTrackCodec>} codecs
+ * @param {ArrayBuffer} data
+ * @returns {*}
+ * @throws {Error} - if the message was not serialized, or if no
+ *   {@link DataTrackCodec} can decode it
+ */
+function deserialize(codecs, data) {
+  if (!isSerialized(data)) {
+    throw new Error('Not a serialized message');
+  }
+  const codec = codecs.get(new Uint8Array(data)[MAGIC.length]);
+  if (!codec) {
+    throw new Error('Unknown DataTrackCodec');
+  }
+  return codec.decode(data.slice(HEADER_LENGTH));
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @param {Array<number>} bytes
+ * @returns {void}
+ */
+function encodeValue(value, bytes) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+  if (value === null || typeof value === 'undefined') {
+    bytes.push(TAG_NULL);
+  } else if (typeof value === 'boolean') {
+    bytes.push(value ? TAG_TRUE : TAG_FALSE);
+  } else if (typeof value === 'number') {
+    encodeNumber(value, bytes);
+  } else if (typeof value === 'string') {
+    bytes.push(TAG_STRING);
+    encodeBytes(encodeUTF8(value), bytes);
+  } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    bytes.push(TAG_BINARY);
+    encodeBytes(ArrayBuffer.isView(value)
+      ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      : new Uint8Array(value), bytes);
+  } else if (Array.isArray(value)) {
+    bytes.push(TAG_ARRAY);
+    pushUint32(value.length, bytes);
+    value.forEach(item => encodeValue(item, bytes));
+  } else if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => typeof value[key] !== 'undefined'
+      && typeof value[key] !== 'function');
+    bytes.push(TAG_OBJECT);
+    pushUint32(keys.length, bytes);
+    keys.forEach(key => {
+      encodeBytes(encodeUTF8(key), bytes);
+      encodeValue(value[key], bytes);
+    });
+  } else {
+    throw new TypeError(`Unable to serialize a value of type ${typeof value}`);
+  }
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {Array<number>} bytes
+ * @returns {void}
+ */
+function encodeNumber(value, bytes) {
+  if (Number.isInteger(value) && value >= -128 && value <= 127) {
+    bytes.push(TAG_INT8, value & 0xff);
+    return;
+  }
+  const view = new DataView(new ArrayBuffer(8));
+  if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff) {
+    view.setInt32(0, value);
+    bytes.push(TAG_INT32);
+    pushBytes(new Uint8Array(view.buffer, 0, 4), bytes);
+    return;
+  }
+  view.setFloat64(0, value);
+  bytes.push(TAG_FLOAT64);
+  pushBytes(new Uint8Array(view.buffer), bytes);
+}
+
+/**
+ * @private
+ * @param {Uint8Array} value
+ * @param {Array<number>} bytes
+ * @returns {void}
+ */
+function encodeBytes(value, bytes) {
+  pushUint32(value.byteLength, bytes);
+  pushBytes(value, bytes);
+}
+
+/**
+ * @private
+ * @param {Uint8Array} value
+ * @param {Array<number>} bytes
+ * @returns {void}
+ */
+function pushBytes(value, bytes) {
+  for (let i = 0; i < value.length; i++) {
+    bytes.push(value[i]);
+  }
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {Array<number>} bytes
+ * @returns {void}
+ */
+function pushUint32(value, bytes) {
+  bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+/**
+ * @private
+ * @param {{offset: number, view: DataView}} reader
+ * @returns {*}
+ */
+function decodeValue(reader) {
+  const view = reader.view;
+  const tag = view.getUint8(reader.offset++);
+  switch (tag) {
+    case TAG_NULL:
+      return null;
+    case TAG_FALSE:
+      return false;
+    case TAG_TRUE:
+      return true;
+    case TAG_INT8:
+      return view.getInt8(reader.offset++);
+    case TAG_INT32: {
+      const value = view.getInt32(reader.offset);
+      reader.offset += 4;
+      return value;
+    }
+    case TAG_FLOAT64: {
+      const value = view.getFloat64(reader.offset);
+      reader.offset += 8;
+      return value;
+    }
+    case TAG_STRING:
+      return decodeUTF8(decodeBytes(reader));
+    case TAG_BINARY:
+      return decodeBytes(reader).slice().buffer;
+    case TAG_ARRAY: {
+      const length = view.getUint32(reader.offset);
+      reader.offset += 4;
+      const array = [];
+      for (let i = 0; i < length; i++) {
+        array.push(decodeValue(reader));
+      }
+      return array;
+    }
+    case TAG_OBJECT: {
+      const length = view.getUint32(reader.offset);
+      reader.offset += 4;
+      const object = {};
+      for (let i = 0; i < length; i++) {
+        const key = decodeUTF8(decodeBytes(reader));
+        object[key] = decodeValue(reader);
+      }
+      return object;
+    }
+    default:
+      throw new Error(`Unknown tag: ${tag}`);
+  }
+}
+
+/**
+ * @private
+ * @param {{offset: number, view: DataView}} reader
+ * @returns {Uint8Array}
+ */
+function decodeBytes(reader) {
+  const length = reader.view.getUint32(reader.offset);
+  reader.offset += 4;
+  if (reader.offset + length > reader.view.byteLength) {
+    throw new RangeError('Unexpected end of data');
+  }
+  const bytes = new Uint8Array(reader.view.buffer, reader.view.byteOffset + reader.offset, length);
+  reader.offset += length;
+  return bytes;
+}
+
+/**
+ * A {@link DataTrackCodec} encodes values sent over a {@link LocalDataTrack},
+ * and decodes them when received over a {@link RemoteDataTrack}.
+ * @typedef {object} DataTrackCodec
+ * @property {number} id - An integer between 16 and 255 that identifies the
+ *   {@link DataTrackCodec}; it is sent in the header of each message
+ * @property {function(*): (ArrayBuffer|ArrayBufferView)} encode - Encode a
+ *   value
+ * @property {function(ArrayBuffer): *} decode - Decode a value
+ */
+
+/**
+ * A {@link DataTrackSerializer} is either the name of a built-in
+ * {@link DataTrackCodec} ("json" or "binary"), or a custom
+ * {@link DataTrackCodec}.
+ * @typedef {string|DataTrackCodec} DataTrackSerializer
+ */
+
+exports.deserialize = deserialize;
+exports.getCodec = getCodec;
+exports.getDecodingCodecs = getDecodingCodecs;
+exports.isSerialized = isSerialized;
+exports.serialize = serialize;
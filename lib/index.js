@@ -4,6 +4,10 @@ const version = require('../package.json').version;
 const Video = {};
 
 Object.defineProperties(Video, {
+  BlurVideoProcessor: {
+    enumerable: true,
+    value: require('./media/processors/blurvideoprocessor')
+  },
   connect: {
     enumerable: true,
     value: require('./connect')
@@ -12,6 +16,10 @@ Object.defineProperties(Video, {
     enumerable: true,
     value: require('./createlocaltrack').audio
   },
+  createLocalScreenTrack: {
+    enumerable: true,
+    value: require('./createlocalscreentrack')
+  },
   createLocalTracks: {
     enumerable: true,
     value: require('./createlocaltracks')
@@ -20,6 +28,14 @@ Object.defineProperties(Video, {
     enumerable: true,
     value: require('./createlocaltrack').video
   },
+  devices: {
+    enumerable: true,
+    value: require('./media/devices')
+  },
+  GainAudioProcessor: {
+    enumerable: true,
+    value: require('./media/processors/gainaudioprocessor')
+  },
   isSupported: {
     enumerable: true,
     value: require('./util/support')()
@@ -36,6 +52,10 @@ Object.defineProperties(Video, {
     enumerable: true,
     value: require('./media/track/es5/localvideotrack')
   },
+  NoiseGateAudioProcessor: {
+    enumerable: true,
+    value: require('./media/processors/noisegateaudioprocessor')
+  },
   version: {
     enumerable: true,
     value: version
@@ -2,6 +2,8 @@
 
 const util = require('./util');
 const E = require('./util/constants').typeErrors;
+const TRACK_ENCODING_PARAMETERS = require('./util/constants').TRACK_ENCODING_PARAMETERS;
+const VIDEO_CONTENT_HINTS = require('./util/constants').VIDEO_CONTENT_HINTS;
 const LocalAudioTrack = require('./media/track/es5/localaudiotrack');
 const LocalDataTrack = require('./media/track/es5/localdatatrack');
 const LocalVideoTrack = require('./media/track/es5/localvideotrack');
@@ -11,6 +13,8 @@ const LocalAudioTrackPublication = require('./media/track/localaudiotrackpublica
 const LocalDataTrackPublication = require('./media/track/localdatatrackpublication');
 const LocalVideoTrackPublication = require('./media/track/localvideotrackpublication');
 
+const TRACK_PRIORITIES = ['high', 'low', 'standard'];
+
 /**
  * A {@link LocalParticipant} represents the local {@link Participant} in a
  * {@link Room}.
@@ -89,6 +93,9 @@ class LocalParticipant extends Participant {
       _LocalVideoTrackPublication: {
         value: options.LocalVideoTrackPublication
       },
+      _trackPriorities: {
+        value: new Map()
+      },
       _tracksToStop: {
         value: tracksToStop
       },
@@ -138,8 +145,11 @@ class LocalParticipant extends Participant {
 
     const signaling = this._signaling;
 
+    const self = this;
+
     function localTrackAdded(localTrack) {
-      signaling.addTrack(localTrack._trackSender, localTrack.name);
+      const priority = self._trackPriorities.get(localTrack.id);
+      signaling.addTrack(localTrack._trackSender, localTrack.name, priority, localTrack.content);
       log.info(`Added a new ${util.trackClass(localTrack, true)}:`, localTrack.id);
       log.debug(`${util.trackClass(localTrack, true)}:`, localTrack);
     }
@@ -157,6 +167,7 @@ class LocalParticipant extends Participant {
     }
 
     function localTrackRemoved(localTrack) {
+      self._trackPriorities.delete(localTrack.id);
       signaling.removeTrack(localTrack._trackSender);
       log.info(`Removed a ${util.trackClass(localTrack, true)}:`, localTrack.id);
       log.debug(`${util.trackClass(localTrack, true)}:`, localTrack);
@@ -174,7 +185,6 @@ class LocalParticipant extends Participant {
       });
     }, this);
 
-    const self = this;
     signaling.on('stateChanged', function stateChanged(state) {
       log.debug('Transitioned to state:', state);
       if (state === 'disconnected') {
@@ -245,7 +255,8 @@ class LocalParticipant extends Participant {
           log,
           LocalAudioTrackPublication: self._LocalAudioTrackPublication,
           LocalDataTrackPublication: self._LocalDataTrackPublication,
-          LocalVideoTrackPublication: self._LocalVideoTrackPublication
+          LocalVideoTrackPublication: self._LocalVideoTrackPublication,
+          priority: trackSignaling.priority
         };
 
         const publishedKindTracks = {
@@ -339,6 +350,8 @@ class LocalParticipant extends Participant {
   /**
    * Publishes a {@link LocalTrack} to the {@link Room}.
    * @param {LocalTrack} localTrack - The {@link LocalTrack} to publish
+   * @param {LocalTrackPublishOptions} [options] - The
+   *   {@link LocalTrackPublishOptions} for publishing the {@link LocalTrack}
    * @returns {Promise<LocalTrackPublication>} - Resolves with the corresponding
    *   {@link LocalTrackPublication} if successful
    * @fires Participant#trackAdded
@@ -350,7 +363,8 @@ class LocalParticipant extends Participant {
    *   construct one
    * @param {LocalTrackOptions} [options] - The {@link LocalTrackOptions} for
    *   constructing the  MediaStreamTrack's corresponding {@link LocalAudioTrack}
-   *   or {@link LocalVideoTrack}
+   *   or {@link LocalVideoTrack}; you may also pass the
+   *   {@link LocalTrackPublishOptions} here
    * @returns {Promise<LocalTrackPublication>} - Resolves with the corresponding
    *   {@link LocalTrackPublication} if successful
    * @fires Participant#trackAdded
@@ -363,7 +377,8 @@ class LocalParticipant extends Participant {
    * }).then(function(room) {
    *   // Publish a video MediaStreamTrack with a custom name
    *   return room.localParticipant.publishTrack(mediaStreamTrack, {
-   *     name: 'camera'
+   *     name: 'camera',
+   *     priority: 'high'
    *   });
    * }).then(function(publication) {
    *   console.log('The LocalTrack "' + publication.trackName + '" was successfully published');
@@ -380,16 +395,41 @@ class LocalParticipant extends Participant {
       LocalAudioTrack: this._LocalAudioTrack,
       LocalDataTrack: this._LocalDataTrack,
       LocalVideoTrack: this._LocalVideoTrack,
-      MediaStreamTrack: this._MediaStreamTrack
+      MediaStreamTrack: this._MediaStreamTrack,
+      priority: 'standard'
     }, options);
 
+    if (!TRACK_PRIORITIES.includes(options.priority)) {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_VALUE('options.priority', TRACK_PRIORITIES));
+    }
+
+    if ('contentHint' in options && !VIDEO_CONTENT_HINTS.includes(options.contentHint)) {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_VALUE('options.contentHint', VIDEO_CONTENT_HINTS));
+    }
+
     let localTrack;
     try {
+      util.validateTrackEncodingParameters(options, 'options');
       localTrack = util.asLocalTrack(localTrackOrMediaStreamTrack, options);
     } catch (error) {
       return Promise.reject(error);
     }
 
+    if (!this.tracks.has(localTrack.id)) {
+      this._trackPriorities.set(localTrack.id, options.priority);
+    }
+    if (options.contentHint && localTrack.kind === 'video') {
+      localTrack._setContentHint(options.contentHint);
+    }
+    if (localTrack.kind !== 'data' && TRACK_ENCODING_PARAMETERS.some(name => name in options)) {
+      localTrack._trackSender.setEncodingParameters({
+        maxBitrate: options.maxBitrate,
+        maxFramerate: options.maxFramerate,
+        scaleResolutionDownBy: options.scaleResolutionDownBy
+      });
+    }
     localTrack = this._addTrack(localTrack) || this.tracks.get(localTrack.id);
     return this._getOrCreateLocalTrackPublication(localTrack);
   }
@@ -631,6 +671,24 @@ class LocalParticipant extends Participant {
  * @event LocalParticipant#trackStopped
  */
 
+/**
+ * {@link LocalTrack} publish options
+ * @typedef {object} LocalTrackPublishOptions
+ * @property {VideoContentHint} [contentHint] - Whether motion or detail
+ *   matters more for a {@link LocalVideoTrack}; ignored otherwise
+ * @property {?number} [maxBitrate] - Max outgoing bitrate (bps) of the
+ *   {@link LocalTrack}; see {@link TrackEncodingParameters}
+ * @property {?number} [maxFramerate] - Max outgoing frame rate of a
+ *   {@link LocalVideoTrack}; see {@link TrackEncodingParameters}
+ * @property {Track.Priority} [priority="standard"] - The priority with which
+ *   the {@link LocalTrack} is to be published; When downlink bandwidth runs
+ *   short, the {@link LocalTrack}'s corresponding {@link RemoteVideoTrack}s
+ *   are switched off before those of higher priority
+ * @property {?number} [scaleResolutionDownBy] - The factor by which to scale
+ *   down the resolution of a {@link LocalVideoTrack}; see
+ *   {@link TrackEncodingParameters}
+ */
+
 /**
  * Outgoing media encoding parameters.
  * @typedef {object} EncodingParameters
@@ -642,6 +700,26 @@ class LocalParticipant extends Participant {
  *   value removes any previously set bitrate limit
  */
 
+/**
+ * Outgoing media encoding parameters of a single published {@link LocalTrack}.
+ * These are applied using RTCRtpSender.setParameters where available; in
+ * browsers which do not support it, only <code>maxBitrate</code> is applied,
+ * by renegotiating. They apply in addition to the {@link EncodingParameters}
+ * of the {@link LocalParticipant}, so the lower bitrate limit wins.
+ * With simulcast, they limit the highest quality layer only.
+ * @typedef {object} TrackEncodingParameters
+ * @property {?number} [maxBitrate] - Max outgoing bitrate (bps), greater
+ *   than 0; If not specified, retains the existing bitrate limit; A
+ *   <code>null</code> value removes any previously set bitrate limit
+ * @property {?number} [maxFramerate] - Max outgoing frame rate of a
+ *   {@link LocalVideoTrack}, greater than 0; If not specified, retains the
+ *   existing limit; A <code>null</code> value removes any previously set limit
+ * @property {?number} [scaleResolutionDownBy] - The factor, at least 1, by
+ *   which to scale down the resolution of a {@link LocalVideoTrack}; If not
+ *   specified, retains the existing factor; A <code>null</code> value removes
+ *   any previously set factor
+ */
+
 /**
  * @private
  * @param {Map<Track.SID, LocalTrackPublication>} trackPublications
@@ -0,0 +1,210 @@
+/* globals navigator */
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+
+const DEVICE_EVENTS = ['changed', 'deviceAdded', 'deviceRemoved'];
+const INPUT_DEVICE_KINDS = ['audioinput', 'videoinput'];
+
+/**
+ * {@link Devices} lists the microphones and cameras available to the browser,
+ * and emits events when they are plugged in or unplugged. Use the instance
+ * exported as <code>Video.devices</code>.
+ * @extends EventEmitter
+ * @property {Devices} Devices - The {@link Devices} constructor
+ * @emits Devices#changed
+ * @emits Devices#deviceAdded
+ * @emits Devices#deviceRemoved
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * Video.devices.list().then(function(devices) {
+ *   devices.forEach(function(device) {
+ *     console.log(device.kind + ': ' + device.label);
+ *   });
+ * });
+ *
+ * Video.devices.on('deviceAdded', function(device) {
+ *   console.log('Plugged in: ' + device.label);
+ * });
+ */
+class Devices extends EventEmitter {
+  /**
+   * Construct a {@link Devices}.
+   * @param {{navigator: ?Navigator}} [options]
+   */
+  constructor(options) {
+    super();
+
+    options = Object.assign({
+      navigator: typeof navigator !== 'undefined' ? navigator : null
+    }, options);
+
+    const mediaDevices = options.navigator && options.navigator.mediaDevices
+      ? options.navigator.mediaDevices
+      : null;
+
+    Object.defineProperties(this, {
+      _devices: {
+        value: null,
+        writable: true
+      },
+      _isListening: {
+        value: false,
+        writable: true
+      },
+      _mediaDevices: {
+        value: mediaDevices
+      },
+      _onDeviceChange: {
+        value: () => this._update()
+      },
+      _updatePromise: {
+        value: Promise.resolve(),
+        writable: true
+      },
+      Devices: {
+        enumerable: true,
+        value: Devices
+      }
+    });
+
+    // NOTE(mroberts): We only listen for "devicechange" while someone listens
+    // to us, so that requiring twilio-video.js does not enumerate devices.
+    this.on('newListener', event => {
+      if (DEVICE_EVENTS.includes(event) && this._listenerCount() === 0) {
+        this._startListening();
+      }
+    });
+    this.on('removeListener', event => {
+      if (DEVICE_EVENTS.includes(event) && this._listenerCount() === 0) {
+        this._stopListening();
+      }
+    });
+  }
+
+  /**
+   * Get the number of listeners for the {@link Devices} events.
+   * @private
+   * @returns {number}
+   */
+  _listenerCount() {
+    return DEVICE_EVENTS.reduce((count, event) => count + this.listenerCount(event), 0);
+  }
+
+  /**
+   * Start listening for "devicechange" events.
+   * @private
+   * @returns {void}
+   */
+  _startListening() {
+    if (this._isListening || !this._mediaDevices
+      || typeof this._mediaDevices.addEventListener !== 'function') {
+      return;
+    }
+    this._isListening = true;
+    this._mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+    this._update();
+  }
+
+  /**
+   * Stop listening for "devicechange" events.
+   * @private
+   * @returns {void}
+   */
+  _stopListening() {
+    if (!this._isListening) {
+      return;
+    }
+    this._isListening = false;
+    this._mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+    this._devices = null;
+  }
+
+  /**
+   * Enumerate the input devices, and emit events for any changes since the
+   * last time. The first time, just remember them.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _update() {
+    this._updatePromise = this._updatePromise.then(() => this.list()).then(devices => {
+      if (!this._isListening) {
+        return;
+      }
+      const oldDevices = this._devices;
+      this._devices = devices;
+      if (!oldDevices) {
+        return;
+      }
+
+      const removed = oldDevices.filter(device => !devices.some(isSameDevice.bind(null, device)));
+      const added = devices.filter(device => !oldDevices.some(isSameDevice.bind(null, device)));
+
+      // NOTE(mroberts): Chrome lists the default device a second time, with
+      // deviceId "default"; when the default device changes, only its groupId
+      // and label change.
+      const isChanged = added.length > 0
+        || removed.length > 0
+        || devices.some(device => oldDevices.some(oldDevice => isSameDevice(device, oldDevice)
+          && (device.groupId !== oldDevice.groupId || device.label !== oldDevice.label)));
+
+      removed.forEach(device => this.emit('deviceRemoved', device));
+      added.forEach(device => this.emit('deviceAdded', device));
+      if (isChanged) {
+        this.emit('changed', devices);
+      }
+    }).catch(() => {
+      // Do nothing; we will try again on the next "devicechange" event.
+    });
+    return this._updatePromise;
+  }
+
+  /**
+   * List the microphones and cameras available to the browser. Until the user
+   * grants permission to use them (for example, by calling
+   * {@link createLocalTracks}), their labels may be empty.
+   * @returns {Promise<Array<MediaDeviceInfo>>}
+   */
+  list() {
+    if (!this._mediaDevices || typeof this._mediaDevices.enumerateDevices !== 'function') {
+      return Promise.resolve([]);
+    }
+    return this._mediaDevices.enumerateDevices().then(devices => {
+      return devices.filter(device => INPUT_DEVICE_KINDS.includes(device.kind));
+    });
+  }
+}
+
+/**
+ * Check whether two MediaDeviceInfos describe the same device.
+ * @private
+ * @param {MediaDeviceInfo} device1
+ * @param {MediaDeviceInfo} device2
+ * @returns {boolean}
+ */
+function isSameDevice(device1, device2) {
+  return device1.kind === device2.kind && device1.deviceId === device2.deviceId;
+}
+
+/**
+ * The microphones or cameras available to the browser changed, either because
+ * one was plugged in or unplugged, or because the default one changed.
+ * @param {Array<MediaDeviceInfo>} devices - The microphones and cameras now
+ *   available
+ * @event Devices#changed
+ */
+
+/**
+ * A microphone or camera was plugged in.
+ * @param {MediaDeviceInfo} device - The microphone or camera
+ * @event Devices#deviceAdded
+ */
+
+/**
+ * A microphone or camera was unplugged.
+ * @param {MediaDeviceInfo} device - The microphone or camera
+ * @event Devices#deviceRemoved
+ */
+
+module.exports = new Devices();
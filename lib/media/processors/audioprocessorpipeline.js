@@ -0,0 +1,215 @@
+/* globals MediaStream */
+'use strict';
+
+const DefaultAudioContextFactory = require('../../webaudio/audiocontext');
+
+const NativeMediaStream = typeof MediaStream !== 'undefined'
+  ? MediaStream
+  : null;
+
+/**
+ * An {@link AudioProcessorPipeline} routes a MediaStreamTrack through the Web
+ * Audio graphs of a list of {@link AudioProcessor}s, and exposes the result as
+ * a new MediaStreamTrack. It uses the shared AudioContext of an
+ * {@link AudioContextFactory}.
+ * @property {MediaStreamTrack} track - the processed MediaStreamTrack
+ */
+class AudioProcessorPipeline {
+  /**
+   * Construct an {@link AudioProcessorPipeline}.
+   * @param {MediaStreamTrack} mediaStreamTrack - the MediaStreamTrack to process
+   * @param {{log: Log}} options
+   * @throws {Error} - if Web Audio is not supported
+   */
+  constructor(mediaStreamTrack, options) {
+    options = Object.assign({
+      audioContextFactory: DefaultAudioContextFactory,
+      MediaStream: NativeMediaStream
+    }, options);
+
+    const audioContext = options.audioContextFactory.getOrCreate(this);
+    if (!audioContext) {
+      options.audioContextFactory.release(this);
+      throw new Error('Web Audio is not supported');
+    }
+
+    const source = audioContext.createMediaStreamSource(new options.MediaStream([mediaStreamTrack]));
+    const destination = audioContext.createMediaStreamDestination();
+
+    Object.defineProperties(this, {
+      _audioContext: {
+        value: audioContext
+      },
+      _audioContextFactory: {
+        value: options.audioContextFactory
+      },
+      _destination: {
+        value: destination
+      },
+      _isStopped: {
+        value: false,
+        writable: true
+      },
+      _log: {
+        value: options.log
+      },
+      _nodes: {
+        value: new Map()
+      },
+      _processors: {
+        value: [],
+        writable: true
+      },
+      _source: {
+        value: source
+      },
+      track: {
+        enumerable: true,
+        value: destination.stream.getAudioTracks()[0]
+      }
+    });
+
+    this._connect();
+  }
+
+  /**
+   * Set the {@link AudioProcessor}s, in the order in which the audio flows
+   * through them.
+   * @param {Array<AudioProcessor>} processors
+   * @returns {this}
+   */
+  setProcessors(processors) {
+    this._disconnect();
+    this._processors = processors.slice();
+    this._nodes.forEach((node, processor) => {
+      if (!this._processors.includes(processor)) {
+        this._nodes.delete(processor);
+        disposeNode(node);
+      }
+    });
+    this._connect();
+    return this;
+  }
+
+  /**
+   * Start processing audio. If the shared AudioContext was suspended (for
+   * example, because it was created before a user gesture), try to resume it.
+   * @returns {this}
+   */
+  start() {
+    if (this._audioContext.state === 'suspended' && typeof this._audioContext.resume === 'function') {
+      Promise.resolve(this._audioContext.resume()).catch(error => {
+        this._log.warn('Unable to resume the AudioContext:', error);
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Stop processing audio, stop the processed MediaStreamTrack, and release
+   * the shared AudioContext.
+   * @returns {this}
+   */
+  stop() {
+    if (this._isStopped) {
+      return this;
+    }
+    this._isStopped = true;
+    this._disconnect();
+    this._nodes.forEach(disposeNode);
+    this._nodes.clear();
+    this.track.stop();
+    this._audioContextFactory.release(this);
+    return this;
+  }
+
+  /**
+   * Connect the source, the {@link AudioProcessor}s' nodes and the
+   * destination, in order. An {@link AudioProcessor} whose node cannot be
+   * created is skipped.
+   * @private
+   * @returns {void}
+   */
+  _connect() {
+    const last = this._processors.reduce((previous, processor) => {
+      const node = this._getOrCreateNode(processor);
+      if (!node) {
+        return previous;
+      }
+      previous.connect(node.input);
+      return node.output;
+    }, this._source);
+    last.connect(this._destination);
+  }
+
+  /**
+   * Disconnect the source and the {@link AudioProcessor}s' nodes.
+   * @private
+   * @returns {void}
+   */
+  _disconnect() {
+    this._source.disconnect();
+    this._nodes.forEach(node => node.output.disconnect());
+  }
+
+  /**
+   * Get the node of an {@link AudioProcessor}, creating it if necessary.
+   * @private
+   * @param {AudioProcessor} processor
+   * @returns {?AudioProcessorNode}
+   */
+  _getOrCreateNode(processor) {
+    if (this._nodes.has(processor)) {
+      return this._nodes.get(processor);
+    }
+    let node;
+    try {
+      node = processor.createNode(this._audioContext);
+    } catch (error) {
+      this._log.warn('Unable to create the AudioProcessor\'s node:', error);
+      return null;
+    }
+    node = typeof node.connect === 'function' ? { input: node, output: node } : node;
+    this._nodes.set(processor, node);
+    return node;
+  }
+}
+
+/**
+ * Disconnect an {@link AudioProcessorNode}, and dispose of it if it supports
+ * that.
+ * @private
+ * @param {AudioProcessorNode} node
+ * @returns {void}
+ */
+function disposeNode(node) {
+  node.output.disconnect();
+  if (typeof node.dispose === 'function') {
+    node.dispose();
+  }
+}
+
+/**
+ * An {@link AudioProcessor} processes the audio of a {@link LocalAudioTrack}
+ * before it is sent, with a Web Audio graph. Add one with
+ * {@link LocalAudioTrack#addProcessor}.
+ * @typedef {object} AudioProcessor
+ * @property {function(AudioContext): (AudioNode|AudioProcessorNode)} createNode -
+ *   Create the Web Audio graph in the given AudioContext; return an AudioNode
+ *   (for example, a GainNode, DynamicsCompressorNode or AudioWorkletNode), or
+ *   an {@link AudioProcessorNode} for graphs with more than one AudioNode. It
+ *   is called for each {@link LocalAudioTrack} the {@link AudioProcessor} is
+ *   added to, and again whenever the {@link LocalAudioTrack} restarts
+ */
+
+/**
+ * A Web Audio graph created by an {@link AudioProcessor}.
+ * @typedef {object} AudioProcessorNode
+ * @property {AudioNode} input - The AudioNode that receives the audio
+ * @property {AudioNode} output - The AudioNode that outputs the processed
+ *   audio
+ * @property {function(): void} [dispose] - Called when the graph is no longer
+ *   used, for example to stop timers
+ */
+
+module.exports = AudioProcessorPipeline;
@@ -0,0 +1,130 @@
+'use strict';
+
+const E = require('../../util/constants').typeErrors;
+
+const DEFAULT_RADIUS = 8;
+
+/**
+ * A {@link BlurVideoProcessor} is a reference {@link VideoProcessor} that
+ * blurs each frame of a {@link LocalVideoTrack} with a box blur, using only
+ * the CPU. It blurs the whole frame; it does not separate the foreground from
+ * the background.
+ * @property {number} radius - The blur radius, in pixels
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * Video.createLocalVideoTrack().then(function(localVideoTrack) {
+ *   localVideoTrack.addProcessor(new Video.BlurVideoProcessor({ radius: 10 }));
+ * });
+ */
+class BlurVideoProcessor {
+  /**
+   * Construct a {@link BlurVideoProcessor}.
+   * @param {BlurVideoProcessor.Options} [options]
+   */
+  constructor(options) {
+    options = Object.assign({
+      document: typeof document !== 'undefined' ? document : null,
+      OffscreenCanvas: typeof OffscreenCanvas !== 'undefined' ? OffscreenCanvas : null,
+      radius: DEFAULT_RADIUS
+    }, options);
+
+    if (!Number.isInteger(options.radius) || options.radius < 1) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('options.radius', 'positive integer');
+    }
+
+    const canvas = options.OffscreenCanvas
+      ? new options.OffscreenCanvas(1, 1)
+      : options.document.createElement('canvas');
+
+    Object.defineProperties(this, {
+      _canvas: {
+        value: canvas
+      },
+      radius: {
+        enumerable: true,
+        value: options.radius
+      }
+    });
+  }
+
+  /**
+   * Blur a frame.
+   * @param {HTMLCanvasElement|OffscreenCanvas} inputFrame
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  processFrame(inputFrame) {
+    const { height, width } = inputFrame;
+    const canvas = this._canvas;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const context = canvas.getContext('2d');
+    context.drawImage(inputFrame, 0, 0, width, height);
+    const imageData = context.getImageData(0, 0, width, height);
+    boxBlur(imageData.data, width, height, this.radius);
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+}
+
+/**
+ * Blur RGBA pixels in place with a separable box blur. Each pass keeps a
+ * running sum, so the cost does not depend on the radius.
+ * @private
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @returns {void}
+ */
+function boxBlur(pixels, width, height, radius) {
+  const buffer = new Uint8ClampedArray(pixels.length);
+  blurPass(pixels, buffer, width, height, radius, 4, width * 4);
+  blurPass(buffer, pixels, height, width, radius, width * 4, 4);
+}
+
+/**
+ * Blur each line of RGBA pixels in one direction.
+ * @private
+ * @param {Uint8ClampedArray} src
+ * @param {Uint8ClampedArray} dst
+ * @param {number} length - the number of pixels in a line
+ * @param {number} lines - the number of lines
+ * @param {number} radius
+ * @param {number} step - the offset between pixels in a line
+ * @param {number} lineStep - the offset between lines
+ * @returns {void}
+ */
+function blurPass(src, dst, length, lines, radius, step, lineStep) {
+  const size = radius * 2 + 1;
+  const last = length - 1;
+  for (let line = 0; line < lines; line++) {
+    const start = line * lineStep;
+    for (let channel = 0; channel < 4; channel++) {
+      const offset = start + channel;
+
+      // NOTE(mroberts): Pixels beyond the edges repeat the edge pixels.
+      let sum = src[offset] * (radius + 1);
+      for (let i = 1; i <= radius; i++) {
+        sum += src[offset + Math.min(i, last) * step];
+      }
+
+      for (let i = 0; i < length; i++) {
+        dst[offset + i * step] = Math.round(sum / size);
+        sum += src[offset + Math.min(i + radius + 1, last) * step]
+          - src[offset + Math.max(i - radius, 0) * step];
+      }
+    }
+  }
+}
+
+/**
+ * {@link BlurVideoProcessor} options
+ * @typedef {object} BlurVideoProcessor.Options
+ * @property {number} [radius=8] - The blur radius, in pixels
+ */
+
+module.exports = BlurVideoProcessor;
@@ -0,0 +1,97 @@
+'use strict';
+
+const E = require('../../util/constants').typeErrors;
+
+/**
+ * A {@link GainAudioProcessor} is an {@link AudioProcessor} that amplifies or
+ * attenuates the audio of a {@link LocalAudioTrack}.
+ * @property {number} gain - The gain, where 1 leaves the audio unchanged
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * var gainProcessor = new Video.GainAudioProcessor({ gain: 2 });
+ * localAudioTrack.addProcessor(gainProcessor);
+ * volumeSlider.oninput = function() {
+ *   gainProcessor.setGain(Number(volumeSlider.value));
+ * };
+ */
+class GainAudioProcessor {
+  /**
+   * Construct a {@link GainAudioProcessor}.
+   * @param {GainAudioProcessor.Options} [options]
+   */
+  constructor(options) {
+    options = Object.assign({
+      gain: 1
+    }, options);
+
+    validateGain(options.gain);
+
+    Object.defineProperties(this, {
+      _gain: {
+        value: options.gain,
+        writable: true
+      },
+      _nodes: {
+        value: new Set()
+      },
+      gain: {
+        enumerable: true,
+        get() {
+          return this._gain;
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {AudioContext} audioContext
+   * @returns {AudioProcessorNode}
+   */
+  createNode(audioContext) {
+    const gainNode = audioContext.createGain();
+    gainNode.gain.value = this._gain;
+    this._nodes.add(gainNode);
+    return {
+      dispose: () => this._nodes.delete(gainNode),
+      input: gainNode,
+      output: gainNode
+    };
+  }
+
+  /**
+   * Set the gain.
+   * @param {number} gain - The gain, where 1 leaves the audio unchanged
+   * @returns {this}
+   * @throws {TypeError}
+   */
+  setGain(gain) {
+    validateGain(gain);
+    this._gain = gain;
+    this._nodes.forEach(gainNode => {
+      gainNode.gain.value = gain;
+    });
+    return this;
+  }
+}
+
+/**
+ * @private
+ * @param {*} gain
+ * @returns {void}
+ * @throws {TypeError}
+ */
+function validateGain(gain) {
+  if (typeof gain !== 'number' || !(gain >= 0)) {
+    // eslint-disable-next-line new-cap
+    throw E.INVALID_TYPE('gain', 'non-negative number');
+  }
+}
+
+/**
+ * {@link GainAudioProcessor} options
+ * @typedef {object} GainAudioProcessor.Options
+ * @property {number} [gain=1] - The gain, where 1 leaves the audio unchanged
+ */
+
+module.exports = GainAudioProcessor;
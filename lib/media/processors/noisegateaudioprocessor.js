@@ -0,0 +1,127 @@
+'use strict';
+
+const E = require('../../util/constants').typeErrors;
+const measureLevel = require('../../webaudio/measurelevel');
+
+const DEFAULT_HOLD_TIME_MS = 200;
+const DEFAULT_INTERVAL_MS = 20;
+const DEFAULT_THRESHOLD_DB = -50;
+
+// NOTE(mroberts): The time constant, in seconds, of opening and closing the
+// gate, so that it does not click.
+const GATE_TIME_CONSTANT = 0.01;
+
+/**
+ * A {@link NoiseGateAudioProcessor} is an {@link AudioProcessor} that mutes
+ * the audio of a {@link LocalAudioTrack} while its level is below a
+ * threshold, for example to cut background noise between sentences. Once the
+ * level rises above the threshold, the gate stays open for at least the hold
+ * time.
+ * <br><br>
+ * The level is measured every 20 milliseconds on the main thread. Browsers
+ * throttle timers in background tabs (to about once per second), so while
+ * the tab is hidden the gate opens and closes late, and may cut the start of
+ * speech or let more noise through.
+ * @property {number} holdTime - How long, in milliseconds, the gate stays open
+ *   after the level falls below the threshold
+ * @property {number} threshold - The level, in dBFS, below which the audio is
+ *   muted
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * localAudioTrack.addProcessor(new Video.NoiseGateAudioProcessor({ threshold: -45 }));
+ */
+class NoiseGateAudioProcessor {
+  /**
+   * Construct a {@link NoiseGateAudioProcessor}.
+   * @param {NoiseGateAudioProcessor.Options} [options]
+   */
+  constructor(options) {
+    options = Object.assign({
+      clearInterval,
+      holdTime: DEFAULT_HOLD_TIME_MS,
+      interval: DEFAULT_INTERVAL_MS,
+      setInterval,
+      threshold: DEFAULT_THRESHOLD_DB
+    }, options);
+
+    if (typeof options.threshold !== 'number' || !(options.threshold <= 0)) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('options.threshold', 'number of dBFS, no greater than 0');
+    }
+    if (typeof options.holdTime !== 'number' || !(options.holdTime >= 0)) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('options.holdTime', 'non-negative number');
+    }
+
+    Object.defineProperties(this, {
+      _clearInterval: {
+        value: options.clearInterval
+      },
+      _interval: {
+        value: options.interval
+      },
+      _setInterval: {
+        value: options.setInterval
+      },
+      holdTime: {
+        enumerable: true,
+        value: options.holdTime
+      },
+      threshold: {
+        enumerable: true,
+        value: options.threshold
+      }
+    });
+  }
+
+  /**
+   * @param {AudioContext} audioContext
+   * @returns {AudioProcessorNode}
+   */
+  createNode(audioContext) {
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    const samples = new Uint8Array(analyser.fftSize);
+
+    const gainNode = audioContext.createGain();
+    gainNode.gain.value = 0;
+    analyser.connect(gainNode);
+
+    let isOpen = false;
+    let lastAboveThreshold = -Infinity;
+
+    const interval = this._setInterval(() => {
+      analyser.getByteTimeDomainData(samples);
+      const now = Date.now();
+      if (measureLevel(samples) >= this.threshold) {
+        lastAboveThreshold = now;
+      }
+      const shouldBeOpen = now - lastAboveThreshold <= this.holdTime;
+      if (shouldBeOpen !== isOpen) {
+        isOpen = shouldBeOpen;
+        gainNode.gain.setTargetAtTime(isOpen ? 1 : 0, audioContext.currentTime, GATE_TIME_CONSTANT);
+      }
+    }, this._interval);
+
+    return {
+      dispose: () => {
+        this._clearInterval(interval);
+        analyser.disconnect();
+      },
+      input: analyser,
+      output: gainNode
+    };
+  }
+}
+
+/**
+ * {@link NoiseGateAudioProcessor} options
+ * @typedef {object} NoiseGateAudioProcessor.Options
+ * @property {number} [holdTime=200] - How long, in milliseconds, the gate
+ *   stays open after the level falls below the threshold
+ * @property {number} [threshold=-50] - The level, in dBFS, below which the
+ *   audio is muted
+ */
+
+module.exports = NoiseGateAudioProcessor;
@@ -0,0 +1,182 @@
+'use strict';
+
+const DefaultMediaStream = require('@twilio/webrtc').MediaStream;
+
+const DEFAULT_FRAME_RATE = 24;
+
+// NOTE(mroberts): HTMLMediaElement.HAVE_CURRENT_DATA
+const HAVE_CURRENT_DATA = 2;
+
+/**
+ * A {@link VideoProcessorPipeline} renders each frame of a MediaStreamTrack
+ * into a canvas, passes it through a list of {@link VideoProcessor}s, and
+ * captures the result as a new MediaStreamTrack.
+ * @property {MediaStreamTrack} track - the processed MediaStreamTrack
+ */
+class VideoProcessorPipeline {
+  /**
+   * Construct a {@link VideoProcessorPipeline}.
+   * @param {MediaStreamTrack} mediaStreamTrack - the MediaStreamTrack to process
+   * @param {{log: Log}} options
+   */
+  constructor(mediaStreamTrack, options) {
+    const settings = typeof mediaStreamTrack.getSettings === 'function'
+      ? mediaStreamTrack.getSettings()
+      : {};
+
+    options = Object.assign({
+      clearTimeout,
+      document: typeof document !== 'undefined' ? document : null,
+      frameRate: settings.frameRate || DEFAULT_FRAME_RATE,
+      MediaStream: DefaultMediaStream,
+      setTimeout
+    }, options);
+
+    const doc = options.document;
+    const video = doc.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new options.MediaStream([mediaStreamTrack]);
+
+    const inputCanvas = doc.createElement('canvas');
+    const outputCanvas = doc.createElement('canvas');
+    const track = outputCanvas.captureStream(options.frameRate).getVideoTracks()[0];
+
+    Object.defineProperties(this, {
+      _clearTimeout: {
+        value: options.clearTimeout
+      },
+      _frameInterval: {
+        value: 1000 / options.frameRate
+      },
+      _inputCanvas: {
+        value: inputCanvas
+      },
+      _log: {
+        value: options.log
+      },
+      _outputCanvas: {
+        value: outputCanvas
+      },
+      _processors: {
+        value: [],
+        writable: true
+      },
+      _setTimeout: {
+        value: options.setTimeout
+      },
+      _timeout: {
+        value: null,
+        writable: true
+      },
+      _video: {
+        value: video
+      },
+      track: {
+        enumerable: true,
+        value: track
+      }
+    });
+  }
+
+  /**
+   * Set the {@link VideoProcessor}s, in the order in which they process each
+   * frame.
+   * @param {Array<VideoProcessor>} processors
+   * @returns {this}
+   */
+  setProcessors(processors) {
+    this._processors = processors.slice();
+    return this;
+  }
+
+  /**
+   * Start processing frames.
+   * @returns {this}
+   */
+  start() {
+    if (this._timeout === null) {
+      const playPromise = this._video.play();
+      if (playPromise && typeof playPromise.catch === 'function') {
+        playPromise.catch(error => this._log.warn('Unable to play the MediaStreamTrack to process:', error));
+      }
+      this._scheduleFrame(0);
+    }
+    return this;
+  }
+
+  /**
+   * Stop processing frames, and stop the processed MediaStreamTrack.
+   * @returns {this}
+   */
+  stop() {
+    this._clearTimeout(this._timeout);
+    this._timeout = null;
+    this._video.pause();
+    this._video.srcObject = null;
+    this.track.stop();
+    return this;
+  }
+
+  /**
+   * Process the current frame of the MediaStreamTrack.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _processFrame() {
+    const video = this._video;
+    if (video.readyState < HAVE_CURRENT_DATA || !video.videoWidth || !video.videoHeight) {
+      return Promise.resolve();
+    }
+
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    [this._inputCanvas, this._outputCanvas].forEach(canvas => {
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    });
+    this._inputCanvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    return this._processors.reduce((promise, processor) => {
+      return promise.then(frame => processor.processFrame(frame));
+    }, Promise.resolve(this._inputCanvas)).then(frame => {
+      this._outputCanvas.getContext('2d').drawImage(frame, 0, 0, width, height);
+    }, error => {
+      // NOTE(mroberts): We drop the frame rather than send it unprocessed,
+      // since it may be exactly what the VideoProcessors were hiding (for
+      // example, a blurred background).
+      this._log.warn('Unable to process frame:', error);
+    });
+  }
+
+  /**
+   * Schedule processing the next frame.
+   * @private
+   * @param {number} delay
+   * @returns {void}
+   */
+  _scheduleFrame(delay) {
+    this._timeout = this._setTimeout(() => {
+      const start = Date.now();
+      this._processFrame().then(() => {
+        if (this._timeout !== null) {
+          this._scheduleFrame(Math.max(0, this._frameInterval - (Date.now() - start)));
+        }
+      });
+    }, delay);
+  }
+}
+
+/**
+ * A {@link VideoProcessor} processes the frames of a {@link LocalVideoTrack}
+ * before they are sent. Add one with {@link LocalVideoTrack#addProcessor}.
+ * @typedef {object} VideoProcessor
+ * @property {function(HTMLCanvasElement|OffscreenCanvas): (HTMLCanvasElement|OffscreenCanvas|Promise<HTMLCanvasElement|OffscreenCanvas>)} processFrame -
+ *   Process a frame, returning a canvas with the processed frame (or a Promise
+ *   for one); the frame passed in may be reused for the next frame, so do not
+ *   hold on to it
+ */
+
+module.exports = VideoProcessorPipeline;
@@ -1,6 +1,10 @@
 'use strict';
 
+const AudioLevelMeter = require('../../webaudio/audiolevelmeter');
 const MediaTrack = require('./mediatrack');
+const AUDIO_LEVEL_INTERVAL_MS = require('../../util/constants').AUDIO_LEVEL_INTERVAL_MS;
+
+const AUDIO_LEVEL_CHANGED = 'audioLevelChanged';
 
 /**
  * An {@link AudioTrack} is a {@link Track} representing audio.
@@ -12,6 +16,7 @@ const MediaTrack = require('./mediatrack');
  *   enabled; if the {@link AudioTrack} is not enabled, it is "muted"
  * @property {Track.Kind} kind - "audio"
  * @property {MediaStreamTrack} mediaStreamTrack - An audio MediaStreamTrack
+ * @emits AudioTrack#audioLevelChanged
  * @emits AudioTrack#disabled
  * @emits AudioTrack#enabled
  * @emits AudioTrack#started
@@ -23,7 +28,120 @@ class AudioTrack extends MediaTrack {
    * @param {{log: Log}} options
    */
   constructor(mediaTrackTransceiver, options) {
+    options = Object.assign({
+      AudioLevelMeter
+    }, options);
+
     super(mediaTrackTransceiver, options);
+
+    Object.defineProperties(this, {
+      _audioLevel: {
+        value: null,
+        writable: true
+      },
+      _audioLevelInterval: {
+        value: null,
+        writable: true
+      },
+      _audioLevelMeter: {
+        value: new options.AudioLevelMeter()
+      },
+      _audioLevelMeterHolds: {
+        value: 0,
+        writable: true
+      }
+    });
+
+    // NOTE(mroberts): We only measure the audio level while someone listens
+    // for "audioLevelChanged", so that we hold the shared AudioContext no
+    // longer than necessary.
+    this.on('newListener', event => {
+      if (event === AUDIO_LEVEL_CHANGED && this.listenerCount(AUDIO_LEVEL_CHANGED) === 0) {
+        this._startEmittingAudioLevel();
+      }
+    });
+    this.on('removeListener', event => {
+      if (event === AUDIO_LEVEL_CHANGED && this.listenerCount(AUDIO_LEVEL_CHANGED) === 0) {
+        this._stopEmittingAudioLevel();
+      }
+    });
+  }
+
+  /**
+   * Start the {@link AudioLevelMeter}, unless it is already started.
+   * @private
+   * @returns {boolean} - false if Web Audio is not supported
+   */
+  _acquireAudioLevelMeter() {
+    if (this._audioLevelMeterHolds === 0 && !this._audioLevelMeter.start(this.mediaStreamTrack)) {
+      return false;
+    }
+    this._audioLevelMeterHolds++;
+    return true;
+  }
+
+  /**
+   * Stop the {@link AudioLevelMeter}, if nothing else uses it.
+   * @private
+   * @returns {void}
+   */
+  _releaseAudioLevelMeter() {
+    if (--this._audioLevelMeterHolds === 0) {
+      this._audioLevelMeter.stop();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _end() {
+    this._stopEmittingAudioLevel();
+    return super._end.apply(this, arguments);
+  }
+
+  /**
+   * @private
+   */
+  _setMediaStreamTrack(mediaStreamTrack) {
+    super._setMediaStreamTrack.call(this, mediaStreamTrack);
+    if (this._audioLevelMeterHolds > 0) {
+      this._audioLevelMeter.start(mediaStreamTrack);
+    }
+  }
+
+  /**
+   * Measure the audio level periodically, and emit "audioLevelChanged"
+   * whenever it changes.
+   * @private
+   * @returns {void}
+   */
+  _startEmittingAudioLevel() {
+    if (!this._acquireAudioLevelMeter()) {
+      this._log.warn('Unable to measure the audio level: Web Audio is not supported');
+      return;
+    }
+    this._audioLevelInterval = setInterval(() => {
+      const audioLevel = this._audioLevelMeter.measure();
+      if (audioLevel !== this._audioLevel) {
+        this._audioLevel = audioLevel;
+        this.emit(AUDIO_LEVEL_CHANGED, this, audioLevel);
+      }
+    }, AUDIO_LEVEL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop measuring the audio level periodically.
+   * @private
+   * @returns {void}
+   */
+  _stopEmittingAudioLevel() {
+    if (this._audioLevelInterval === null) {
+      return;
+    }
+    clearInterval(this._audioLevelInterval);
+    this._audioLevelInterval = null;
+    this._audioLevel = null;
+    this._releaseAudioLevelMeter();
   }
 
   /**
@@ -118,8 +236,49 @@ class AudioTrack extends MediaTrack {
   detach() {
     return super.detach.apply(this, arguments);
   }
+
+  /**
+   * Measure the level of the {@link AudioTrack}'s audio. If you want to draw
+   * a level meter, listen for "audioLevelChanged" instead.
+   * @returns {Promise<number>} - From 0 (silence) to 1 (full scale); rejects
+   *   if Web Audio is not supported
+   * @example
+   * audioTrack.getAudioLevel().then(function(audioLevel) {
+   *   console.log('The audio level is ' + audioLevel);
+   * });
+   */
+  getAudioLevel() {
+    if (this._audioLevelInterval !== null) {
+      return Promise.resolve(this._audioLevelMeter.measure());
+    }
+    if (!this._acquireAudioLevelMeter()) {
+      return Promise.reject(new Error('Web Audio is not supported'));
+    }
+    // NOTE(mroberts): A new AnalyserNode has no audio to measure yet, so we
+    // wait for some to flow through it.
+    return new Promise(resolve => setTimeout(resolve, AUDIO_LEVEL_INTERVAL_MS)).then(() => {
+      const audioLevel = this._audioLevelMeter.measure();
+      this._releaseAudioLevelMeter();
+      return audioLevel;
+    });
+  }
 }
 
+/**
+ * The level of the {@link AudioTrack}'s audio changed. The {@link AudioTrack}
+ * measures it every 100 milliseconds, but only while something listens for
+ * this event.
+ * @param {AudioTrack} track - The {@link AudioTrack} whose audio level
+ *   changed
+ * @param {number} audioLevel - The new audio level, from 0 (silence) to 1
+ *   (full scale)
+ * @event AudioTrack#audioLevelChanged
+ * @example
+ * audioTrack.on('audioLevelChanged', function(track, audioLevel) {
+ *   meterElement.value = audioLevel;
+ * });
+ */
+
 /**
  * The {@link AudioTrack} was disabled, i.e. "muted".
  * @param {AudioTrack} track - The {@link AudioTrack} that was disabled
@@ -72,6 +72,14 @@ class Track extends EventEmitter {
  * @typedef Track.Kind
  */
 
+/**
+ * The {@link Track} priority is either "low", "standard", or "high". When
+ * downlink bandwidth runs short, lower priority {@link RemoteVideoTrack}s are
+ * switched off before higher priority ones.
+ * @type {string}
+ * @typedef Track.Priority
+ */
+
 /**
  * The {@link Track} SID is a unique string identifier for the {@link Track}
  * that is published to a {@link Room}.
@@ -79,6 +87,14 @@ class Track extends EventEmitter {
  * @typedef Track.SID
  */
 
+/**
+ * A {@link VideoContentHint} says whether motion or detail matters more for a
+ * {@link LocalVideoTrack}: "motion" keeps the frame rate, whereas "detail" and
+ * "text" keep the resolution when bandwidth or CPU runs short.
+ * @type {string}
+ * @typedef VideoContentHint
+ */
+
 /**
  * A {@link DataTrack} is a {@link LocalDataTrack} or {@link RemoteDataTrack}.
  * @type {LocalDataTrack|RemoteDataTrack}
@@ -95,6 +111,14 @@ class Track extends EventEmitter {
 /**
  * {@link LocalTrack} options
  * @typedef {object} LocalTrackOptions
+ * @property {VideoContentHint} [contentHint] - Whether motion or detail
+ *   matters more for a {@link LocalVideoTrack}; ignored otherwise
+ * @property {boolean} [deviceFailover=false] - Whether to restart the
+ *   {@link LocalAudioTrack} or {@link LocalVideoTrack} on the default device
+ *   when its device is unplugged (instead of stopping it), or, if it uses
+ *   the default device, when the default device changes; ignored for
+ *   {@link LocalDataTrack}s and for {@link LocalVideoTrack}s created with
+ *   {@link createLocalScreenTrack}
  * @property {LogLevel|LogLevels} logLevel - Log level for 'media' modules
  * @property {string} [name] - The {@link LocalTrack}'s name; by default,
  *   it is set to the {@link LocalTrack}'s ID.
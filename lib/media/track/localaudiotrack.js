@@ -1,7 +1,13 @@
 'use strict';
 
+const AudioLevelMeter = require('../../webaudio/audiolevelmeter');
+const AudioProcessorPipeline = require('../processors/audioprocessorpipeline');
 const AudioTrack = require('./audiotrack');
 const mixinLocalMediaTrack = require('./localmediatrack');
+const constants = require('../../util/constants');
+const E = constants.typeErrors;
+
+const SPEAKING_WHILE_MUTED = 'speakingWhileMuted';
 
 const LocalMediaAudioTrack = mixinLocalMediaTrack(AudioTrack);
 
@@ -14,8 +20,18 @@ const LocalMediaAudioTrack = mixinLocalMediaTrack(AudioTrack);
  * @extends AudioTrack
  * @property {boolean} isStopped - Whether or not the {@link LocalAudioTrack} is
  *   stopped
+ * @property {?MediaStreamTrack} processedTrack - The MediaStreamTrack with
+ *   the audio processed by the {@link LocalAudioTrack}'s
+ *   {@link AudioProcessor}s, which is what the {@link LocalAudioTrack} sends;
+ *   null if it has no {@link AudioProcessor}s
+ * @property {Array<AudioProcessor>} processors - The {@link AudioProcessor}s
+ *   added with {@link LocalAudioTrack#addProcessor}, in the order in which
+ *   the audio flows through them
+ * @emits LocalAudioTrack#audioLevelChanged
+ * @emits LocalAudioTrack#deviceChanged
  * @emits LocalAudioTrack#disabled
  * @emits LocalAudioTrack#enabled
+ * @emits LocalAudioTrack#speakingWhileMuted
  * @emits LocalAudioTrack#started
  * @emits LocalAudioTrack#stopped
  */
@@ -26,7 +42,54 @@ class LocalAudioTrack extends LocalMediaAudioTrack {
    * @param {LocalTrackOptions} [options] - {@link LocalTrack} options
    */
   constructor(mediaStreamTrack, options) {
+    options = Object.assign({
+      AudioLevelMeter,
+      AudioProcessorPipeline
+    }, options);
+
     super(mediaStreamTrack, options);
+
+    Object.defineProperties(this, {
+      _AudioProcessorPipeline: {
+        value: options.AudioProcessorPipeline
+      },
+      _didEmitSpeakingWhileMuted: {
+        value: false,
+        writable: true
+      },
+      _mutedAudioLevelMeter: {
+        value: new options.AudioLevelMeter()
+      },
+      _mutedMediaStreamTrack: {
+        value: null,
+        writable: true
+      },
+      _speakingWhileMutedInterval: {
+        value: null,
+        writable: true
+      },
+      _speechLastDetectedAt: {
+        value: null,
+        writable: true
+      },
+      _speechStartedAt: {
+        value: null,
+        writable: true
+      }
+    });
+
+    // NOTE(mroberts): We only watch for speech while the LocalAudioTrack is
+    // disabled and someone listens for "speakingWhileMuted".
+    this.on('newListener', event => {
+      if (event === SPEAKING_WHILE_MUTED) {
+        this._updateSpeakingWhileMuted(true);
+      }
+    });
+    this.on('removeListener', event => {
+      if (event === SPEAKING_WHILE_MUTED) {
+        this._updateSpeakingWhileMuted();
+      }
+    });
   }
 
   toString() {
@@ -43,7 +106,163 @@ class LocalAudioTrack extends LocalMediaAudioTrack {
    * @private
    */
   _end() {
-    return super._end.apply(this, arguments);
+    const result = super._end.apply(this, arguments);
+    this._updateSpeakingWhileMuted();
+    return result;
+  }
+
+  /**
+   * Measure the level of the microphone while the {@link LocalAudioTrack} is
+   * disabled, and emit "speakingWhileMuted" once speech lasts long enough.
+   * Short pauses, like those between words, do not interrupt speech.
+   * @private
+   * @returns {void}
+   */
+  _detectSpeakingWhileMuted() {
+    const now = Date.now();
+    if (this._mutedAudioLevelMeter.measure() < constants.SPEAKING_WHILE_MUTED_AUDIO_LEVEL_THRESHOLD) {
+      if (this._speechLastDetectedAt !== null
+        && now - this._speechLastDetectedAt > constants.SPEAKING_WHILE_MUTED_MAX_PAUSE_MS) {
+        this._didEmitSpeakingWhileMuted = false;
+        this._speechLastDetectedAt = null;
+        this._speechStartedAt = null;
+      }
+      return;
+    }
+    this._speechLastDetectedAt = now;
+    this._speechStartedAt = this._speechStartedAt === null ? now : this._speechStartedAt;
+    if (!this._didEmitSpeakingWhileMuted
+      && now - this._speechStartedAt >= constants.SPEAKING_WHILE_MUTED_DURATION_MS) {
+      this._didEmitSpeakingWhileMuted = true;
+      this._log.info('Speaking while muted');
+      this.emit(SPEAKING_WHILE_MUTED, this);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setMediaStreamTrack(mediaStreamTrack) {
+    super._setMediaStreamTrack.call(this, mediaStreamTrack);
+    if (this._mutedMediaStreamTrack) {
+      this._stopWatchingSpeakingWhileMuted();
+      this._updateSpeakingWhileMuted();
+    }
+  }
+
+  /**
+   * Start watching for speech in a clone of the MediaStreamTrack. The clone
+   * stays enabled, but it is never sent.
+   * @private
+   * @returns {void}
+   */
+  _startWatchingSpeakingWhileMuted() {
+    const mediaStreamTrack = typeof this.mediaStreamTrack.clone === 'function'
+      ? this.mediaStreamTrack.clone()
+      : null;
+    if (!mediaStreamTrack) {
+      this._log.warn('Unable to detect speaking while muted: MediaStreamTrack#clone is not supported');
+      return;
+    }
+    mediaStreamTrack.enabled = true;
+    if (!this._mutedAudioLevelMeter.start(mediaStreamTrack)) {
+      mediaStreamTrack.stop();
+      this._log.warn('Unable to detect speaking while muted: Web Audio is not supported');
+      return;
+    }
+    this._log.debug('Watching for speaking while muted');
+    this._mutedMediaStreamTrack = mediaStreamTrack;
+    this._speakingWhileMutedInterval = setInterval(() => {
+      this._detectSpeakingWhileMuted();
+    }, constants.AUDIO_LEVEL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop watching for speech.
+   * @private
+   * @returns {void}
+   */
+  _stopWatchingSpeakingWhileMuted() {
+    this._log.debug('No longer watching for speaking while muted');
+    clearInterval(this._speakingWhileMutedInterval);
+    this._speakingWhileMutedInterval = null;
+    this._mutedAudioLevelMeter.stop();
+    this._mutedMediaStreamTrack.stop();
+    this._mutedMediaStreamTrack = null;
+    this._didEmitSpeakingWhileMuted = false;
+    this._speechLastDetectedAt = null;
+    this._speechStartedAt = null;
+  }
+
+  /**
+   * Start or stop watching for speech, depending on whether the
+   * {@link LocalAudioTrack} is disabled and someone listens for
+   * "speakingWhileMuted".
+   * @private
+   * @param {boolean} [isListening] - whether someone listens for
+   *   "speakingWhileMuted"; "newListener" is emitted before the listener is
+   *   added, so it cannot be counted yet
+   * @returns {void}
+   */
+  _updateSpeakingWhileMuted(isListening) {
+    isListening = isListening || this.listenerCount(SPEAKING_WHILE_MUTED) > 0;
+    const shouldWatch = isListening && !this.isEnabled && !this._didCallEnd;
+    if (shouldWatch && !this._mutedMediaStreamTrack) {
+      this._startWatchingSpeakingWhileMuted();
+    } else if (!shouldWatch && this._mutedMediaStreamTrack) {
+      this._stopWatchingSpeakingWhileMuted();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {AudioProcessorPipeline}
+   */
+  _createProcessorPipeline() {
+    return new this._AudioProcessorPipeline(this.mediaStreamTrack, { log: this._log });
+  }
+
+  /**
+   * Add an {@link AudioProcessor}. The audio of the {@link LocalAudioTrack}
+   * flows through the Web Audio graphs of its {@link AudioProcessor}s, in the
+   * order in which they were added, and the processed audio is sent in every
+   * {@link Room} where the {@link LocalAudioTrack} is published, without
+   * republishing or renegotiating.
+   * @param {AudioProcessor} processor - The {@link AudioProcessor} to add
+   * @returns {this}
+   * @throws {TypeError|Error} - TypeError if the processor is not an
+   *   {@link AudioProcessor}, Error if Web Audio is not supported
+   * @example
+   * var Video = require('twilio-video');
+   *
+   * Video.createLocalAudioTrack().then(function(localAudioTrack) {
+   *   localAudioTrack.addProcessor(new Video.NoiseGateAudioProcessor());
+   *   localAudioTrack.addProcessor({
+   *     createNode: function(audioContext) {
+   *       return audioContext.createDynamicsCompressor();
+   *     }
+   *   });
+   * });
+   */
+  addProcessor(processor) {
+    if (!processor || typeof processor.createNode !== 'function') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('processor', 'AudioProcessor');
+    }
+    this._log.info('Adding an AudioProcessor');
+    return this._addProcessor(processor);
+  }
+
+  /**
+   * Remove an {@link AudioProcessor} added with
+   * {@link LocalAudioTrack#addProcessor}. Once the last one is removed, the
+   * {@link LocalAudioTrack} sends its audio unprocessed again.
+   * @param {AudioProcessor} processor - The {@link AudioProcessor} to remove
+   * @returns {this}
+   */
+  removeProcessor(processor) {
+    this._log.info('Removing an AudioProcessor');
+    return this._removeProcessor(processor);
   }
 
   /**
@@ -69,7 +288,33 @@ class LocalAudioTrack extends LocalMediaAudioTrack {
    * @fires LocalAudioTrack#enabled
    */
   enable() {
-    return super.enable.apply(this, arguments);
+    const result = super.enable.apply(this, arguments);
+    this._updateSpeakingWhileMuted();
+    return result;
+  }
+
+  /**
+   * Restart the {@link LocalAudioTrack} with a new MediaStreamTrack, acquired
+   * with <code>getUserMedia</code> (for example, to switch microphones). It
+   * stays published: its SID and {@link LocalTrackPublication}s are
+   * unchanged, and the new MediaStreamTrack is sent in every {@link Room}
+   * without republishing. Its enabled state and any processors carry over.
+   * <br><br>
+   * If the new MediaStreamTrack cannot be acquired while the current one is
+   * running (some devices can only be opened once), the current one is
+   * stopped and acquiring it is retried; if that fails too, the
+   * {@link LocalAudioTrack} stops.
+   * @param {MediaTrackConstraints} [constraints] - The constraints for the
+   *   new MediaStreamTrack; defaults to those of the current one
+   * @returns {Promise<void>}
+   * @example
+   * // Switch to another microphone, keeping the LocalAudioTrack published.
+   * localAudioTrack.restart({ deviceId: { exact: deviceId } }).then(function() {
+   *   console.log('Switched microphones');
+   * });
+   */
+  restart() {
+    return super.restart.apply(this, arguments);
   }
 
   /**
@@ -83,6 +328,25 @@ class LocalAudioTrack extends LocalMediaAudioTrack {
   }
 }
 
+/**
+ * The level of the {@link LocalAudioTrack}'s audio changed. This is only emitted
+ * while something listens for it.
+ * @param {LocalAudioTrack} track - The {@link LocalAudioTrack} whose audio level changed
+ * @param {number} audioLevel - The new audio level, from 0 (silence) to 1
+ *   (full scale)
+ * @event LocalAudioTrack#audioLevelChanged
+ */
+
+/**
+ * The {@link LocalAudioTrack} restarted on the default microphone, because its microphone was
+ * unplugged or the default microphone changed. This is only emitted if the
+ * {@link LocalAudioTrack} was created with <code>deviceFailover</code> enabled.
+ * @param {LocalAudioTrack} track - The {@link LocalAudioTrack} that switched microphones
+ * @param {?string} oldDeviceId - The deviceId of the old microphone
+ * @param {?string} newDeviceId - The deviceId of the new microphone
+ * @event LocalAudioTrack#deviceChanged
+ */
+
 /**
  * The {@link LocalAudioTrack} was disabled, i.e. "muted".
  * @param {LocalAudioTrack} track - The {@link LocalAudioTrack} that was
@@ -96,6 +360,20 @@ class LocalAudioTrack extends LocalMediaAudioTrack {
  * @event LocalAudioTrack#enabled
  */
 
+/**
+ * Speech was detected on the {@link LocalAudioTrack}'s microphone while it
+ * was disabled, i.e. "muted"; for example, you could remind the user to
+ * unmute. No audio is sent while it is disabled. This is emitted once for
+ * each stretch of speech lasting at least one second, and only while
+ * something listens for it.
+ * @param {LocalAudioTrack} track - The disabled {@link LocalAudioTrack}
+ * @event LocalAudioTrack#speakingWhileMuted
+ * @example
+ * localAudioTrack.on('speakingWhileMuted', function() {
+ *   showNotification('You are muted');
+ * });
+ */
+
 /**
  * The {@link LocalAudioTrack} started. This means there is enough audio data to
  * begin playback.
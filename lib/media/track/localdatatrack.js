@@ -2,12 +2,20 @@
 
 const Track = require('./');
 const DefaultDataTrackSender = require('../../data/sender');
+const { getCodec, serialize } = require('../../data/serializer');
+const DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE = require('../../util/constants').DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE;
 
 /**
  * A {@link LocalDataTrack} is a {@link Track} representing data that your
  * {@link LocalParticipant} can publish to a {@link Room}.
  * @extends Track
+ * @property {number} bufferedAmount - The number of bytes queued to be sent
+ *   over the {@link LocalDataTrack}; if it is published to more than one
+ *   {@link Room}, this is the largest such number
  * @property {Track.Kind} kind - "data"
+ * @property {number} maxMessageSize - The maximum size (in bytes) of a
+ *   message sent over the {@link LocalDataTrack}; larger messages are split
+ *   into chunks, and joined back together by each {@link RemoteDataTrack}
  * @property {?number} maxPacketLifeTime - If non-null, this represents a time
  *   limit (in milliseconds) during which the {@link LocalDataTrack} will send
  *   or re-send data if not acknowledged on the underlying RTCDataChannel(s).
@@ -21,10 +29,13 @@ const DefaultDataTrackSender = require('../../data/sender');
  *   null. In other words, if this is true, there is no bound on packet lifetime
  *   or the number of times the {@link LocalDataTrack} will attempt to send
  *   data, ensuring "reliable" transmission.
+ * @property {?DataTrackSerializer} serializer - The
+ *   {@link DataTrackSerializer} used to serialize messages, if any
+ * @emits LocalDataTrack#sendFailed
  * @example
  * var Video = require('twilio-video');
  *
- * var localDataTrack = new Video.LocalDataTrack();
+ * var localDataTrack = new Video.LocalDataTrack({ serializer: 'json' });
  * window.addEventListener('mousemove', function(event) {
  *   localDataTrack.send({
  *     x: e.clientX,
@@ -40,6 +51,7 @@ const DefaultDataTrackSender = require('../../data/sender');
  *
  * var token2 = getAccessToken();
  * Video.connect(token2, {
+ *   dataTrackSerializer: 'json',
  *   name: 'my-cool-room',
  *   tracks: []
  * }).then(function(room) {
@@ -58,23 +70,41 @@ class LocalDataTrack extends Track {
   constructor(options) {
     options = Object.assign({
       DataTrackSender: DefaultDataTrackSender,
+      maxMessageSize: DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE,
       maxPacketLifeTime: null,
       maxRetransmits: null,
-      ordered: true
+      ordered: true,
+      serializer: null
     }, options);
 
+    const codec = getCodec(options.serializer, 'options.serializer');
+
     const DataTrackSender = options.DataTrackSender;
     const dataTrackSender = new DataTrackSender(
       options.maxPacketLifeTime,
       options.maxRetransmits,
-      options.ordered);
+      options.ordered,
+      options.maxMessageSize);
 
     super(dataTrackSender.id, 'data', options);
 
     Object.defineProperties(this, {
+      _codec: {
+        value: codec
+      },
       _trackSender: {
         value: dataTrackSender
       },
+      bufferedAmount: {
+        enumerable: true,
+        get() {
+          return this._trackSender.bufferedAmount;
+        }
+      },
+      maxMessageSize: {
+        enumerable: true,
+        value: options.maxMessageSize
+      },
       maxPacketLifeTime: {
         enumerable: true,
         value: options.maxPacketLifeTime
@@ -91,23 +121,90 @@ class LocalDataTrack extends Track {
         enumerable: true,
         value: options.maxPacketLifeTime === null
           && options.maxRetransmits === null
+      },
+      serializer: {
+        enumerable: true,
+        value: options.serializer
       }
     });
+
+    dataTrackSender.on('sendFailed', error => {
+      this.emit('sendFailed', error, this);
+    });
   }
 
   /**
-   * Send a message over the {@link LocalDataTrack}.
-   * @param {string|Blob|ArrayBuffer|ArrayBufferView} data
+   * Send a message over the {@link LocalDataTrack}. Strings and binary data
+   * larger than the underlying RTCDataChannels allow are sent in chunks, so
+   * each {@link RemoteDataTrack} still emits a single "message" event. If any
+   * chunk is lost (for example, over an unreliable {@link LocalDataTrack}),
+   * the whole message is lost. If the {@link LocalDataTrack} has a
+   * <code>serializer</code>, the message may be any value it can serialize.
+   * @param {*} data
    * @returns {void}
+   * @throws {RangeError} - if the message exceeds <code>maxMessageSize</code>
+   * @throws {TypeError} - if the <code>serializer</code> cannot serialize the
+   *   message
    */
   send(data) {
-    this._trackSender.send(data);
+    this._trackSender.send(this._serialize(data));
+  }
+
+  /**
+   * Send a message over the {@link LocalDataTrack}, waiting for the underlying
+   * RTCDataChannel(s) to open and to drain their buffers as needed. Use this
+   * instead of {@link LocalDataTrack#send} when sending large amounts of data
+   * (for example, transferring a file), so as not to overrun the buffers.
+   * Messages passed to {@link LocalDataTrack#sendAsync} are sent in order,
+   * but may be overtaken by messages passed to {@link LocalDataTrack#send}.
+   * @param {*} data
+   * @returns {Promise<void>} - Resolves once the message has been queued on
+   *   each underlying RTCDataChannel; rejects if sending fails, if the
+   *   message exceeds <code>maxMessageSize</code>, or if the
+   *   <code>serializer</code> cannot serialize it
+   * @example
+   * async function sendFile(localDataTrack, file) {
+   *   const buffer = await file.arrayBuffer();
+   *   for (let offset = 0; offset < buffer.byteLength; offset += 65536) {
+   *     await localDataTrack.sendAsync(buffer.slice(offset, offset + 65536));
+   *   }
+   * }
+   */
+  sendAsync(data) {
+    try {
+      data = this._serialize(data);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return this._trackSender.sendAsync(data);
+  }
+
+  /**
+   * Serialize a message with the {@link LocalDataTrack}'s
+   * {@link DataTrackSerializer}, if any.
+   * @private
+   * @param {*} data
+   * @returns {*}
+   */
+  _serialize(data) {
+    return this._codec ? serialize(this._codec, data) : data;
   }
 }
 
+/**
+ * Sending a message over the {@link LocalDataTrack} failed; for example,
+ * because an underlying RTCDataChannel was not open.
+ * @event LocalDataTrack#sendFailed
+ * @param {Error} error - The error raised by the RTCDataChannel
+ * @param {LocalDataTrack} track - The {@link LocalDataTrack} over which the
+ *   message could not be sent
+ */
+
 /**
  * {@link LocalDataTrack} options
  * @typedef {LocalTrackOptions} LocalDataTrackOptions
+ * @property {number} [maxMessageSize=16777216] - The maximum size (in bytes)
+ *   of a message sent over the {@link LocalDataTrack}
  * @property {?number} [maxPacketLifeTime=null] - Set this to limit the time
  *   (in milliseconds) during which the LocalDataTrack will send or re-send data
  *   if not successfully delivered on the underlying RTCDataChannel(s). It is an
@@ -118,6 +215,10 @@ class LocalDataTrack extends Track {
  *   both this and <code>maxPacketLifeTime</code>.
  * @property {boolean} [ordered=true] - Set this to false to allow data on the
  *   LocalDataTrack to be sent out-of-order.
+ * @property {?DataTrackSerializer} [serializer=null] - Set this to serialize
+ *   each message with a {@link DataTrackCodec}, so that you can send any value
+ *   it supports; {@link RemoteDataTrack}s decode these messages when the
+ *   {@link ConnectOptions}' <code>dataTrackSerializer</code> is set
  */
 
 module.exports = LocalDataTrack;
@@ -1,6 +1,13 @@
 'use strict';
 
+const defaultDevices = require('../devices');
+const defaultGetUserMedia = require('@twilio/webrtc').getUserMedia;
 const MediaTrackSender = require('./sender');
+const E = require('../../util/constants').typeErrors;
+
+// NOTE(mroberts): Chrome lists the default device a second time, with these
+// deviceIds.
+const DEFAULT_DEVICE_IDS = ['communications', 'default'];
 
 function mixinLocalMediaTrack(AudioOrVideoTrack) {
   /**
@@ -10,6 +17,7 @@ function mixinLocalMediaTrack(AudioOrVideoTrack) {
    * {@link LocalMediaTrack#disable} or stopped completely with
    * {@link LocalMediaTrack#stop}.
    * @property {boolean} isStopped - Whether or not the {@link LocalMediaTrack} is stopped
+   * @emits LocalMediaTrack#deviceChanged
    * @emits LocalMediaTrack#stopped
    */
   return class LocalMediaTrack extends AudioOrVideoTrack {
@@ -19,16 +27,50 @@ function mixinLocalMediaTrack(AudioOrVideoTrack) {
      * @param {LocalTrackOptions} [options] - {@link LocalTrack} options
      */
     constructor(mediaStreamTrack, options) {
-      options = Object.assign({}, options);
+      options = Object.assign({
+        deviceFailover: false,
+        devices: defaultDevices,
+        getUserMedia: defaultGetUserMedia
+      }, options);
 
-      const mediaTrackSender = new MediaTrackSender(mediaStreamTrack);
+      const mediaTrackSender = new MediaTrackSender(mediaStreamTrack, {
+        log: options.log,
+        logLevel: options.logLevel
+      });
       super(mediaTrackSender, options);
 
       Object.defineProperties(this, {
+        _devices: {
+          value: options.devices
+        },
         _didCallEnd: {
           value: false,
           writable: true
         },
+        _getUserMedia: {
+          value: options.getUserMedia
+        },
+        _isDeviceFailoverEnabled: {
+          value: !!options.deviceFailover
+        },
+        _isRestarting: {
+          value: false,
+          writable: true
+        },
+        _onDevicesChanged: {
+          value: () => this._failOver()
+        },
+        _processorPipeline: {
+          value: null,
+          writable: true
+        },
+        _processors: {
+          value: []
+        },
+        _restartPromise: {
+          value: Promise.resolve(),
+          writable: true
+        },
         _trackSender: {
           value: mediaTrackSender
         },
@@ -42,27 +84,271 @@ function mixinLocalMediaTrack(AudioOrVideoTrack) {
           get() {
             return this.mediaStreamTrack.readyState === 'ended';
           }
+        },
+        processedTrack: {
+          enumerable: true,
+          get() {
+            return this._processorPipeline ? this._processorPipeline.track : null;
+          }
+        },
+        processors: {
+          enumerable: true,
+          get() {
+            return this._processors.slice();
+          }
         }
       });
+
+      if (this._isDeviceFailoverEnabled) {
+        this._devices.on('changed', this._onDevicesChanged);
+      }
+    }
+
+    /**
+     * Add a processor, creating the processor pipeline (and sending its
+     * MediaStreamTrack) if this is the first one.
+     * @private
+     * @param {*} processor
+     * @returns {this}
+     */
+    _addProcessor(processor) {
+      if (this._processors.includes(processor)) {
+        return this;
+      }
+      if (this._processorPipeline) {
+        this._processors.push(processor);
+        this._processorPipeline.setProcessors(this._processors);
+        return this;
+      }
+      this._processorPipeline = this._createProcessorPipeline();
+      this._processors.push(processor);
+      this._processorPipeline.track.enabled = this.isEnabled;
+      this._processorPipeline.setProcessors(this._processors).start();
+      this._setOutgoingTrack(this._processorPipeline.track);
+      return this;
+    }
+
+    /**
+     * Create the processor pipeline for the MediaStreamTrack.
+     * @private
+     * @abstract
+     * @returns {VideoProcessorPipeline|AudioProcessorPipeline}
+     */
+    _createProcessorPipeline() {
+      throw new Error('Not implemented');
     }
 
     /**
      * @private
      */
     _end() {
-      if (this._didCallEnd) {
+      if (this._didCallEnd || this._isRestarting) {
         return;
       }
+      if (this._isDeviceFailoverEnabled) {
+        this._devices.removeListener('changed', this._onDevicesChanged);
+      }
+      if (this._processorPipeline) {
+        this._processorPipeline.stop();
+      }
       super._end.call(this);
       this._didCallEnd = true;
       this.emit('stopped', this);
     }
 
+    /**
+     * Restart on the default device if the current device is gone or, if the
+     * {@link LocalMediaTrack} uses the default device, if the default device
+     * changed.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _failOver() {
+      const promise = this._restartPromise.then(() => {
+        return this._didCallEnd
+          ? false
+          : this._devices.list().then(devices => this._shouldFailOver(devices));
+      }).then(shouldFailOver => {
+        if (!shouldFailOver) {
+          return null;
+        }
+        const oldDeviceId = getSettings(this.mediaStreamTrack).deviceId || null;
+        const constraints = Object.assign({}, getConstraints(this.mediaStreamTrack));
+        delete constraints.deviceId;
+        delete constraints.groupId;
+
+        this._log.info('Failing over to the default device');
+        return this._restart(constraints).then(() => {
+          const newDeviceId = getSettings(this.mediaStreamTrack).deviceId || null;
+          this._log.info(`Switched devices from ${oldDeviceId} to ${newDeviceId}`);
+          this.emit('deviceChanged', this, oldDeviceId, newDeviceId);
+        });
+      });
+      this._restartPromise = promise.catch(error => {
+        this._log.warn('Unable to fail over to the default device:', error);
+      });
+      return this._restartPromise;
+    }
+
+    /**
+     * Acquire a new MediaStreamTrack of the same kind.
+     * @private
+     * @param {MediaTrackConstraints} constraints
+     * @returns {Promise<MediaStreamTrack>}
+     */
+    _getMediaStreamTrack(constraints) {
+      return this._getUserMedia({ [this.kind]: constraints }).then(mediaStream => {
+        const mediaStreamTracks = mediaStream.getTracks();
+        const mediaStreamTrack = mediaStreamTracks.find(track => track.kind === this.kind);
+        mediaStreamTracks.forEach(track => {
+          if (track !== mediaStreamTrack) {
+            track.stop();
+          }
+        });
+        if (!mediaStreamTrack) {
+          throw new Error(`getUserMedia did not return an ${this.kind} MediaStreamTrack`);
+        }
+        return mediaStreamTrack;
+      });
+    }
+
+    /**
+     * @private
+     */
+    _onEnded() {
+      if (this._isDeviceFailoverEnabled) {
+        this._failOver();
+        return;
+      }
+      super._onEnded.call(this);
+    }
+
+    /**
+     * Remove a processor, stopping the processor pipeline (and sending the
+     * MediaStreamTrack itself again) if this was the last one.
+     * @private
+     * @param {*} processor
+     * @returns {this}
+     */
+    _removeProcessor(processor) {
+      const index = this._processors.indexOf(processor);
+      if (index === -1) {
+        return this;
+      }
+      this._processors.splice(index, 1);
+      if (this._processors.length > 0) {
+        this._processorPipeline.setProcessors(this._processors);
+        return this;
+      }
+      this._setOutgoingTrack(null);
+      this._processorPipeline.stop();
+      this._processorPipeline = null;
+      return this;
+    }
+
+    /**
+     * Restart with a new MediaStreamTrack.
+     * @private
+     * @param {MediaTrackConstraints} [constraints]
+     * @returns {Promise<void>}
+     */
+    _restart(constraints) {
+      if (this._didCallEnd) {
+        return Promise.reject(new Error('Unable to restart a stopped LocalMediaTrack'));
+      }
+      constraints = constraints || getConstraints(this.mediaStreamTrack);
+
+      this._log.info('Restarting with constraints:', constraints);
+      const oldMediaStreamTrack = this.mediaStreamTrack;
+
+      return this._getMediaStreamTrack(constraints).catch(error => {
+        // NOTE(mroberts): Some devices (for example, many mobile cameras) cannot
+        // be opened twice, so we try again after stopping the current
+        // MediaStreamTrack. If that fails too, the LocalMediaTrack is stopped.
+        this._log.warn('Unable to acquire a new MediaStreamTrack, so trying again '
+          + 'after stopping the current one:', error);
+        this._isRestarting = true;
+        oldMediaStreamTrack.stop();
+        return this._getMediaStreamTrack(constraints).then(mediaStreamTrack => {
+          this._isRestarting = false;
+          return mediaStreamTrack;
+        }, error => {
+          this._isRestarting = false;
+          this._end();
+          throw error;
+        });
+      }).then(mediaStreamTrack => {
+        this._log.debug('Replacing the MediaStreamTrack with:', mediaStreamTrack);
+        mediaStreamTrack.enabled = oldMediaStreamTrack.enabled;
+        this._setMediaStreamTrack(mediaStreamTrack);
+        const promise = this._trackSender.setMediaStreamTrack(mediaStreamTrack);
+        this._restartProcessorPipeline();
+        oldMediaStreamTrack.stop();
+        return promise;
+      });
+    }
+
+    /**
+     * Recreate the processor pipeline, if any, for a new MediaStreamTrack.
+     * @private
+     * @returns {void}
+     */
+    _restartProcessorPipeline() {
+      const oldProcessorPipeline = this._processorPipeline;
+      if (!oldProcessorPipeline) {
+        return;
+      }
+      this._processorPipeline = this._createProcessorPipeline();
+      this._processorPipeline.track.enabled = this.isEnabled;
+      this._processorPipeline.setProcessors(this._processors).start();
+      this._setOutgoingTrack(this._processorPipeline.track);
+      oldProcessorPipeline.stop();
+    }
+
+    /**
+     * Check whether to fail over to the default device.
+     * @private
+     * @param {Array<MediaDeviceInfo>} devices - The available input devices
+     * @returns {boolean}
+     */
+    _shouldFailOver(devices) {
+      if (this.mediaStreamTrack.readyState === 'ended') {
+        return true;
+      }
+      const settings = getSettings(this.mediaStreamTrack);
+      devices = devices.filter(device => device.kind === `${this.kind}input`);
+      if (settings.deviceId && !devices.some(device => device.deviceId === settings.deviceId)) {
+        return true;
+      }
+      if ('deviceId' in getConstraints(this.mediaStreamTrack)) {
+        return false;
+      }
+      const defaultDevice = devices.find(device => DEFAULT_DEVICE_IDS.includes(device.deviceId)
+        && device.deviceId === settings.deviceId);
+      return !!defaultDevice && !!settings.groupId && defaultDevice.groupId !== settings.groupId;
+    }
+
+    /**
+     * Set the MediaStreamTrack that the RTCRtpSenders send.
+     * @private
+     * @param {?MediaStreamTrack} mediaStreamTrack - null to send the
+     *   {@link LocalMediaTrack}'s own MediaStreamTrack
+     * @returns {void}
+     */
+    _setOutgoingTrack(mediaStreamTrack) {
+      this._trackSender.setOutgoingTrack(mediaStreamTrack).catch(error => {
+        this._log.warn('Unable to replace the MediaStreamTrack being sent:', error);
+      });
+    }
+
     enable(enabled) {
       enabled = typeof enabled === 'boolean' ? enabled : true;
       if (enabled !== this.mediaStreamTrack.enabled) {
         this._log.info(`${enabled ? 'En' : 'Dis'}abling`);
         this.mediaStreamTrack.enabled = enabled;
+        if (this._processorPipeline) {
+          this._processorPipeline.track.enabled = enabled;
+        }
         this.emit(enabled ? 'enabled' : 'disabled', this);
       }
       return this;
@@ -72,6 +358,18 @@ function mixinLocalMediaTrack(AudioOrVideoTrack) {
       return this.enable(false);
     }
 
+    restart(constraints) {
+      if (typeof constraints !== 'undefined' && (constraints === null || typeof constraints !== 'object')) {
+        // eslint-disable-next-line new-cap
+        return Promise.reject(E.INVALID_TYPE('constraints', 'MediaTrackConstraints'));
+      }
+      // NOTE(mroberts): We restart one call at a time, so that the last call
+      // wins.
+      const promise = this._restartPromise.then(() => this._restart(constraints));
+      this._restartPromise = promise.catch(() => {});
+      return promise;
+    }
+
     stop() {
       this._log.info('Stopping');
       this.mediaStreamTrack.stop();
@@ -81,4 +379,28 @@ function mixinLocalMediaTrack(AudioOrVideoTrack) {
   };
 }
 
+/**
+ * Get the constraints of a MediaStreamTrack, if the browser supports it.
+ * @private
+ * @param {MediaStreamTrack} mediaStreamTrack
+ * @returns {MediaTrackConstraints}
+ */
+function getConstraints(mediaStreamTrack) {
+  return typeof mediaStreamTrack.getConstraints === 'function'
+    ? mediaStreamTrack.getConstraints()
+    : {};
+}
+
+/**
+ * Get the settings of a MediaStreamTrack, if the browser supports it.
+ * @private
+ * @param {MediaStreamTrack} mediaStreamTrack
+ * @returns {MediaTrackSettings}
+ */
+function getSettings(mediaStreamTrack) {
+  return typeof mediaStreamTrack.getSettings === 'function'
+    ? mediaStreamTrack.getSettings()
+    : {};
+}
+
 module.exports = mixinLocalMediaTrack;
@@ -1,11 +1,15 @@
 'use strict';
 
 const TrackPublication = require('./trackpublication');
+const E = require('../../util/constants').typeErrors;
+const validateTrackEncodingParameters = require('../../util').validateTrackEncodingParameters;
 
 /**
  * A {@link LocalTrackPublication} is a {@link LocalTrack} that has been
  * published to a {@link Room}.
  * @property {Track.Kind} kind - kind of the published {@link LocalTrack}
+ * @property {Track.Priority} priority - the {@link Track.Priority} with which
+ *   the {@link LocalTrack} was published
  * @property {LocalTrack} track - the {@link LocalTrack}
  */
 class LocalTrackPublication extends TrackPublication {
@@ -16,9 +20,13 @@ class LocalTrackPublication extends TrackPublication {
    * @param {function(LocalTrackPublication): void} unpublish - The callback
    *   that unpublishes the {@link LocalTrackPublication}
    * @param {TrackPublicationOptions} options - {@link LocalTrackPublication}
-   *   options
+   *   options, which may also include the {@link Track.Priority}
    */
   constructor(trackSid, track, unpublish, options) {
+    options = Object.assign({
+      priority: 'standard'
+    }, options);
+
     super(track.name, trackSid, options);
 
     Object.defineProperties(this, {
@@ -34,6 +42,10 @@ class LocalTrackPublication extends TrackPublication {
         enumerable: true,
         value: track.kind
       },
+      priority: {
+        enumerable: true,
+        value: options.priority
+      },
       track: {
         enumerable: true,
         value: track
@@ -56,6 +68,40 @@ class LocalTrackPublication extends TrackPublication {
     return this.track.kind === 'data' ? true : this.track.isEnabled;
   }
 
+  /**
+   * Set the {@link TrackEncodingParameters} of the published
+   * {@link LocalTrack}. This has no effect on a {@link LocalDataTrack}.
+   * @param {?TrackEncodingParameters} [encodingParameters] - The new
+   *   {@link TrackEncodingParameters}; If null, then the limits are removed;
+   *   If not specified, then the existing limits are preserved
+   * @returns {this}
+   * @throws {TypeError}
+   * @example
+   * // Cap the bitrate of a screen share without affecting the camera
+   * screenTrackPublication.setParameters({ maxBitrate: 500000 });
+   */
+  setParameters(encodingParameters) {
+    if (typeof encodingParameters !== 'undefined'
+      && encodingParameters !== null
+      && (typeof encodingParameters !== 'object' || Array.isArray(encodingParameters))) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('encodingParameters',
+        'TrackEncodingParameters, null or undefined');
+    }
+
+    if (encodingParameters) {
+      validateTrackEncodingParameters(encodingParameters, 'encodingParameters');
+    } else if (encodingParameters === null) {
+      encodingParameters = { maxBitrate: null, maxFramerate: null, scaleResolutionDownBy: null };
+    }
+
+    if (this.track.kind !== 'data') {
+      this._log.info('Setting TrackEncodingParameters:', encodingParameters);
+      this.track._trackSender.setEncodingParameters(encodingParameters);
+    }
+    return this;
+  }
+
   /**
    * Unpublish a {@link LocalTrackPublication}. This means that the media
    * from this {@link LocalTrackPublication} is no longer available to the
@@ -1,7 +1,9 @@
 'use strict';
 
 const mixinLocalMediaTrack = require('./localmediatrack');
+const VideoProcessorPipeline = require('../processors/videoprocessorpipeline');
 const VideoTrack = require('./videotrack');
+const E = require('../../util/constants').typeErrors;
 
 const LocalMediaVideoTrack = mixinLocalMediaTrack(VideoTrack);
 
@@ -12,8 +14,20 @@ const LocalMediaVideoTrack = mixinLocalMediaTrack(VideoTrack);
  * {@link LocalVideoTrack#disable} or stopped completely with
  * {@link LocalVideoTrack#stop}.
  * @extends VideoTrack
+ * @property {?string} content - "screen" if the {@link LocalVideoTrack} was
+ *   created with {@link createLocalScreenTrack}; otherwise, null
+ * @property {?VideoContentHint} contentHint - whether motion or detail
+ *   matters more for the {@link LocalVideoTrack}, if specified
  * @property {boolean} isStopped - Whether or not the {@link LocalVideoTrack} is
  *   stopped
+ * @property {?MediaStreamTrack} processedTrack - The MediaStreamTrack with
+ *   the frames processed by the {@link LocalVideoTrack}'s
+ *   {@link VideoProcessor}s, which is what the {@link LocalVideoTrack} sends;
+ *   null if it has no {@link VideoProcessor}s
+ * @property {Array<VideoProcessor>} processors - The {@link VideoProcessor}s
+ *   added with {@link LocalVideoTrack#addProcessor}, in the order in which
+ *   they process each frame
+ * @emits LocalVideoTrack#deviceChanged
  * @emits LocalVideoTrack#stopped
  */
 class LocalVideoTrack extends LocalMediaVideoTrack {
@@ -23,7 +37,43 @@ class LocalVideoTrack extends LocalMediaVideoTrack {
    * @param {LocalTrackOptions} [options] - {@link LocalTrack} options
    */
   constructor(mediaStreamTrack, options) {
+    options = Object.assign({
+      content: null,
+      contentHint: null,
+      VideoProcessorPipeline
+    }, options);
+
+    // NOTE(mroberts): A screen share has no device to fail over to; restarting
+    // it with getUserMedia would silently replace it with a camera.
+    if (options.content === 'screen') {
+      options.deviceFailover = false;
+    }
+
     super(mediaStreamTrack, options);
+
+    Object.defineProperties(this, {
+      _contentHint: {
+        value: null,
+        writable: true
+      },
+      _VideoProcessorPipeline: {
+        value: options.VideoProcessorPipeline
+      },
+      content: {
+        enumerable: true,
+        value: options.content
+      },
+      contentHint: {
+        enumerable: true,
+        get() {
+          return this._contentHint;
+        }
+      }
+    });
+
+    if (options.contentHint) {
+      this._setContentHint(options.contentHint);
+    }
   }
 
   toString() {
@@ -37,6 +87,68 @@ class LocalVideoTrack extends LocalMediaVideoTrack {
     return super._end.apply(this, arguments);
   }
 
+  /**
+   * @private
+   * @returns {VideoProcessorPipeline}
+   */
+  _createProcessorPipeline() {
+    return new this._VideoProcessorPipeline(this.mediaStreamTrack, { log: this._log });
+  }
+
+  /**
+   * Set the {@link VideoContentHint}, which also sets the degradation
+   * preference of the RTCRtpSenders.
+   * @private
+   * @param {?VideoContentHint} contentHint
+   * @returns {void}
+   */
+  _setContentHint(contentHint) {
+    if (this._contentHint !== contentHint) {
+      this._log.info(`Setting content hint to ${contentHint}`);
+      this._contentHint = contentHint;
+      this._trackSender.setContentHint(contentHint);
+    }
+  }
+
+  /**
+   * Add a {@link VideoProcessor}. Each frame of the {@link LocalVideoTrack} is
+   * processed by its {@link VideoProcessor}s, in the order in which they were
+   * added, and the processed frames are sent in every {@link Room} where the
+   * {@link LocalVideoTrack} is published, without renegotiating.
+   * @param {VideoProcessor} processor - The {@link VideoProcessor} to add
+   * @returns {this}
+   * @throws {TypeError}
+   * @example
+   * var Video = require('twilio-video');
+   *
+   * Video.createLocalVideoTrack().then(function(localVideoTrack) {
+   *   localVideoTrack.addProcessor(new Video.BlurVideoProcessor());
+   *   // Preview what the RemoteParticipants will see.
+   *   var video = document.createElement('video');
+   *   video.srcObject = new MediaStream([localVideoTrack.processedTrack]);
+   * });
+   */
+  addProcessor(processor) {
+    if (!processor || typeof processor.processFrame !== 'function') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('processor', 'VideoProcessor');
+    }
+    this._log.info('Adding a VideoProcessor');
+    return this._addProcessor(processor);
+  }
+
+  /**
+   * Remove a {@link VideoProcessor} added with
+   * {@link LocalVideoTrack#addProcessor}. Once the last one is removed, the
+   * {@link LocalVideoTrack} sends its frames unprocessed again.
+   * @param {VideoProcessor} processor - The {@link VideoProcessor} to remove
+   * @returns {this}
+   */
+  removeProcessor(processor) {
+    this._log.info('Removing a VideoProcessor');
+    return this._removeProcessor(processor);
+  }
+
   /**
    * Disable the {@link LocalVideoTrack}. This is effectively "pause".
    * @returns {this}
@@ -63,6 +175,33 @@ class LocalVideoTrack extends LocalMediaVideoTrack {
     return super.enable.apply(this, arguments);
   }
 
+  /**
+   * Restart the {@link LocalVideoTrack} with a new MediaStreamTrack, acquired
+   * with <code>getUserMedia</code> (for example, to switch cameras). It
+   * stays published: its SID and {@link LocalTrackPublication}s are
+   * unchanged, and the new MediaStreamTrack is sent in every {@link Room}
+   * without republishing. Its enabled state and any processors carry over.
+   * <br><br>
+   * If the new MediaStreamTrack cannot be acquired while the current one is
+   * running (some devices can only be opened once), the current one is
+   * stopped and acquiring it is retried; if that fails too, the
+   * {@link LocalVideoTrack} stops.
+   * @param {MediaTrackConstraints} [constraints] - The constraints for the
+   *   new MediaStreamTrack; defaults to those of the current one
+   * @returns {Promise<void>}
+   * @example
+   * // Switch to the rear camera, keeping the LocalVideoTrack published.
+   * localVideoTrack.restart({ facingMode: 'environment' }).then(function() {
+   *   console.log('Switched cameras');
+   * });
+   */
+  restart() {
+    if (this.content === 'screen') {
+      return Promise.reject(new Error('Unable to restart a LocalVideoTrack created with createLocalScreenTrack'));
+    }
+    return super.restart.apply(this, arguments);
+  }
+
   /**
    * Calls stop on the underlying MediaStreamTrack. If you choose to stop a
    * {@link LocalVideoTrack}, you should unpublish it after stopping.
@@ -74,6 +213,16 @@ class LocalVideoTrack extends LocalMediaVideoTrack {
   }
 }
 
+/**
+ * The {@link LocalVideoTrack} restarted on the default camera, because its camera was
+ * unplugged or the default camera changed. This is only emitted if the
+ * {@link LocalVideoTrack} was created with <code>deviceFailover</code> enabled.
+ * @param {LocalVideoTrack} track - The {@link LocalVideoTrack} that switched cameras
+ * @param {?string} oldDeviceId - The deviceId of the old camera
+ * @param {?string} newDeviceId - The deviceId of the new camera
+ * @event LocalVideoTrack#deviceChanged
+ */
+
 /**
  * The {@link LocalVideoTrack} was disabled, i.e. "muted".
  * @param {LocalVideoTrack} track - The {@link LocalVideoTrack} that was
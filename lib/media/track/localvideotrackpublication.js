@@ -1,6 +1,8 @@
 'use strict';
 
 const LocalTrackPublication = require('./localtrackpublication');
+const E = require('../../util/constants').typeErrors;
+const normalizeSimulcastLayers = require('../../util').normalizeSimulcastLayers;
 
 /**
  * A {@link LocalVideoTrackPublication} is a {@link LocalVideoTrack} that has
@@ -25,6 +27,32 @@ class LocalVideoTrackPublication extends LocalTrackPublication {
   toString() {
     return `[LocalVideoTrackPublication #${this._instanceId}: ${this.trackSid}]`;
   }
+
+  /**
+   * Set the number of VP8 simulcast layers of the published
+   * {@link LocalVideoTrack}, and whether each of them is sent. Changing the
+   * number of layers renegotiates media. This has no effect unless you enabled
+   * VP8 simulcast in {@link ConnectOptions}' <code>preferredVideoCodecs</code>.
+   * @param {SimulcastLayers} simulcastLayers - The new {@link SimulcastLayers}
+   * @returns {this}
+   * @throws {TypeError|RangeError}
+   * @example
+   * // Stop sending the highest quality layer
+   * videoTrackPublication.setSimulcastLayers({
+   *   layers: 3,
+   *   active: [true, true, false]
+   * });
+   */
+  setSimulcastLayers(simulcastLayers) {
+    if (!simulcastLayers || typeof simulcastLayers !== 'object') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('simulcastLayers', 'SimulcastLayers');
+    }
+    simulcastLayers = normalizeSimulcastLayers(simulcastLayers, 'simulcastLayers');
+    this._log.info('Setting SimulcastLayers:', simulcastLayers);
+    this.track._trackSender.setSimulcastLayers(simulcastLayers);
+    return this;
+  }
 }
 
 module.exports = LocalVideoTrackPublication;
@@ -50,6 +50,10 @@ class MediaTrack extends Track {
       _MediaStream: {
         value: options.MediaStream
       },
+      _mediaStreamTrack: {
+        value: mediaTrackTransceiver.track,
+        writable: true
+      },
       isStarted: {
         get() {
           return isStarted;
@@ -57,7 +61,9 @@ class MediaTrack extends Track {
       },
       mediaStreamTrack: {
         enumerable: true,
-        value: mediaTrackTransceiver.track
+        get() {
+          return this._mediaStreamTrack;
+        }
       }
     });
 
@@ -82,15 +88,10 @@ class MediaTrack extends Track {
    * @private
    */
   _initialize() {
-    const self = this;
-
     this._log.debug('Initializing');
     this._dummyEl = this._createElement();
 
-    this.mediaStreamTrack.addEventListener('ended', function onended() {
-      self._end();
-      self.mediaStreamTrack.removeEventListener('ended', onended);
-    });
+    this._listenForEnded();
 
     if (this._dummyEl) {
       this._dummyEl.muted = true;
@@ -100,6 +101,43 @@ class MediaTrack extends Track {
     }
   }
 
+  /**
+   * End the {@link MediaTrack} when its current MediaStreamTrack ends.
+   * @private
+   */
+  _listenForEnded() {
+    const self = this;
+    const mediaStreamTrack = this.mediaStreamTrack;
+    mediaStreamTrack.addEventListener('ended', function onended() {
+      mediaStreamTrack.removeEventListener('ended', onended);
+      if (self.mediaStreamTrack === mediaStreamTrack) {
+        self._onEnded();
+      }
+    });
+  }
+
+  /**
+   * Called when the current MediaStreamTrack ends.
+   * @private
+   * @returns {void}
+   */
+  _onEnded() {
+    this._end();
+  }
+
+  /**
+   * Replace the underlying MediaStreamTrack, and attach the new one to any
+   * elements the {@link MediaTrack} is attached to.
+   * @private
+   * @param {MediaStreamTrack} mediaStreamTrack
+   * @returns {void}
+   */
+  _setMediaStreamTrack(mediaStreamTrack) {
+    this._mediaStreamTrack = mediaStreamTrack;
+    this._listenForEnded();
+    this._attachments.forEach(el => this._attach(el));
+  }
+
   /**
    * @private
    */
@@ -2,6 +2,8 @@
 
 const AudioTrack = require('./audiotrack');
 const mixinRemoteMediaTrack = require('./remotemediatrack');
+const WebAudioOutput = require('../../webaudio/webaudiooutput');
+const E = require('../../util/constants').typeErrors;
 
 const RemoteMediaAudioTrack = mixinRemoteMediaTrack(AudioTrack);
 
@@ -11,7 +13,12 @@ const RemoteMediaAudioTrack = mixinRemoteMediaTrack(AudioTrack);
  * @extends AudioTrack
  * @property {boolean} isSubscribed - Whether the {@link RemoteAudioTrack} is
  *   currently subscribed to
+ * @property {?string} outputDeviceId - The deviceId of the audio output device
+ *   chosen with {@link RemoteAudioTrack#setOutputDevice} or the
+ *   <code>audioOutputDevice</code> {@link ConnectOptions}; null if none was
+ *   chosen
  * @property {Track.SID} sid - The {@link RemoteAudioTrack}'s SID
+ * @emits RemoteAudioTrack#audioLevelChanged
  * @emits RemoteAudioTrack#disabled
  * @emits RemoteAudioTrack#enabled
  * @emits RemoteAudioTrack#started
@@ -22,24 +29,197 @@ class RemoteAudioTrack extends RemoteMediaAudioTrack {
    * Construct a {@link RemoteAudioTrack}.
    * @param {MediaTrackReceiver} mediaTrackReceiver - An audio MediaStreamTrack container
    * @param {RemoteTrackSignaling} signaling - The {@link Track} signaling
-   * @param {{log: Log}} options - The {@link RemoteTrack} options
+   * @param {{log: Log}} options - The {@link RemoteTrack} options, which may
+   *   also set <code>audioOutputDevice</code>
    */
   constructor(mediaTrackReceiver, signaling, options) {
+    options = Object.assign({
+      audioOutputDevice: null,
+      WebAudioOutput
+    }, options);
+
     super(mediaTrackReceiver, signaling, options);
+
+    Object.defineProperties(this, {
+      _mutedElements: {
+        value: new Set()
+      },
+      _didWarnOutputDevice: {
+        value: false,
+        writable: true
+      },
+      _outputDeviceId: {
+        value: options.audioOutputDevice,
+        writable: true
+      },
+      _webAudioOutput: {
+        value: null,
+        writable: true
+      },
+      _WebAudioOutput: {
+        value: options.WebAudioOutput
+      },
+      outputDeviceId: {
+        enumerable: true,
+        get() {
+          return this._outputDeviceId;
+        }
+      }
+    });
   }
 
   toString() {
     return `[RemoteAudioTrack #${this._instanceId}: ${this.sid}]`;
   }
 
+  attach() {
+    const el = super.attach.apply(this, arguments);
+    this._updateOutputDevice().catch(error => this._warnOutputDevice(error));
+    return el;
+  }
+
+  detach() {
+    const els = super.detach.apply(this, arguments);
+    this._updateOutputDevice().catch(error => this._warnOutputDevice(error));
+    return els;
+  }
+
+  /**
+   * Log a failure to set the audio output device while attaching or
+   * detaching; only the first one is logged as a warning, since the same
+   * failure would otherwise be logged on every attach.
+   * @private
+   * @param {Error} error
+   * @returns {void}
+   */
+  _warnOutputDevice(error) {
+    if (this._didWarnOutputDevice) {
+      this._log.debug('Unable to set the audio output device:', error);
+      return;
+    }
+    this._didWarnOutputDevice = true;
+    this._log.warn('Unable to set the audio output device:', error);
+  }
+
+  /**
+   * Stop playing through the {@link WebAudioOutput}, if any, and unmute the
+   * HTMLMediaElements it muted.
+   * @private
+   * @returns {void}
+   */
+  _stopWebAudioOutput() {
+    this._mutedElements.forEach(el => {
+      el.muted = false;
+    });
+    this._mutedElements.clear();
+    if (this._webAudioOutput) {
+      this._webAudioOutput.stop();
+      this._webAudioOutput = null;
+    }
+  }
+
   /**
    * @private
    */
   _unsubscribe() {
+    this._stopEmittingAudioLevel();
+    this._stopWebAudioOutput();
     return super._unsubscribe.apply(this, arguments);
   }
+
+  /**
+   * Play on the chosen audio output device, if any, in every attached
+   * HTMLMediaElement. HTMLMediaElements that do not support
+   * <code>setSinkId</code> are muted, and a {@link WebAudioOutput} plays the
+   * audio instead.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _updateOutputDevice() {
+    const deviceId = this._outputDeviceId;
+    const els = this._getAllAttachedElements();
+    const fallbackEls = els.filter(el => typeof el.setSinkId !== 'function');
+
+    this._mutedElements.forEach(el => {
+      if (!fallbackEls.includes(el)) {
+        el.muted = false;
+        this._mutedElements.delete(el);
+      }
+    });
+
+    if (deviceId === null || fallbackEls.length === 0 || !this.isSubscribed) {
+      this._stopWebAudioOutput();
+    }
+    if (deviceId === null) {
+      return Promise.resolve();
+    }
+
+    const promises = els.filter(el => typeof el.setSinkId === 'function').map(el => el.setSinkId(deviceId));
+
+    if (fallbackEls.length > 0 && this.isSubscribed) {
+      if (!this._webAudioOutput) {
+        try {
+          this._webAudioOutput = new this._WebAudioOutput(this.mediaStreamTrack);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      }
+      fallbackEls.forEach(el => {
+        if (!el.muted) {
+          el.muted = true;
+          this._mutedElements.add(el);
+        }
+      });
+      promises.push(this._webAudioOutput.setSinkId(deviceId));
+    }
+
+    return Promise.all(promises).then(() => {});
+  }
+
+  /**
+   * Play the {@link RemoteAudioTrack} on an audio output device (for example,
+   * speakers or a headset), in every HTMLMediaElement it is attached to now or
+   * later. In browsers whose HTMLMediaElements do not support
+   * <code>setSinkId</code>, the {@link RemoteAudioTrack} is played with Web
+   * Audio instead, and the HTMLMediaElements are muted. Browsers which support
+   * neither <code>HTMLMediaElement#setSinkId</code> nor
+   * <code>AudioContext#setSinkId</code> (for example, Safari) cannot select
+   * the audio output device; there, the returned Promise is rejected, and the
+   * {@link RemoteAudioTrack} keeps playing on the default device.
+   * @param {string} deviceId - The deviceId of the audio output device, from
+   *   <code>navigator.mediaDevices.enumerateDevices</code>; the empty string
+   *   selects the default one
+   * @returns {Promise<void>} - Rejects if the audio output device cannot be
+   *   selected; the {@link RemoteAudioTrack} still remembers it
+   * @example
+   * navigator.mediaDevices.enumerateDevices().then(function(devices) {
+   *   var speakers = devices.find(function(device) {
+   *     return device.kind === 'audiooutput' && device.label === 'Speakers';
+   *   });
+   *   return remoteAudioTrack.setOutputDevice(speakers.deviceId);
+   * });
+   */
+  setOutputDevice(deviceId) {
+    if (typeof deviceId !== 'string') {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_TYPE('deviceId', 'string'));
+    }
+    this._log.info(`Setting the audio output device to "${deviceId}"`);
+    this._didWarnOutputDevice = false;
+    this._outputDeviceId = deviceId;
+    return this._updateOutputDevice();
+  }
 }
 
+/**
+ * The level of the {@link RemoteAudioTrack}'s audio changed. This is only emitted
+ * while something listens for it.
+ * @param {RemoteAudioTrack} track - The {@link RemoteAudioTrack} whose audio level changed
+ * @param {number} audioLevel - The new audio level, from 0 (silence) to 1
+ *   (full scale)
+ * @event RemoteAudioTrack#audioLevelChanged
+ */
+
 /**
  * The {@link RemoteAudioTrack} was disabled, i.e. "muted".
  * @param {RemoteAudioTrack} track - The {@link RemoteAudioTrack} that was
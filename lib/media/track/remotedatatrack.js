@@ -1,6 +1,7 @@
 'use strict';
 
 const Track = require('./');
+const { deserialize, getCodec, getDecodingCodecs, isSerialized } = require('../../data/serializer');
 
 /**
  * A {@link RemoteDataTrack} represents data published to a {@link Room} by a
@@ -22,6 +23,10 @@ const Track = require('./');
  *   null. In other words, if this is true, there is no bound on packet lifetime
  *   or the number of retransmits that will be attempted, ensuring "reliable"
  *   transmission.
+ * @property {?DataTrackSerializer} serializer - If set, binary messages
+ *   serialized by a {@link LocalDataTrack} with a {@link DataTrackSerializer}
+ *   are decoded before being emitted; this is the {@link ConnectOptions}'
+ *   <code>dataTrackSerializer</code>
  * @property {Track.SID} sid - The {@link RemoteDataTrack}'s SID
  * @emits RemoteDataTrack#message
  * @emits RemoteDataTrack#unsubscribed
@@ -31,15 +36,19 @@ class RemoteDataTrack extends Track {
    * Construct a {@link RemoteDataTrack} from a {@link DataTrackReceiver}.
    * @param {DataTrackReceiver} dataTrackReceiver
    * @param {RemoteTrackSignaling} signaling
-   * @param {{log: Log}} options
+   * @param {{log: Log, serializer: ?DataTrackSerializer}} options
    */
   constructor(dataTrackReceiver, signaling, options) {
     options = Object.assign({
-      name: signaling.name
+      name: signaling.name,
+      serializer: null
     }, options);
 
     super(dataTrackReceiver.id, 'data', options);
 
+    const codec = getCodec(options.serializer, 'options.serializer');
+    const codecs = options.serializer === null ? null : getDecodingCodecs(codec);
+
     let isSubscribed = signaling.isSubscribed;
     Object.defineProperties(this, {
       _isSubscribed: {
@@ -76,6 +85,10 @@ class RemoteDataTrack extends Track {
         value: dataTrackReceiver.maxPacketLifeTime === null
           && dataTrackReceiver.maxRetransmits === null
       },
+      serializer: {
+        enumerable: true,
+        value: options.serializer
+      },
       sid: {
         enumerable: true,
         value: signaling.sid
@@ -83,6 +96,15 @@ class RemoteDataTrack extends Track {
     });
 
     dataTrackReceiver.on('message', data => {
+      if (codecs && isSerialized(data)) {
+        try {
+          data = deserialize(codecs, data);
+        } catch (error) {
+          // The message was serialized with a codec we do not know (or is
+          // malformed), so we emit it as-is.
+          this._log.debug('Unable to deserialize message:', error);
+        }
+      }
       this.emit('message', data, this);
     });
   }
@@ -102,7 +124,8 @@ class RemoteDataTrack extends Track {
 /**
  * A message was received over the {@link RemoteDataTrack}.
  * @event RemoteDataTrack#message
- * @param {string|ArrayBuffer} data
+ * @param {*} data - A string or ArrayBuffer, or the deserialized value if the
+ *   {@link RemoteDataTrack} has a <code>serializer</code>
  * @param {RemoteDataTrack} track - The {@link RemoteDataTrack} that received
  *   the message
  */
@@ -57,8 +57,15 @@ function mixinRemoteMediaTrack(AudioOrVideoTrack) {
         }
       });
 
+      // NOTE(mroberts): The RemoteTrackSignaling emits "updated" for changes
+      // other than .isEnabled (for example, when it is switched off), so we only
+      // emit "enabled" or "disabled" when .isEnabled actually changes.
+      let isEnabled = signaling.isEnabled;
       this._signaling.on('updated', () => {
-        this.emit(this.isEnabled ? 'enabled' : 'disabled', this);
+        if (isEnabled !== this.isEnabled) {
+          isEnabled = this.isEnabled;
+          this.emit(isEnabled ? 'enabled' : 'disabled', this);
+        }
       });
     }
 
@@ -1,67 +1,146 @@
 'use strict';
 
-const buildLogLevels = require('../../util').buildLogLevels;
-const Log = require('../../util/log');
-const DEFAULT_LOG_LEVEL = require('../../util/constants').DEFAULT_LOG_LEVEL;
-let nInstances = 0;
+const TrackPublication = require('./trackpublication');
 
 /**
  * A {@link RemoteTrackPublication} represents a {@link RemoteTrack} that has
  * been published to a {@link Room}.
+ * @extends TrackPublication
+ * @property {?string} content - "screen" if the {@link RemoteTrack} is a
+ *   screen share; otherwise, null
+ * @property {boolean} isTrackEnabled - whether the published
+ *   {@link RemoteTrack} is enabled; this is known even if you have not
+ *   subscribed to the {@link RemoteTrack}
  * @property {Track.Kind} kind - kind of the published {@link RemoteTrack}
+ * @property {Track.Priority} publishPriority - the {@link Track.Priority} with
+ *   which the {@link RemoteTrack} was published
  * @property {?RemoteTrack} track - unless you have subscribed to the
  *   {@link RemoteTrack}, this property is null
- * @property {string} trackName - the {@link RemoteTrack}'s name
- * @property {Track.SID} trackSid - the {@link RemoteTrack}'s SID
+ * @emits RemoteTrackPublication#trackDisabled
+ * @emits RemoteTrackPublication#trackEnabled
  */
-class RemoteTrackPublication {
+class RemoteTrackPublication extends TrackPublication {
   /**
    * Construct a {@link RemoteTrackPublication}.
-   * @param {Track.Kind} kind - the {@link RemoteTrack}'s kind
-   * @param {Track.SID} trackSid - the {@link RemoteTrack}'s SID
-   * @param {string} trackName - the {@link RemoteTrack}'s name
+   * @param {RemoteTrackSignaling} signaling - the {@link RemoteTrack}'s signaling
    * @param {RemoteTrackPublicationOptions} options - {@link RemoteTrackPublication}
    *   options
    */
-  constructor(kind, trackSid, trackName, options) {
-    options = Object.assign({
-      logLevel: DEFAULT_LOG_LEVEL
-    }, options);
-
-    const logLevels = buildLogLevels(options.logLevel);
+  constructor(signaling, options) {
+    super(signaling.name, signaling.sid, options);
 
     Object.defineProperties(this, {
-      _instanceId: {
-        value: nInstances++
+      _signaling: {
+        value: signaling
       },
-      _log: {
-        value: options.log || new Log('default', this, logLevels)
+      _track: {
+        value: null,
+        writable: true
       },
-      kind: {
+      content: {
         enumerable: true,
-        value: kind
+        value: signaling.content || null
       },
-      track: {
+      kind: {
         enumerable: true,
-        value: null
+        value: signaling.kind
       },
-      trackName: {
+      publishPriority: {
         enumerable: true,
-        value: trackName
+        value: signaling.priority || 'standard'
       },
-      trackSid: {
+      track: {
         enumerable: true,
-        value: trackSid
+        get() {
+          return this._track;
+        }
+      }
+    });
+
+    // NOTE(mroberts): The RemoteTrackSignaling's .isEnabled is updated from the
+    // Room state whether or not we are subscribed to the RemoteTrack.
+    let isTrackEnabled = signaling.isEnabled;
+    signaling.on('updated', () => {
+      if (isTrackEnabled !== this.isTrackEnabled) {
+        isTrackEnabled = this.isTrackEnabled;
+        this.emit(isTrackEnabled ? 'trackEnabled' : 'trackDisabled');
       }
     });
   }
 
+  /**
+   * Whether the published {@link RemoteTrack} is enabled
+   * @property {boolean}
+   */
+  get isTrackEnabled() {
+    return this._signaling.isEnabled;
+  }
+
   toString() {
     return `[RemoteTrackPublication #${this._instanceId}: ${this.trackSid}]`;
   }
+
+  /**
+   * Subscribe to the {@link RemoteTrack}. This is only necessary if you
+   * connected to the {@link Room} with <code>automaticSubscription</code> set to
+   * <code>false</code>, or if you previously unsubscribed from the
+   * {@link RemoteTrack}. Once subscribed, the {@link RemoteParticipant} emits
+   * "trackSubscribed".
+   * @returns {Promise<this>} - Resolves once the server has subscribed you to
+   *   the {@link RemoteTrack}; rejects with a {@link TwilioError} if it could
+   *   not
+   * @example
+   * var Video = require('twilio-video');
+   *
+   * Video.connect(token, { automaticSubscription: false }).then(function(room) {
+   *   room.on('trackPublished', function(publication) {
+   *     if (publication.kind === 'audio') {
+   *       publication.subscribe();
+   *     }
+   *   });
+   * });
+   */
+  subscribe() {
+    return this._signaling.requestSubscription(true).then(() => this);
+  }
+
+  /**
+   * Unsubscribe from the {@link RemoteTrack}. Once unsubscribed, the
+   * {@link RemoteParticipant} emits "trackUnsubscribed", and
+   * {@link RemoteTrackPublication#track} is null again.
+   * @returns {Promise<this>} - Resolves once the server has unsubscribed you
+   *   from the {@link RemoteTrack}
+   */
+  unsubscribe() {
+    return this._signaling.requestSubscription(false).then(() => this);
+  }
+
+  /**
+   * @private
+   * @param {RemoteTrack} track
+   */
+  _subscribed(track) {
+    this._track = track;
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribed() {
+    this._track = null;
+  }
 }
 
 /**
+ * The published {@link RemoteTrack} was disabled.
+ * @event RemoteTrackPublication#trackDisabled
+ */
+
+/**
+ * The published {@link RemoteTrack} was enabled.
+ * @event RemoteTrackPublication#trackEnabled
+ */
+
 /**
  * {@link RemoteTrackPublication} options
  * @typedef {object} RemoteTrackPublicationOptions
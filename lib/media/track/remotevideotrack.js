@@ -2,6 +2,8 @@
 
 const mixinRemoteMediaTrack = require('./remotemediatrack');
 const VideoTrack = require('./videotrack');
+const E = require('../../util/constants').typeErrors;
+const VIDEO_LAYER_PREFERENCES = require('../../util/constants').VIDEO_LAYER_PREFERENCES;
 
 const RemoteMediaVideoTrack = mixinRemoteMediaTrack(VideoTrack);
 
@@ -11,10 +13,17 @@ const RemoteMediaVideoTrack = mixinRemoteMediaTrack(VideoTrack);
  * @extends VideoTrack
  * @property {boolean} isSubscribed - Whether the {@link RemoteVideoTrack} is
  *   currently subscribed to
+ * @property {boolean} isSwitchedOff - Whether the {@link RemoteVideoTrack} is
+ *   switched off; the server switches off lower priority
+ *   {@link RemoteVideoTrack}s when downlink bandwidth runs short, and, if you
+ *   connected with <code>switchOffInvisibleTracks</code>, while they are not
+ *   attached to any visible HTMLMediaElement
  * @property {Track.SID} sid - The {@link RemoteVideoTrack}'s SID
  * @emits RemoteVideoTrack#disabled
  * @emits RemoteVideoTrack#enabled
  * @emits RemoteVideoTrack#started
+ * @emits RemoteVideoTrack#switchedOff
+ * @emits RemoteVideoTrack#switchedOn
  * @emits RemoteVideoTrack#unsubscribed
  */
 class RemoteVideoTrack extends RemoteMediaVideoTrack {
@@ -22,24 +31,305 @@ class RemoteVideoTrack extends RemoteMediaVideoTrack {
    * Construct a {@link RemoteVideoTrack}.
    * @param {MediaTrackReceiver} mediaTrackReceiver - A video MediaStreamTrack container
    * @param {RemoteTrackSignaling} signaling - The {@link Track} signaling
-   * @param {{log: Log}} options - The {@link RemoteTrack} options
+   * @param {{log: Log}} options - The {@link RemoteTrack} options, which may
+   *   also set <code>switchOffWhenInvisible</code>
    */
   constructor(mediaTrackReceiver, signaling, options) {
+    options = Object.assign({
+      document: typeof document !== 'undefined' ? document : null,
+      IntersectionObserver: typeof IntersectionObserver === 'function' ? IntersectionObserver : null,
+      ResizeObserver: typeof ResizeObserver === 'function' ? ResizeObserver : null,
+      switchOffWhenInvisible: false
+    }, options);
+
     super(mediaTrackReceiver, signaling, options);
+
+    Object.defineProperties(this, {
+      _document: {
+        value: options.document
+      },
+      _intersectionObserver: {
+        value: null,
+        writable: true
+      },
+      _IntersectionObserver: {
+        value: options.IntersectionObserver
+      },
+      _invisibleElements: {
+        value: new Set()
+      },
+      _layerPreference: {
+        value: null,
+        writable: true
+      },
+      _renderDimensions: {
+        value: null,
+        writable: true
+      },
+      _renderHint: {
+        value: null,
+        writable: true
+      },
+      _resizeObserver: {
+        value: null,
+        writable: true
+      },
+      _ResizeObserver: {
+        value: options.ResizeObserver
+      },
+      _switchOffWhenInvisible: {
+        value: options.switchOffWhenInvisible
+      },
+      _updateRenderHintOnVisibilityChange: {
+        value: () => this._updateRenderHint()
+      },
+      isSwitchedOff: {
+        enumerable: true,
+        get() {
+          return !!signaling.isSwitchedOff;
+        }
+      }
+    });
+
+    let isSwitchedOff = this.isSwitchedOff;
+    signaling.on('updated', () => {
+      if (isSwitchedOff !== this.isSwitchedOff) {
+        isSwitchedOff = this.isSwitchedOff;
+        this.emit(isSwitchedOff ? 'switchedOff' : 'switchedOn', this);
+      }
+    });
+
+    if (this._switchOffWhenInvisible) {
+      if (this._document) {
+        this._document.addEventListener('visibilitychange', this._updateRenderHintOnVisibilityChange);
+      }
+      this._observeAttachments();
+      this._updateRenderHint();
+    }
   }
 
   toString() {
     return `[RemoteVideoTrack #${this._instanceId}: ${this.sid}]`;
   }
 
+  attach() {
+    const el = super.attach.apply(this, arguments);
+    if (this._renderDimensions === 'auto' || this._switchOffWhenInvisible) {
+      this._observeAttachments();
+      this._updateRenderHint();
+    }
+    return el;
+  }
+
+  detach() {
+    const els = super.detach.apply(this, arguments);
+    if (this._renderDimensions === 'auto' || this._switchOffWhenInvisible) {
+      this._observeAttachments();
+      this._updateRenderHint();
+    }
+    return els;
+  }
+
+  /**
+   * Tell the server the dimensions at which you render the
+   * {@link RemoteVideoTrack}, so that, when the {@link RemoteParticipant}
+   * publishes simulcast, it can forward the layer that best fits them. For
+   * example, thumbnails need not receive the highest quality layer.
+   * @param {?VideoTrack.Dimensions|string} dimensions - The render dimensions;
+   *   "auto" to use the largest of the HTMLMediaElements to which the
+   *   {@link RemoteVideoTrack} is attached, updated as they are attached,
+   *   detached or resized; null removes the hint
+   * @returns {this}
+   * @throws {TypeError}
+   * @example
+   * remoteVideoTrack.attach(thumbnailElement);
+   * remoteVideoTrack.setRenderDimensions({ width: 160, height: 90 });
+   * @example
+   * remoteVideoTrack.setRenderDimensions('auto');
+   */
+  setRenderDimensions(dimensions) {
+    if (dimensions !== null && dimensions !== 'auto' && !isDimensions(dimensions)) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('dimensions', 'VideoTrack.Dimensions, "auto" or null');
+    }
+    this._renderDimensions = dimensions && dimensions !== 'auto'
+      ? { width: dimensions.width, height: dimensions.height }
+      : dimensions;
+    this._observeAttachments();
+    this._updateRenderHint();
+    return this;
+  }
+
+  /**
+   * Tell the server which simulcast layer of the {@link RemoteVideoTrack} you
+   * prefer to receive. This takes precedence over the render dimensions set
+   * with {@link RemoteVideoTrack#setRenderDimensions}.
+   * @param {?string} layer - "low", "medium" or "high"; null removes the
+   *   preference
+   * @returns {this}
+   * @throws {RangeError}
+   */
+  setLayerPreference(layer) {
+    if (layer !== null && !VIDEO_LAYER_PREFERENCES.includes(layer)) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_VALUE('layer', VIDEO_LAYER_PREFERENCES);
+    }
+    this._layerPreference = layer;
+    this._updateRenderHint();
+    return this;
+  }
+
+  /**
+   * Observe the sizes of the attached HTMLMediaElements if the render
+   * dimensions are "auto", and whether they are visible if the
+   * {@link RemoteVideoTrack} should be switched off while invisible.
+   * @private
+   * @returns {void}
+   */
+  _observeAttachments() {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    // NOTE(mroberts): Without ResizeObserver, "auto" render dimensions are
+    // only updated when HTMLMediaElements are attached or detached.
+    if (this._renderDimensions === 'auto' && this._ResizeObserver) {
+      this._resizeObserver = new this._ResizeObserver(() => this._updateRenderHint());
+      this._attachments.forEach(el => this._resizeObserver.observe(el));
+    }
+
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+    this._invisibleElements.forEach(el => {
+      if (!this._attachments.has(el)) {
+        this._invisibleElements.delete(el);
+      }
+    });
+    // NOTE(mroberts): Without IntersectionObserver, we assume that attached
+    // HTMLMediaElements are visible unless the document is hidden.
+    if (this._switchOffWhenInvisible && this._IntersectionObserver) {
+      this._intersectionObserver = new this._IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this._invisibleElements.delete(entry.target);
+          } else {
+            this._invisibleElements.add(entry.target);
+          }
+        });
+        this._updateRenderHint();
+      });
+      this._attachments.forEach(el => this._intersectionObserver.observe(el));
+    }
+  }
+
+  /**
+   * Whether the {@link RemoteVideoTrack} is attached to any visible
+   * HTMLMediaElement.
+   * @private
+   * @returns {boolean}
+   */
+  _isVisible() {
+    if (this._document && this._document.visibilityState === 'hidden') {
+      return false;
+    }
+    return Array.from(this._attachments).some(el => !this._invisibleElements.has(el));
+  }
+
+  /**
+   * Send the {@link RenderHint} to the server, if it changed.
+   * @private
+   * @returns {void}
+   */
+  _updateRenderHint() {
+    const dimensions = this._renderDimensions === 'auto'
+      ? getLargestDimensions(this._attachments)
+      : this._renderDimensions;
+    const switchOff = !!this._switchOffWhenInvisible && !this._isVisible();
+    const renderHint = dimensions || this._layerPreference || switchOff
+      ? { dimensions, layer: this._layerPreference, switchOff }
+      : null;
+    if (isSameRenderHint(this._renderHint, renderHint)) {
+      return;
+    }
+    this._renderHint = renderHint;
+    this._log.debug('Setting RenderHint:', renderHint);
+    this._signaling.setRenderHint(renderHint);
+  }
+
   /**
    * @private
    */
   _unsubscribe() {
+    if (this._document) {
+      this._document.removeEventListener('visibilitychange', this._updateRenderHintOnVisibilityChange);
+    }
+    [this._intersectionObserver, this._resizeObserver].forEach(observer => {
+      if (observer) {
+        observer.disconnect();
+      }
+    });
+    this._intersectionObserver = null;
+    this._resizeObserver = null;
+    // NOTE(mroberts): If we subscribe to the RemoteVideoTrack again, a new
+    // RemoteVideoTrack sets its own RenderHint.
+    if (this._renderHint) {
+      this._renderHint = null;
+      this._signaling.setRenderHint(null);
+    }
     return super._unsubscribe.apply(this, arguments);
   }
 }
 
+/**
+ * Get the dimensions of the largest of the given HTMLMediaElements.
+ * @private
+ * @param {Set<HTMLMediaElement>} elements
+ * @returns {?VideoTrack.Dimensions} - null if none of them are rendered
+ */
+function getLargestDimensions(elements) {
+  let largest = null;
+  elements.forEach(el => {
+    const width = el.clientWidth || 0;
+    const height = el.clientHeight || 0;
+    if (width * height > 0 && (!largest || width * height > largest.width * largest.height)) {
+      largest = { width, height };
+    }
+  });
+  return largest;
+}
+
+/**
+ * Check whether the given value is a {@link VideoTrack.Dimensions}.
+ * @private
+ * @param {*} dimensions
+ * @returns {boolean}
+ */
+function isDimensions(dimensions) {
+  return !!dimensions
+    && typeof dimensions === 'object'
+    && typeof dimensions.width === 'number'
+    && typeof dimensions.height === 'number';
+}
+
+/**
+ * Check whether two {@link RenderHint}s are the same.
+ * @private
+ * @param {?RenderHint} a
+ * @param {?RenderHint} b
+ * @returns {boolean}
+ */
+function isSameRenderHint(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  const sameDimensions = a.dimensions && b.dimensions
+    ? a.dimensions.width === b.dimensions.width && a.dimensions.height === b.dimensions.height
+    : a.dimensions === b.dimensions;
+  return sameDimensions && a.layer === b.layer && a.switchOff === b.switchOff;
+}
+
 /**
  * The {@link RemoteVideoTrack}'s dimensions changed.
  * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} whose
@@ -61,6 +351,21 @@ class RemoteVideoTrack extends RemoteMediaVideoTrack {
  * @event RemoteVideoTrack#enabled
  */
 
+/**
+ * The {@link RemoteVideoTrack} was switched off, i.e., the server stopped
+ * forwarding its media, because downlink bandwidth ran short.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched off
+ * @event RemoteVideoTrack#switchedOff
+ */
+
+/**
+ * The {@link RemoteVideoTrack} was switched back on.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched on
+ * @event RemoteVideoTrack#switchedOn
+ */
+
 /**
  * The {@link RemoteVideoTrack} was unsubscribed from.
  * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
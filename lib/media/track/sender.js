@@ -1,21 +1,97 @@
 'use strict';
 
 const MediaTrackTransceiver = require('./transceiver');
+const buildLogLevels = require('../../util').buildLogLevels;
+const { DEFAULT_LOG_LEVEL, TRACK_ENCODING_PARAMETERS: ENCODING_PARAMETERS } = require('../../util/constants');
+const Log = require('../../util/log');
+
+// NOTE(mroberts): When bandwidth or CPU runs short, "motion" content should
+// keep its frame rate, whereas "detail" and "text" content (for example, a
+// screen share of a document) should keep its resolution.
+const DEGRADATION_PREFERENCES = {
+  detail: 'maintain-resolution',
+  motion: 'maintain-framerate',
+  text: 'maintain-resolution'
+};
 
 /**
  * A {@link MediaTrackSender} represents one or more local RTCRtpSenders.
  * @extends MediaTrackTransceiver
+ * @property {TrackEncodingParameters} encodingParameters
+ * @property {MediaStreamTrack} outgoingTrack - the MediaStreamTrack that the
+ *   RTCRtpSenders send; this is the <code>track</code>, unless
+ *   {@link MediaTrackSender#setOutgoingTrack} has been called
+ * @property {?{ layers: number, active: Array<boolean> }} simulcastLayers -
+ *   null unless {@link MediaTrackSender#setSimulcastLayers} has been called
+ * @emits MediaTrackSender#encodingParametersChanged
+ * @emits MediaTrackSender#replaceTrackFailed
+ * @emits MediaTrackSender#simulcastLayersChanged
  */
 class MediaTrackSender extends MediaTrackTransceiver {
   /**
    * Construct a {@link MediaTrackSender}.
    * @param {MediaStreamTrack} mediaStreamTrack
+   * @param {{ log: ?Log, logLevel: LogLevel|LogLevels }} [options]
    */
-  constructor(mediaStreamTrack) {
+  constructor(mediaStreamTrack, options) {
+    options = Object.assign({
+      log: null,
+      logLevel: DEFAULT_LOG_LEVEL
+    }, options);
+
     super(mediaStreamTrack.id, mediaStreamTrack);
     Object.defineProperties(this, {
+      _appliedEncodingParameters: {
+        value: new Map()
+      },
+      _degradationPreference: {
+        value: null,
+        writable: true
+      },
+      _encodingParameters: {
+        value: null,
+        writable: true
+      },
+      _log: {
+        value: options.log
+          ? options.log.createLog('media', this)
+          : new Log('media', this, buildLogLevels(options.logLevel))
+      },
+      _outgoingTrack: {
+        value: null,
+        writable: true
+      },
       _senders: {
         value: new Set()
+      },
+      _simulcastLayers: {
+        value: null,
+        writable: true
+      },
+      encodingParameters: {
+        enumerable: true,
+        get() {
+          return Object.assign({
+            maxBitrate: null,
+            maxFramerate: null,
+            scaleResolutionDownBy: null
+          }, this._encodingParameters);
+        }
+      },
+      outgoingTrack: {
+        enumerable: true,
+        get() {
+          return this._outgoingTrack || this.track;
+        }
+      },
+      simulcastLayers: {
+        enumerable: true,
+        get() {
+          return this._simulcastLayers && {
+            layers: this._simulcastLayers.layers,
+            active: this._simulcastLayers.active.slice()
+          };
+        }
       }
     });
   }
@@ -27,9 +103,74 @@ class MediaTrackSender extends MediaTrackTransceiver {
    */
   addSender(sender) {
     this._senders.add(sender);
+    this._appliedEncodingParameters.set(sender, {});
+    this._setSenderParameters(sender);
+    if (this._outgoingTrack) {
+      this._replaceSenderTrack(sender);
+    }
     return this;
   }
 
+  /**
+   * Apply the degradation preference, {@link TrackEncodingParameters} and
+   * active simulcast layers to an RTCRtpSender.
+   * @private
+   * @param {RTCRtpSender} sender
+   * @returns {void}
+   */
+  _setSenderParameters(sender) {
+    const promise = setSenderParameters(
+      sender,
+      this._degradationPreference,
+      this._encodingParameters,
+      this._simulcastLayers,
+      this._appliedEncodingParameters.get(sender));
+    if (promise) {
+      // NOTE(mroberts): Some browsers reject setParameters() until negotiation
+      // has completed; PeerConnectionV2 calls updateSenders() again once its
+      // signalingState returns to "stable", so we only log the failure here.
+      promise.catch(error => {
+        this._log.warn(`Failed to set the parameters of an RTCRtpSender: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Replace the MediaStreamTrack that an RTCRtpSender sends with the
+   * <code>outgoingTrack</code>, emitting "replaceTrackFailed" if it cannot.
+   * @private
+   * @param {RTCRtpSender} sender
+   * @returns {Promise<void>}
+   */
+  _replaceSenderTrack(sender) {
+    const mediaStreamTrack = this.outgoingTrack;
+    if (sender.track === mediaStreamTrack) {
+      return Promise.resolve();
+    }
+    return Promise.resolve().then(() => {
+      if (typeof sender.replaceTrack !== 'function') {
+        throw new Error('RTCRtpSender#replaceTrack is not supported');
+      }
+      return sender.replaceTrack(mediaStreamTrack);
+    }).catch(error => {
+      if (this._senders.has(sender)) {
+        this.emit('replaceTrackFailed', sender, error);
+      }
+    });
+  }
+
+  /**
+   * Replace the MediaStreamTrack that each RTCRtpSender sends with the
+   * <code>outgoingTrack</code>.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _replaceSenderTracks() {
+    return Promise.all(Array.from(this._senders).map(sender => {
+      return this._replaceSenderTrack(sender);
+    })).then(() => {});
+  }
+
   /**
    * Remove an RTCRtpSender.
    * @param {RTCRtpSender} sender
@@ -37,8 +178,203 @@ class MediaTrackSender extends MediaTrackTransceiver {
    */
   removeSender(sender) {
     this._senders.delete(sender);
+    this._appliedEncodingParameters.delete(sender);
+    return this;
+  }
+
+  /**
+   * Set the content hint of the MediaStreamTrack, and the corresponding
+   * degradation preference of each RTCRtpSender.
+   * @param {?string} contentHint - "detail", "motion", "text" or null
+   * @returns {this}
+   */
+  setContentHint(contentHint) {
+    if ('contentHint' in this.track) {
+      this.track.contentHint = contentHint || '';
+    }
+    this._degradationPreference = DEGRADATION_PREFERENCES[contentHint] || 'balanced';
+    return this.updateSenders();
+  }
+
+  /**
+   * Replace the <code>track</code> (for example, when a {@link LocalMediaTrack}
+   * restarts), and send it with each RTCRtpSender, unless an
+   * <code>outgoingTrack</code> has been set.
+   * @param {MediaStreamTrack} mediaStreamTrack
+   * @returns {Promise<void>} - resolves once each RTCRtpSender has either
+   *   replaced its MediaStreamTrack or emitted "replaceTrackFailed"
+   */
+  setMediaStreamTrack(mediaStreamTrack) {
+    if ('contentHint' in this._track && 'contentHint' in mediaStreamTrack) {
+      mediaStreamTrack.contentHint = this._track.contentHint;
+    }
+    this._track = mediaStreamTrack;
+    return this._replaceSenderTracks();
+  }
+
+  /**
+   * Set the MediaStreamTrack that each RTCRtpSender sends (for example, a
+   * processed copy of the <code>track</code>), without renegotiating. The
+   * RTCRtpSenders keep signaling the original MediaStreamTrack ID.
+   * @param {?MediaStreamTrack} mediaStreamTrack - null to send the
+   *   <code>track</code> itself again
+   * @returns {Promise<void>} - resolves once each RTCRtpSender has either
+   *   replaced its MediaStreamTrack or emitted "replaceTrackFailed"
+   */
+  setOutgoingTrack(mediaStreamTrack) {
+    this._outgoingTrack = mediaStreamTrack;
+    return this._replaceSenderTracks();
+  }
+
+  /**
+   * Set the {@link TrackEncodingParameters} of each RTCRtpSender.
+   * @param {TrackEncodingParameters} encodingParameters - any properties not
+   *   specified keep their existing values; null removes a limit
+   * @returns {this}
+   * @fires MediaTrackSender#encodingParametersChanged
+   */
+  setEncodingParameters(encodingParameters) {
+    const existingEncodingParameters = this.encodingParameters;
+    encodingParameters = ENCODING_PARAMETERS.reduce((newEncodingParameters, name) => {
+      newEncodingParameters[name] = encodingParameters && typeof encodingParameters[name] !== 'undefined'
+        ? encodingParameters[name]
+        : existingEncodingParameters[name];
+      return newEncodingParameters;
+    }, {});
+    const isChanged = ENCODING_PARAMETERS.some(name =>
+      existingEncodingParameters[name] !== encodingParameters[name]);
+    if (isChanged) {
+      this._encodingParameters = encodingParameters;
+      this.updateSenders();
+      this.emit('encodingParametersChanged');
+    }
+    return this;
+  }
+
+  /**
+   * Set the number of simulcast layers, and whether each of them is sent.
+   * @param {{ layers: number, active: Array<boolean> }} simulcastLayers
+   * @returns {this}
+   * @fires MediaTrackSender#simulcastLayersChanged
+   */
+  setSimulcastLayers(simulcastLayers) {
+    const existingSimulcastLayers = this._simulcastLayers;
+    const isChanged = !existingSimulcastLayers
+      || existingSimulcastLayers.layers !== simulcastLayers.layers
+      || existingSimulcastLayers.active.some((isActive, i) => isActive !== simulcastLayers.active[i]);
+    if (isChanged) {
+      this._simulcastLayers = {
+        layers: simulcastLayers.layers,
+        active: simulcastLayers.active.slice()
+      };
+      this.updateSenders();
+      this.emit('simulcastLayersChanged');
+    }
+    return this;
+  }
+
+  /**
+   * Apply the degradation preference, {@link TrackEncodingParameters} and
+   * active simulcast layers to each RTCRtpSender again; for example, once
+   * negotiation has completed.
+   * @returns {this}
+   */
+  updateSenders() {
+    this._senders.forEach(sender => this._setSenderParameters(sender));
     return this;
   }
 }
 
+/**
+ * Set the degradation preference, {@link TrackEncodingParameters} and active
+ * simulcast layers of an RTCRtpSender, if supported.
+ * @private
+ * @param {RTCRtpSender} sender
+ * @param {?string} degradationPreference
+ * @param {?TrackEncodingParameters} encodingParameters
+ * @param {?{ layers: number, active: Array<boolean> }} simulcastLayers
+ * @param {object} appliedEncodingParameters - the encoding parameters
+ *   previously applied to the RTCRtpSender; updated in place
+ * @returns {?Promise<void>} - null if there was nothing to set
+ */
+function setSenderParameters(sender, degradationPreference, encodingParameters, simulcastLayers, appliedEncodingParameters) {
+  if ((!degradationPreference && !encodingParameters && !simulcastLayers)
+    || typeof sender.getParameters !== 'function'
+    || typeof sender.setParameters !== 'function') {
+    return null;
+  }
+
+  const parameters = sender.getParameters();
+  let shouldSetParameters = false;
+
+  if (degradationPreference && parameters.degradationPreference !== degradationPreference) {
+    parameters.degradationPreference = degradationPreference;
+    shouldSetParameters = true;
+  }
+
+  const encodings = parameters.encodings || [];
+
+  // The encodings are ordered from the lowest to the highest quality layer.
+  // Only the highest is limited, so that the browser keeps its own bitrate
+  // and resolution for any lower simulcast layers. Likewise, a null value
+  // only removes a limit that was previously applied here.
+  if (encodingParameters && encodings.length > 0) {
+    const encoding = encodings[encodings.length - 1];
+    ENCODING_PARAMETERS.forEach(name => {
+      const value = encodingParameters[name];
+      if (value === null) {
+        if (name in appliedEncodingParameters) {
+          if (encoding[name] === appliedEncodingParameters[name]) {
+            delete encoding[name];
+            shouldSetParameters = true;
+          }
+          delete appliedEncodingParameters[name];
+        }
+      } else {
+        if (encoding[name] !== value) {
+          encoding[name] = value;
+          shouldSetParameters = true;
+        }
+        appliedEncodingParameters[name] = value;
+      }
+    });
+  }
+
+  // NOTE(mroberts): Until the simulcast layers have been negotiated, the
+  // RTCRtpSender has a single encoding, which must not be deactivated.
+  if (simulcastLayers && encodings.length === simulcastLayers.layers) {
+    encodings.forEach((encoding, i) => {
+      if (encoding.active !== simulcastLayers.active[i]) {
+        encoding.active = simulcastLayers.active[i];
+        shouldSetParameters = true;
+      }
+    });
+  }
+
+  if (!shouldSetParameters) {
+    return null;
+  }
+
+  return Promise.resolve().then(() => sender.setParameters(parameters));
+}
+
+/**
+ * The {@link MediaTrackSender}'s {@link TrackEncodingParameters} changed.
+ * @event MediaTrackSender#encodingParametersChanged
+ */
+
+/**
+ * An RTCRtpSender failed to replace its MediaStreamTrack with the
+ * <code>outgoingTrack</code> (for example, because replaceTrack is not
+ * supported), so it must be replaced by renegotiating.
+ * @event MediaTrackSender#replaceTrackFailed
+ * @param {RTCRtpSender} sender
+ * @param {Error} error
+ */
+
+/**
+ * The {@link MediaTrackSender}'s simulcast layers changed.
+ * @event MediaTrackSender#simulcastLayersChanged
+ */
+
 module.exports = MediaTrackSender;
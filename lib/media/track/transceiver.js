@@ -17,15 +17,21 @@ class MediaTrackTransceiver extends TrackTransceiver {
   constructor(id, mediaStreamTrack) {
     super(id, mediaStreamTrack.kind);
     Object.defineProperties(this, {
+      _track: {
+        value: mediaStreamTrack,
+        writable: true
+      },
       readyState: {
         enumerable: true,
         get() {
-          return mediaStreamTrack.readyState;
+          return this._track.readyState;
         }
       },
       track: {
         enumerable: true,
-        value: mediaStreamTrack
+        get() {
+          return this._track;
+        }
       }
     });
   }
@@ -16,6 +16,13 @@ let nInstances = 0;
  * @property {Map<Track.ID, DataTrack>} dataTracks -
  *    The {@link Participant}'s {@link DataTrack}s.
  * @property {Participant.Identity} identity - The identity of the {@link Participant}
+ * @property {?NetworkQualityLevel} networkQualityLevel - The
+ *    {@link Participant}'s current {@link NetworkQualityLevel}, if any; This is
+ *    only computed when the <code>networkQuality</code> {@link ConnectOptions}
+ *    property is set
+ * @property {?NetworkQualityStats} networkQualityStats - The
+ *    {@link Participant}'s current {@link NetworkQualityStats}, if any; These
+ *    are only computed when the {@link NetworkQualityVerbosity} is 2 (moderate)
  * @property {Participant.SID} sid - The {@link Participant}'s SID
  * @property {string} state - "connected", "disconnected" or "failed"
  * @property {Map<Track.ID, Track>} tracks -
@@ -23,6 +30,7 @@ let nInstances = 0;
  * @property {Map<Track.ID, VideoTrack>} videoTracks -
  *    The {@link Participant}'s {@link VideoTrack}s.
  * @emits Participant#disconnected
+ * @emits Participant#networkQualityLevelChanged
  * @emits Participant#trackAdded
  * @emits Participant#trackDimensionsChanged
  * @emits Participant#trackDisabled
@@ -40,9 +48,12 @@ class Participant extends EventEmitter {
     super();
 
     options = Object.assign({
+      audioOutputDevice: null,
       RemoteAudioTrack,
       RemoteVideoTrack,
       RemoteDataTrack,
+      dataTrackSerializer: null,
+      switchOffInvisibleTracks: false,
       tracks: []
     }, options);
 
@@ -54,6 +65,9 @@ class Participant extends EventEmitter {
     const videoTracks = new Map(indexed.videoTracks);
 
     Object.defineProperties(this, {
+      _audioOutputDevice: {
+        value: options.audioOutputDevice
+      },
       _RemoteAudioTrack: {
         value: options.RemoteAudioTrack
       },
@@ -69,6 +83,12 @@ class Participant extends EventEmitter {
       _signaling: {
         value: signaling
       },
+      _dataTrackSerializer: {
+        value: options.dataTrackSerializer
+      },
+      _switchOffInvisibleTracks: {
+        value: options.switchOffInvisibleTracks
+      },
       _trackEventReemitters: {
         value: new Map()
       },
@@ -89,6 +109,18 @@ class Participant extends EventEmitter {
           return signaling.identity;
         }
       },
+      networkQualityLevel: {
+        enumerable: true,
+        get() {
+          return signaling.networkQualityLevel;
+        }
+      },
+      networkQualityStats: {
+        enumerable: true,
+        get() {
+          return signaling.networkQualityStats;
+        }
+      },
       sid: {
         enumerable: true,
         get() {
@@ -112,6 +144,7 @@ class Participant extends EventEmitter {
     });
 
     this.tracks.forEach(reemitTrackEvents.bind(null, this));
+    reemitNetworkQualityLevelChangedEvents(this, signaling);
     reemitSignalingStateChangedEvents(this, signaling);
     log.info(`Created a new Participant${this.identity ? `: ${this.identity}` : ''}`);
   }
@@ -160,6 +193,25 @@ class Participant extends EventEmitter {
     return track;
   }
 
+  /**
+   * Create a {@link RemoteTrackPublication} for a {@link RemoteTrackSignaling}.
+   * @private
+   * @param {RemoteTrackSignaling} signaling
+   * @returns {RemoteTrackPublication}
+   */
+  _addTrackPublication(signaling) {
+    return new RemoteTrackPublication(signaling, { log: this._log });
+  }
+
+  /**
+   * @private
+   * @param {RemoteTrackSignaling} signaling
+   * @returns {?RemoteTrackPublication}
+   */
+  _removeTrackPublication() {
+    return null;
+  }
+
   /**
    * @private
    */
@@ -175,25 +227,23 @@ class Participant extends EventEmitter {
     const RemoteVideoTrack = this._RemoteVideoTrack;
     const RemoteDataTrack = this._RemoteDataTrack;
     const signaling = this._signaling;
+    const serializer = this._dataTrackSerializer;
+    const switchOffWhenInvisible = this._switchOffInvisibleTracks;
+    const audioOutputDevice = this._audioOutputDevice;
 
     function trackSignalingAdded(signaling) {
+      const remoteTrackPublication = self._addTrackPublication(signaling);
+
       function handleTrackSubscriptionFailed() {
         if (!signaling.error) {
           return;
         }
         signaling.removeListener('updated', handleTrackSubscriptionFailed);
-        const remoteTrackPublication = new RemoteTrackPublication(
-          signaling.kind,
-          signaling.sid,
-          signaling.name,
-          { log });
         self._log.warn(`Failed to subscribe to Remote${util.capitalize(signaling.kind)}Track ${signaling.sid} with name "${signaling.name}": ${signaling.error.message}`);
         self.emit('trackSubscriptionFailed', signaling.error, remoteTrackPublication);
       }
 
-      signaling.on('updated', handleTrackSubscriptionFailed);
-
-      signaling.getTrackTransceiver().then(trackReceiver => {
+      function subscribed(trackReceiver) {
         signaling.removeListener('updated', handleTrackSubscriptionFailed);
 
         const RemoteTrack = {
@@ -209,12 +259,39 @@ class Participant extends EventEmitter {
           return;
         }
 
-        const track = new RemoteTrack(trackReceiver, signaling, { log });
+        const track = new RemoteTrack(trackReceiver, signaling, {
+          audioOutputDevice,
+          log,
+          serializer,
+          switchOffWhenInvisible
+        });
         self._addTrack(track);
-      });
+
+        // NOTE(mroberts): If the RemoteTrackSignaling is unsubscribed from, its
+        // TrackTransceiver is reset; we remove the RemoteTrack, and then wait to
+        // be subscribed to it again.
+        signaling.on('updated', function unsubscribed() {
+          if (signaling.isSubscribed) {
+            return;
+          }
+          signaling.removeListener('updated', unsubscribed);
+          if (self.tracks.get(track.id) === track) {
+            self._removeTrack(track);
+          }
+          subscribe();
+        });
+      }
+
+      function subscribe() {
+        signaling.on('updated', handleTrackSubscriptionFailed);
+        signaling.getTrackTransceiver().then(subscribed);
+      }
+
+      subscribe();
     }
 
     function trackSignalingRemoved(signaling) {
+      self._removeTrackPublication(signaling);
       signaling.getTrackTransceiver().then(() => {
         const track = self.tracks.get(signaling.id);
         if (track) {
@@ -295,6 +372,17 @@ class Participant extends EventEmitter {
  * @event Participant#disconnected
  */
 
+/**
+ * The {@link Participant}'s {@link NetworkQualityLevel} changed.
+ * @param {NetworkQualityLevel} networkQualityLevel - The new
+ *   {@link NetworkQualityLevel}
+ * @param {?NetworkQualityStats} networkQualityStats - The
+ *   {@link NetworkQualityStats} used to compute the
+ *   {@link NetworkQualityLevel}, if the {@link NetworkQualityVerbosity} is
+ *   2 (moderate)
+ * @event Participant#networkQualityLevelChanged
+ */
+
 /**
  * A {@link Track} was added by the {@link Participant}.
  * @param {Track} track - The {@link Track} that was added
@@ -331,6 +419,14 @@ class Participant extends EventEmitter {
  * @event Participant#trackStarted
  */
 
+/**
+ * A {@link NetworkQualityLevel} is an integer from 0 to 5 which represents the
+ * quality of a {@link Participant}'s network connection, where 0 is unusable
+ * and 5 is excellent.
+ * @type number
+ * @typedef NetworkQualityLevel
+ */
+
 /**
  * Indexed {@link Track}s by {@link Track.ID}.
  * @typedef {object} IndexedTracks
@@ -364,6 +460,30 @@ function indexTracksById(tracks) {
   };
 }
 
+/**
+ * Re-emit {@link ParticipantSignaling} 'networkQualityLevelChanged' events.
+ * @param {Participant} participant
+ * @param {ParticipantSignaling} signaling
+ * @private
+ */
+function reemitNetworkQualityLevelChangedEvents(participant, signaling) {
+  if (participant.state === 'disconnected') {
+    return;
+  }
+
+  function networkQualityLevelChanged(networkQualityLevel, networkQualityStats) {
+    participant.emit('networkQualityLevelChanged', networkQualityLevel, networkQualityStats);
+  }
+
+  signaling.on('networkQualityLevelChanged', networkQualityLevelChanged);
+  signaling.on('stateChanged', function stateChanged(state) {
+    if (state === 'disconnected') {
+      signaling.removeListener('networkQualityLevelChanged', networkQualityLevelChanged);
+      signaling.removeListener('stateChanged', stateChanged);
+    }
+  });
+}
+
 /**
  * Re-emit {@link ParticipantSignaling} 'stateChanged' events.
  * @param {Participant} participant
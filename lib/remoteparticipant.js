@@ -1,17 +1,26 @@
 'use strict';
 
 const Participant = require('./participant');
+const RemoteTrackPublication = require('./media/track/remotetrackpublication');
 
 /**
  * A {@link RemoteParticipant} represents a remote {@link Participant} in a
  * {@link Room}.
  * @extends Participant
+ * @property {Map<Track.SID, RemoteTrackPublication>} audioTrackPublications -
+ *    The {@link Participant}'s {@link RemoteTrackPublication}s of audio
  * @property {Map<Track.SID, RemoteAudioTrack>} audioTracks -
  *    The {@link Participant}'s {@link RemoteAudioTrack}s.
+ * @property {Map<Track.SID, RemoteTrackPublication>} dataTrackPublications -
+ *    The {@link Participant}'s {@link RemoteTrackPublication}s of data
  * @property {Map<Track.SID, RemoteDataTrack>} dataTracks -
  *    The {@link Participant}'s {@link RemoteDataTrack}s.
+ * @property {Map<Track.SID, RemoteTrackPublication>} trackPublications -
+ *    The {@link Participant}'s {@link RemoteTrackPublication}s
  * @property {Map<Track.SID, RemoteTrack>} tracks -
  *    The {@link Participant}'s {@link RemoteTrack}s
+ * @property {Map<Track.SID, RemoteTrackPublication>} videoTrackPublications -
+ *    The {@link Participant}'s {@link RemoteTrackPublication}s of video
  * @property {Map<Track.SID, RemoteVideoTrack>} videoTracks -
  *    The {@link Participant}'s {@link RemoteVideoTrack}s.
  * @emits RemoteParticipant#trackAdded
@@ -19,10 +28,14 @@ const Participant = require('./participant');
  * @emits RemoteParticipant#trackDisabled
  * @emits RemoteParticipant#trackEnabled
  * @emits RemoteParticipant#trackMessage
+ * @emits RemoteParticipant#trackPublished
  * @emits RemoteParticipant#trackRemoved
  * @emits RemoteParticipant#trackStarted
  * @emits RemoteParticipant#trackSubscribed
  * @emits RemoteParticipant#trackSubscriptionFailed
+ * @emits RemoteParticipant#trackSwitchedOff
+ * @emits RemoteParticipant#trackSwitchedOn
+ * @emits RemoteParticipant#trackUnpublished
  * @emits RemoteParticipant#trackUnsubscribed
  */
 class RemoteParticipant extends Participant {
@@ -33,10 +46,42 @@ class RemoteParticipant extends Participant {
    */
   constructor(signaling, options) {
     super(signaling, options);
+
+    Object.defineProperties(this, {
+      audioTrackPublications: {
+        enumerable: true,
+        value: new Map()
+      },
+      dataTrackPublications: {
+        enumerable: true,
+        value: new Map()
+      },
+      trackPublications: {
+        enumerable: true,
+        value: new Map()
+      },
+      videoTrackPublications: {
+        enumerable: true,
+        value: new Map()
+      }
+    });
+
     this._handleTrackSignalingEvents();
     this.once('disconnected', this._unsubscribeTracks.bind(this));
   }
 
+  /**
+   * Get the {@link RemoteTrack} events to re-emit.
+   * @private
+   * @returns {Array<Array<string>>} events
+   */
+  _getTrackEvents() {
+    return super._getTrackEvents.call(this).concat([
+      ['switchedOff', 'trackSwitchedOff'],
+      ['switchedOn', 'trackSwitchedOn']
+    ]);
+  }
+
   toString() {
     return `[RemoteParticipant #${this._instanceId}${this.sid ? `: ${this.sid}` : ''}]`;
   }
@@ -48,10 +93,47 @@ class RemoteParticipant extends Participant {
     if (!super._addTrack.call(this, remoteTrack)) {
       return null;
     }
+    const publication = this.trackPublications.get(remoteTrack.sid);
+    if (publication) {
+      publication._subscribed(remoteTrack);
+    }
     this.emit('trackSubscribed', remoteTrack);
     return remoteTrack;
   }
 
+  /**
+   * @private
+   * @param {RemoteTrackSignaling} signaling
+   * @returns {RemoteTrackPublication}
+   */
+  _addTrackPublication(signaling) {
+    let publication = this.trackPublications.get(signaling.sid);
+    if (publication) {
+      return publication;
+    }
+    publication = new RemoteTrackPublication(signaling, { log: this._log });
+    this.trackPublications.set(publication.trackSid, publication);
+    getTrackPublicationsByKind(this, publication.kind).set(publication.trackSid, publication);
+    this.emit('trackPublished', publication);
+    return publication;
+  }
+
+  /**
+   * @private
+   * @param {RemoteTrackSignaling} signaling
+   * @returns {?RemoteTrackPublication}
+   */
+  _removeTrackPublication(signaling) {
+    const publication = this.trackPublications.get(signaling.sid);
+    if (!publication) {
+      return null;
+    }
+    this.trackPublications.delete(publication.trackSid);
+    getTrackPublicationsByKind(this, publication.kind).delete(publication.trackSid);
+    this.emit('trackUnpublished', publication);
+    return publication;
+  }
+
   /**
    * @private
    */
@@ -67,6 +149,7 @@ class RemoteParticipant extends Participant {
     const unsubscribedTrack = this.tracks.get(remoteTrack.id);
     if (unsubscribedTrack) {
       unsubscribedTrack._unsubscribe();
+      unsubscribeTrackPublication(this, unsubscribedTrack);
       this.emit('trackUnsubscribed', unsubscribedTrack);
     }
   }
@@ -82,6 +165,7 @@ class RemoteParticipant extends Participant {
 
     this._deleteTrack(unsubscribedTrack);
     unsubscribedTrack._unsubscribe();
+    unsubscribeTrackPublication(this, unsubscribedTrack);
     this.emit('trackUnsubscribed', unsubscribedTrack);
     this.emit('trackRemoved', unsubscribedTrack);
 
@@ -122,6 +206,15 @@ class RemoteParticipant extends Participant {
  *   message was received
  */
 
+/**
+ * A {@link RemoteTrack} was published by the {@link RemoteParticipant}. Unless
+ * you connected with <code>automaticSubscription</code> set to
+ * <code>false</code>, you will be subscribed to it shortly.
+ * @param {RemoteTrackPublication} publication - The
+ *   {@link RemoteTrackPublication} for the published {@link RemoteTrack}
+ * @event RemoteParticipant#trackPublished
+ */
+
 /**
  * A {@link RemoteTrack} was removed by the {@link RemoteParticipant}.
  * @param {RemoteTrack} track - The {@link RemoteTrack} that was removed
@@ -150,10 +243,63 @@ class RemoteParticipant extends Participant {
  * @event RemoteParticipant#trackSubscriptionFailed
  */
 
+/**
+ * One of the {@link RemoteParticipant}'s {@link RemoteVideoTrack}s was
+ * switched off.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched off
+ * @event RemoteParticipant#trackSwitchedOff
+ */
+
+/**
+ * One of the {@link RemoteParticipant}'s {@link RemoteVideoTrack}s was
+ * switched on.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched on
+ * @event RemoteParticipant#trackSwitchedOn
+ */
+
+/**
+ * A {@link RemoteTrack} was unpublished by the {@link RemoteParticipant}.
+ * @param {RemoteTrackPublication} publication - The
+ *   {@link RemoteTrackPublication} for the unpublished {@link RemoteTrack}
+ * @event RemoteParticipant#trackUnpublished
+ */
+
 /**
  * A {@link RemoteParticipant}'s {@link RemoteTrack} was unsubscribed from.
  * @param {RemoteTrack} track - The {@link RemoteTrack} that was unsubscribed from
  * @event RemoteParticipant#trackUnsubscribed
  */
 
+/**
+ * Get the {@link RemoteParticipant}'s {@link RemoteTrackPublication}s of the
+ * given {@link Track.Kind}.
+ * @private
+ * @param {RemoteParticipant} participant
+ * @param {Track.Kind} kind
+ * @returns {Map<Track.SID, RemoteTrackPublication>}
+ */
+function getTrackPublicationsByKind(participant, kind) {
+  return {
+    audio: participant.audioTrackPublications,
+    data: participant.dataTrackPublications,
+    video: participant.videoTrackPublications
+  }[kind];
+}
+
+/**
+ * Unset the {@link RemoteTrack} of its {@link RemoteTrackPublication}, if any.
+ * @private
+ * @param {RemoteParticipant} participant
+ * @param {RemoteTrack} remoteTrack
+ * @returns {void}
+ */
+function unsubscribeTrackPublication(participant, remoteTrack) {
+  const publication = participant.trackPublications.get(remoteTrack.sid);
+  if (publication && publication.track === remoteTrack) {
+    publication._unsubscribed();
+  }
+}
+
 module.exports = RemoteParticipant;
@@ -2,8 +2,17 @@
 
 const EventEmitter = require('events').EventEmitter;
 const RemoteParticipant = require('./remoteparticipant');
+const RPC = require('./rpc');
+const SharedState = require('./sharedstate');
+const E = require('./util/constants').typeErrors;
 const { MediaConnectionError } = require('./util/twilio-video-errors');
 
+const SUBSCRIPTION_RULE_VALUES = {
+  kind: ['audio', 'data', 'video'],
+  priority: ['high', 'low', 'standard'],
+  type: ['exclude', 'include']
+};
+
 let nInstances = 0;
 
 /**
@@ -13,6 +22,10 @@ let nInstances = 0;
  * <br><br>
  * You can connect to a {@link Room} by calling {@link connect}.
  * @extends EventEmitter
+ * @property {?RemoteParticipant} dominantSpeaker - The
+ *   {@link RemoteParticipant} who is currently speaking the loudest, if any;
+ *   This is only computed when the <code>dominantSpeaker</code>
+ *   {@link ConnectOptions} property is set
  * @property {boolean} isRecording - Whether or not the {@link Room} is being
  *   recorded
  * @property {LocalParticipant} localParticipant - Your {@link LocalParticipant}
@@ -20,10 +33,13 @@ let nInstances = 0;
  * @property {string} name - The {@link Room}'s name
  * @property {Map<Participant.SID, RemoteParticipant>} participants -
  *   The {@link RemoteParticipant}s participating in this {@link Room}
+ * @property {RPC} rpc - Lets you call methods registered by
+ *   {@link RemoteParticipant}s, and register methods for them to call
  * @property {Room.SID} sid - The {@link Room}'s SID
  * @property {string} state - "connected", "reconnecting", or "disconnected"
  * @throws {SignalingConnectionDisconnectedError}
  * @emits Room#disconnected
+ * @emits Room#dominantSpeakerChanged
  * @emits Room#participantConnected
  * @emits Room#participantDisconnected
  * @emits Room#reconnected
@@ -35,9 +51,13 @@ let nInstances = 0;
  * @emits Room#trackDisabled
  * @emits Room#trackEnabled
  * @emits Room#trackMessage
+ * @emits Room#trackPublished
  * @emits Room#trackRemoved
  * @emits Room#trackStarted
  * @emits Room#trackSubscribed
+ * @emits Room#trackSwitchedOff
+ * @emits Room#trackSwitchedOn
+ * @emits Room#trackUnpublished
  * @emits Room#trackUnsubscribed
  */
 class Room extends EventEmitter {
@@ -66,9 +86,18 @@ class Room extends EventEmitter {
       _participants: {
         value: participants
       },
+      _sharedStates: {
+        value: new Map()
+      },
       _signaling: {
         value: signaling
       },
+      dominantSpeaker: {
+        enumerable: true,
+        get() {
+          return this.participants.get(signaling.dominantSpeakerSid) || null;
+        }
+      },
       isRecording: {
         enumerable: true,
         get() {
@@ -87,6 +116,10 @@ class Room extends EventEmitter {
         enumerable: true,
         value: participants
       },
+      rpc: {
+        enumerable: true,
+        value: new RPC(this, { log })
+      },
       sid: {
         enumerable: true,
         value: signaling.sid
@@ -110,6 +143,40 @@ class Room extends EventEmitter {
     return `[Room #${this._instanceId}: ${this.sid}]`;
   }
 
+  /**
+   * Create a {@link SharedState} that is kept in sync with the
+   * {@link SharedState}s of the same name created by {@link RemoteParticipant}s.
+   * Calling this again with the same name returns the same {@link SharedState}.
+   * @param {string} name - The {@link SharedState}'s name
+   * @returns {SharedState}
+   * @throws {TypeError}
+   * @example
+   * var Video = require('twilio-video');
+   *
+   * Video.connect(token, {
+   *   tracks: [new Video.LocalDataTrack()]
+   * }).then(function(room) {
+   *   var poll = room.createSharedState('poll');
+   *   poll.on('changed', function(key, value) {
+   *     console.log(key + ' voted for ' + value);
+   *   });
+   *   poll.set(room.localParticipant.identity, 'pizza');
+   * });
+   */
+  createSharedState(name) {
+    if (typeof name !== 'string') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('name', 'string');
+    }
+    let sharedState = this._sharedStates.get(name);
+    if (!sharedState) {
+      this._log.info('Creating a new SharedState:', name);
+      sharedState = new SharedState(this, name, { log: this._log });
+      this._sharedStates.set(name, sharedState);
+    }
+    return sharedState;
+  }
+
   /**
    * Disconnect from the {@link Room}.
    * @returns {this}
@@ -127,8 +194,74 @@ class Room extends EventEmitter {
   getStats() {
     return this._signaling.getStats();
   }
+
+  /**
+   * Set the {@link SubscriptionRule}s that decide which {@link RemoteTrack}s
+   * you subscribe to. A {@link RemoteTrack} is subscribed to if it matches at
+   * least one "include" rule and no "exclude" rules. The rules are re-evaluated
+   * whenever {@link RemoteParticipant}s or {@link RemoteTrack}s come and go;
+   * you can still call {@link RemoteTrackPublication#subscribe} and
+   * {@link RemoteTrackPublication#unsubscribe} in between.
+   * @param {Array<SubscriptionRule>} rules
+   * @returns {this}
+   * @throws {TypeError|RangeError}
+   * @example
+   * var Video = require('twilio-video');
+   *
+   * Video.connect(token, { automaticSubscription: false }).then(function(room) {
+   *   room.setSubscriptionRules([
+   *     { type: 'include', kind: 'audio' },
+   *     { type: 'include', kind: 'video', publisher: 'alice' }
+   *   ]);
+   * });
+   */
+  setSubscriptionRules(rules) {
+    if (!Array.isArray(rules)) {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('rules', 'Array of SubscriptionRules');
+    }
+
+    rules.forEach((rule, i) => {
+      if (!rule || typeof rule !== 'object') {
+        // eslint-disable-next-line new-cap
+        throw E.INVALID_TYPE(`rules[${i}]`, 'SubscriptionRule');
+      }
+      Object.keys(SUBSCRIPTION_RULE_VALUES).forEach(prop => {
+        if ((prop === 'type' || typeof rule[prop] !== 'undefined')
+          && !SUBSCRIPTION_RULE_VALUES[prop].includes(rule[prop])) {
+          // eslint-disable-next-line new-cap
+          throw E.INVALID_VALUE(`rules[${i}].${prop}`, SUBSCRIPTION_RULE_VALUES[prop]);
+        }
+      });
+      ['publisher', 'track'].forEach(prop => {
+        if (typeof rule[prop] !== 'undefined' && typeof rule[prop] !== 'string') {
+          // eslint-disable-next-line new-cap
+          throw E.INVALID_TYPE(`rules[${i}].${prop}`, 'string');
+        }
+      });
+    });
+
+    this._log.info('Setting subscription rules:', rules);
+    this._signaling.setSubscriptionRules(rules);
+    return this;
+  }
 }
 
+/**
+ * A {@link SubscriptionRule} includes or excludes the {@link RemoteTrack}s it
+ * matches. A {@link SubscriptionRule} with no properties other than
+ * <code>type</code> matches every {@link RemoteTrack}.
+ * @typedef {object} SubscriptionRule
+ * @property {string} type - "include" or "exclude"
+ * @property {Track.Kind} [kind] - match {@link RemoteTrack}s of this kind
+ * @property {Track.Priority} [priority] - match {@link RemoteTrack}s
+ *   published with this {@link Track.Priority}
+ * @property {string} [publisher] - match {@link RemoteTrack}s published by the
+ *   {@link RemoteParticipant} with this identity or {@link Participant.SID}
+ * @property {string} [track] - match {@link RemoteTrack}s with this name or
+ *   {@link Track.SID}
+ */
+
 /**
  * A {@link Room.SID} is a 34-character string starting with "RM"
  * that uniquely identifies a {@link Room}.
@@ -156,6 +289,18 @@ class Room extends EventEmitter {
  * });
  */
 
+/**
+ * The {@link Room}'s dominant speaker changed.
+ * @param {?RemoteParticipant} dominantSpeaker - The {@link RemoteParticipant}
+ *   who is now speaking the loudest, or null if the previous dominant speaker
+ *   left the {@link Room}
+ * @event Room#dominantSpeakerChanged
+ * @example
+ * myRoom.on('dominantSpeakerChanged', function(participant) {
+ *   console.log('The dominant speaker is now', participant && participant.identity);
+ * });
+ */
+
 /**
  * A {@link RemoteParticipant} joined the {@link Room}.
  * @param {RemoteParticipant} participant - The {@link RemoteParticipant} who joined
@@ -192,12 +337,17 @@ class Room extends EventEmitter {
  */
 
 /**
- * Your application is reconnecting to the {@link Room}. Typically this happens
- * when there is a disruption in your media connection. When this event is
+ * Your application is reconnecting to the {@link Room}. This happens when there
+ * is a disruption in your signaling or media connection. When this event is
  * emitted, the {@link Room} is in state "reconnecting". If reconnecting
- * succeeds, the {@link Room} will emit a "reconnected" event.
+ * succeeds, the {@link Room} will emit a "reconnected" event. If the signaling
+ * connection cannot be re-established within
+ * {@link ConnectOptions}'s <code>signalingReconnectTimeout</code>, the
+ * {@link Room} will emit a "disconnected" event instead.
  * @param {TwilioError} error - A {@link TwilioError} explaining why your
- *   application is reconnecting
+ *   application is reconnecting; a {@link SignalingConnectionDisconnectedError}
+ *   if the signaling connection was lost, or a {@link MediaConnectionError} if
+ *   the media connection was lost
  * @example
  * myRoom.on('reconnecting', error => {
  *   console.warn('Reconnecting!', error);
@@ -263,6 +413,22 @@ class Room extends EventEmitter {
  * @event Room#trackMessage
  */
 
+/**
+ * A {@link RemoteTrack} was published by a {@link RemoteParticipant} in the
+ * {@link Room}.
+ * @param {RemoteTrackPublication} publication - The
+ *   {@link RemoteTrackPublication} for the published {@link RemoteTrack}
+ * @param {RemoteParticipant} participant - The {@link RemoteParticipant} who
+ *   published the {@link RemoteTrack}
+ * @event Room#trackPublished
+ * @example
+ * room.on('trackPublished', function(publication, participant) {
+ *   if (publication.kind === 'audio') {
+ *     publication.subscribe();
+ *   }
+ * });
+ */
+
 /**
  * A {@link RemoteTrack} was removed by a {@link RemoteParticipant} in the {@link Room}.
  * @param {RemoteTrack} track - The {@link RemoteTrack} that was removed
@@ -310,6 +476,36 @@ class Room extends EventEmitter {
  * @event Room#trackSubscriptionFailed
  */
 
+/**
+ * One of a {@link RemoteParticipant}'s {@link RemoteVideoTrack}s was switched
+ * off.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched off
+ * @param {RemoteParticipant} participant - The {@link RemoteParticipant} who
+ *   published the {@link RemoteVideoTrack}
+ * @event Room#trackSwitchedOff
+ */
+
+/**
+ * One of a {@link RemoteParticipant}'s {@link RemoteVideoTrack}s was switched
+ * on.
+ * @param {RemoteVideoTrack} track - The {@link RemoteVideoTrack} that was
+ *   switched on
+ * @param {RemoteParticipant} participant - The {@link RemoteParticipant} who
+ *   published the {@link RemoteVideoTrack}
+ * @event Room#trackSwitchedOn
+ */
+
+/**
+ * A {@link RemoteTrack} was unpublished by a {@link RemoteParticipant} in the
+ * {@link Room}.
+ * @param {RemoteTrackPublication} publication - The
+ *   {@link RemoteTrackPublication} for the unpublished {@link RemoteTrack}
+ * @param {RemoteParticipant} participant - The {@link RemoteParticipant} who
+ *   unpublished the {@link RemoteTrack}
+ * @event Room#trackUnpublished
+ */
+
 /**
  * A {@link RemoteParticipant}'s {@link RemoteTrack} was unsubscribed from.
  * @param {RemoteTrack} track - The {@link RemoteTrack} that was unsubscribed
@@ -326,7 +522,12 @@ class Room extends EventEmitter {
 
 function connectParticipant(room, participantSignaling) {
   const log = room._log;
-  const participant = new RemoteParticipant(participantSignaling, { log });
+  const participant = new RemoteParticipant(participantSignaling, {
+    audioOutputDevice: room._options.audioOutputDevice || null,
+    dataTrackSerializer: room._options.dataTrackSerializer || null,
+    log,
+    switchOffInvisibleTracks: !!room._options.switchOffInvisibleTracks
+  });
 
   log.info('A new RemoteParticipant connected:', participant);
   room._participants.set(participant.sid, participant);
@@ -339,10 +540,14 @@ function connectParticipant(room, participantSignaling) {
     'trackDisabled',
     'trackEnabled',
     'trackMessage',
+    'trackPublished',
     'trackRemoved',
     'trackStarted',
     'trackSubscribed',
     'trackSubscriptionFailed',
+    'trackSwitchedOff',
+    'trackSwitchedOn',
+    'trackUnpublished',
     'trackUnsubscribed'
   ].map(event => {
     function reemit() {
@@ -385,6 +590,11 @@ function handleSignalingEvents(room, signaling) {
     + 'ParticipantSignalings that connect to the RoomSignaling');
   signaling.on('participantConnected', connectParticipant.bind(null, room));
 
+  function dominantSpeakerChanged() {
+    room.emit('dominantSpeakerChanged', room.dominantSpeaker);
+  }
+  signaling.on('dominantSpeakerChanged', dominantSpeakerChanged);
+
   // Reemit state transition events from the RoomSignaling.
   signaling.on('stateChanged', function stateChanged(state, error) {
     log.info('Transitioned to state:', state);
@@ -394,10 +604,11 @@ function handleSignalingEvents(room, signaling) {
           participant._unsubscribeTracks();
         });
         room.emit(state, room, error);
+        signaling.removeListener('dominantSpeakerChanged', dominantSpeakerChanged);
         signaling.removeListener('stateChanged', stateChanged);
         break;
       case 'reconnecting':
-        room.emit('reconnecting', new MediaConnectionError());
+        room.emit('reconnecting', error || new MediaConnectionError());
         break;
       default:
         room.emit('reconnected');
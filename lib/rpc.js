@@ -0,0 +1,330 @@
+'use strict';
+
+const TimeoutPromise = require('./util/timeoutpromise');
+const { DEFAULT_RPC_TIMEOUT_MS, typeErrors: E } = require('./util/constants');
+const { defer, findReliableLocalDataTrack, makeUUID } = require('./util');
+
+const REQUEST = 'twilio-video:rpc-request';
+const RESPONSE = 'twilio-video:rpc-response';
+
+/**
+ * An {@link RPCError} is raised when a call made with {@link RPC#call} fails;
+ * for example, because the remote handler threw.
+ * @extends Error
+ */
+class RPCError extends Error {
+  /**
+   * Construct an {@link RPCError}.
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RPCError';
+  }
+}
+
+/**
+ * An {@link RPCParticipantDisconnectedError} is raised when the
+ * {@link RemoteParticipant} called with {@link RPC#call} is not, or is no
+ * longer, connected to the {@link Room}.
+ * @extends RPCError
+ * @property {Participant.Identity} identity - The identity of the
+ *   {@link RemoteParticipant}
+ */
+class RPCParticipantDisconnectedError extends RPCError {
+  /**
+   * Construct an {@link RPCParticipantDisconnectedError}.
+   * @param {Participant.Identity} identity
+   */
+  constructor(identity) {
+    super(`RemoteParticipant "${identity}" is not connected`);
+    this.name = 'RPCParticipantDisconnectedError';
+    Object.defineProperty(this, 'identity', { enumerable: true, value: identity });
+  }
+}
+
+/**
+ * An {@link RPCTimeoutError} is raised when the {@link RemoteParticipant}
+ * called with {@link RPC#call} does not respond in time.
+ * @extends RPCError
+ * @property {number} timeout - The timeout, in milliseconds
+ */
+class RPCTimeoutError extends RPCError {
+  /**
+   * Construct an {@link RPCTimeoutError}.
+   * @param {string} method
+   * @param {number} timeout
+   */
+  constructor(method, timeout) {
+    super(`Call to "${method}" timed out after ${timeout} ms`);
+    this.name = 'RPCTimeoutError';
+    Object.defineProperty(this, 'timeout', { enumerable: true, value: timeout });
+  }
+}
+
+/**
+ * An {@link RPC} lets {@link Participant}s in a {@link Room} call each other's
+ * registered methods. Requests and responses are sent as JSON over your
+ * {@link LocalParticipant}'s published, reliable and ordered
+ * {@link LocalDataTrack}, and received over the {@link RemoteDataTrack}s you
+ * subscribe to. Since they are ordinary messages, they also raise
+ * {@link RemoteDataTrack#message} events.
+ * @example
+ * var Video = require('twilio-video');
+ *
+ * Video.connect(token, {
+ *   tracks: [new Video.LocalDataTrack()]
+ * }).then(function(room) {
+ *   room.rpc.register('add', function(params, participant) {
+ *     return params.a + params.b;
+ *   });
+ *
+ *   return room.rpc.call('bob', 'add', { a: 1, b: 2 }, { timeout: 5000 });
+ * }).then(function(sum) {
+ *   console.log(sum); // 3
+ * });
+ */
+class RPC {
+  /**
+   * Construct an {@link RPC}.
+   * @param {Room} room
+   * @param {object} options
+   */
+  constructor(room, options) {
+    Object.defineProperties(this, {
+      _handlers: {
+        value: new Map()
+      },
+      _log: {
+        value: options.log
+      },
+      _pendingCalls: {
+        value: new Map()
+      },
+      _room: {
+        value: room
+      }
+    });
+
+    room.on('trackMessage', (data, track, participant) => {
+      this._handleMessage(data, participant);
+    });
+
+    room.on('participantDisconnected', participant => {
+      this._pendingCalls.forEach(pendingCall => {
+        if (pendingCall.identity === participant.identity) {
+          pendingCall.deferred.reject(new RPCParticipantDisconnectedError(participant.identity));
+        }
+      });
+    });
+
+    room.once('disconnected', () => {
+      this._pendingCalls.forEach(pendingCall => {
+        pendingCall.deferred.reject(new RPCError('Disconnected from the Room'));
+      });
+    });
+  }
+
+  /**
+   * Call a method registered by a {@link RemoteParticipant}.
+   * @param {Participant.Identity} identity - The identity of the
+   *   {@link RemoteParticipant}
+   * @param {string} method - The name of the method
+   * @param {*} [params] - JSON-serializable parameters to pass to the method
+   * @param {RPCCallOptions} [options]
+   * @returns {Promise<*>} - Resolves with the method's result; rejects with an
+   *   {@link RPCParticipantDisconnectedError} if the {@link RemoteParticipant}
+   *   is not, or is no longer, connected, an {@link RPCTimeoutError} if it
+   *   does not respond in time, or an {@link RPCError} if the method fails
+   */
+  call(identity, method, params, options) {
+    options = Object.assign({
+      timeout: DEFAULT_RPC_TIMEOUT_MS
+    }, options);
+
+    if (typeof identity !== 'string') {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_TYPE('identity', 'string'));
+    }
+    if (typeof method !== 'string') {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_TYPE('method', 'string'));
+    }
+    if (typeof options.timeout !== 'number' || options.timeout <= 0) {
+      // eslint-disable-next-line new-cap
+      return Promise.reject(E.INVALID_TYPE('options.timeout', 'positive number'));
+    }
+
+    const isConnected = Array.from(this._room.participants.values()).some(participant => {
+      return participant.identity === identity;
+    });
+    if (!isConnected) {
+      return Promise.reject(new RPCParticipantDisconnectedError(identity));
+    }
+
+    const id = makeUUID();
+    try {
+      this._send({ type: REQUEST, id, to: identity, method, params });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this._log.debug(`Calling "${method}" on RemoteParticipant "${identity}":`, id);
+    const deferred = defer();
+    this._pendingCalls.set(id, { deferred, identity });
+
+    const timeoutPromise = new TimeoutPromise(deferred.promise, options.timeout);
+    return timeoutPromise.then(result => {
+      this._pendingCalls.delete(id);
+      return result;
+    }, error => {
+      this._pendingCalls.delete(id);
+      throw timeoutPromise.isTimedOut
+        ? new RPCTimeoutError(method, options.timeout)
+        : error;
+    });
+  }
+
+  /**
+   * Register a method that {@link RemoteParticipant}s can call. Registering a
+   * method again replaces its handler.
+   * @param {string} method - The name of the method
+   * @param {RPCHandler} handler
+   * @returns {this}
+   * @throws {TypeError}
+   */
+  register(method, handler) {
+    if (typeof method !== 'string') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('method', 'string');
+    }
+    if (typeof handler !== 'function') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('handler', 'function');
+    }
+    this._log.info(`Registering "${method}"`);
+    this._handlers.set(method, handler);
+    return this;
+  }
+
+  /**
+   * Unregister a method registered with {@link RPC#register}.
+   * @param {string} method - The name of the method
+   * @returns {this}
+   */
+  unregister(method) {
+    this._log.info(`Unregistering "${method}"`);
+    this._handlers.delete(method);
+    return this;
+  }
+
+  /**
+   * Handle a message received over a {@link RemoteDataTrack}.
+   * @private
+   * @param {string|ArrayBuffer} data
+   * @param {RemoteParticipant} participant
+   * @returns {void}
+   */
+  _handleMessage(data, participant) {
+    const message = parseMessage(data);
+    if (!message || message.to !== this._room.localParticipant.identity) {
+      return;
+    }
+    if (message.type === REQUEST) {
+      this._handleRequest(message, participant);
+      return;
+    }
+    const pendingCall = this._pendingCalls.get(message.id);
+    if (!pendingCall || pendingCall.identity !== participant.identity) {
+      return;
+    }
+    if (message.error) {
+      pendingCall.deferred.reject(new RPCError(message.error.message));
+      return;
+    }
+    pendingCall.deferred.resolve(message.result);
+  }
+
+  /**
+   * Call the handler for a request, and send its response.
+   * @private
+   * @param {object} request
+   * @param {RemoteParticipant} participant
+   * @returns {Promise<void>}
+   */
+  _handleRequest(request, participant) {
+    const handler = this._handlers.get(request.method);
+    const response = { type: RESPONSE, id: request.id, to: participant.identity };
+    return Promise.resolve().then(() => {
+      if (!handler) {
+        throw new RPCError(`Method "${request.method}" is not registered`);
+      }
+      return handler(request.params, participant);
+    }).then(result => {
+      response.result = result;
+    }, error => {
+      response.error = { message: error && error.message ? error.message : String(error) };
+    }).then(() => {
+      this._send(response);
+    }).catch(error => {
+      this._log.warn(`Unable to respond to "${request.method}":`, error);
+    });
+  }
+
+  /**
+   * Send a message over the first published, reliable and ordered
+   * {@link LocalDataTrack}.
+   * @private
+   * @param {object} message
+   * @returns {void}
+   * @throws {RPCError|TypeError}
+   */
+  _send(message) {
+    const track = findReliableLocalDataTrack(this._room.localParticipant);
+    if (!track) {
+      throw new RPCError('No reliable and ordered LocalDataTrack is published');
+    }
+    // NOTE(mroberts): We bypass the LocalDataTrack's serializer, if any, so
+    // that RemoteParticipants always receive requests and responses as JSON.
+    track._trackSender.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Parse an {@link RPC} request or response.
+ * @private
+ * @param {string|ArrayBuffer} data
+ * @returns {?object}
+ */
+function parseMessage(data) {
+  if (typeof data !== 'string' || data.indexOf('twilio-video:rpc-') === -1) {
+    return null;
+  }
+  try {
+    const message = JSON.parse(data);
+    return message && (message.type === REQUEST || message.type === RESPONSE)
+      ? message
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * {@link RPC#call} options
+ * @typedef {object} RPCCallOptions
+ * @property {number} [timeout=10000] - How long to wait (in milliseconds) for
+ *   the {@link RemoteParticipant} to respond
+ */
+
+/**
+ * A handler for a method registered with {@link RPC#register}. Its result (or
+ * the value its Promise resolves with) must be JSON-serializable.
+ * @typedef {function(*, RemoteParticipant): (*|Promise<*>)} RPCHandler
+ */
+
+RPC.RPCError = RPCError;
+RPC.RPCParticipantDisconnectedError = RPCParticipantDisconnectedError;
+RPC.RPCTimeoutError = RPCTimeoutError;
+
+module.exports = RPC;
@@ -0,0 +1,373 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const { findReliableLocalDataTrack } = require('./util');
+const E = require('./util/constants').typeErrors;
+
+const TYPE = 'twilio-video:shared-state';
+
+/**
+ * A {@link SharedState} is a key/value map that is kept in sync between the
+ * {@link Participant}s in a {@link Room}. Each key is a last-writer-wins
+ * register: writes are ordered by Lamport clock (and, to break ties, by the
+ * writer's identity), so every {@link Participant} converges on the same
+ * value, regardless of the order in which writes arrive.
+ * <br><br>
+ * Updates are sent as JSON over your {@link LocalParticipant}'s first
+ * published, reliable and ordered {@link LocalDataTrack}, and received over
+ * the {@link RemoteDataTrack}s you subscribe to. Whenever you subscribe to a
+ * {@link RemoteDataTrack} of a {@link RemoteParticipant} you have not yet
+ * exchanged snapshots with, you send a snapshot of the whole
+ * {@link SharedState}, so that late joiners catch up. Since they are ordinary
+ * messages, they also raise {@link RemoteDataTrack#message} events.
+ * <br><br>
+ * You can create a {@link SharedState} by calling
+ * {@link Room#createSharedState}.
+ * @extends EventEmitter
+ * @property {string} name - The {@link SharedState}'s name; it is shared by
+ *   the {@link SharedState}s that {@link Participant}s keep in sync
+ * @property {number} size - The number of keys in the {@link SharedState}
+ * @emits SharedState#changed
+ * @example
+ * var cursors = room.createSharedState('cursors');
+ *
+ * document.addEventListener('mousemove', function(event) {
+ *   cursors.set(room.localParticipant.identity, { x: event.clientX, y: event.clientY });
+ * });
+ *
+ * cursors.on('changed', function(key, value, participant) {
+ *   drawCursor(key, value);
+ * });
+ */
+class SharedState extends EventEmitter {
+  /**
+   * Construct a {@link SharedState}.
+   * @param {Room} room
+   * @param {string} name
+   * @param {object} options
+   */
+  constructor(room, name, options) {
+    super();
+    Object.defineProperties(this, {
+      _clock: {
+        value: 0,
+        writable: true
+      },
+      _log: {
+        value: options.log
+      },
+      _registers: {
+        value: new Map()
+      },
+      _room: {
+        value: room
+      },
+      _syncedIdentities: {
+        value: new Set()
+      },
+      _values: {
+        value: new Map()
+      },
+      name: {
+        enumerable: true,
+        value: name
+      },
+      size: {
+        enumerable: true,
+        get() {
+          return this._values.size;
+        }
+      }
+    });
+
+    room.on('trackMessage', (data, track, participant) => {
+      this._handleMessage(data, participant);
+    });
+
+    room.on('trackSubscribed', (track, publication, participant) => {
+      if (track.kind === 'data' && !this._syncedIdentities.has(participant.identity)) {
+        this._sendSnapshot();
+      }
+    });
+
+    room.on('participantDisconnected', participant => {
+      this._syncedIdentities.delete(participant.identity);
+    });
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key
+   * @returns {this}
+   * @throws {TypeError}
+   */
+  delete(key) {
+    return this._write(key, null, true);
+  }
+
+  /**
+   * Iterate over the keys and values.
+   * @returns {Iterator<Array<string|*>>}
+   */
+  entries() {
+    return this._values.entries();
+  }
+
+  /**
+   * Get the value of a key.
+   * @param {string} key
+   * @returns {*} - undefined if the key is not set
+   */
+  get(key) {
+    return this._values.get(key);
+  }
+
+  /**
+   * Check whether a key is set.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this._values.has(key);
+  }
+
+  /**
+   * Iterate over the keys.
+   * @returns {Iterator<string>}
+   */
+  keys() {
+    return this._values.keys();
+  }
+
+  /**
+   * Set the value of a key, and send it to the {@link RemoteParticipant}s.
+   * @param {string} key
+   * @param {*} value - a JSON-serializable value
+   * @returns {this}
+   * @throws {TypeError}
+   */
+  set(key, value) {
+    return this._write(key, value, false);
+  }
+
+  /**
+   * Copy the keys and values into a Map.
+   * @returns {Map<string, *>}
+   */
+  toMap() {
+    return new Map(this._values);
+  }
+
+  toJSON() {
+    const json = {};
+    this._values.forEach((value, key) => {
+      json[key] = value;
+    });
+    return json;
+  }
+
+  /**
+   * Apply a register received from a {@link RemoteParticipant}, if it is newer
+   * than the one we have.
+   * @private
+   * @param {SharedStateRegister} register
+   * @param {RemoteParticipant} participant
+   * @returns {void}
+   */
+  _merge(register, participant) {
+    this._clock = Math.max(this._clock, register.clock);
+    const current = this._registers.get(register.key);
+    if (current && compareRegisters(current, register) >= 0) {
+      return;
+    }
+    this._setRegister(register, participant);
+  }
+
+  /**
+   * Set a register, emitting "changed" if the key's value changed.
+   * @private
+   * @param {SharedStateRegister} register
+   * @param {Participant} participant
+   * @returns {void}
+   */
+  _setRegister(register, participant) {
+    const current = this._registers.get(register.key);
+    this._registers.set(register.key, register);
+    if (register.deleted) {
+      this._values.delete(register.key);
+    } else {
+      this._values.set(register.key, register.value);
+    }
+    if (!current || current.deleted !== register.deleted
+      || JSON.stringify(current.value) !== JSON.stringify(register.value)) {
+      this.emit('changed', register.key, this.get(register.key), participant);
+    }
+  }
+
+  /**
+   * Handle a message received over a {@link RemoteDataTrack}.
+   * @private
+   * @param {string|ArrayBuffer} data
+   * @param {RemoteParticipant} participant
+   * @returns {void}
+   */
+  _handleMessage(data, participant) {
+    const message = parseMessage(data);
+    if (!message || message.name !== this.name) {
+      return;
+    }
+    message.registers.filter(isRegister).forEach(register => this._merge(register, participant));
+
+    // NOTE(mroberts): Our snapshot may have been sent before the
+    // RemoteParticipant subscribed to our LocalDataTrack, so we reply to its
+    // first snapshot with ours.
+    if (message.isSnapshot && !this._syncedIdentities.has(participant.identity)) {
+      this._syncedIdentities.add(participant.identity);
+      this._sendSnapshot();
+    }
+  }
+
+  /**
+   * Send registers to the {@link RemoteParticipant}s.
+   * @private
+   * @param {Array<SharedStateRegister>} registers
+   * @param {boolean} isSnapshot
+   * @returns {void}
+   */
+  _send(registers, isSnapshot) {
+    const track = findReliableLocalDataTrack(this._room.localParticipant);
+    if (!track) {
+      this._log.warn(`Unable to send SharedState "${this.name}": no reliable `
+        + 'and ordered LocalDataTrack is published');
+      return;
+    }
+    try {
+      // NOTE(mroberts): We bypass the LocalDataTrack's serializer, if any, so
+      // that RemoteParticipants always receive updates as JSON.
+      track._trackSender.send(JSON.stringify({
+        type: TYPE,
+        name: this.name,
+        isSnapshot,
+        registers
+      }));
+    } catch (error) {
+      this._log.warn(`Unable to send SharedState "${this.name}":`, error);
+    }
+  }
+
+  /**
+   * Send every register to the {@link RemoteParticipant}s.
+   * @private
+   * @returns {void}
+   */
+  _sendSnapshot() {
+    this._send(Array.from(this._registers.values()), true);
+  }
+
+  /**
+   * Write a register locally, and send it to the {@link RemoteParticipant}s.
+   * @private
+   * @param {string} key
+   * @param {*} value
+   * @param {boolean} deleted
+   * @returns {this}
+   * @throws {TypeError}
+   */
+  _write(key, value, deleted) {
+    if (typeof key !== 'string') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('key', 'string');
+    }
+    const json = JSON.stringify(deleted ? null : value);
+    if (typeof json !== 'string') {
+      // eslint-disable-next-line new-cap
+      throw E.INVALID_TYPE('value', 'JSON-serializable value');
+    }
+    const register = {
+      clock: ++this._clock,
+      deleted,
+      key,
+      value: JSON.parse(json),
+      writer: this._room.localParticipant.identity
+    };
+    this._setRegister(register, this._room.localParticipant);
+    this._send([register], false);
+    return this;
+  }
+}
+
+/**
+ * Compare two {@link SharedStateRegister}s by Lamport clock, breaking ties by
+ * the writer's identity.
+ * @private
+ * @param {SharedStateRegister} register1
+ * @param {SharedStateRegister} register2
+ * @returns {number} - positive if register1 wins, negative if register2 wins
+ */
+function compareRegisters(register1, register2) {
+  if (register1.clock !== register2.clock) {
+    return register1.clock - register2.clock;
+  }
+  if (register1.writer === register2.writer) {
+    return 0;
+  }
+  return register1.writer > register2.writer ? 1 : -1;
+}
+
+/**
+ * Check whether a value received from a {@link RemoteParticipant} is a
+ * {@link SharedStateRegister}.
+ * @private
+ * @param {*} register
+ * @returns {boolean}
+ */
+function isRegister(register) {
+  return !!register
+    && Number.isInteger(register.clock)
+    && typeof register.deleted === 'boolean'
+    && typeof register.key === 'string'
+    && typeof register.writer === 'string';
+}
+
+/**
+ * Parse a {@link SharedState} message.
+ * @private
+ * @param {string|ArrayBuffer} data
+ * @returns {?object}
+ */
+function parseMessage(data) {
+  if (typeof data !== 'string' || data.indexOf(TYPE) === -1) {
+    return null;
+  }
+  try {
+    const message = JSON.parse(data);
+    return message && message.type === TYPE && Array.isArray(message.registers)
+      ? message
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A last-writer-wins register for one of a {@link SharedState}'s keys.
+ * @private
+ * @typedef {object} SharedStateRegister
+ * @property {number} clock - the Lamport clock of the write
+ * @property {boolean} deleted - whether the key was deleted
+ * @property {string} key
+ * @property {*} value
+ * @property {Participant.Identity} writer
+ */
+
+/**
+ * A key of the {@link SharedState} was set or deleted, either by you or by a
+ * {@link RemoteParticipant}.
+ * @param {string} key - The key
+ * @param {*} value - The new value, or undefined if the key was deleted
+ * @param {Participant} participant - The {@link Participant} who changed the
+ *   key
+ * @event SharedState#changed
+ */
+
+module.exports = SharedState;
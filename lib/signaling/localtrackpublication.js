@@ -5,15 +5,19 @@ const TrackSignaling = require('./track');
 /**
  * A {@link LocalTrackPublication} implementation
  * @extends TrackSignaling
+ * @property {?string} content - "screen" for screen shares; otherwise, null
  * @property {?Error} error - non-null if publication failed
+ * @property {Track.Priority} priority
  */
 class LocalTrackPublicationSignaling extends TrackSignaling {
   /**
    * Construct a {@link LocalTrackPublicationSignaling}.
    * @param {DataTrackSender|MediaTrackSender} trackSender
    * @param {string} name
+   * @param {Track.Priority} [priority="standard"]
+   * @param {?string} [content=null]
    */
-  constructor(trackSender, name) {
+  constructor(trackSender, name, priority, content) {
     const enabled = trackSender.kind === 'data'
       ? true
       : trackSender.track.enabled;
@@ -24,11 +28,19 @@ class LocalTrackPublicationSignaling extends TrackSignaling {
         value: null,
         writable: true
       },
+      content: {
+        enumerable: true,
+        value: content || null
+      },
       error: {
         enumerable: true,
         get() {
           return this._error;
         }
+      },
+      priority: {
+        enumerable: true,
+        value: priority || 'standard'
       }
     });
   }
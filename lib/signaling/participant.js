@@ -28,9 +28,12 @@ const states = {
  * A {@link Participant} implementation
  * @extends StateMachine
  * @property {?string} identity
+ * @property {?NetworkQualityLevel} networkQualityLevel
+ * @property {?NetworkQualityStats} networkQualityStats
  * @property {?Participant.SID} sid
  * @property {string} state - "connecting", "connected", or "disconnected"
  * @property {Map<string, TrackSignaling>} tracks
+ * @emits ParticipantSignaling#networkQualityLevelChanged
  * @emits ParticipantSignaling#trackAdded
  * @emits ParticipantSignaling#trackRemoved
  */
@@ -46,6 +49,14 @@ class ParticipantSignaling extends StateMachine {
         writable: true,
         value: null
       },
+      _networkQualityLevel: {
+        writable: true,
+        value: null
+      },
+      _networkQualityStats: {
+        writable: true,
+        value: null
+      },
       _sid: {
         writable: true,
         value: null
@@ -56,6 +67,18 @@ class ParticipantSignaling extends StateMachine {
           return this._identity;
         }
       },
+      networkQualityLevel: {
+        enumerable: true,
+        get() {
+          return this._networkQualityLevel;
+        }
+      },
+      networkQualityStats: {
+        enumerable: true,
+        get() {
+          return this._networkQualityStats;
+        }
+      },
       sid: {
         enumerable: true,
         get() {
@@ -94,6 +117,23 @@ class ParticipantSignaling extends StateMachine {
     return false;
   }
 
+  /**
+   * Set the {@link ParticipantSignaling}'s {@link NetworkQualityLevel} and,
+   * optionally, its {@link NetworkQualityStats}.
+   * @param {NetworkQualityLevel} networkQualityLevel
+   * @param {?NetworkQualityStats} [networkQualityStats=null]
+   * @returns {this}
+   * @fires ParticipantSignaling#networkQualityLevelChanged
+   */
+  setNetworkQualityLevel(networkQualityLevel, networkQualityStats) {
+    this._networkQualityStats = networkQualityStats || null;
+    if (this._networkQualityLevel !== networkQualityLevel) {
+      this._networkQualityLevel = networkQualityLevel;
+      this.emit('networkQualityLevelChanged', networkQualityLevel, this._networkQualityStats);
+    }
+    return this;
+  }
+
   /**
    * Remove the {@link TrackSignaling}, MediaStreamTrack, or
    * {@link DataTrackSender} from the {@link ParticipantSignaling}.
@@ -126,6 +166,13 @@ class ParticipantSignaling extends StateMachine {
   }
 }
 
+/**
+ * The {@link NetworkQualityLevel} of the {@link ParticipantSignaling} changed.
+ * @event ParticipantSignaling#networkQualityLevelChanged
+ * @param {NetworkQualityLevel} networkQualityLevel
+ * @param {?NetworkQualityStats} networkQualityStats
+ */
+
 /**
  * {@link TrackSignaling} was added to the {@link ParticipantSignaling}.
  * @event ParticipantSignaling#trackAdded
@@ -5,8 +5,11 @@ const TrackSignaling = require('./track');
 /**
  * A {@link RemoteTrack} implementation
  * @extends TrackSignaling
+ * @property {?string} content - "screen" for screen shares; otherwise, null
  * @property {boolean} isSubscribed
+ * @property {boolean} isSwitchedOff
  * @property {?Error} error - non-null if subscription failed
+ * @property {Track.Priority} priority
  */
 class RemoteTrackSignaling extends TrackSignaling {
   /**
@@ -16,14 +19,24 @@ class RemoteTrackSignaling extends TrackSignaling {
    * @param {Track.ID} id
    * @param {Track.Kind} kind
    * @param {boolean} isEnabled
+   * @param {Track.Priority} [priority="standard"]
+   * @param {?string} [content=null]
    */
-  constructor(sid, name, id, kind, isEnabled) {
+  constructor(sid, name, id, kind, isEnabled, priority, content) {
     super(name, id, kind, isEnabled);
     Object.defineProperties(this, {
       _error: {
         value: null,
         writable: true
       },
+      _isSwitchedOff: {
+        value: false,
+        writable: true
+      },
+      content: {
+        enumerable: true,
+        value: content || null
+      },
       error: {
         enumerable: true,
         get() {
@@ -35,11 +48,72 @@ class RemoteTrackSignaling extends TrackSignaling {
         get() {
           return !!this._trackTransceiver;
         }
+      },
+      isSwitchedOff: {
+        enumerable: true,
+        get() {
+          return this._isSwitchedOff;
+        }
+      },
+      priority: {
+        enumerable: true,
+        value: priority || 'standard'
       }
     });
     this.setSid(sid);
   }
 
+  /**
+   * Request to subscribe (or unsubscribe) to the {@link RemoteTrackSignaling}.
+   * @param {boolean} isSubscribed
+   * @returns {Promise<void>}
+   */
+  requestSubscription() {
+    return Promise.reject(new Error('Subscription requests are not supported'));
+  }
+
+  /**
+   * Hint which simulcast layer of the {@link RemoteTrackSignaling} to receive.
+   * Hints are best-effort, so this does nothing unless overridden.
+   * @param {?RenderHint} renderHint - null removes the hint
+   * @returns {this}
+   */
+  setRenderHint() {
+    return this;
+  }
+
+  /**
+   * Set the {@link TrackTransceiver} on the {@link RemoteTrackSignaling}, or
+   * reset it to null when the {@link RemoteTrackSignaling} is unsubscribed from.
+   * @param {?TrackTransceiver} trackTransceiver
+   * @returns {this}
+   */
+  setTrackTransceiver(trackTransceiver) {
+    const isSubscribed = this.isSubscribed;
+    super.setTrackTransceiver(trackTransceiver);
+    if (isSubscribed !== this.isSubscribed) {
+      if (!this.isSubscribed) {
+        this._error = null;
+      }
+      this.emit('updated');
+    }
+    return this;
+  }
+
+  /**
+   * Switch the {@link RemoteTrackSignaling} off (or on) if it is not already
+   * switched off (or on).
+   * @param {boolean} isSwitchedOff
+   * @returns {this}
+   */
+  setSwitchedOff(isSwitchedOff) {
+    if (this._isSwitchedOff !== isSwitchedOff) {
+      this._isSwitchedOff = isSwitchedOff;
+      this.emit('updated');
+    }
+    return this;
+  }
+
   /**
    * @param {Error} error
    * @returns {this}
@@ -53,4 +127,16 @@ class RemoteTrackSignaling extends TrackSignaling {
   }
 }
 
+/**
+ * A hint as to which simulcast layer of a {@link RemoteTrackSignaling} to
+ * receive. If both are set, the <code>layer</code> takes precedence.
+ * @typedef {object} RenderHint
+ * @property {?VideoTrack.Dimensions} dimensions - the dimensions at which the
+ *   {@link RemoteTrackSignaling} is rendered
+ * @property {?string} layer - "low", "medium" or "high"
+ * @property {boolean} [switchOff=false] - whether to ask the server to switch
+ *   off the {@link RemoteTrackSignaling} (for example, because it is not
+ *   visible)
+ */
+
 module.exports = RemoteTrackSignaling;
@@ -3,6 +3,11 @@
 const DefaultRecordingSignaling = require('./recording');
 const StateMachine = require('../statemachine');
 
+const {
+  MediaConnectionError,
+  SignalingConnectionDisconnectedError
+} = require('../util/twilio-video-errors');
+
 /*
 RoomSignaling States
 -----------------------
@@ -37,6 +42,7 @@ const states = {
 /**
  * A {@link Room} implementation
  * @extends StateMachine
+ * @property {?Participant.SID} dominantSpeakerSid
  * @property {ParticipantSignaling} localParticipant
  * @property {RTCIceConnectionState} mediaConnectionState
  * @property {string} name
@@ -46,6 +52,7 @@ const states = {
  * @property {string} state - "connected", "reconnecting", or "disconnected"
  * @property {string} signalingConnectionState - "connected",
  *   "reconnecting", or "disconnected"
+ * @emits RoomSignaling#dominantSpeakerChanged
  * @emits RoomSignaling#mediaConnectionStateChanged
  * @emits RoomSignaling#signalingConnectionStateChanged
  */
@@ -66,6 +73,10 @@ class RoomSignaling extends StateMachine {
     const RecordingSignaling = options.RecordingSignaling;
 
     Object.defineProperties(this, {
+      _dominantSpeakerSid: {
+        writable: true,
+        value: null
+      },
       _mediaConnectionIsReconnecting: {
         writable: true,
         value: false
@@ -73,6 +84,12 @@ class RoomSignaling extends StateMachine {
       _options: {
         value: options
       },
+      dominantSpeakerSid: {
+        enumerable: true,
+        get() {
+          return this._dominantSpeakerSid;
+        }
+      },
       localParticipant: {
         enumerable: true,
         value: localParticipant
@@ -135,6 +152,9 @@ class RoomSignaling extends StateMachine {
       if (state === 'disconnected') {
         participant.removeListener('stateChanged', stateChanged);
         self.participants.delete(participant.sid);
+        if (self.dominantSpeakerSid === participant.sid) {
+          self.setDominantSpeaker(null);
+        }
         self.emit('participantDisconnected', participant);
       }
     });
@@ -151,6 +171,20 @@ class RoomSignaling extends StateMachine {
   disconnect() {
     return this._disconnect();
   }
+
+  /**
+   * Set the dominant speaker.
+   * @param {?Participant.SID} dominantSpeakerSid
+   * @returns {this}
+   * @fires RoomSignaling#dominantSpeakerChanged
+   */
+  setDominantSpeaker(dominantSpeakerSid) {
+    if (this._dominantSpeakerSid !== dominantSpeakerSid) {
+      this._dominantSpeakerSid = dominantSpeakerSid;
+      this.emit('dominantSpeakerChanged');
+    }
+    return this;
+  }
 }
 
 /**
@@ -165,6 +199,11 @@ class RoomSignaling extends StateMachine {
  * @param {RemoteParticipantSignaling} participantSignaling
  */
 
+/**
+ * The dominant speaker of the {@link RoomSignaling} changed.
+ * @event RoomSignaling#event:dominantSpeakerChanged
+ */
+
 /**
  * @event RoomSignaling#event:mediaConnectionStateChanged
  */
@@ -174,7 +213,9 @@ class RoomSignaling extends StateMachine {
  */
 
 /**
- * Maybe update the {@link RoomSignaling} state.
+ * Maybe update the {@link RoomSignaling} state. When transitioning to
+ * "reconnecting", the transition carries a {@link TwilioError} which tells
+ * whether the signaling or the media connection is being reconnected.
  * @param {RoomSignaling} roomSignaling
  */
 function maybeUpdateState(roomSignaling) {
@@ -183,14 +224,18 @@ function maybeUpdateState(roomSignaling) {
   }
 
   let newState;
+  let error = null;
 
   if (roomSignaling.signalingConnectionState === 'reconnecting' || roomSignaling.signalingConnectionState === 'disconnected') {
     newState = roomSignaling.signalingConnectionState;
+    error = new SignalingConnectionDisconnectedError();
   } else if (roomSignaling.mediaConnectionState === 'failed') {
     roomSignaling._mediaConnectionIsReconnecting = true;
     newState = 'reconnecting';
+    error = new MediaConnectionError();
   } else if (roomSignaling.mediaConnectionState === 'new' || roomSignaling.mediaConnectionState === 'checking') {
     newState = roomSignaling._mediaConnectionIsReconnecting ? 'reconnecting' : 'connected';
+    error = new MediaConnectionError();
   } else {
     roomSignaling._mediaConnectionIsReconnecting = false;
     newState = 'connected';
@@ -200,7 +245,7 @@ function maybeUpdateState(roomSignaling) {
     return;
   }
 
-  roomSignaling.preempt(newState);
+  roomSignaling.preempt(newState, null, newState === 'reconnecting' ? [error] : []);
 }
 
 module.exports = RoomSignaling;
@@ -37,11 +37,18 @@ class TrackSignaling extends EventEmitter {
           if (trackTransceiver === null) {
             trackTransceiver = _trackTransceiver;
             this._trackTransceiverDeferred.resolve(trackTransceiver);
+          } else if (_trackTransceiver === null) {
+            // NOTE(mroberts): Resetting the TrackTransceiver (for example, when
+            // a RemoteTrack is unsubscribed from) means that subsequent calls to
+            // getTrackTransceiver() wait for the next TrackTransceiver.
+            trackTransceiver = null;
+            this._trackTransceiverDeferred = util.defer();
           }
         }
       },
       _trackTransceiverDeferred: {
-        value: util.defer()
+        value: util.defer(),
+        writable: true
       },
       _sid: {
         get() {
@@ -118,8 +125,9 @@ class TrackSignaling extends EventEmitter {
   }
 
   /**
-   * Set the {@link TrackTransceiver} on the {@link TrackSignaling}.
-   * @param {TrackTransceiver} trackTransceiver
+   * Set the {@link TrackTransceiver} on the {@link TrackSignaling}. Setting it
+   * to null resets the {@link TrackTransceiver}.
+   * @param {?TrackTransceiver} trackTransceiver
    * @returns {this}
    */
   setTrackTransceiver(trackTransceiver) {
@@ -55,6 +55,14 @@ function createCancelableRoomSignalingPromise(token, ua, localParticipant, iceSe
           transportOptions.NullInsightsPublisher = options.NullInsightsPublisher;
         }
 
+        if (typeof options.automaticSubscription === 'boolean') {
+          transportOptions.automaticSubscription = options.automaticSubscription;
+        }
+
+        if (typeof options.signalingReconnectTimeout === 'number') {
+          transportOptions.reconnectTimeout = options.signalingReconnectTimeout;
+        }
+
         transportOptions = Object.assign({
           environment: options.environment,
           insights: options.insights,
@@ -0,0 +1,235 @@
+'use strict';
+
+const constants = require('../../util/constants');
+const DefaultAudioContextFactory = require('../../webaudio/audiocontext');
+const DefaultMediaStream = require('@twilio/webrtc').MediaStream;
+const { flatMap } = require('../../util');
+const measureLevel = require('../../webaudio/measurelevel');
+
+/**
+ * @interface DominantSpeakerDetectorOptions
+ * @property {AudioContextFactory} [audioContextFactory] - The
+ *   {@link AudioContextFactory} used to analyse remote MediaStreamTracks whose
+ *   {@link AudioLevel} is not available in {@link RemoteAudioTrackStats}
+ * @property {number} [interval=250] - How often, in milliseconds, to sample
+ *   {@link AudioLevel}s
+ * @property {MediaStream} [MediaStream] - The MediaStream constructor
+ * @property {number} [switchDelay=1000] - How long, in milliseconds, a
+ *   {@link RemoteParticipantV2} must be the loudest speaker before it becomes
+ *   the dominant speaker
+ * @property {AudioLevel} [threshold=1000] - The minimum {@link AudioLevel} at
+ *   which a {@link RemoteParticipantV2} is considered to be speaking
+ */
+
+/**
+ * A {@link DominantSpeakerDetector} periodically samples the
+ * {@link AudioLevel}s of the {@link RemoteParticipantV2}s of a {@link RoomV2},
+ * sharing the {@link RoomV2}'s polls for {@link StatsReport}s, and updates the
+ * {@link RoomV2}'s dominant speaker.
+ * <br><br>
+ * {@link AudioLevel}s are taken from {@link RemoteAudioTrackStats} when
+ * available; otherwise, they are measured with an AnalyserNode. In order not to
+ * flicker between {@link RemoteParticipantV2}s, a {@link RemoteParticipantV2}
+ * must remain the loudest speaker for the configured switch delay before it
+ * becomes the dominant speaker; and the dominant speaker remains so, even when
+ * silent, until somebody else speaks up.
+ */
+class DominantSpeakerDetector {
+  /**
+   * Construct a {@link DominantSpeakerDetector}.
+   * @param {RoomV2} roomV2
+   * @param {PeerConnectionManager} peerConnectionManager
+   * @param {DominantSpeakerDetectorOptions} [options]
+   */
+  constructor(roomV2, peerConnectionManager, options) {
+    options = Object.assign({
+      audioContextFactory: DefaultAudioContextFactory,
+      interval: constants.DOMINANT_SPEAKER_INTERVAL_MS,
+      MediaStream: DefaultMediaStream,
+      switchDelay: constants.DOMINANT_SPEAKER_SWITCH_DELAY_MS,
+      threshold: constants.DOMINANT_SPEAKER_AUDIO_LEVEL_THRESHOLD
+    }, options);
+
+    Object.defineProperties(this, {
+      _analysers: {
+        value: new Map()
+      },
+      _audioContextFactory: {
+        value: options.audioContextFactory
+      },
+      _candidateSid: {
+        value: null,
+        writable: true
+      },
+      _candidateSince: {
+        value: null,
+        writable: true
+      },
+      _intervalMs: {
+        value: options.interval
+      },
+      _MediaStream: {
+        value: options.MediaStream
+      },
+      _peerConnectionManager: {
+        value: peerConnectionManager
+      },
+      _roomV2: {
+        value: roomV2
+      },
+      _stopPollingStats: {
+        value: null,
+        writable: true
+      },
+      _switchDelay: {
+        value: options.switchDelay
+      },
+      _threshold: {
+        value: options.threshold
+      }
+    });
+  }
+
+  /**
+   * Start sampling {@link AudioLevel}s.
+   * @returns {void}
+   */
+  start() {
+    if (this._stopPollingStats !== null) {
+      return;
+    }
+    this._stopPollingStats = this._roomV2._pollStats(this._intervalMs, reports => {
+      this.update(reports, Date.now());
+    });
+  }
+
+  /**
+   * Stop sampling {@link AudioLevel}s, and release any AnalyserNodes.
+   * @returns {void}
+   */
+  stop() {
+    if (this._stopPollingStats === null) {
+      return;
+    }
+    this._stopPollingStats();
+    this._stopPollingStats = null;
+    this._analysers.forEach(analyser => analyser.source.disconnect());
+    this._analysers.clear();
+    this._audioContextFactory.release(this);
+  }
+
+  /**
+   * Get the {@link AudioLevel} of a remote MediaStreamTrack from its
+   * {@link RemoteAudioTrackStats}, or measure it if it is not available.
+   * @private
+   * @param {RemoteAudioTrackStats} trackStats
+   * @returns {?AudioLevel}
+   */
+  _getAudioLevel(trackStats) {
+    if (typeof trackStats.audioLevel === 'number') {
+      return trackStats.audioLevel;
+    }
+    const analyser = this._getOrCreateAnalyser(trackStats.trackId);
+    if (!analyser) {
+      return null;
+    }
+    const samples = new Uint8Array(analyser.node.fftSize);
+    analyser.node.getByteTimeDomainData(samples);
+    // NOTE(mroberts): Convert the level from dBFS to the scale of the
+    // AudioLevels in RemoteAudioTrackStats.
+    return Math.round(Math.pow(10, measureLevel(samples) / 20) * 32767);
+  }
+
+  /**
+   * Get or create an AnalyserNode for a remote MediaStreamTrack.
+   * @private
+   * @param {Track.ID} trackId
+   * @returns {?{node: AnalyserNode, source: MediaStreamAudioSourceNode}}
+   */
+  _getOrCreateAnalyser(trackId) {
+    if (this._analysers.has(trackId)) {
+      return this._analysers.get(trackId);
+    }
+
+    const trackReceiver = this._peerConnectionManager.getTrackReceivers().find(trackReceiver => {
+      return trackReceiver.id === trackId && trackReceiver.kind === 'audio';
+    });
+    const audioContext = trackReceiver
+      ? this._audioContextFactory.getOrCreate(this)
+      : null;
+    if (!audioContext) {
+      return null;
+    }
+
+    const source = audioContext.createMediaStreamSource(new this._MediaStream([trackReceiver.track]));
+    const node = audioContext.createAnalyser();
+    source.connect(node);
+
+    const analyser = { node, source };
+    this._analysers.set(trackId, analyser);
+    return analyser;
+  }
+
+  /**
+   * Update the {@link RoomV2}'s dominant speaker from new
+   * {@link StatsReport}s.
+   * @param {Array<StatsReport>} reports
+   * @param {number} now - The current time, in milliseconds
+   * @returns {void}
+   */
+  update(reports, now) {
+    const roomV2 = this._roomV2;
+    const remoteAudioTrackStats = flatMap(reports, report => report.remoteAudioTrackStats);
+    const trackIds = new Set(remoteAudioTrackStats.map(trackStats => trackStats.trackId));
+
+    // NOTE(mroberts): Release the AnalyserNodes of MediaStreamTracks we no
+    // longer receive.
+    this._analysers.forEach((analyser, trackId) => {
+      if (!trackIds.has(trackId)) {
+        analyser.source.disconnect();
+        this._analysers.delete(trackId);
+      }
+    });
+
+    let loudestSid = null;
+    let loudestAudioLevel = this._threshold;
+    roomV2.participants.forEach(participant => {
+      remoteAudioTrackStats.forEach(trackStats => {
+        if (!participant.tracks.has(trackStats.trackId)) {
+          return;
+        }
+        const audioLevel = this._getAudioLevel(trackStats);
+        if (audioLevel !== null && audioLevel >= loudestAudioLevel) {
+          loudestSid = participant.sid;
+          loudestAudioLevel = audioLevel;
+        }
+      });
+    });
+
+    // NOTE(mroberts): Don't keep the shared AudioContext alive once we have no
+    // AnalyserNodes left.
+    if (this._analysers.size === 0) {
+      this._audioContextFactory.release(this);
+    }
+
+    if (loudestSid === null || loudestSid === roomV2.dominantSpeakerSid) {
+      this._candidateSid = null;
+      this._candidateSince = null;
+      return;
+    }
+
+    if (loudestSid !== this._candidateSid) {
+      this._candidateSid = loudestSid;
+      this._candidateSince = now;
+      return;
+    }
+
+    if (now - this._candidateSince >= this._switchDelay) {
+      this._candidateSid = null;
+      this._candidateSince = null;
+      roomV2.setDominantSpeaker(loudestSid);
+    }
+  }
+}
+
+module.exports = DominantSpeakerDetector;
@@ -84,10 +84,12 @@ class LocalParticipantV2 extends ParticipantSignaling {
    * or {@link MediaTrackSender} to the {@link LocalParticipantV2}.
    * @param {DataTrackSender|MediaTrackSender} trackSender
    * @param {string} name
+   * @param {Track.Priority} [priority="standard"]
+   * @param {?string} [content=null]
    * @returns {this}
    */
-  addTrack(trackSender, name) {
-    const publication = new this._LocalTrackPublicationV2(trackSender, name);
+  addTrack(trackSender, name, priority, content) {
+    const publication = new this._LocalTrackPublicationV2(trackSender, name, priority, content);
     super.addTrack.call(this, publication);
 
     let { sid } = publication;
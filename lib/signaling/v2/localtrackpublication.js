@@ -11,9 +11,11 @@ class LocalTrackPublicationV2 extends LocalTrackPublicationSignaling {
    * Construct a {@link LocalTrackPublicationV2}.
    * @param {DataTrackSender|MediaTrackSender} trackSender
    * @param {string} name
+   * @param {Track.Priority} [priority="standard"]
+   * @param {?string} [content=null]
    */
-  constructor(trackSender, name) {
-    super(trackSender, name);
+  constructor(trackSender, name, priority, content) {
+    super(trackSender, name, priority, content);
   }
 
   /**
@@ -22,10 +24,12 @@ class LocalTrackPublicationV2 extends LocalTrackPublicationSignaling {
    */
   getState() {
     return {
+      content: this.content,
       enabled: this.isEnabled,
       id: this.id,
       kind: this.kind,
-      name: this.name
+      name: this.name,
+      priority: this.priority
     };
   }
 
@@ -56,10 +60,12 @@ class LocalTrackPublicationV2 extends LocalTrackPublicationSignaling {
 /**
  * The Room Signaling Protocol (RSP) representation of a {@link LocalTrackPublicationV2}.
  * @typedef {object} LocalTrackPublicationV2#Representation
+ * @property {?string} content
  * @property {boolean} enabled
  * @property {Track.ID} id
  * @property {Track.Kind} kind
  * @property {string} name
+ * @property {Track.Priority} priority
  * @property {Track.SID} sid
  */
 
@@ -0,0 +1,319 @@
+'use strict';
+
+const constants = require('../../util/constants');
+const NetworkQualityMediaStats = require('../../stats/networkqualitymediastats');
+const NetworkQualityStats = require('../../stats/networkqualitystats');
+
+// NOTE(mroberts): Each of these lists contains the upper bounds of a metric for
+// NetworkQualityLevels 5, 4, 3, 2 and 1, respectively. Anything worse yields a
+// NetworkQualityLevel of 0.
+const FRACTION_LOST_THRESHOLDS = [0.01, 0.02, 0.05, 0.1, 0.2];
+const JITTER_THRESHOLDS = [30, 50, 80, 120, 200];
+const ROUND_TRIP_TIME_THRESHOLDS = [150, 250, 400, 600, 1000];
+
+// NOTE(mroberts): This list contains the lower bounds of video bandwidth (bps)
+// for NetworkQualityLevels 5, 4, 3, 2 and 1, respectively.
+const VIDEO_BANDWIDTH_THRESHOLDS = [300000, 150000, 80000, 40000, 20000];
+
+/**
+ * The verbosity of network quality information for a {@link Participant}. Pass
+ * the numeric value (0, 1 or 2) in a {@link NetworkQualityConfiguration}.
+ * @enum {number}
+ */
+const NetworkQualityVerbosity = {
+  /**
+   * Do not compute network quality information.
+   */
+  none: 0,
+  /**
+   * Compute the {@link NetworkQualityLevel} only.
+   */
+  minimal: 1,
+  /**
+   * Compute the {@link NetworkQualityLevel} and {@link NetworkQualityStats}.
+   */
+  moderate: 2
+};
+
+/**
+ * A {@link NetworkQualityMonitor} periodically computes the
+ * {@link NetworkQualityLevel}s of the {@link LocalParticipantV2} and the
+ * {@link RemoteParticipantV2}s of a {@link RoomV2} from the
+ * {@link StatsReport}s polled by the {@link RoomV2}, sharing the polls of the
+ * {@link RoomV2}'s other consumers of {@link StatsReport}s.
+ * <br><br>
+ * The {@link LocalParticipantV2}'s {@link NetworkQualityLevel} is computed from
+ * the media it sends and receives, whereas a {@link RemoteParticipantV2}'s
+ * {@link NetworkQualityLevel} is computed from the media received from it.
+ */
+class NetworkQualityMonitor {
+  /**
+   * Construct a {@link NetworkQualityMonitor}.
+   * @param {RoomV2} roomV2
+   * @param {NetworkQualityConfiguration} [configuration]
+   */
+  constructor(roomV2, configuration) {
+    configuration = Object.assign({
+      interval: constants.NETWORK_QUALITY_INTERVAL_MS,
+      local: NetworkQualityVerbosity.minimal,
+      remote: NetworkQualityVerbosity.minimal
+    }, configuration);
+
+    Object.defineProperties(this, {
+      _configuration: {
+        value: configuration
+      },
+      _lastTrackStats: {
+        value: new Map(),
+        writable: true
+      },
+      _roomV2: {
+        value: roomV2
+      },
+      _stopPollingStats: {
+        value: null,
+        writable: true
+      }
+    });
+  }
+
+  /**
+   * Start polling {@link StatsReport}s.
+   * @returns {void}
+   */
+  start() {
+    if (this._stopPollingStats !== null) {
+      return;
+    }
+    this._stopPollingStats = this._roomV2._pollStats(this._configuration.interval, reports => {
+      this.update(reports);
+    });
+  }
+
+  /**
+   * Stop polling {@link StatsReport}s.
+   * @returns {void}
+   */
+  stop() {
+    if (this._stopPollingStats === null) {
+      return;
+    }
+    this._stopPollingStats();
+    this._stopPollingStats = null;
+  }
+
+  /**
+   * Update the {@link NetworkQualityLevel}s of the {@link RoomV2}'s
+   * {@link ParticipantSignaling}s from new {@link StatsReport}s.
+   * @param {Array<StatsReport>} reports
+   * @returns {void}
+   */
+  update(reports) {
+    const lastTrackStats = this._lastTrackStats;
+    const nextTrackStats = new Map();
+    const localSamples = [];
+    const remoteSamples = [];
+
+    reports.forEach(report => {
+      [
+        ['audio', true, report.localAudioTrackStats],
+        ['video', true, report.localVideoTrackStats],
+        ['audio', false, report.remoteAudioTrackStats],
+        ['video', false, report.remoteVideoTrackStats]
+      ].forEach(([kind, isLocal, trackStatsList]) => {
+        trackStatsList.forEach(trackStats => {
+          const key = [report.peerConnectionId, isLocal ? 'local' : 'remote', trackStats.trackId].join(' ');
+          nextTrackStats.set(key, trackStats);
+          const sample = createSample(kind, isLocal, trackStats, lastTrackStats.get(key));
+          if (sample) {
+            (isLocal ? localSamples : remoteSamples).push(sample);
+          }
+        });
+      });
+    });
+
+    this._lastTrackStats = nextTrackStats;
+
+    const { local, remote } = this._configuration;
+    const roomV2 = this._roomV2;
+
+    if (local > NetworkQualityVerbosity.none) {
+      // NOTE(mroberts): The LocalParticipant's network also carries the media
+      // it receives, so we consider both directions here.
+      updateNetworkQualityLevel(roomV2.localParticipant, localSamples.concat(remoteSamples), local);
+    }
+
+    if (remote > NetworkQualityVerbosity.none) {
+      roomV2.participants.forEach(participant => {
+        const samples = remoteSamples.filter(sample => participant.tracks.has(sample.trackId));
+        updateNetworkQualityLevel(participant, samples, remote);
+      });
+    }
+  }
+}
+
+/**
+ * Create a sample of network metrics for a {@link TrackStats} since the last
+ * {@link TrackStats} for the same MediaStreamTrack.
+ * @private
+ * @param {string} kind - "audio" or "video"
+ * @param {boolean} isLocal
+ * @param {TrackStats} trackStats
+ * @param {?TrackStats} lastTrackStats
+ * @returns {?object}
+ */
+function createSample(kind, isLocal, trackStats, lastTrackStats) {
+  if (!lastTrackStats) {
+    return null;
+  }
+
+  const packets = isLocal
+    ? delta(trackStats.packetsSent, lastTrackStats.packetsSent)
+    : delta(trackStats.packetsReceived, lastTrackStats.packetsReceived);
+  const packetsLost = delta(trackStats.packetsLost, lastTrackStats.packetsLost);
+  const bytes = isLocal
+    ? delta(trackStats.bytesSent, lastTrackStats.bytesSent)
+    : delta(trackStats.bytesReceived, lastTrackStats.bytesReceived);
+  const seconds = (trackStats.timestamp - lastTrackStats.timestamp) / 1000;
+
+  return {
+    bandwidth: bytes !== null && seconds > 0 ? bytes * 8 / seconds : null,
+    jitter: typeof trackStats.jitter === 'number' ? trackStats.jitter : null,
+    kind,
+    packets,
+    packetsLost,
+    roundTripTime: typeof trackStats.roundTripTime === 'number' ? trackStats.roundTripTime : null,
+    trackId: trackStats.trackId
+  };
+}
+
+/**
+ * Compute the difference between two (possibly missing) counters.
+ * @private
+ * @param {?number} value
+ * @param {?number} lastValue
+ * @returns {?number}
+ */
+function delta(value, lastValue) {
+  return typeof value === 'number' && typeof lastValue === 'number'
+    ? Math.max(value - lastValue, 0)
+    : null;
+}
+
+/**
+ * Compute the {@link NetworkQualityLevel} for a metric, where lower values are
+ * better.
+ * @private
+ * @param {?number} value
+ * @param {Array<number>} thresholds
+ * @returns {?NetworkQualityLevel}
+ */
+function levelBelow(value, thresholds) {
+  if (value === null) {
+    return null;
+  }
+  const index = thresholds.findIndex(threshold => value < threshold);
+  return index === -1 ? 0 : 5 - index;
+}
+
+/**
+ * Compute the {@link NetworkQualityLevel} for a metric, where higher values are
+ * better.
+ * @private
+ * @param {?number} value
+ * @param {Array<number>} thresholds
+ * @returns {?NetworkQualityLevel}
+ */
+function levelAbove(value, thresholds) {
+  if (value === null) {
+    return null;
+  }
+  const index = thresholds.findIndex(threshold => value >= threshold);
+  return index === -1 ? 0 : 5 - index;
+}
+
+/**
+ * Sum the non-null values in a list, or return null if there are none.
+ * @private
+ * @param {Array<?number>} values
+ * @returns {?number}
+ */
+function sum(values) {
+  values = values.filter(value => value !== null);
+  return values.length ? values.reduce((total, value) => total + value, 0) : null;
+}
+
+/**
+ * Find the maximum of the non-null values in a list, or return null if there
+ * are none.
+ * @private
+ * @param {Array<?number>} values
+ * @returns {?number}
+ */
+function max(values) {
+  values = values.filter(value => value !== null);
+  return values.length ? Math.max(...values) : null;
+}
+
+/**
+ * Compute the {@link NetworkQualityMediaStats} for samples of one kind.
+ * @private
+ * @param {string} kind - "audio" or "video"
+ * @param {Array<object>} samples
+ * @returns {?NetworkQualityMediaStats}
+ */
+function computeMediaStats(kind, samples) {
+  samples = samples.filter(sample => sample.kind === kind);
+  if (!samples.length) {
+    return null;
+  }
+
+  const packets = sum(samples.map(sample => sample.packets));
+  const packetsLost = sum(samples.map(sample => sample.packetsLost));
+  const aggregate = {
+    bandwidth: sum(samples.map(sample => sample.bandwidth)),
+    fractionLost: packets !== null && packetsLost !== null && packets + packetsLost > 0
+      ? packetsLost / (packets + packetsLost)
+      : null,
+    jitter: max(samples.map(sample => sample.jitter)),
+    roundTripTime: max(samples.map(sample => sample.roundTripTime))
+  };
+
+  // NOTE(mroberts): If no packets flowed at all since the last sample, then
+  // the network is (at least for now) unusable.
+  const levels = packets === 0 ? [0] : [
+    levelBelow(aggregate.fractionLost, FRACTION_LOST_THRESHOLDS),
+    levelBelow(aggregate.jitter, JITTER_THRESHOLDS),
+    levelBelow(aggregate.roundTripTime, ROUND_TRIP_TIME_THRESHOLDS),
+    kind === 'video' ? levelAbove(aggregate.bandwidth, VIDEO_BANDWIDTH_THRESHOLDS) : null
+  ].filter(level => level !== null);
+
+  return new NetworkQualityMediaStats(levels.length ? Math.min(...levels) : 5, aggregate);
+}
+
+/**
+ * Update a {@link ParticipantSignaling}'s {@link NetworkQualityLevel} from
+ * samples of the media it sends and/or receives.
+ * @private
+ * @param {ParticipantSignaling} participant
+ * @param {Array<object>} samples
+ * @param {NetworkQualityVerbosity} verbosity
+ * @returns {void}
+ */
+function updateNetworkQualityLevel(participant, samples, verbosity) {
+  const audio = computeMediaStats('audio', samples);
+  const video = computeMediaStats('video', samples);
+  const levels = [audio, video].filter(stats => stats).map(stats => stats.level);
+  if (!levels.length) {
+    return;
+  }
+  const level = Math.min(...levels);
+  const stats = verbosity >= NetworkQualityVerbosity.moderate
+    ? new NetworkQualityStats(level, audio, video)
+    : null;
+  participant.setNetworkQualityLevel(level, stats);
+}
+
+NetworkQualityMonitor.NetworkQualityVerbosity = NetworkQualityVerbosity;
+
+module.exports = NetworkQualityMonitor;
@@ -9,6 +9,8 @@ const getStatistics = WebRTC.getStats;
 const getMediaSections = require('../../util/sdp').getMediaSections;
 const guessBrowser = require('../../util').guessBrowser;
 const oncePerTick = require('../../util').oncePerTick;
+const createMidToTrackIds = require('../../util/sdp').createMidToTrackIds;
+const replaceTrackIds = require('../../util/sdp').replaceTrackIds;
 const setBitrateParameters = require('../../util/sdp').setBitrateParameters;
 const setCodecPreferences = require('../../util/sdp').setCodecPreferences;
 const setSimulcast = require('../../util/sdp').setSimulcast;
@@ -19,7 +21,7 @@ const DataTrackReceiver = require('../../data/receiver');
 const MediaTrackReceiver = require('../../media/track/receiver');
 const StateMachine = require('../../statemachine');
 const StatsReport = require('../../stats/statsreport');
-const { buildLogLevels } = require('../../util');
+const { buildLogLevels, normalizeSimulcastLayers } = require('../../util');
 const { DEFAULT_LOG_LEVEL } = require('../../util/constants');
 const Log = require('../../util/log');
 const IdentityTrackMatcher = require('../../util/sdp/trackmatcher/identity');
@@ -99,6 +101,8 @@ class PeerConnectionV2 extends StateMachine {
     const logLevels = buildLogLevels(options.logLevel);
     const RTCPeerConnection = options.RTCPeerConnection;
     const peerConnection = new RTCPeerConnection(configuration);
+    const vp8CodecSettings = preferredCodecs.video.find(codecSettings =>
+      codecSettings.codec.toLowerCase() === 'vp8' && codecSettings.simulcast);
 
     Object.defineProperties(this, {
       _dataChannels: {
@@ -141,6 +145,9 @@ class PeerConnectionV2 extends StateMachine {
       _localMediaStream: {
         value: new options.MediaStream()
       },
+      _localMediaStreamTracks: {
+        value: new Map()
+      },
       _localUfrag: {
         writable: true,
         value: null
@@ -150,6 +157,19 @@ class PeerConnectionV2 extends StateMachine {
           ? options.log.createLog('signaling', this)
           : new Log('webrtc', this, logLevels),
       },
+      _offerOncePerTick: {
+        value: oncePerTick(() => this.offer().catch(error => {
+          // NOTE(mroberts): Nobody is waiting on these offers, so we log the
+          // failure here instead of leaving an unhandled rejection.
+          this._log.warn(`Failed to renegotiate: ${error.message}`);
+        }))
+      },
+      _onReplaceTrackFailed: {
+        value: this._handleReplaceTrackFailed.bind(this)
+      },
+      _onSimulcastLayersChanged: {
+        value: this._handleSimulcastLayersChanged.bind(this)
+      },
       _rtpSenders: {
         value: new Map()
       },
@@ -218,13 +238,20 @@ class PeerConnectionV2 extends StateMachine {
         writable: true,
         value: null
       },
+      _vp8SimulcastLayers: {
+        value: vp8CodecSettings
+          ? normalizeSimulcastLayers(typeof vp8CodecSettings.simulcast === 'object'
+            ? vp8CodecSettings.simulcast
+            : null, 'simulcast')
+          : null
+      },
       id: {
         enumerable: true,
         value: id
       }
     });
 
-    encodingParameters.on('changed', oncePerTick(this.offer.bind(this)));
+    encodingParameters.on('changed', this._offerOncePerTick);
     peerConnection.addEventListener('datachannel', this._handleDataChannelEvent.bind(this));
     peerConnection.addEventListener('icecandidate', this._handleIceCandidateEvent.bind(this));
     peerConnection.addEventListener('iceconnectionstatechange', this._handleIceConnectionStateChange.bind(this));
@@ -425,6 +452,61 @@ class PeerConnectionV2 extends StateMachine {
   _handleSignalingStateChange() {
     if (this._peerConnection.signalingState === 'closed' && this.state !== 'closed') {
       this.preempt('closed');
+    } else if (this._peerConnection.signalingState === 'stable') {
+      this._rtpSenders.forEach((sender, mediaTrackSender) => mediaTrackSender.updateSenders());
+    }
+  }
+
+  /**
+   * Handle an RTCRtpSender that failed to replace its MediaStreamTrack, by
+   * sending the MediaTrackSender's outgoing MediaStreamTrack with a new
+   * RTCRtpSender and renegotiating. The new MediaStreamTrack's ID is
+   * replaced with the MediaTrackSender's in the SDP we signal, so that the
+   * {@link LocalTrackPublication} is unchanged.
+   * @private
+   * @param {RTCRtpSender} sender
+   * @returns {void}
+   */
+  _handleReplaceTrackFailed(sender) {
+    const mediaTrackSender = Array.from(this._rtpSenders.keys()).find(mediaTrackSender => {
+      return this._rtpSenders.get(mediaTrackSender) === sender;
+    });
+    if (!mediaTrackSender || this._peerConnection.signalingState === 'closed') {
+      return;
+    }
+    this._log.info('Unable to replace the MediaStreamTrack of an RTCRtpSender; renegotiating instead');
+    this._peerConnection.removeTrack(sender);
+    this._localMediaStream.removeTrack(this._localMediaStreamTracks.get(mediaTrackSender));
+    mediaTrackSender.removeSender(sender);
+
+    const mediaStreamTrack = mediaTrackSender.outgoingTrack;
+    this._localMediaStream.addTrack(mediaStreamTrack);
+    this._localMediaStreamTracks.set(mediaTrackSender, mediaStreamTrack);
+    const newSender = this._peerConnection.addTrack(mediaStreamTrack, this._localMediaStream);
+    this._rtpSenders.set(mediaTrackSender, newSender);
+    mediaTrackSender.addSender(newSender);
+    this._offerOncePerTick();
+  }
+
+  /**
+   * Handle a change to the number of simulcast layers of a
+   * {@link MediaTrackSender}. The simulcast SSRCs of any MediaStreamTrack whose
+   * number of simulcast layers no longer matches are regenerated in the next
+   * offer.
+   * @private
+   * @returns {void}
+   */
+  _handleSimulcastLayersChanged() {
+    let shouldOffer = false;
+    this._getTrackIdsToSimulcastLayers().forEach((layers, trackId) => {
+      const trackAttributes = this._trackIdsToAttributes.get(trackId);
+      if (trackAttributes && trackAttributes.primarySSRCs.size !== layers) {
+        this._trackIdsToAttributes.delete(trackId);
+        shouldOffer = true;
+      }
+    });
+    if (shouldOffer) {
+      this._offerOncePerTick();
     }
   }
 
@@ -535,6 +617,71 @@ class PeerConnectionV2 extends StateMachine {
     });
   }
 
+  /**
+   * Get the max bitrates of the m= sections carrying MediaTrackSenders whose
+   * RTCRtpSenders' parameters cannot be set.
+   * @private
+   * @returns {Map<string, number>}
+   */
+  _getMidsToMaxBitrates() {
+    const midsToMaxBitrates = new Map();
+    const trackIdsToMaxBitrates = new Map();
+    this._rtpSenders.forEach((sender, mediaTrackSender) => {
+      const maxBitrate = mediaTrackSender.encodingParameters.maxBitrate;
+      if (maxBitrate && !canSetParameters(sender)) {
+        trackIdsToMaxBitrates.set(mediaTrackSender.id, maxBitrate);
+      }
+    });
+    if (trackIdsToMaxBitrates.size === 0 || !this._localDescription || !this._localDescription.sdp) {
+      return midsToMaxBitrates;
+    }
+    createMidToTrackIds(this._localDescription.sdp).forEach((trackIds, mid) => {
+      const maxBitrates = Array.from(trackIds)
+        .filter(trackId => trackIdsToMaxBitrates.has(trackId))
+        .map(trackId => trackIdsToMaxBitrates.get(trackId));
+      if (maxBitrates.length > 0) {
+        midsToMaxBitrates.set(mid, Math.min(...maxBitrates));
+      }
+    });
+    return midsToMaxBitrates;
+  }
+
+  /**
+   * Get the number of simulcast layers of each video MediaStreamTrack ID.
+   * @private
+   * @returns {Map<Track.ID, number>}
+   */
+  _getTrackIdsToSimulcastLayers() {
+    const trackIdsToLayers = new Map();
+    this._rtpSenders.forEach((sender, mediaTrackSender) => {
+      const simulcastLayers = mediaTrackSender.simulcastLayers || this._vp8SimulcastLayers;
+      if (mediaTrackSender.kind === 'video' && simulcastLayers) {
+        trackIdsToLayers.set(this._localMediaStreamTracks.get(mediaTrackSender).id, simulcastLayers.layers);
+      }
+    });
+    return trackIdsToLayers;
+  }
+
+  /**
+   * Get the IDs of the MediaStreamTracks we added or send that differ from the
+   * IDs of their MediaTrackSenders (for example, because a
+   * {@link LocalMediaTrack} restarted or has processors), mapped to the
+   * MediaTrackSenders' IDs, which is what we signal.
+   * @private
+   * @returns {Map<string, Track.ID>}
+   */
+  _getTrackIdsToSignaledTrackIds() {
+    const trackIds = new Map();
+    this._rtpSenders.forEach((sender, mediaTrackSender) => {
+      [this._localMediaStreamTracks.get(mediaTrackSender), sender.track].forEach(mediaStreamTrack => {
+        if (mediaStreamTrack && mediaStreamTrack.id !== mediaTrackSender.id) {
+          trackIds.set(mediaStreamTrack.id, mediaTrackSender.id);
+        }
+      });
+    });
+    return trackIds;
+  }
+
   /**
    * Set a local description on the {@link PeerConnectionV2}.
    * @private
@@ -543,7 +690,7 @@ class PeerConnectionV2 extends StateMachine {
    */
   _setLocalDescription(description) {
     const revision = description.revision;
-    const vp8SimulcastRequested = this._preferredVideoCodecs.some(codecSettings => codecSettings.codec.toLowerCase() === 'vp8' && codecSettings.simulcast);
+    const vp8SimulcastRequested = !!this._vp8SimulcastLayers;
 
     return Promise.resolve().then(() => {
       if (description.sdp) {
@@ -553,7 +700,7 @@ class PeerConnectionV2 extends StateMachine {
         description = {
           type: description.type,
           sdp: isChrome && vp8SimulcastRequested
-            ? this._setSimulcast(description.sdp, this._trackIdsToAttributes)
+            ? this._setSimulcast(description.sdp, this._trackIdsToAttributes, this._getTrackIdsToSimulcastLayers())
             : description.sdp
         };
       }
@@ -570,7 +717,10 @@ class PeerConnectionV2 extends StateMachine {
       throw new MediaClientLocalDescFailedError();
     }).then(() => {
       if (description.type !== 'rollback') {
-        this._localDescription = description;
+        const trackIds = this._getTrackIdsToSignaledTrackIds();
+        this._localDescription = description.sdp && trackIds.size > 0
+          ? new this._RTCSessionDescription({ type: description.type, sdp: replaceTrackIds(description.sdp, trackIds) })
+          : description;
         this._localCandidates = [];
         if (description.type === 'offer') {
           this._descriptionRevision++;
@@ -593,7 +743,8 @@ class PeerConnectionV2 extends StateMachine {
         description.sdp,
         isFirefox ? 'TIAS' : 'AS',
         this._encodingParameters.maxAudioBitrate,
-        this._encodingParameters.maxVideoBitrate);
+        this._encodingParameters.maxVideoBitrate,
+        this._getMidsToMaxBitrates());
       description.sdp = this._setCodecPreferences(
         description.sdp,
         this._preferredAudioCodecs,
@@ -729,10 +880,22 @@ class PeerConnectionV2 extends StateMachine {
     if (this._peerConnection.signalingState === 'closed' || this._rtpSenders.has(mediaTrackSender)) {
       return;
     }
+    if (this._vp8SimulcastLayers && mediaTrackSender.kind === 'video' && !mediaTrackSender.simulcastLayers) {
+      mediaTrackSender.setSimulcastLayers(this._vp8SimulcastLayers);
+    }
     this._localMediaStream.addTrack(mediaTrackSender.track);
+    this._localMediaStreamTracks.set(mediaTrackSender, mediaTrackSender.track);
     const sender = this._peerConnection.addTrack(mediaTrackSender.track, this._localMediaStream);
     mediaTrackSender.addSender(sender);
     this._rtpSenders.set(mediaTrackSender, sender);
+    mediaTrackSender.on('replaceTrackFailed', this._onReplaceTrackFailed);
+    if (!canSetParameters(sender)) {
+      // NOTE(mroberts): If we cannot set the RTCRtpSender's parameters, then we
+      // fall back to setting the MediaTrackSender's maxBitrate in the SDP, which
+      // means renegotiating whenever it changes.
+      mediaTrackSender.on('encodingParametersChanged', this._offerOncePerTick);
+    }
+    mediaTrackSender.on('simulcastLayersChanged', this._onSimulcastLayersChanged);
   }
 
   /**
@@ -823,8 +986,12 @@ class PeerConnectionV2 extends StateMachine {
     }
     const sender = this._rtpSenders.get(mediaTrackSender);
     this._peerConnection.removeTrack(sender);
-    this._localMediaStream.removeTrack(mediaTrackSender.track);
+    this._localMediaStream.removeTrack(this._localMediaStreamTracks.get(mediaTrackSender));
     mediaTrackSender.removeSender(sender);
+    mediaTrackSender.removeListener('encodingParametersChanged', this._offerOncePerTick);
+    mediaTrackSender.removeListener('replaceTrackFailed', this._onReplaceTrackFailed);
+    mediaTrackSender.removeListener('simulcastLayersChanged', this._onSimulcastLayersChanged);
+    this._localMediaStreamTracks.delete(mediaTrackSender);
     this._rtpSenders.delete(mediaTrackSender);
   }
 
@@ -876,7 +1043,15 @@ class PeerConnectionV2 extends StateMachine {
    * @returns {Promise<StatsReport>}
    */
   getStats() {
-    return getStatistics(this._peerConnection).then(statsResponse => new StatsReport(this.id, statsResponse));
+    return getStatistics(this._peerConnection).then(statsResponse => {
+      const trackIds = this._getTrackIdsToSignaledTrackIds();
+      ['localAudioTrackStats', 'localVideoTrackStats'].forEach(key => {
+        statsResponse[key] = statsResponse[key].map(report => trackIds.has(report.trackId)
+          ? Object.assign({}, report, { trackId: trackIds.get(report.trackId) })
+          : report);
+      });
+      return new StatsReport(this.id, statsResponse);
+    });
   }
 }
 
@@ -899,6 +1074,17 @@ class PeerConnectionV2 extends StateMachine {
  * @param {DataTrackReceiver|MediaTrackReceiver} trackReceiver
  */
 
+/**
+ * Whether the given RTCRtpSender's parameters can be set.
+ * @private
+ * @param {RTCRtpSender} sender
+ * @returns {boolean}
+ */
+function canSetParameters(sender) {
+  return typeof sender.getParameters === 'function'
+    && typeof sender.setParameters === 'function';
+}
+
 function getUfrag(description) {
   if (description.sdp) {
     const match = description.sdp.match(/^a=ice-ufrag:([a-zA-Z0-9+/]+)/m);
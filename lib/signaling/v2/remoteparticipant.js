@@ -12,13 +12,19 @@ class RemoteParticipantV2 extends RemoteParticipantSignaling {
    * Construct a {@link RemoteParticipantV2}.
    * @param {object} participantState
    * @param {function(string): Promise<DataTrackReceiver|MediaTrackReceiver>} getTrackReceiver
-   * @param {object} [options]
+   * @param {object} [options] - may include a
+   *   <code>requestSubscription</code> function for requesting to subscribe
+   *   (or unsubscribe) to a {@link RemoteTrackV2} by its {@link Track.SID},
+   *   and a <code>setRenderHint</code> function for setting its
+   *   {@link RenderHint}
    */
   constructor(participantState, getTrackReceiver, options) {
     super(participantState.sid, participantState.identity);
 
     options = Object.assign({
-      RemoteTrackV2
+      RemoteTrackV2,
+      requestSubscription: null,
+      setRenderHint: null
     }, options);
 
     Object.defineProperties(this, {
@@ -32,6 +38,12 @@ class RemoteParticipantV2 extends RemoteParticipantSignaling {
       _getTrackReceiver: {
         value: getTrackReceiver
       },
+      _requestSubscription: {
+        value: options.requestSubscription
+      },
+      _setRenderHint: {
+        value: options.setRenderHint
+      },
       revision: {
         enumerable: true,
         get() {
@@ -50,7 +62,10 @@ class RemoteParticipantV2 extends RemoteParticipantSignaling {
     const RemoteTrackV2 = this._RemoteTrackV2;
     let track = this.tracks.get(trackState.id);
     if (!track) {
-      track = new RemoteTrackV2(trackState);
+      track = new RemoteTrackV2(trackState, {
+        requestSubscription: this._requestSubscription,
+        setRenderHint: this._setRenderHint
+      });
       this.addTrack(track);
     }
     return track;
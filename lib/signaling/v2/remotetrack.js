@@ -9,9 +9,47 @@ class RemoteTrackV2 extends RemoteTrackSignaling {
   /**
    * Construct a {@link RemoteTrackV2}.
    * @param {RemoteTrackV2#Representation} track
+   * @param {object} [options]
    */
-  constructor(track) {
-    super(track.sid, track.name, track.id, track.kind, track.enabled);
+  constructor(track, options) {
+    super(track.sid, track.name, track.id, track.kind, track.enabled, track.priority, track.content);
+
+    options = Object.assign({
+      requestSubscription: null,
+      setRenderHint: null
+    }, options);
+
+    Object.defineProperties(this, {
+      _requestSubscription: {
+        value: options.requestSubscription
+      },
+      _setRenderHint: {
+        value: options.setRenderHint
+      }
+    });
+  }
+
+  /**
+   * Request to subscribe (or unsubscribe) to the {@link RemoteTrackV2}.
+   * @param {boolean} isSubscribed
+   * @returns {Promise<void>}
+   */
+  requestSubscription(isSubscribed) {
+    return this._requestSubscription
+      ? this._requestSubscription(this.sid, isSubscribed)
+      : super.requestSubscription(isSubscribed);
+  }
+
+  /**
+   * Hint which simulcast layer of the {@link RemoteTrackV2} to receive.
+   * @param {?RenderHint} renderHint - null removes the hint
+   * @returns {this}
+   */
+  setRenderHint(renderHint) {
+    if (this._setRenderHint) {
+      this._setRenderHint(this.sid, renderHint);
+    }
+    return this;
   }
 
   /**
@@ -1,8 +1,12 @@
 'use strict';
 
+const DominantSpeakerDetector = require('./dominantspeakerdetector');
+const NetworkQualityMonitor = require('./networkqualitymonitor');
 const RecordingV2 = require('./recording');
 const RoomSignaling = require('../room');
 const RemoteParticipantV2 = require('./remoteparticipant');
+const StatsPoller = require('./statspoller');
+const SubscriptionRules = require('./subscriptionrules');
 const util = require('../../util');
 const createTwilioError = require('../../util/twilio-video-errors').createTwilioError;
 
@@ -14,6 +18,10 @@ const STATS_PUBLISH_INTERVAL_MS = 1000;
 class RoomV2 extends RoomSignaling {
   constructor(localParticipant, initialState, transport, peerConnectionManager, options) {
     options = Object.assign({
+      DominantSpeakerDetector,
+      dominantSpeaker: false,
+      NetworkQualityMonitor,
+      networkQuality: false,
       RecordingSignaling: RecordingV2,
       RemoteParticipantV2,
       statsPublishIntervalMs: STATS_PUBLISH_INTERVAL_MS
@@ -35,9 +43,22 @@ class RoomV2 extends RoomSignaling {
         value: 0,
         writable: true
       },
+      _publishNewLocalParticipantStateOncePerTick: {
+        value: util.oncePerTick(() => this._publishNewLocalParticipantState())
+      },
       _RemoteParticipantV2: {
         value: options.RemoteParticipantV2
       },
+      _renderHints: {
+        value: new Map()
+      },
+      _renderHintsRevision: {
+        value: 0,
+        writable: true
+      },
+      _statsPoller: {
+        value: new StatsPoller(() => this.getStats())
+      },
       _subscribed: {
         value: new Map()
       },
@@ -48,11 +69,34 @@ class RoomV2 extends RoomSignaling {
       _subscriptionFailures: {
         value: new Map()
       },
+      _subscriptionRequests: {
+        value: new Map()
+      },
+      _subscriptionRevision: {
+        value: 0,
+        writable: true
+      },
+      _subscriptionRuleDecisions: {
+        value: new Map()
+      },
+      _subscriptionRules: {
+        value: null,
+        writable: true
+      },
+      _subscriptions: {
+        value: new Map()
+      },
+      _switchedOff: {
+        value: new Map()
+      },
       _transport: {
         value: transport
       },
       _trackReceiverDeferreds: {
         value: new Map()
+      },
+      _unsubscribedTrackSids: {
+        value: new Set()
       }
     });
 
@@ -61,9 +105,111 @@ class RoomV2 extends RoomSignaling {
     handleTransportEvents(this, transport);
     periodicallyPublishStats(this, localParticipant, transport, options.statsPublishIntervalMs);
 
+    if (options.networkQuality) {
+      monitorNetworkQuality(this, options.NetworkQualityMonitor, options.networkQuality);
+    }
+
+    if (options.dominantSpeaker) {
+      detectDominantSpeaker(this, options.DominantSpeakerDetector, peerConnectionManager);
+    }
+
     this._update(initialState);
   }
 
+  /**
+   * Request to subscribe (or unsubscribe) to a {@link RemoteTrackV2}. The
+   * returned Promise resolves once the Room state's <code>subscribed</code>
+   * Tracks reflect the request.
+   * @private
+   * @param {Track.SID} trackSid
+   * @param {boolean} isSubscribed
+   * @returns {Promise<void>}
+   */
+  _requestSubscription(trackSid, isSubscribed) {
+    return this._requestSubscriptions([[trackSid, isSubscribed]])[0];
+  }
+
+  /**
+   * Request to subscribe (or unsubscribe) to one or more
+   * {@link RemoteTrackV2}s in a single update.
+   * @private
+   * @param {Array<Array<Track.SID|boolean>>} requests - pairs of
+   *   {@link Track.SID} and whether or not to subscribe
+   * @returns {Array<Promise<void>>}
+   */
+  _requestSubscriptions(requests) {
+    if (this.state === 'disconnected') {
+      return requests.map(([trackSid, isSubscribed]) => Promise.reject(
+        new Error(`Cannot ${isSubscribed ? 'subscribe' : 'unsubscribe'} to RemoteTrack ${trackSid}; the Room is disconnected`)));
+    }
+
+    const subscribedTrackSids = new Set(this._subscribed.values());
+
+    const promises = requests.map(([trackSid, isSubscribed]) => {
+      const pendingRequest = this._subscriptionRequests.get(trackSid);
+      if (pendingRequest) {
+        if (pendingRequest.isSubscribed === isSubscribed) {
+          return pendingRequest.deferred.promise;
+        }
+        this._subscriptionRequests.delete(trackSid);
+        pendingRequest.deferred.reject(new Error(`The request to ${pendingRequest.isSubscribed ? 'subscribe' : 'unsubscribe'} to RemoteTrack ${trackSid} was superseded`));
+      }
+
+      this._subscriptions.set(trackSid, isSubscribed);
+
+      if (subscribedTrackSids.has(trackSid) === isSubscribed) {
+        return Promise.resolve();
+      }
+
+      const request = { deferred: util.defer(), isSubscribed };
+      this._subscriptionRequests.set(trackSid, request);
+      return request.deferred.promise;
+    });
+
+    if (requests.length > 0) {
+      this._subscriptionRevision++;
+      this._publishNewLocalParticipantState();
+    }
+
+    return promises;
+  }
+
+  /**
+   * Set (or remove) the {@link RenderHint} of a {@link RemoteTrackV2}. Since
+   * {@link RenderHint}s can change often (for example, while an element is
+   * being resized), they are published at most once per tick.
+   * @private
+   * @param {Track.SID} trackSid
+   * @param {?RenderHint} renderHint
+   * @returns {void}
+   */
+  _setRenderHint(trackSid, renderHint) {
+    if (this.state === 'disconnected') {
+      return;
+    }
+    if (renderHint) {
+      this._renderHints.set(trackSid, renderHint);
+    } else if (!this._renderHints.delete(trackSid)) {
+      return;
+    }
+    this._renderHintsRevision++;
+    this._publishNewLocalParticipantStateOncePerTick();
+  }
+
+  /**
+   * Set the {@link SubscriptionRule}s that work out which
+   * {@link RemoteTrackV2}s to subscribe to. The rules are re-evaluated whenever
+   * {@link RemoteParticipantV2}s or {@link RemoteTrackV2}s come and go.
+   * @param {Array<SubscriptionRule>} rules
+   * @returns {this}
+   */
+  setSubscriptionRules(rules) {
+    this._subscriptionRules = new SubscriptionRules(rules);
+    this._subscriptionRuleDecisions.clear();
+    applySubscriptionRules(this);
+    return this;
+  }
+
   /**
    * The Signaling Connection State
    * @property {string} - "connected", "reconnecting", "disconnected"
@@ -136,6 +282,11 @@ class RoomV2 extends RoomSignaling {
       track.publishFailed(error || new Error('LocalParticipant disconnected'));
     });
 
+    this._subscriptionRequests.forEach(request => {
+      request.deferred.reject(error || new Error('Room disconnected'));
+    });
+    this._subscriptionRequests.clear();
+
     return didDisconnect;
   }
 
@@ -156,15 +307,26 @@ class RoomV2 extends RoomSignaling {
     const RemoteParticipantV2 = this._RemoteParticipantV2;
     let participant = this.participants.get(participantState.sid);
     const self = this;
+    function trackRemoved(track) {
+      self._subscriptions.delete(track.sid);
+    }
     if (!participant) {
-      participant = new RemoteParticipantV2(participantState, this._getTrackReceiver.bind(this));
+      participant = new RemoteParticipantV2(participantState, this._getTrackReceiver.bind(this), {
+        requestSubscription: this._requestSubscription.bind(this),
+        setRenderHint: this._setRenderHint.bind(this)
+      });
       participant.on('stateChanged', function stateChanged(state) {
         if (state === 'disconnected') {
           participant.removeListener('stateChanged', stateChanged);
+          participant.removeListener('trackRemoved', trackRemoved);
+          participant.tracks.forEach(trackRemoved);
           self.participants.delete(participant.sid);
           self._disconnectedParticipantSids.add(participant.sid);
         }
       });
+      // NOTE(mroberts): Forget the subscriptions of RemoteTracks that were
+      // unpublished, so that the subscribe state does not grow forever.
+      participant.on('trackRemoved', trackRemoved);
       this.connectParticipant(participant);
     }
     return participant;
@@ -174,9 +336,54 @@ class RoomV2 extends RoomSignaling {
    * @private
    */
   _getState() {
-    return {
+    const state = {
       participant: this.localParticipant.getState()
     };
+    if (this._subscriptionRevision > 0) {
+      state.subscribe = {
+        revision: this._subscriptionRevision,
+        tracks: Array.from(this._subscriptions, ([sid, isSubscribed]) => ({
+          sid,
+          subscribe: isSubscribed
+        }))
+      };
+    }
+    if (this._renderHintsRevision > 0) {
+      /* eslint camelcase:0 */
+      state.render_hints = {
+        revision: this._renderHintsRevision,
+        tracks: Array.from(this._renderHints, ([sid, renderHint]) => {
+          const trackHint = { sid };
+          if (renderHint.dimensions) {
+            trackHint.dimensions = {
+              height: renderHint.dimensions.height,
+              width: renderHint.dimensions.width
+            };
+          }
+          if (renderHint.layer) {
+            trackHint.layer = renderHint.layer;
+          }
+          if (renderHint.switchOff) {
+            trackHint.off = true;
+          }
+          return trackHint;
+        })
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Periodically call a function with the {@link RoomV2}'s
+   * {@link StatsReport}s. Calls to {@link RoomV2#getStats} are shared with any
+   * other consumers that are due at the same time.
+   * @private
+   * @param {number} intervalMs
+   * @param {function(Array<StatsReport>): void} onStats
+   * @returns {function(): void} - Stops calling the function
+   */
+  _pollStats(intervalMs, onStats) {
+    return this._statsPoller.add(intervalMs, onStats);
   }
 
   /**
@@ -201,13 +408,16 @@ class RoomV2 extends RoomSignaling {
    */
   _update(roomState) {
     const participantsToKeep = new Set();
+    let subscribedTracks = null;
 
     if (roomState.subscribed && roomState.subscribed.revision > this._subscribedRevision) {
       this._subscribedRevision = roomState.subscribed.revision;
+      subscribedTracks = roomState.subscribed.tracks;
       roomState.subscribed.tracks.forEach(function(trackState) {
         if (trackState.id) {
           this._subscriptionFailures.delete(trackState.sid);
           this._subscribed.set(trackState.id, trackState.sid);
+          this._switchedOff.set(trackState.sid, !!trackState.off);
         } else if (trackState.error && !this._subscriptionFailures.has(trackState.sid)) {
           this._subscriptionFailures.set(trackState.sid, trackState.error);
         }
@@ -226,6 +436,16 @@ class RoomV2 extends RoomSignaling {
     }, this);
 
     handleSubscriptionFailures(this);
+    handleSwitchedOffTracks(this);
+
+    if (subscribedTracks) {
+      handleUnsubscribedTracks(this, subscribedTracks);
+      handleSubscriptionRequests(this, subscribedTracks);
+    }
+
+    if (this._subscriptionRules) {
+      applySubscriptionRules(this);
+    }
 
     // TODO(mroberts): Remove me once the Server is fixed.
     /* eslint camelcase:0 */
@@ -334,6 +554,7 @@ function handlePeerConnectionEvents(roomV2, peerConnectionManager) {
 }
 
 function handleTransportEvents(roomV2, transport) {
+  let previousState = transport.state;
   transport.on('message', roomV2._update.bind(roomV2));
   transport.on('stateChanged', function stateChanged(state, error) {
     if (state === 'disconnected') {
@@ -341,7 +562,12 @@ function handleTransportEvents(roomV2, transport) {
         roomV2._disconnect(error);
       }
       transport.removeListener('stateChanged', stateChanged);
+    } else if (state === 'connected' && previousState !== 'connected') {
+      // NOTE(mroberts): A "sync" message starts a new session, which knows
+      // nothing of our subscriptions or RenderHints, so we publish them again.
+      roomV2._publishNewLocalParticipantState();
     }
+    previousState = state;
     roomV2.emit('signalingConnectionStateChanged');
   });
 }
@@ -355,32 +581,158 @@ function handleTransportEvents(roomV2, transport) {
  * @param {Number} intervalMs
  */
 function periodicallyPublishStats(roomV2, localParticipant, transport, intervalMs) {
-  const interval = setInterval(() => {
-    roomV2.getStats().then(stats => {
-      stats.forEach(report => {
-        transport.publishEvent('quality', 'stats-report', {
-          audioTrackStats: report.remoteAudioTrackStats,
-          localAudioTrackStats: report.localAudioTrackStats,
-          localVideoTrackStats: report.localVideoTrackStats,
-          participantSid: localParticipant.sid,
-          peerConnectionId: report.peerConnectionId,
-          roomSid: roomV2.sid,
-          videoTrackStats: report.remoteVideoTrackStats
-        });
+  const stopPublishingStats = roomV2._pollStats(intervalMs, stats => {
+    stats.forEach(report => {
+      transport.publishEvent('quality', 'stats-report', {
+        audioTrackStats: report.remoteAudioTrackStats,
+        localAudioTrackStats: report.localAudioTrackStats,
+        localVideoTrackStats: report.localVideoTrackStats,
+        participantSid: localParticipant.sid,
+        peerConnectionId: report.peerConnectionId,
+        roomSid: roomV2.sid,
+        videoTrackStats: report.remoteVideoTrackStats
       });
-    }, () => {
-      // Do nothing.
     });
-  }, intervalMs);
+  });
 
   roomV2.on('stateChanged', function onStateChanged(state) {
     if (state === 'disconnected') {
-      clearInterval(interval);
+      stopPublishingStats();
       roomV2.removeListener('stateChanged', onStateChanged);
     }
   });
 }
 
+/**
+ * Monitor the {@link NetworkQualityLevel}s of the {@link RoomV2}'s
+ * {@link ParticipantSignaling}s until the {@link RoomV2} is disconnected.
+ * @private
+ * @param {RoomV2} roomV2
+ * @param {function(new: NetworkQualityMonitor, RoomV2, NetworkQualityConfiguration)} NetworkQualityMonitor
+ * @param {boolean|NetworkQualityConfiguration} networkQuality
+ */
+function monitorNetworkQuality(roomV2, NetworkQualityMonitor, networkQuality) {
+  const configuration = typeof networkQuality === 'object' ? networkQuality : {};
+  const networkQualityMonitor = new NetworkQualityMonitor(roomV2, configuration);
+  networkQualityMonitor.start();
+
+  roomV2.on('stateChanged', function onStateChanged(state) {
+    if (state === 'disconnected') {
+      networkQualityMonitor.stop();
+      roomV2.removeListener('stateChanged', onStateChanged);
+    }
+  });
+}
+
+/**
+ * Detect the {@link RoomV2}'s dominant speaker until the {@link RoomV2} is
+ * disconnected.
+ * @private
+ * @param {RoomV2} roomV2
+ * @param {function(new: DominantSpeakerDetector, RoomV2, PeerConnectionManager)} DominantSpeakerDetector
+ * @param {PeerConnectionManager} peerConnectionManager
+ */
+function detectDominantSpeaker(roomV2, DominantSpeakerDetector, peerConnectionManager) {
+  const dominantSpeakerDetector = new DominantSpeakerDetector(roomV2, peerConnectionManager);
+  dominantSpeakerDetector.start();
+
+  roomV2.on('stateChanged', function onStateChanged(state) {
+    if (state === 'disconnected') {
+      dominantSpeakerDetector.stop();
+      roomV2.removeListener('stateChanged', onStateChanged);
+    }
+  });
+}
+
+/**
+ * Apply the {@link RoomV2}'s {@link SubscriptionRules}. In order not to undo
+ * explicit requests to subscribe (or unsubscribe), we only request to
+ * subscribe (or unsubscribe) to a {@link RemoteTrackV2} when the rules'
+ * decision for it changes.
+ * @private
+ * @param {RoomV2} room
+ * @returns {void}
+ */
+function applySubscriptionRules(room) {
+  const decisions = room._subscriptionRuleDecisions;
+  const trackSids = new Set();
+  const requests = [];
+
+  room.participants.forEach(participant => {
+    participant.tracks.forEach(track => {
+      const shouldSubscribe = room._subscriptionRules.shouldSubscribe(participant, track);
+      trackSids.add(track.sid);
+      if (decisions.get(track.sid) !== shouldSubscribe) {
+        decisions.set(track.sid, shouldSubscribe);
+        requests.push([track.sid, shouldSubscribe]);
+      }
+    });
+  });
+
+  decisions.forEach((shouldSubscribe, trackSid) => {
+    if (!trackSids.has(trackSid)) {
+      decisions.delete(trackSid);
+    }
+  });
+
+  // NOTE(mroberts): Failures to subscribe are surfaced as
+  // "trackSubscriptionFailed" events, so we ignore them here.
+  room._requestSubscriptions(requests).forEach(promise => promise.catch(() => {}));
+}
+
+/**
+ * Settle any pending requests to subscribe (or unsubscribe) to
+ * {@link RemoteTrackV2}s that the Room state's <code>subscribed</code> Tracks
+ * now reflect.
+ * @private
+ * @param {RoomV2} room
+ * @param {Array<object>} subscribedTracks
+ * @returns {void}
+ */
+function handleSubscriptionRequests(room, subscribedTracks) {
+  const trackStates = new Map(subscribedTracks.map(trackState => [trackState.sid, trackState]));
+
+  room._subscriptionRequests.forEach((request, trackSid) => {
+    const trackState = trackStates.get(trackSid);
+    if (request.isSubscribed && trackState && trackState.error) {
+      room._subscriptionRequests.delete(trackSid);
+      request.deferred.reject(createTwilioError(trackState.error.code, trackState.error.message));
+    } else if (request.isSubscribed === !!(trackState && trackState.id)) {
+      room._subscriptionRequests.delete(trackSid);
+      request.deferred.resolve();
+    }
+  });
+}
+
+/**
+ * Reset the {@link TrackTransceiver}s of the {@link RemoteTrackV2}s that are
+ * missing from the Room state's <code>subscribed</code> Tracks, and wait for
+ * new ones when they reappear.
+ * @private
+ * @param {RoomV2} room
+ * @param {Array<object>} subscribedTracks
+ * @returns {void}
+ */
+function handleUnsubscribedTracks(room, subscribedTracks) {
+  const subscribedTrackSids = new Set(subscribedTracks
+    .filter(trackState => trackState.id)
+    .map(trackState => trackState.sid));
+
+  room.participants.forEach(participant => {
+    participant.tracks.forEach(remoteTrack => {
+      if (subscribedTrackSids.has(remoteTrack.sid)) {
+        if (room._unsubscribedTrackSids.delete(remoteTrack.sid)) {
+          room._getTrackReceiver(remoteTrack.id).then(remoteTrack.setTrackTransceiver.bind(remoteTrack));
+        }
+      } else if (remoteTrack.isSubscribed) {
+        room._subscribed.delete(remoteTrack.id);
+        room._unsubscribedTrackSids.add(remoteTrack.sid);
+        remoteTrack.setTrackTransceiver(null);
+      }
+    });
+  });
+}
+
 function handleSubscriptionFailures(room) {
   const remoteTracks = new Map(util.flatMap(room.participants, participant => Array.from(participant.tracks.values()).map(track => [track.sid, track])));
 
@@ -392,4 +744,24 @@ function handleSubscriptionFailures(room) {
     }
   });
 }
+
+/**
+ * Switch {@link RemoteTrackV2}s off or on. When downlink bandwidth runs short,
+ * the server stops forwarding some subscribed {@link RemoteTrackV2}s, starting
+ * with those published with the lowest {@link Track.Priority}, and flags them
+ * with "off" in the Room state's <code>subscribed</code> Tracks.
+ * @private
+ * @param {RoomV2} room
+ * @returns {void}
+ */
+function handleSwitchedOffTracks(room) {
+  room.participants.forEach(participant => {
+    participant.tracks.forEach(remoteTrack => {
+      if (room._switchedOff.has(remoteTrack.sid)) {
+        remoteTrack.setSwitchedOff(room._switchedOff.get(remoteTrack.sid));
+      }
+    });
+  });
+}
+
 module.exports = RoomV2;
@@ -21,7 +21,9 @@ class SIPJSMediaHandler {
   }
 
   close() {
-    this.peerConnectionManager.close();
+    // NOTE(mroberts): The PeerConnectionManager outlives any one SIP.js Session,
+    // since the Transport replaces its SIP.js Session when reconnecting. It is
+    // closed by whoever owns it (RoomV2 or the CancelableRoomSignalingPromise).
   }
 
   getDescription() {
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * A {@link StatsPoller} periodically gets {@link StatsReport}s on behalf of
+ * several consumers, each with its own interval. Consumers which are due at
+ * about the same time share a single call to get the {@link StatsReport}s, and
+ * only one such call is in flight at a time.
+ */
+class StatsPoller {
+  /**
+   * Construct a {@link StatsPoller}.
+   * @param {function(): Promise<Array<StatsReport>>} getStats
+   */
+  constructor(getStats) {
+    Object.defineProperties(this, {
+      _consumers: {
+        value: new Set()
+      },
+      _getStats: {
+        value: getStats
+      },
+      _isPolling: {
+        value: false,
+        writable: true
+      },
+      _timeout: {
+        value: null,
+        writable: true
+      }
+    });
+  }
+
+  /**
+   * Start calling a consumer with new {@link StatsReport}s.
+   * @param {number} intervalMs - How often, in milliseconds, to call the
+   *   consumer
+   * @param {function(Array<StatsReport>): void} onStats
+   * @returns {function(): void} - Stops calling the consumer
+   */
+  add(intervalMs, onStats) {
+    const consumer = { dueAt: Date.now() + intervalMs, intervalMs, onStats };
+    this._consumers.add(consumer);
+    this._schedule();
+    return () => {
+      if (this._consumers.delete(consumer)) {
+        this._schedule();
+      }
+    };
+  }
+
+  /**
+   * Get new {@link StatsReport}s for the consumers that are due.
+   * @private
+   * @returns {void}
+   */
+  _poll() {
+    this._timeout = null;
+    const now = Date.now();
+
+    // NOTE(mroberts): A consumer which is nearer to this poll than to its next
+    // one is due now, so that consumers with similar schedules share polls.
+    const dueConsumers = Array.from(this._consumers).filter(consumer => {
+      return consumer.dueAt - now < consumer.intervalMs / 2;
+    });
+    if (dueConsumers.length === 0) {
+      this._schedule();
+      return;
+    }
+    dueConsumers.forEach(consumer => {
+      consumer.dueAt = now + consumer.intervalMs;
+    });
+
+    this._isPolling = true;
+    const didPoll = () => {
+      this._isPolling = false;
+      this._schedule();
+    };
+
+    this._getStats().then(reports => {
+      didPoll();
+      dueConsumers.forEach(consumer => {
+        if (this._consumers.has(consumer)) {
+          consumer.onStats(reports);
+        }
+      });
+    }, didPoll);
+  }
+
+  /**
+   * Schedule the next poll for the consumer that is due first, if any.
+   * @private
+   * @returns {void}
+   */
+  _schedule() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    if (this._isPolling || this._consumers.size === 0) {
+      return;
+    }
+    const dueAt = Math.min(...Array.from(this._consumers, consumer => consumer.dueAt));
+    this._timeout = setTimeout(() => this._poll(), Math.max(dueAt - Date.now(), 0));
+  }
+}
+
+module.exports = StatsPoller;
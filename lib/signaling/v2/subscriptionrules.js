@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * A {@link SubscriptionRules} works out whether or not to subscribe to a
+ * {@link RemoteTrackV2} using a list of {@link SubscriptionRule}s. A
+ * {@link RemoteTrackV2} is subscribed to if it matches at least one "include"
+ * rule and no "exclude" rules.
+ */
+class SubscriptionRules {
+  /**
+   * Construct a {@link SubscriptionRules}.
+   * @param {Array<SubscriptionRule>} rules
+   */
+  constructor(rules) {
+    Object.defineProperties(this, {
+      _rules: {
+        value: rules.map(rule => Object.assign({}, rule))
+      }
+    });
+  }
+
+  /**
+   * Check whether or not to subscribe to a {@link RemoteTrackV2}.
+   * @param {RemoteParticipantV2} participant - the {@link RemoteParticipantV2}
+   *   who published the {@link RemoteTrackV2}
+   * @param {RemoteTrackV2} track
+   * @returns {boolean}
+   */
+  shouldSubscribe(participant, track) {
+    const matchingRules = this._rules.filter(rule => matches(rule, participant, track));
+    return matchingRules.some(rule => rule.type === 'include')
+      && !matchingRules.some(rule => rule.type === 'exclude');
+  }
+}
+
+/**
+ * Check whether a {@link SubscriptionRule} matches a {@link RemoteTrackV2}.
+ * Every property the {@link SubscriptionRule} specifies must match.
+ * @private
+ * @param {SubscriptionRule} rule
+ * @param {RemoteParticipantV2} participant
+ * @param {RemoteTrackV2} track
+ * @returns {boolean}
+ */
+function matches(rule, participant, track) {
+  return (!rule.kind || rule.kind === track.kind)
+    && (!rule.priority || rule.priority === track.priority)
+    && (!rule.publisher || rule.publisher === participant.identity || rule.publisher === participant.sid)
+    && (!rule.track || rule.track === track.name || rule.track === track.sid);
+}
+
+module.exports = SubscriptionRules;
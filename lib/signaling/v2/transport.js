@@ -38,10 +38,18 @@ Transport States
     | connecting |--->| connected |--->| disconnected |
     |            |    |           |    |              |
     +------------+    +-----------+    +--------------+
-             |                              ^
-             |                              |
-             |                              |
-             +------------------------------+
+             |           ^     |          ^    ^
+             |           |     v          |    |
+             |        +--------------+    |    |
+             |        |              |    |    |
+             |        | reconnecting |----+    |
+             |        |              |         |
+             |        +--------------+         |
+             |                                 |
+             +---------------------------------+
+
+NOTE(mroberts): The Transport can also transition from "syncing" to
+"reconnecting".
 
 */
 
@@ -52,18 +60,28 @@ const states = {
   ],
   connected: [
     'disconnected',
+    'reconnecting',
     'syncing'
   ],
-  syncing: [
+  reconnecting: [
     'connected',
     'disconnected'
   ],
+  syncing: [
+    'connected',
+    'disconnected',
+    'reconnecting'
+  ],
   disconnected: []
 };
 
 /**
  * A {@link Transport} supports sending and receiving Room Signaling Protocol
  * (RSP) messages. It also supports RSP requests, such as Sync and Disconnect.
+ * If the underlying SIP.js UA loses its WebSocket, the {@link Transport}
+ * transitions to "reconnecting" and tries to re-establish its SIP.js Session
+ * with an RSP Sync. If it cannot do so within the reconnect timeout, it
+ * transitions to "disconnected".
  * @extends StateMachine
  * @emits Transport#connected
  * @emits Transport#message
@@ -80,8 +98,10 @@ class Transport extends StateMachine {
    */
   constructor(name, accessToken, localParticipant, peerConnectionManager, ua, options) {
     options = Object.assign({
+      automaticSubscription: true,
       InsightsPublisher,
       NullInsightsPublisher,
+      reconnectTimeout: constants.SIGNALING_RECONNECT_TIMEOUT_MS,
       SIPJSMediaHandler: DefaultSIPJSMediaHandler
     }, options);
     super('connecting', states);
@@ -91,9 +111,13 @@ class Transport extends StateMachine {
       eventPublisherOptions.gateway = options.wsServerInsights;
     }
 
-    const session = createSession(this, name, accessToken, localParticipant, peerConnectionManager, ua, options.SIPJSMediaHandler);
+    const createNewSession = createSession.bind(null, this, name, accessToken, localParticipant, peerConnectionManager, ua, options.SIPJSMediaHandler, options.automaticSubscription);
+    const session = createNewSession();
     const EventPublisher = options.insights ? options.InsightsPublisher : options.NullInsightsPublisher;
     Object.defineProperties(this, {
+      _createSession: {
+        value: createNewSession
+      },
       _eventPublisher: {
         value: new EventPublisher(
           accessToken,
@@ -103,8 +127,12 @@ class Transport extends StateMachine {
           options.realm,
           eventPublisherOptions)
       },
+      _reconnectTimeout: {
+        value: options.reconnectTimeout
+      },
       _session: {
-        value: session
+        value: session,
+        writable: true
       },
       _updatesReceived: {
         value: []
@@ -113,7 +141,7 @@ class Transport extends StateMachine {
         value: []
       }
     });
-    setupEventListeners(this, session, ua);
+    setupEventListeners(this, ua);
   }
 
   /**
@@ -156,6 +184,7 @@ class Transport extends StateMachine {
         publishWithRetries(this, this._session, update);
         return true;
       case 'connecting':
+      case 'reconnecting':
       case 'syncing':
         this._updatesToSend.push(update);
         return true;
@@ -201,7 +230,7 @@ class Transport extends StateMachine {
  * @param {object} state
  */
 
-function createSession(transport, name, accessToken, localParticipant, peerConnectionManager, ua, SIPJSMediaHandler) {
+function createSession(transport, name, accessToken, localParticipant, peerConnectionManager, ua, SIPJSMediaHandler, automaticSubscription) {
   const target = `sip:${util.makeServerSIPURI()}`;
   return ua.invite(target, {
     extraHeaders: [
@@ -219,6 +248,7 @@ function createSession(transport, name, accessToken, localParticipant, peerConne
         }
         const type = {
           connecting: 'connect',
+          reconnecting: 'sync',
           syncing: 'sync'
         }[transport.state] || 'update';
 
@@ -234,6 +264,14 @@ function createSession(transport, name, accessToken, localParticipant, peerConne
           message.format = sdpFormat;
         }
 
+        // NOTE(mroberts): By default, the server subscribes the Participant to
+        // every RemoteTrack; opting out means it subscribes to none until
+        // requested to. A "sync" message starts a new session, so it must opt
+        // out again.
+        if (type !== 'update' && !automaticSubscription) {
+          message.subscribe = { automatic: false };
+        }
+
         return message;
       });
     },
@@ -339,8 +377,26 @@ function reduceUpdates(updates) {
       }
     }
 
-    // Then, reduce the top-level `peer_connections` property.
+    // Then, reduce the top-level `subscribe` property.
+    if (!reduced.subscribe && update.subscribe) {
+      reduced.subscribe = update.subscribe;
+    } else if (reduced.subscribe && update.subscribe) {
+      if (update.subscribe.revision > reduced.subscribe.revision) {
+        reduced.subscribe = update.subscribe;
+      }
+    }
+
+    // Then, reduce the top-level `render_hints` property.
     /* eslint camelcase:0 */
+    if (!reduced.render_hints && update.render_hints) {
+      reduced.render_hints = update.render_hints;
+    } else if (reduced.render_hints && update.render_hints) {
+      if (update.render_hints.revision > reduced.render_hints.revision) {
+        reduced.render_hints = update.render_hints;
+      }
+    }
+
+    // Finally, reduce the top-level `peer_connections` property.
     if (!reduced.peer_connections && update.peer_connections) {
       reduced.peer_connections = reducePeerConnections(update.peer_connections);
     } else if (reduced.peer_connections && update.peer_connections) {
@@ -414,7 +470,26 @@ function getTwilioErrorFromRequestOrResponse(requestOrResponse) {
     || getTwilioErrorFromRequestOrResponseBody(requestOrResponse);
 }
 
-function setupEventListeners(transport, session, ua) {
+/**
+ * Check whether a SIP.js Session failed because of a (possibly transient) loss
+ * of the signaling connection, rather than because the Server rejected it.
+ * @param {object} requestOrResponse
+ * @param {string} cause
+ * @returns {boolean}
+ */
+function isSignalingConnectionLoss(requestOrResponse, cause) {
+  if (requestOrResponse
+    && !(requestOrResponse instanceof SIP.OutgoingRequest)
+    && getTwilioErrorFromRequestOrResponse(requestOrResponse)) {
+    return false;
+  }
+  return cause === SIP.C.causes.CONNECTION_ERROR
+    || cause === SIP.C.causes.REQUEST_TIMEOUT;
+}
+
+function setupEventListeners(transport, ua) {
+  let reconnectTimeout = null;
+
   function disconnect(requestOrResponse, cause) {
     let twilioError;
 
@@ -437,6 +512,17 @@ function setupEventListeners(transport, session, ua) {
     transport.disconnect(twilioError);
   }
 
+  function failed(response, cause) {
+    // NOTE(mroberts): If the SIP.js Session we created in order to reconnect
+    // fails because the signaling connection was lost again, keep trying until
+    // the reconnect timeout expires.
+    if (transport.state === 'reconnecting' && isSignalingConnectionLoss(response, cause)) {
+      resumeSession();
+      return;
+    }
+    disconnect(response, cause);
+  }
+
   function handleRequestOrResponse(requestOrResponse) {
     // We don't need to handle requests we sent ourselves.
     if (requestOrResponse instanceof SIP.OutgoingRequest) {
@@ -509,6 +595,7 @@ function setupEventListeners(transport, session, ua) {
       case 'disconnected':
         // Do nothing.
         return;
+      case 'reconnecting':
       case 'syncing':
         switch (message.type) {
           case 'connected':
@@ -532,17 +619,77 @@ function setupEventListeners(transport, session, ua) {
     }
   }
 
-  session.on('info', handleRequestOrResponse);
-  session.once('bye', disconnect);
+  function listenToSession(session) {
+    session.on('info', handleRequestOrResponse);
+    session.once('bye', disconnect);
+    session.once('accepted', handleRequestOrResponse);
+    session.once('failed', failed);
+  }
+
+  function stopListeningToSession(session) {
+    session.removeListener('accepted', handleRequestOrResponse);
+    session.removeListener('failed', failed);
+    session.removeListener('info', handleRequestOrResponse);
+    session.removeListener('bye', disconnect);
+  }
+
+  /**
+   * Replace the {@link Transport}'s SIP.js Session with a new one that syncs
+   * with the Server, once the SIP.js UA is connected.
+   * @private
+   */
+  function resumeSession() {
+    if (transport.state !== 'reconnecting') {
+      return;
+    }
+    if (!ua.isConnected()) {
+      ua.once('connected', resumeSession);
+      return;
+    }
+    stopListeningToSession(transport._session);
+    transport._session = transport._createSession();
+    listenToSession(transport._session);
+  }
+
+  /**
+   * Handle the loss of the signaling connection.
+   * @private
+   * @param {TwilioError} error
+   */
+  function reconnect(error) {
+    switch (transport.state) {
+      case 'connected':
+      case 'syncing':
+        transport.preempt('reconnecting', null, [error]);
+        return;
+      case 'connecting':
+        transport.disconnect(error);
+        return;
+      default:
+        // Do nothing.
+        return;
+    }
+  }
+
+  function uaDisconnected() {
+    reconnect(new SignalingConnectionDisconnectedError());
+  }
 
-  session.once('accepted', handleRequestOrResponse);
-  session.once('failed', disconnect);
+  function keepAliveTimeout() {
+    reconnect(new SignalingConnectionTimeoutError());
+  }
 
-  transport.on('stateChanged', function stateChanged(state) {
+  listenToSession(transport._session);
+
+  transport.on('stateChanged', function stateChanged(state, error) {
+    if (reconnectTimeout !== null && state !== 'reconnecting') {
+      clearTimeout(reconnectTimeout);
+      reconnectTimeout = null;
+    }
     switch (state) {
       case 'connected': {
-        session.removeListener('accepted', handleRequestOrResponse);
-        session.removeListener('failed', disconnect);
+        transport._session.removeListener('accepted', handleRequestOrResponse);
+        transport._session.removeListener('failed', failed);
 
         const updates = transport._updatesToSend.splice(0);
         if (updates.length) {
@@ -554,13 +701,20 @@ function setupEventListeners(transport, session, ua) {
         return;
       }
       case 'disconnected':
-        session.removeListener('accepted', handleRequestOrResponse);
-        session.removeListener('failed', disconnect);
-        session.removeListener('info', handleRequestOrResponse);
-        session.removeListener('bye', disconnect);
+        stopListeningToSession(transport._session);
         transport.removeListener('stateChanged', stateChanged);
+        ua.removeListener('connected', resumeSession);
+        ua.removeListener('disconnected', uaDisconnected);
+        ua.removeListener('keepAliveTimeout', keepAliveTimeout);
         ua.stop();
         return;
+      case 'reconnecting':
+        reconnectTimeout = setTimeout(() => {
+          reconnectTimeout = null;
+          transport.disconnect(error);
+        }, transport._reconnectTimeout);
+        resumeSession();
+        return;
       case 'syncing':
         // Do nothing.
         return;
@@ -570,8 +724,8 @@ function setupEventListeners(transport, session, ua) {
     }
   });
 
-  ua.once('disconnected', disconnect);
-  ua.once('keepAliveTimeout', () => transport.disconnect(new SignalingConnectionTimeoutError()));
+  ua.on('disconnected', uaDisconnected);
+  ua.on('keepAliveTimeout', keepAliveTimeout);
 }
 
 module.exports = Transport;
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Network quality statistics for one kind of media ("audio" or "video") sent
+ * or received by a {@link Participant}.
+ * @property {NetworkQualityLevel} level - The {@link NetworkQualityLevel} of
+ *   the media
+ * @property {?number} fractionLost - The fraction of packets lost since the
+ *   last sample, between 0 and 1
+ * @property {?number} jitter - Jitter in milliseconds
+ * @property {?number} roundTripTime - Round trip time in milliseconds
+ * @property {?number} bandwidth - Bandwidth used since the last sample, in
+ *   bits per second
+ */
+class NetworkQualityMediaStats {
+  /**
+   * Construct a {@link NetworkQualityMediaStats}.
+   * @param {NetworkQualityLevel} level
+   * @param {object} sample
+   */
+  constructor(level, sample) {
+    Object.defineProperties(this, {
+      level: {
+        value: level,
+        enumerable: true
+      },
+      fractionLost: {
+        value: typeof sample.fractionLost === 'number'
+          ? sample.fractionLost
+          : null,
+        enumerable: true
+      },
+      jitter: {
+        value: typeof sample.jitter === 'number'
+          ? sample.jitter
+          : null,
+        enumerable: true
+      },
+      roundTripTime: {
+        value: typeof sample.roundTripTime === 'number'
+          ? sample.roundTripTime
+          : null,
+        enumerable: true
+      },
+      bandwidth: {
+        value: typeof sample.bandwidth === 'number'
+          ? sample.bandwidth
+          : null,
+        enumerable: true
+      }
+    });
+  }
+}
+
+module.exports = NetworkQualityMediaStats;
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Network quality statistics for a {@link Participant}. These are only
+ * available when the {@link NetworkQualityVerbosity} for the
+ * {@link Participant} is 2 (moderate).
+ * @property {NetworkQualityLevel} level - The {@link Participant}'s
+ *   {@link NetworkQualityLevel}
+ * @property {?NetworkQualityMediaStats} audio - Network quality statistics for
+ *   the {@link Participant}'s audio, if any
+ * @property {?NetworkQualityMediaStats} video - Network quality statistics for
+ *   the {@link Participant}'s video, if any
+ */
+class NetworkQualityStats {
+  /**
+   * Construct a {@link NetworkQualityStats}.
+   * @param {NetworkQualityLevel} level
+   * @param {?NetworkQualityMediaStats} audio
+   * @param {?NetworkQualityMediaStats} video
+   */
+  constructor(level, audio, video) {
+    Object.defineProperties(this, {
+      level: {
+        value: level,
+        enumerable: true
+      },
+      audio: {
+        value: audio || null,
+        enumerable: true
+      },
+      video: {
+        value: video || null,
+        enumerable: true
+      }
+    });
+  }
+}
+
+module.exports = NetworkQualityStats;
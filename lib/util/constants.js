@@ -29,6 +29,24 @@ module.exports.ECS_TIMEOUT = 60;
 module.exports.PUBLISH_MAX_ATTEMPTS = 5;
 module.exports.PUBLISH_BACKOFF_JITTER = 10;
 module.exports.PUBLISH_BACKOFF_MS = 20;
+module.exports.SIGNALING_RECONNECT_TIMEOUT_MS = 30000;
+module.exports.NETWORK_QUALITY_INTERVAL_MS = 1000;
+module.exports.DOMINANT_SPEAKER_INTERVAL_MS = 250;
+module.exports.DOMINANT_SPEAKER_SWITCH_DELAY_MS = 1000;
+module.exports.DOMINANT_SPEAKER_AUDIO_LEVEL_THRESHOLD = 1000;
+module.exports.AUDIO_LEVEL_INTERVAL_MS = 100;
+module.exports.SPEAKING_WHILE_MUTED_AUDIO_LEVEL_THRESHOLD = 0.4;
+module.exports.SPEAKING_WHILE_MUTED_DURATION_MS = 1000;
+module.exports.SPEAKING_WHILE_MUTED_MAX_PAUSE_MS = 500;
+module.exports.VIDEO_CONTENT_HINTS = ['detail', 'motion', 'text'];
+module.exports.TRACK_ENCODING_PARAMETERS = ['maxBitrate', 'maxFramerate', 'scaleResolutionDownBy'];
+module.exports.SIMULCAST_LAYERS = [2, 3];
+module.exports.DATA_TRACK_CHUNK_SIZE = 16384;
+module.exports.DEFAULT_MAX_DATA_TRACK_MESSAGE_SIZE = 16 * 1024 * 1024;
+module.exports.DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD = 65536;
+module.exports.DEFAULT_RPC_TIMEOUT_MS = 10000;
+module.exports.VIDEO_LAYER_PREFERENCES = ['low', 'medium', 'high'];
+module.exports.DEFAULT_SIMULCAST_LAYERS = 3;
 
 module.exports.ICE_SERVERS_TIMEOUT_MS = 3000;
 module.exports.ICE_SERVERS_DEFAULT_TTL = 3600;
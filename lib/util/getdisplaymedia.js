@@ -0,0 +1,92 @@
+/* globals chrome, navigator */
+'use strict';
+
+const defaultGetUserMedia = require('@twilio/webrtc').getUserMedia;
+const guessBrowser = require('./').guessBrowser;
+
+/**
+ * Capture the screen (or a window, or a tab) using getDisplayMedia, falling
+ * back to the extension-based Chrome API and Firefox's "mediaSource"
+ * constraint in browsers which do not yet support it.
+ * @param {MediaStreamConstraints} constraints
+ * @param {object} [options]
+ * @returns {Promise<MediaStream>}
+ */
+function getDisplayMedia(constraints, options) {
+  options = Object.assign({
+    browser: guessBrowser(),
+    chrome: typeof chrome !== 'undefined' ? chrome : null,
+    extensionId: null,
+    getUserMedia: defaultGetUserMedia,
+    navigator: typeof navigator !== 'undefined' ? navigator : null
+  }, options);
+
+  const nav = options.navigator;
+
+  if (nav && nav.mediaDevices && typeof nav.mediaDevices.getDisplayMedia === 'function') {
+    return nav.mediaDevices.getDisplayMedia(constraints);
+  }
+
+  // NOTE(mroberts): Edge shipped getDisplayMedia on the navigator before it
+  // moved to MediaDevices.
+  if (nav && typeof nav.getDisplayMedia === 'function') {
+    return nav.getDisplayMedia(constraints);
+  }
+
+  if (options.browser === 'chrome' && options.extensionId) {
+    return getDesktopSourceId(options.chrome, options.extensionId).then(sourceId => options.getUserMedia({
+      audio: false,
+      video: {
+        mandatory: {
+          chromeMediaSource: 'desktop',
+          chromeMediaSourceId: sourceId
+        }
+      }
+    }));
+  }
+
+  if (options.browser === 'firefox') {
+    return options.getUserMedia({
+      audio: false,
+      video: Object.assign({
+        mediaSource: 'screen'
+      }, typeof constraints.video === 'object' ? constraints.video : {})
+    });
+  }
+
+  return Promise.reject(new Error('Screen capture is not supported in this browser'));
+}
+
+/**
+ * Ask a Chrome extension to choose a desktop source using
+ * chrome.desktopCapture. The extension should respond to the message
+ * <code>{ type: 'getDesktopSourceId', sources: [...] }</code> with either
+ * <code>{ sourceId }</code> or <code>{ error }</code>.
+ * @private
+ * @param {?object} chrome
+ * @param {string} extensionId
+ * @returns {Promise<string>}
+ */
+function getDesktopSourceId(chrome, extensionId) {
+  if (!chrome || !chrome.runtime || typeof chrome.runtime.sendMessage !== 'function') {
+    return Promise.reject(new Error('Unable to reach the screen capture extension'));
+  }
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(extensionId, {
+      type: 'getDesktopSourceId',
+      sources: ['screen', 'window', 'tab']
+    }, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || response.error || !response.sourceId) {
+        reject(new Error(response && response.error
+          ? response.error
+          : 'The user did not choose a screen to share'));
+      } else {
+        resolve(response.sourceId);
+      }
+    });
+  });
+}
+
+module.exports = getDisplayMedia;
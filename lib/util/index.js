@@ -394,6 +394,145 @@ function validateLocalTrack(track, options) {
   }
 }
 
+/**
+ * Throw if the given {@link TrackEncodingParameters} are invalid.
+ * @param {TrackEncodingParameters} encodingParameters
+ * @param {string} name - The name to use in the error message
+ * @throws {TypeError|RangeError}
+ */
+function validateTrackEncodingParameters(encodingParameters, name) {
+  constants.TRACK_ENCODING_PARAMETERS.forEach(prop => {
+    const value = encodingParameters[prop];
+    if (typeof value === 'undefined' || value === null) {
+      return;
+    }
+    if (typeof value !== 'number') {
+      throw constants.typeErrors.INVALID_TYPE(`${name}.${prop}`, 'number, null or undefined');
+    }
+    // NOTE(mroberts): RTCRtpSender#setParameters rejects these, and by then
+    // there is nobody to tell, so we reject them up front.
+    if (prop === 'scaleResolutionDownBy') {
+      if (!Number.isFinite(value) || value < 1) {
+        throw constants.typeErrors.INVALID_VALUE(`${name}.${prop}`, ['a number greater than or equal to 1']);
+      }
+    } else if (!Number.isFinite(value) || value <= 0) {
+      throw constants.typeErrors.INVALID_VALUE(`${name}.${prop}`, ['a number greater than 0']);
+    }
+  });
+}
+
+/**
+ * Validate the given {@link SimulcastLayers}, filling in the defaults.
+ * @param {?SimulcastLayers} simulcastLayers
+ * @param {string} name - The name to use in the error message
+ * @returns {{ layers: number, active: Array<boolean> }}
+ * @throws {TypeError|RangeError}
+ */
+function normalizeSimulcastLayers(simulcastLayers, name) {
+  simulcastLayers = Object.assign({
+    layers: constants.DEFAULT_SIMULCAST_LAYERS
+  }, simulcastLayers);
+
+  const layers = simulcastLayers.layers;
+  if (!constants.SIMULCAST_LAYERS.includes(layers)) {
+    throw constants.typeErrors.INVALID_VALUE(`${name}.layers`, constants.SIMULCAST_LAYERS);
+  }
+
+  const active = typeof simulcastLayers.active === 'undefined'
+    ? Array(layers).fill(true)
+    : simulcastLayers.active;
+  if (!Array.isArray(active)
+    || active.length !== layers
+    || active.some(isActive => typeof isActive !== 'boolean')) {
+    throw constants.typeErrors.INVALID_TYPE(`${name}.active`, `Array of ${layers} booleans`);
+  }
+
+  return { layers, active: active.slice() };
+}
+
+/**
+ * Find the first of a {@link LocalParticipant}'s published
+ * {@link LocalDataTrack}s that is both reliable and ordered.
+ * @param {LocalParticipant} localParticipant
+ * @returns {?LocalDataTrack}
+ */
+function findReliableLocalDataTrack(localParticipant) {
+  const publication = Array.from(localParticipant.dataTrackPublications.values()).find(publication => {
+    return publication.track.reliable && publication.track.ordered;
+  });
+  return publication ? publication.track : null;
+}
+
+/**
+ * Encode a string as UTF-8.
+ * @param {string} string
+ * @returns {Uint8Array}
+ */
+function encodeUTF8(string) {
+  const bytes = [];
+  for (let i = 0; i < string.length; i++) {
+    let codePoint = string.charCodeAt(i);
+    if (codePoint >= 0xd800 && codePoint <= 0xdbff && i + 1 < string.length) {
+      const low = string.charCodeAt(i + 1);
+      if (low >= 0xdc00 && low <= 0xdfff) {
+        codePoint = 0x10000 + ((codePoint - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+      }
+    }
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(0xe0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
+    } else {
+      bytes.push(0xf0 | (codePoint >> 18), 0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a UTF-8 encoded string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeUTF8(bytes) {
+  const codeUnits = [];
+  let string = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let codePoint;
+    if (byte < 0x80) {
+      codePoint = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12)
+        | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    if (codePoint >= 0x10000) {
+      codePoint -= 0x10000;
+      codeUnits.push(0xd800 + (codePoint >> 10), 0xdc00 + (codePoint & 0x3ff));
+    } else {
+      codeUnits.push(codePoint);
+    }
+    // NOTE(mroberts): Flush periodically, so as not to exceed the maximum
+    // number of arguments to String.fromCharCode.
+    if (codeUnits.length >= 4096) {
+      string += String.fromCharCode.apply(null, codeUnits.splice(0));
+    }
+  }
+  return string + String.fromCharCode.apply(null, codeUnits);
+}
+
 /**
  * Use unified plan SDP format on Firefox
  * @returns {?string} SDP format
@@ -406,13 +545,17 @@ exports.constants = constants;
 exports.asLocalTrack = asLocalTrack;
 exports.asLocalTrackPublication = asLocalTrackPublication;
 exports.capitalize = capitalize;
+exports.decodeUTF8 = decodeUTF8;
 exports.difference = difference;
+exports.encodeUTF8 = encodeUTF8;
 exports.filterObject = filterObject;
+exports.findReliableLocalDataTrack = findReliableLocalDataTrack;
 exports.flatMap = flatMap;
 exports.guessBrowser = guessBrowser;
 exports.makeClientSIPURI = makeClientSIPURI;
 exports.makeServerSIPURI = makeServerSIPURI;
 exports.makeUUID = makeUUID;
+exports.normalizeSimulcastLayers = normalizeSimulcastLayers;
 exports.oncePerTick = oncePerTick;
 exports.promiseFromEvents = promiseFromEvents;
 exports.getOrNull = getOrNull;
@@ -423,4 +566,5 @@ exports.legacyPromise = legacyPromise;
 exports.buildLogLevels = buildLogLevels;
 exports.trackClass = trackClass;
 exports.validateLocalTrack = validateLocalTrack;
+exports.validateTrackEncodingParameters = validateTrackEncodingParameters;
 exports.getSdpFormat = getSdpFormat;
@@ -90,6 +90,24 @@ function getMediaSections(sdp, kind, direction) {
   });
 }
 
+/**
+ * Create a Map from the MID of each m=audio or m=video section in the given
+ * SDP to the IDs of the MediaStreamTracks it carries.
+ * @param {string} sdp
+ * @returns {Map<string, Set<Track.ID>>}
+ */
+function createMidToTrackIds(sdp) {
+  return getMediaSections(sdp, '(audio|video)').reduce((midToTrackIds, section) => {
+    const midMatches = section.match(/^a=mid:(.+)$/m);
+    if (!midMatches) {
+      return midToTrackIds;
+    }
+    const msidLines = section.match(/^a=(ssrc:[0-9]+ )?msid:[^\s]+ [^\s]+$/gm) || [];
+    const trackIds = new Set(msidLines.map(line => line.match(/ ([^\s]+)$/)[1]));
+    return midToTrackIds.set(midMatches[1], trackIds);
+  }, new Map());
+}
+
 /**
  * Get the Codec Payload Types present in the first line of the given m= section
  * @param {string} section - The m= section
@@ -159,9 +177,11 @@ function setBitrateInMediaSection(modifier, maxBitrate, section) {
  *   if no limit is to be applied
  * @param {?number} maxVideoBitrate - Max outgoing video bitrate (bps), null
  *   if no limit is to be applied
+ * @param {Map<string, number>} [midsToMaxBitrates] - Max outgoing bitrates
+ *   (bps) for the m= sections with the given MIDs, in addition to the above
  * @returns {string} - The updated sdp string
  */
-function setBitrateParameters(sdp, modifier, maxAudioBitrate, maxVideoBitrate) {
+function setBitrateParameters(sdp, modifier, maxAudioBitrate, maxVideoBitrate, midsToMaxBitrates) {
   const mediaSections = getMediaSections(sdp);
   const session = sdp.split('\r\nm=')[0];
   return [session].concat(mediaSections.map(section => {
@@ -171,7 +191,14 @@ function setBitrateParameters(sdp, modifier, maxAudioBitrate, maxVideoBitrate) {
       return section;
     }
     const kind = section.match(/^m=(audio|video)/)[1];
-    const maxBitrate = kind === 'audio' ? maxAudioBitrate : maxVideoBitrate;
+    const midMatches = section.match(/^a=mid:(.+)$/m);
+    const maxKindBitrate = kind === 'audio' ? maxAudioBitrate : maxVideoBitrate;
+    const maxTrackBitrate = midMatches && midsToMaxBitrates
+      ? midsToMaxBitrates.get(midMatches[1])
+      : null;
+    const maxBitrate = maxKindBitrate && maxTrackBitrate
+      ? Math.min(maxKindBitrate, maxTrackBitrate)
+      : maxKindBitrate || maxTrackBitrate;
     return setBitrateInMediaSection(modifier, maxBitrate, section);
   })).join('\r\n');
 }
@@ -229,9 +256,11 @@ function setCodecPreferences(sdp, preferredAudioCodecs, preferredVideoCodecs) {
  * Return a new SDP string with simulcast settings.
  * @param {string} sdp
  * @param {Map<Track.ID, TrackAttributes>} trackIdsToAttributes
+ * @param {Map<Track.ID, number>} [trackIdsToLayers] - The number of simulcast
+ *   layers for each MediaStreamTrack ID; if not specified, it is 3
  * @returns {string} Updated SDP string
  */
-function setSimulcast(sdp, trackIdsToAttributes) {
+function setSimulcast(sdp, trackIdsToAttributes, trackIdsToLayers) {
   const mediaSections = getMediaSections(sdp);
   const session = sdp.split('\r\nm=')[0];
   return [session].concat(mediaSections.map(section => {
@@ -245,19 +274,38 @@ function setSimulcast(sdp, trackIdsToAttributes) {
 
     const hasVP8PayloadType = payloadTypes.some(payloadType => vp8PayloadTypes.has(payloadType));
     return hasVP8PayloadType
-      ? setSimulcastInMediaSection(section, trackIdsToAttributes)
+      ? setSimulcastInMediaSection(section, trackIdsToAttributes, trackIdsToLayers)
       : section;
   })).concat('').join('\r\n');
 }
 
+/**
+ * Return a new SDP string with the IDs of some MediaStreamTracks replaced in
+ * its msid attributes.
+ * @param {string} sdp
+ * @param {Map<string, Track.ID>} trackIds - The IDs to replace, and their
+ *   replacements
+ * @returns {string} Updated SDP string
+ */
+function replaceTrackIds(sdp, trackIds) {
+  if (trackIds.size === 0) {
+    return sdp;
+  }
+  return sdp.replace(/^(a=(?:ssrc:[0-9]+ )?msid:[^\s]+ )([^\s]+)$/gm, (line, prefix, trackId) => {
+    return trackIds.has(trackId) ? prefix + trackIds.get(trackId) : line;
+  });
+}
+
 /**
  * Codec Payload Type.
  * @typedef {number} PayloadType
  */
 
 exports.createCodecMapForMediaSection = createCodecMapForMediaSection;
+exports.createMidToTrackIds = createMidToTrackIds;
 exports.createPtToCodecName = createPtToCodecName;
 exports.getMediaSections = getMediaSections;
+exports.replaceTrackIds = replaceTrackIds;
 exports.setBitrateParameters = setBitrateParameters;
 exports.setCodecPreferences = setCodecPreferences;
 exports.setSimulcast = setSimulcast;
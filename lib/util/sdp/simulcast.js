@@ -2,6 +2,7 @@
 
 const difference = require('../').difference;
 const flatMap = require('../').flatMap;
+const DEFAULT_SIMULCAST_LAYERS = require('../constants').DEFAULT_SIMULCAST_LAYERS;
 
 /**
  * Create a random {@link SSRC}.
@@ -58,14 +59,28 @@ class TrackAttributes {
   }
 
   /**
-   * Add {@link SimSSRC}s to the {@link TrackAttributes}.
-   * @returns {void}
+   * Add (or remove) {@link SimSSRC}s so that the {@link TrackAttributes} have
+   * the given number of simulcast layers.
+   * @param {number} [layers=3] - The number of simulcast layers
+   * @returns {Array<SSRC>} - The {@link SSRC}s that were removed
    */
-  addSimulcastSSRCs() {
-    if (this.isSimulcastEnabled) {
-      return;
+  addSimulcastSSRCs(layers) {
+    layers = layers || DEFAULT_SIMULCAST_LAYERS;
+    const primarySSRCs = Array.from(this.primarySSRCs);
+
+    const removedSSRCs = primarySSRCs.slice(layers);
+    removedSSRCs.forEach(ssrc => this.primarySSRCs.delete(ssrc));
+    Array.from(this.rtxPairs.entries()).forEach(([rtxSSRC, primarySSRC]) => {
+      if (removedSSRCs.includes(primarySSRC)) {
+        this.rtxPairs.delete(rtxSSRC);
+        removedSSRCs.push(rtxSSRC);
+      }
+    });
+
+    const simulcastSSRCs = [];
+    for (let i = primarySSRCs.length; i < layers; i++) {
+      simulcastSSRCs.push(createSSRC());
     }
-    const simulcastSSRCs = [createSSRC(), createSSRC()];
     simulcastSSRCs.forEach(function(ssrc) {
       this.primarySSRCs.add(ssrc);
     }, this);
@@ -75,6 +90,10 @@ class TrackAttributes {
         this.rtxPairs.set(createSSRC(), ssrc);
       }, this);
     }
+
+    this.isSimulcastEnabled = this.isSimulcastEnabled
+      || simulcastSSRCs.length > 0;
+    return removedSSRCs;
   }
 
   /**
@@ -139,8 +158,8 @@ function getMatches(section, pattern) {
  * @returns {Set<SimSSRC>} Set of simulcast {@link SSRC}s
  */
 function getSimulcastSSRCs(section) {
-  const simGroupPattern = '^a=ssrc-group:SIM ([0-9]+) ([0-9]+) ([0-9]+)$';
-  return new Set(flatMap(getMatches(section, simGroupPattern)));
+  const simGroupPattern = '^a=ssrc-group:SIM ([0-9 ]+)$';
+  return new Set(flatMap(getMatches(section, simGroupPattern), match => match[0].split(' ')));
 }
 
 /**
@@ -197,9 +216,12 @@ function createTrackIdsToAttributes(section) {
  * @param {string} section - SDP media section
  * @param {Map<Track.ID, TrackAttributes>} trackIdsToAttributes - Existing
  *   map which will be updated for new MediaStreamTrack IDs
+ * @param {Map<Track.ID, number>} [trackIdsToLayers] - The number of simulcast
+ *   layers for each MediaStreamTrack ID; if not specified, it is 3
  * @returns {string} - The transformed SDP media section
  */
-function setSimulcastInMediaSection(section, trackIdsToAttributes) {
+function setSimulcastInMediaSection(section, trackIdsToAttributes, trackIdsToLayers) {
+  trackIdsToLayers = trackIdsToLayers || new Map();
   const newTrackIdsToAttributes = createTrackIdsToAttributes(section);
   const newTrackIds = Array.from(newTrackIdsToAttributes.keys());
   let trackIds = Array.from(trackIdsToAttributes.keys());
@@ -207,10 +229,20 @@ function setSimulcastInMediaSection(section, trackIdsToAttributes) {
   const trackIdsToIgnore = difference(trackIds, newTrackIds);
 
   // Update "trackIdsToAttributes" with TrackAttributes for new
-  // MediaStreamTrack IDs.
+  // MediaStreamTrack IDs. If a MediaStreamTrack already had a different number
+  // of simulcast SSRCs (for example, because its number of simulcast layers
+  // changed), then its existing simulcast group is replaced.
+  const ssrcsToRemove = new Set();
+  const simSSRCsToRegroup = new Set();
   const trackAttributesToAdd = flatMap(trackIdsToAdd, trackId => newTrackIdsToAttributes.get(trackId));
   trackAttributesToAdd.forEach(trackAttributes => {
-    trackAttributes.addSimulcastSSRCs();
+    const primarySSRCs = Array.from(trackAttributes.primarySSRCs);
+    const wasSimulcastEnabled = trackAttributes.isSimulcastEnabled;
+    const removedSSRCs = trackAttributes.addSimulcastSSRCs(trackIdsToLayers.get(trackAttributes.trackId));
+    removedSSRCs.forEach(ssrc => ssrcsToRemove.add(ssrc));
+    if (wasSimulcastEnabled && trackAttributes.primarySSRCs.size !== primarySSRCs.length) {
+      primarySSRCs.forEach(ssrc => simSSRCsToRegroup.add(ssrc));
+    }
     trackIdsToAttributes.set(trackAttributes.trackId, trackAttributes);
   });
 
@@ -223,11 +255,38 @@ function setSimulcastInMediaSection(section, trackIdsToAttributes) {
 
   // Add the simulcast SSRC SDP lines to the media section. The Set ensures
   // that the duplicates of the SSRC SDP lines that are in both "section" and
-  // "relevantSdpLines" are removed.
-  const sectionLines = new Set(section.split('\r\n').concat(relevantSdpLines));
+  // "relevantSdpLines" are removed. The SDP lines of removed SSRCs, and any
+  // simulcast groups which are being replaced, are dropped.
+  const sectionLines = new Set(section.split('\r\n').filter(line =>
+    !isSSRCLine(line, ssrcsToRemove) && !isSimGroupLine(line, simSSRCsToRegroup)
+  ).concat(relevantSdpLines));
   return flatMap(sectionLines).join('\r\n');
 }
 
+/**
+ * Check whether the given SDP line is an SSRC attribute or SSRC group of any
+ * of the given {@link SSRC}s.
+ * @param {string} line - SDP line
+ * @param {Set<SSRC>} ssrcs
+ * @returns {boolean}
+ */
+function isSSRCLine(line, ssrcs) {
+  const match = line.match(/^a=ssrc(?:-group:[A-Z]+)?[: ]([0-9 ]+)/);
+  return !!match && match[1].trim().split(' ').some(ssrc => ssrcs.has(ssrc));
+}
+
+/**
+ * Check whether the given SDP line is a simulcast group of any of the given
+ * {@link SimSSRC}s.
+ * @param {string} line - SDP line
+ * @param {Set<SimSSRC>} ssrcs
+ * @returns {boolean}
+ */
+function isSimGroupLine(line, ssrcs) {
+  const match = line.match(/^a=ssrc-group:SIM ([0-9 ]+)$/);
+  return !!match && match[1].split(' ').some(ssrc => ssrcs.has(ssrc));
+}
+
 /**
  * String representing the SSRC of a MediaStreamTrack.
  * @typedef {string} SSRC
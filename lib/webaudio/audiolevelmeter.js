@@ -0,0 +1,102 @@
+'use strict';
+
+const DefaultAudioContextFactory = require('./audiocontext');
+const DefaultMediaStream = require('@twilio/webrtc').MediaStream;
+const measureLevel = require('./measurelevel');
+
+// NOTE(mroberts): Levels at or below this many dBFS measure as 0.
+const MIN_LEVEL_DB = -60;
+
+/**
+ * An {@link AudioLevelMeter} measures the level of the audio in a
+ * MediaStreamTrack with an AnalyserNode, using the shared AudioContext of an
+ * {@link AudioContextFactory}.
+ * @property {?MediaStreamTrack} mediaStreamTrack - the MediaStreamTrack being
+ *   measured, if started
+ */
+class AudioLevelMeter {
+  /**
+   * Construct an {@link AudioLevelMeter}.
+   * @param {object} [options]
+   */
+  constructor(options) {
+    options = Object.assign({
+      audioContextFactory: DefaultAudioContextFactory,
+      MediaStream: DefaultMediaStream
+    }, options);
+
+    Object.defineProperties(this, {
+      _analyser: {
+        value: null,
+        writable: true
+      },
+      _audioContextFactory: {
+        value: options.audioContextFactory
+      },
+      _MediaStream: {
+        value: options.MediaStream
+      },
+      _source: {
+        value: null,
+        writable: true
+      },
+      mediaStreamTrack: {
+        enumerable: true,
+        value: null,
+        writable: true
+      }
+    });
+  }
+
+  /**
+   * Start measuring a MediaStreamTrack, or switch to measuring another one.
+   * @param {MediaStreamTrack} mediaStreamTrack
+   * @returns {boolean} - false if Web Audio is not supported
+   */
+  start(mediaStreamTrack) {
+    const audioContext = this._audioContextFactory.getOrCreate(this);
+    if (!audioContext) {
+      this._audioContextFactory.release(this);
+      return false;
+    }
+    if (this._source) {
+      this._source.disconnect();
+    }
+    this._analyser = this._analyser || audioContext.createAnalyser();
+    this._source = audioContext.createMediaStreamSource(new this._MediaStream([mediaStreamTrack]));
+    this._source.connect(this._analyser);
+    this.mediaStreamTrack = mediaStreamTrack;
+    return true;
+  }
+
+  /**
+   * Stop measuring, and release the shared AudioContext.
+   * @returns {void}
+   */
+  stop() {
+    if (this._source) {
+      this._source.disconnect();
+    }
+    this._analyser = null;
+    this._source = null;
+    this.mediaStreamTrack = null;
+    this._audioContextFactory.release(this);
+  }
+
+  /**
+   * Measure the current level of the audio.
+   * @returns {number} - from 0 (silence) to 1 (full scale), rounded to two
+   *   decimal places; 0 if not started
+   */
+  measure() {
+    if (!this._analyser) {
+      return 0;
+    }
+    const samples = new Uint8Array(this._analyser.fftSize);
+    this._analyser.getByteTimeDomainData(samples);
+    const level = (measureLevel(samples) - MIN_LEVEL_DB) / -MIN_LEVEL_DB;
+    return Math.round(Math.min(Math.max(level, 0), 1) * 100) / 100;
+  }
+}
+
+module.exports = AudioLevelMeter;
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Measure the RMS level of the time-domain samples of an AnalyserNode, as
+ * returned by <code>getByteTimeDomainData</code>.
+ * @param {Uint8Array} samples - 8-bit samples, centered on 128
+ * @returns {number} - the level, in dBFS; -Infinity for silence
+ */
+function measureLevel(samples) {
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = (samples[i] - 128) / 128;
+    sumOfSquares += sample * sample;
+  }
+  const rms = Math.sqrt(sumOfSquares / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+module.exports = measureLevel;
@@ -0,0 +1,73 @@
+/* globals webkitAudioContext, AudioContext */
+'use strict';
+
+const DefaultMediaStream = require('@twilio/webrtc').MediaStream;
+
+const NativeAudioContext = typeof AudioContext !== 'undefined'
+  ? AudioContext
+  : typeof webkitAudioContext !== 'undefined'
+    ? webkitAudioContext
+    : null;
+
+/**
+ * A {@link WebAudioOutput} plays a MediaStreamTrack through its own
+ * AudioContext, so that it can play on a chosen audio output device in
+ * browsers whose HTMLMediaElements do not support <code>setSinkId</code>.
+ */
+class WebAudioOutput {
+  /**
+   * Construct a {@link WebAudioOutput}.
+   * @param {MediaStreamTrack} mediaStreamTrack - the MediaStreamTrack to play
+   * @param {object} [options]
+   * @throws {Error} - if selecting the audio output device of an AudioContext
+   *   is not supported
+   */
+  constructor(mediaStreamTrack, options) {
+    options = Object.assign({
+      AudioContext: NativeAudioContext,
+      MediaStream: DefaultMediaStream
+    }, options);
+
+    if (!options.AudioContext || typeof options.AudioContext.prototype.setSinkId !== 'function') {
+      throw new Error('Selecting the audio output device is not supported');
+    }
+
+    // NOTE(mroberts): An AudioContext plays on a single audio output device,
+    // so we cannot use the AudioContext shared by the AudioContextFactory.
+    const audioContext = new options.AudioContext();
+    const source = audioContext.createMediaStreamSource(new options.MediaStream([mediaStreamTrack]));
+    source.connect(audioContext.destination);
+
+    Object.defineProperties(this, {
+      _audioContext: {
+        value: audioContext
+      },
+      _source: {
+        value: source
+      }
+    });
+  }
+
+  /**
+   * Play on an audio output device.
+   * @param {string} deviceId - the deviceId of the audio output device; the
+   *   empty string selects the default one
+   * @returns {Promise<void>}
+   */
+  setSinkId(deviceId) {
+    return Promise.resolve(this._audioContext.setSinkId(deviceId));
+  }
+
+  /**
+   * Stop playing, and close the AudioContext.
+   * @returns {void}
+   */
+  stop() {
+    this._source.disconnect();
+    Promise.resolve().then(() => this._audioContext.close()).catch(() => {
+      // Do nothing; the AudioContext is unused either way.
+    });
+  }
+}
+
+module.exports = WebAudioOutput;
@@ -11,6 +11,7 @@ const docs = process.argv[2];
 
 const publicClasses = [
   'lib/connect.js',
+  'lib/createlocalscreentrack.js',
   'lib/createlocaltrack.js',
   'lib/createlocaltracks.js',
   'lib/room.js',
@@ -5,17 +5,22 @@ if (typeof window === 'undefined') {
 }
 
 require('./spec/connect');
+require('./spec/createlocalscreentrack');
 require('./spec/createlocaltrack');
 require('./spec/createlocaltracks');
 require('./spec/ecs');
 require('./spec/encodingparameters');
 require('./spec/localparticipant');
 require('./spec/room');
+require('./spec/rpc');
+require('./spec/sharedstate');
 require('./spec/remoteparticipant');
 require('./spec/queueingeventemitter');
 require('./spec/statemachine');
 require('./spec/transceiver');
 
+require('./spec/data/chunk');
+require('./spec/data/serializer');
 require('./spec/data/transceiver');
 require('./spec/data/sender');
 require('./spec/data/receiver');
@@ -23,6 +28,13 @@ require('./spec/data/receiver');
 require('./spec/iceserversource/constant');
 require('./spec/iceserversource/nts');
 
+require('./spec/media/devices');
+require('./spec/media/processors/audioprocessorpipeline');
+require('./spec/media/processors/blurvideoprocessor');
+require('./spec/media/processors/gainaudioprocessor');
+require('./spec/media/processors/noisegateaudioprocessor');
+require('./spec/media/processors/videoprocessorpipeline');
+
 require('./spec/media/track/es5/localdatatrack');
 require('./spec/media/track/mediatrack');
 require('./spec/media/track/localdatatrack');
@@ -31,6 +43,7 @@ require('./spec/media/track/localtrackpublication');
 require('./spec/media/track/receiver');
 require('./spec/media/track/remotedatatrack');
 require('./spec/media/track/remotemediatrack');
+require('./spec/media/track/remotetrackpublication');
 require('./spec/media/track/sender');
 require('./spec/media/track/transceiver');
 
@@ -38,11 +51,15 @@ require('./spec/signaling/room');
 
 require('./spec/signaling/v2');
 require('./spec/signaling/v2/cancelableroomsignalingpromise');
+require('./spec/signaling/v2/dominantspeakerdetector');
 require('./spec/signaling/v2/icebox');
 require('./spec/signaling/v2/localparticipant');
+require('./spec/signaling/v2/networkqualitymonitor');
 require('./spec/signaling/v2/recording');
 require('./spec/signaling/v2/remoteparticipant');
 require('./spec/signaling/v2/room');
+require('./spec/signaling/v2/statspoller');
+require('./spec/signaling/v2/subscriptionrules');
 require('./spec/signaling/v2/peerconnection');
 require('./spec/signaling/v2/peerconnectionmanager');
 require('./spec/signaling/v2/localtrackpublication');
@@ -50,6 +67,7 @@ require('./spec/signaling/v2/remotetrack');
 require('./spec/signaling/v2/transport');
 
 require('./spec/util');
+require('./spec/util/getdisplaymedia');
 require('./spec/util/insightspublisher');
 require('./spec/util/log');
 require('./spec/util/sdp');
@@ -59,6 +77,9 @@ require('./spec/util/trackmatcher/ordered');
 require('./spec/util/twilioerror');
 
 require('./spec/webaudio/audiocontext');
+require('./spec/webaudio/audiolevelmeter');
+require('./spec/webaudio/measurelevel');
+require('./spec/webaudio/webaudiooutput');
 
 require('./spec/stats/trackstats');
 require('./spec/stats/localtrackstats');
@@ -28,6 +28,65 @@ describe('connect', () => {
     });
   });
 
+  describe('called with an .audioOutputDevice that is not a string', () => {
+    it('should return a CancelablePromise rejected with a TypeError', async () => {
+      try {
+        await connect(token, { audioOutputDevice: 1, iceServers: [], tracks: [] });
+      } catch (error) {
+        assert(error instanceof TypeError);
+        return;
+      }
+      throw new Error('Unexpected connect');
+    });
+  });
+
+  describe('called with an invalid .networkQuality', () => {
+    [
+      ['a non-object', 'foo', TypeError],
+      ['an array', [], TypeError],
+      ['a non-number .interval', { interval: '1000' }, TypeError],
+      ['a negative .interval', { interval: -1 }, RangeError],
+      ['a NaN .interval', { interval: NaN }, RangeError],
+      ['an invalid .local', { local: 'moderate' }, RangeError],
+      ['an invalid .remote', { remote: 3 }, RangeError]
+    ].forEach(([description, networkQuality, ErrorClass]) => {
+      context(`with ${description}`, () => {
+        it(`should return a CancelablePromise rejected with a ${ErrorClass.name}`, async () => {
+          try {
+            await connect(token, { iceServers: [], networkQuality, tracks: [] });
+          } catch (error) {
+            assert(error instanceof ErrorClass);
+            return;
+          }
+          throw new Error('Unexpected connect');
+        });
+      });
+    });
+  });
+
+  describe('called with invalid VP8 SimulcastLayers in .preferredVideoCodecs', () => {
+    [
+      ['an invalid .layers', { layers: 1 }, RangeError],
+      ['an invalid .active', { layers: 2, active: [true] }, TypeError]
+    ].forEach(([description, simulcast, ErrorClass]) => {
+      context(`with ${description}`, () => {
+        it(`should return a CancelablePromise rejected with a ${ErrorClass.name}`, async () => {
+          try {
+            await connect(token, {
+              iceServers: [],
+              preferredVideoCodecs: [{ codec: 'VP8', simulcast }],
+              tracks: []
+            });
+          } catch (error) {
+            assert(error instanceof ErrorClass);
+            return;
+          }
+          throw new Error('Unexpected connect');
+        });
+      });
+    });
+  });
+
   describe('called with options with one or more keys explicitly set to undefined', () => {
     it('should set those keys to their default values', async () => {
       const mockSignaling = new Signaling();
@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const createLocalScreenTrack = require('../../../lib/createlocalscreentrack');
+const LocalVideoTrack = require('../../../lib/media/track/es5/localvideotrack');
+
+const { FakeMediaStream, FakeMediaStreamTrack } = require('../../lib/fakemediastream');
+
+describe('createLocalScreenTrack', () => {
+  context('when called with no constraints', () => {
+    it('should call getDisplayMedia() with { audio: false, video: true }', async () => {
+      const options = makeOptions();
+      await createLocalScreenTrack(options);
+      sinon.assert.calledWith(options.getDisplayMedia, { audio: false, video: true });
+    });
+  });
+
+  context('when called with constraints', () => {
+    it('should call getDisplayMedia() with { audio: false, video: constraints }', async () => {
+      const options = Object.assign(makeOptions(), { frameRate: 5, name: 'foo' });
+      await createLocalScreenTrack(options);
+      sinon.assert.calledWith(options.getDisplayMedia, { audio: false, video: { frameRate: 5 } });
+    });
+  });
+
+  it('should pass the .extensionId to getDisplayMedia()', async () => {
+    const options = Object.assign(makeOptions(), { extensionId: 'bar' });
+    await createLocalScreenTrack(options);
+    assert.equal(options.getDisplayMedia.args[0][1].extensionId, 'bar');
+  });
+
+  it('should resolve with a LocalVideoTrack whose .content is "screen"', async () => {
+    const options = makeOptions();
+    const track = await createLocalScreenTrack(options);
+    assert(track instanceof options.LocalVideoTrack);
+    assert.equal(track.content, 'screen');
+    assert.equal(track.mediaStreamTrack, options.getDisplayMedia.mediaStreamTrack);
+  });
+
+  [
+    ['without a .contentHint', {}, 'detail'],
+    ['with a .contentHint', { contentHint: 'motion' }, 'motion']
+  ].forEach(([description, extraOptions, expectedContentHint]) => {
+    context(`when called ${description}`, () => {
+      it(`should construct a LocalVideoTrack with the .contentHint "${expectedContentHint}"`, async () => {
+        const options = Object.assign(makeOptions(), extraOptions);
+        await createLocalScreenTrack(options);
+        assert.equal(options.LocalVideoTrack.args[0][1].contentHint, expectedContentHint);
+        sinon.assert.calledWith(options.getDisplayMedia, { audio: false, video: true });
+      });
+    });
+  });
+
+  it('should return a rejected Promise with a RangeError if the .contentHint is invalid', async () => {
+    const options = Object.assign(makeOptions(), { contentHint: 'foo' });
+    try {
+      await createLocalScreenTrack(options);
+    } catch (error) {
+      assert(error instanceof RangeError);
+      sinon.assert.notCalled(options.getDisplayMedia);
+      return;
+    }
+    throw new Error('Unexpected resolution');
+  });
+
+  it('should resolve with a LocalVideoTrack with the given .name', async () => {
+    const options = Object.assign(makeOptions(), { name: 'foo' });
+    const track = await createLocalScreenTrack(options);
+    assert.equal(track.name, 'foo');
+  });
+
+  it('should resolve with a LocalVideoTrack which emits "stopped" when the user stops sharing', async () => {
+    const options = makeOptions();
+    options.LocalVideoTrack = LocalVideoTrack;
+    const track = await createLocalScreenTrack(options);
+    const stopped = new Promise(resolve => track.once('stopped', resolve));
+    options.getDisplayMedia.mediaStreamTrack.stop();
+    assert.equal(await stopped, track);
+  });
+
+  it('should return a rejected Promise if getDisplayMedia() fails', async () => {
+    const error = new Error('Permission denied');
+    const options = makeOptions();
+    options.getDisplayMedia = sinon.spy(() => Promise.reject(error));
+    try {
+      await createLocalScreenTrack(options);
+    } catch (error_) {
+      assert.equal(error_, error);
+      sinon.assert.notCalled(options.LocalVideoTrack);
+      return;
+    }
+    throw new Error('Unexpected resolution');
+  });
+});
+
+function makeOptions() {
+  const mediaStreamTrack = new FakeMediaStreamTrack('video');
+  const getDisplayMedia = sinon.spy(() => {
+    const mediaStream = new FakeMediaStream();
+    mediaStream.addTrack(mediaStreamTrack);
+    return Promise.resolve(mediaStream);
+  });
+  getDisplayMedia.mediaStreamTrack = mediaStreamTrack;
+  return {
+    getDisplayMedia,
+    LocalVideoTrack: sinon.spy(function LocalVideoTrack(mediaStreamTrack, options) {
+      this.content = options.content;
+      this.id = mediaStreamTrack.id;
+      this.kind = mediaStreamTrack.kind;
+      this.mediaStreamTrack = mediaStreamTrack;
+      this.name = options.name || mediaStreamTrack.id;
+    })
+  };
+}
@@ -74,6 +74,49 @@ describe('createLocalTracks', () => {
     });
   });
 
+  ['audio', 'video'].forEach(kind => {
+    context(`when called with .deviceFailover for the requested Local${kind === 'audio' ? 'Audio' : 'Video'}Track`, () => {
+      it('should construct the LocalTrack with .deviceFailover, and not pass it to getUserMedia', async () => {
+        const options = Object.assign({
+          audio: false,
+          video: false,
+          [kind]: { deviceFailover: true }
+        }, makeOptions());
+        options.getUserMedia = sinon.spy(options.getUserMedia);
+        await createLocalTracks(options);
+        const LocalTrack = kind === 'audio' ? options.LocalAudioTrack : options.LocalVideoTrack;
+        assert.equal(LocalTrack.args[0][1].deviceFailover, true);
+        assert(!('deviceFailover' in options.getUserMedia.args[0][0][kind]));
+      });
+    });
+  });
+
+  context('when called with a .contentHint for the requested LocalVideoTrack', () => {
+    it('should construct the LocalVideoTrack with the .contentHint, and not pass it to getUserMedia', async () => {
+      const options = Object.assign({
+        video: { contentHint: 'detail' }
+      }, makeOptions());
+      options.getUserMedia = sinon.spy(options.getUserMedia);
+      await createLocalTracks(options);
+      assert.equal(options.LocalVideoTrack.args[0][1].contentHint, 'detail');
+      assert(!('contentHint' in options.getUserMedia.args[0][0].video));
+    });
+
+    it('should return a rejected Promise with a RangeError if the .contentHint is invalid', async () => {
+      const options = Object.assign({
+        video: { contentHint: 'foo' }
+      }, makeOptions());
+      try {
+        await createLocalTracks(options);
+      } catch (error) {
+        assert(error instanceof RangeError);
+        sinon.assert.notCalled(options.LocalVideoTrack);
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+  });
+
   context('when called with names for the requested LocalTracks', () => {
     it('should resolve with an array of LocalTracks with the given names', async () => {
       const options = Object.assign({
@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+
+const { HEADER_LENGTH, createChunks, joinChunks, parseChunk } = require('../../../../lib/data/chunk');
+
+describe('chunk', () => {
+  describe('createChunks', () => {
+    it('returns a short string unchanged', () => {
+      assert.deepEqual(createChunks('foo', 0, 64, 1024), ['foo']);
+    });
+
+    it('returns a small ArrayBuffer unchanged', () => {
+      const data = new Uint8Array([1, 2, 3]).buffer;
+      const chunks = createChunks(data, 0, 64, 1024);
+      assert.equal(chunks.length, 1);
+      assert.equal(chunks[0], data);
+    });
+
+    it('chunks a small ArrayBuffer which starts with the chunk header\'s prefix', () => {
+      const data = new Uint8Array([0x54, 0x56, 0x44, 0x43, 0x00]).buffer;
+      const chunks = createChunks(data, 0, 64, 1024);
+      assert.equal(chunks.length, 1);
+      assert.notEqual(chunks[0], data);
+      assert.deepEqual(Array.from(new Uint8Array(joinChunks(chunks.map(parseChunk)))), [0x54, 0x56, 0x44, 0x43, 0x00]);
+    });
+
+    it('splits a large message into chunks of at most the maximum chunk size', () => {
+      const chunks = createChunks(new ArrayBuffer(100), 0, HEADER_LENGTH + 30, 1024);
+      assert.equal(chunks.length, 4);
+      chunks.forEach(chunk => assert(chunk.byteLength <= HEADER_LENGTH + 30));
+    });
+
+    it('throws a RangeError if the message exceeds the maximum message size', () => {
+      assert.throws(() => createChunks(new ArrayBuffer(100), 0, 64, 99), RangeError);
+      assert.throws(() => createChunks('x'.repeat(100), 0, 64, 99), RangeError);
+    });
+  });
+
+  describe('parseChunk', () => {
+    it('returns null for a string', () => {
+      assert.equal(parseChunk('foo'), null);
+    });
+
+    it('returns null for an ArrayBuffer which is not a chunk', () => {
+      assert.equal(parseChunk(new ArrayBuffer(32)), null);
+    });
+
+    it('returns the chunk\'s header and payload', () => {
+      const chunks = createChunks(new ArrayBuffer(50), 42, HEADER_LENGTH + 30, 1024);
+      const chunk = parseChunk(chunks[1]);
+      assert.equal(chunk.count, 2);
+      assert.equal(chunk.index, 1);
+      assert.equal(chunk.isString, false);
+      assert.equal(chunk.messageId, 42);
+      assert.equal(chunk.payload.byteLength, 20);
+    });
+  });
+
+  describe('joinChunks', () => {
+    it('joins the chunks of a string', () => {
+      const data = 'Hello, ☃ and 😀! '.repeat(10);
+      const chunks = createChunks(data, 1, HEADER_LENGTH + 16, 1024);
+      assert(chunks.length > 1);
+      assert.equal(joinChunks(chunks.map(parseChunk)), data);
+    });
+
+    it('joins the chunks of an ArrayBufferView', () => {
+      const data = new Uint8Array(100).map((_, i) => i);
+      const chunks = createChunks(data.subarray(10), 1, HEADER_LENGTH + 16, 1024);
+      assert.deepEqual(Array.from(new Uint8Array(joinChunks(chunks.map(parseChunk)))), Array.from(data.subarray(10)));
+    });
+  });
+});
@@ -5,6 +5,7 @@ const assert = require('assert');
 const DataTrackReceiver = require('../../../../lib/data/receiver');
 const EventTarget = require('../../../../lib/eventtarget');
 const { makeUUID } = require('../../../../lib/util');
+const { HEADER_LENGTH, createChunks } = require('../../../../lib/data/chunk');
 
 describe('DataTrackReceiver', () => {
   let dataChannel;
@@ -51,6 +52,35 @@ describe('DataTrackReceiver', () => {
       assert.equal(actualData, data);
     });
   });
+
+  describe('when the underlying RTCDataChannel raises "message" events for chunks', () => {
+    it('the DataTrackReceiver emits a single "message" event once all of the chunks have arrived', () => {
+      const data = 'x'.repeat(100);
+      const messages = [];
+      dataTrackReceiver.on('message', data => messages.push(data));
+      createChunks(data, 7, HEADER_LENGTH + 32, Infinity).reverse().forEach(chunk => {
+        assert.equal(messages.length, 0);
+        dataChannel.dispatchEvent({ type: 'message', data: chunk });
+      });
+      assert.deepEqual(messages, [data]);
+    });
+
+    it('the DataTrackReceiver drops the oldest incomplete messages that exceed its maximum message size', () => {
+      dataTrackReceiver = new DataTrackReceiver(dataChannel, 64);
+      const messages = [];
+      dataTrackReceiver.on('message', data => messages.push(data));
+      const [chunks1, chunks2, chunks3] = [1, 2, 3].map(messageId => {
+        return createChunks(new Uint8Array(64).fill(messageId).buffer, messageId, HEADER_LENGTH + 32, Infinity);
+      });
+      dataChannel.dispatchEvent({ type: 'message', data: chunks1[0] });
+      dataChannel.dispatchEvent({ type: 'message', data: chunks2[0] });
+      dataChannel.dispatchEvent({ type: 'message', data: chunks3[0] });
+      dataChannel.dispatchEvent({ type: 'message', data: chunks2[1] });
+      dataChannel.dispatchEvent({ type: 'message', data: chunks1[1] });
+      assert.equal(messages.length, 1);
+      assert.deepEqual(Array.from(new Uint8Array(messages[0])), new Array(64).fill(2));
+    });
+  });
 });
 
 function makeDataChannel() {
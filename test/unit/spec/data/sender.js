@@ -5,6 +5,8 @@ const sinon = require('sinon');
 
 const DataTrackSender = require('../../../../lib/data/sender');
 const { makeUUID } = require('../../../../lib/util');
+const EventTarget = require('../../../../lib/eventtarget');
+const { DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD, DATA_TRACK_CHUNK_SIZE } = require('../../../../lib/util/constants');
 
 describe('DataTrackSender', () => {
   let dataTrackSender;
@@ -154,6 +156,117 @@ describe('DataTrackSender', () => {
         sinon.assert.calledWith(dataChannel.send, data);
       });
     });
+
+    it('splits messages larger than a single chunk into chunks', () => {
+      const bytes = new Uint8Array(DATA_TRACK_CHUNK_SIZE * 2);
+      dataTrackSender.send(bytes.buffer);
+      [dataChannel1, dataChannel2, dataChannel3].forEach(dataChannel => {
+        sinon.assert.calledThrice(dataChannel.send);
+        dataChannel.send.args.forEach(([chunk]) => {
+          assert(chunk instanceof ArrayBuffer);
+          assert(chunk.byteLength <= DATA_TRACK_CHUNK_SIZE);
+        });
+      });
+    });
+
+    it('throws a RangeError, and sends nothing, if the message exceeds .maxMessageSize', () => {
+      dataTrackSender = new DataTrackSender(null, null, true, 1024);
+      dataTrackSender.addDataChannel(dataChannel1);
+      assert.throws(() => dataTrackSender.send(new ArrayBuffer(1025)), RangeError);
+      sinon.assert.notCalled(dataChannel1.send);
+    });
+
+    it('emits "sendFailed" if calling send on an RTCDataChannel throws', () => {
+      const error = new Error('InvalidStateError');
+      const sendFailed = sinon.spy();
+      dataChannel1.send = sinon.spy(() => { throw error; });
+      dataTrackSender.on('sendFailed', sendFailed);
+      dataTrackSender.send(data);
+      sinon.assert.calledOnce(sendFailed);
+      sinon.assert.calledWith(sendFailed, error);
+    });
+  });
+
+  describe('#sendAsync', () => {
+    let dataChannel;
+
+    beforeEach(() => {
+      dataChannel = makeEventTargetDataChannel();
+      dataTrackSender.addDataChannel(dataChannel);
+    });
+
+    it('sets the RTCDataChannel\'s .bufferedAmountLowThreshold', () => {
+      assert.equal(dataChannel.bufferedAmountLowThreshold, DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD);
+    });
+
+    it('waits for the RTCDataChannel to open before sending', async () => {
+      dataChannel.readyState = 'connecting';
+      const promise = dataTrackSender.sendAsync('foo');
+      await Promise.resolve();
+      sinon.assert.notCalled(dataChannel.send);
+      dataChannel.readyState = 'open';
+      dataChannel.dispatchEvent({ type: 'open' });
+      await promise;
+      sinon.assert.calledWith(dataChannel.send, 'foo');
+    });
+
+    it('waits for the RTCDataChannel\'s .bufferedAmount to fall to its .bufferedAmountLowThreshold before sending each chunk', async () => {
+      dataChannel.bufferedAmount = DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD + 1;
+      const promise = dataTrackSender.sendAsync(new ArrayBuffer(DATA_TRACK_CHUNK_SIZE * 2));
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.notCalled(dataChannel.send);
+      dataChannel.bufferedAmount = 0;
+      dataChannel.dispatchEvent({ type: 'bufferedamountlow' });
+      await promise;
+      sinon.assert.calledThrice(dataChannel.send);
+    });
+
+    it('sends messages in order', async () => {
+      dataChannel.bufferedAmount = DATA_TRACK_BUFFERED_AMOUNT_LOW_THRESHOLD + 1;
+      const promise1 = dataTrackSender.sendAsync('foo');
+      const promise2 = dataTrackSender.sendAsync('bar');
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.notCalled(dataChannel.send);
+      dataChannel.bufferedAmount = 0;
+      dataChannel.dispatchEvent({ type: 'bufferedamountlow' });
+      await Promise.all([promise1, promise2]);
+      assert.deepEqual(dataChannel.send.args, [['foo'], ['bar']]);
+    });
+
+    it('reports .bufferedAmount as the largest .bufferedAmount of the RTCDataChannels', () => {
+      const dataChannel2 = makeEventTargetDataChannel();
+      dataTrackSender.addDataChannel(dataChannel2);
+      dataChannel.bufferedAmount = 10;
+      dataChannel2.bufferedAmount = 20;
+      assert.equal(dataTrackSender.bufferedAmount, 20);
+    });
+
+    it('rejects, and emits "sendFailed", if calling send on an RTCDataChannel throws', async () => {
+      const error = new Error('InvalidStateError');
+      const sendFailed = sinon.spy();
+      dataChannel.send = sinon.spy(() => { throw error; });
+      dataTrackSender.on('sendFailed', sendFailed);
+      try {
+        await dataTrackSender.sendAsync('foo');
+      } catch (actualError) {
+        assert.equal(actualError, error);
+        sinon.assert.calledWith(sendFailed, error);
+        dataChannel.send = sinon.spy(() => {});
+        await dataTrackSender.sendAsync('bar');
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+
+    it('rejects with a RangeError if the message exceeds .maxMessageSize', async () => {
+      try {
+        await dataTrackSender.sendAsync(new ArrayBuffer(dataTrackSender.maxMessageSize + 1));
+      } catch (error) {
+        assert(error instanceof RangeError);
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
   });
 });
 
@@ -162,3 +275,11 @@ function makeDataChannel() {
     send: sinon.spy(() => {})
   };
 }
+
+function makeEventTargetDataChannel() {
+  const dataChannel = new EventTarget();
+  dataChannel.bufferedAmount = 0;
+  dataChannel.readyState = 'open';
+  dataChannel.send = sinon.spy(() => {});
+  return dataChannel;
+}
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+
+const { deserialize, getCodec, getDecodingCodecs, isSerialized, serialize } = require('../../../../lib/data/serializer');
+
+describe('serializer', () => {
+  describe('getCodec', () => {
+    it('returns null for null', () => {
+      assert.equal(getCodec(null, 'foo'), null);
+    });
+
+    it('throws a RangeError for an unknown built-in DataTrackCodec', () => {
+      assert.throws(() => getCodec('xml', 'foo'), RangeError);
+    });
+
+    it('throws a TypeError for a custom DataTrackCodec without encode and decode', () => {
+      assert.throws(() => getCodec({ id: 16 }, 'foo'), TypeError);
+    });
+
+    [15, 256, 1.5].forEach(id => {
+      it(`throws a TypeError for a custom DataTrackCodec with an .id of ${id}`, () => {
+        assert.throws(() => getCodec({ id, encode() {}, decode() {} }, 'foo'), TypeError);
+      });
+    });
+  });
+
+  describe('serialize and deserialize', () => {
+    const value = {
+      array: [1, -200, 70000, 1.5, 'two', null, true, false],
+      nested: { emoji: '😀' },
+      ignored() {}
+    };
+    const expected = {
+      array: [1, -200, 70000, 1.5, 'two', null, true, false],
+      nested: { emoji: '😀' }
+    };
+
+    ['json', 'binary'].forEach(serializer => {
+      it(`round-trips a value with the "${serializer}" DataTrackCodec`, () => {
+        const codec = getCodec(serializer, 'foo');
+        assert.deepEqual(deserialize(getDecodingCodecs(null), serialize(codec, value)), expected);
+      });
+    });
+
+    it('prefixes the message with a magic prefix and the ID of the DataTrackCodec', () => {
+      assert.deepEqual(Array.from(new Uint8Array(serialize(getCodec('binary', 'foo'), null))), [0x54, 0x56, 0x44, 0x53, 2, 0]);
+    });
+
+    it('round-trips binary data with the "binary" DataTrackCodec', () => {
+      const codec = getCodec('binary', 'foo');
+      const data = deserialize(getDecodingCodecs(null), serialize(codec, new Uint8Array([1, 2, 3])));
+      assert(data instanceof ArrayBuffer);
+      assert.deepEqual(Array.from(new Uint8Array(data)), [1, 2, 3]);
+    });
+
+    it('encodes values more compactly with the "binary" DataTrackCodec than the "json" DataTrackCodec', () => {
+      const numbers = Array.from({ length: 100 }, (_, i) => i);
+      assert(serialize(getCodec('binary', 'foo'), numbers).byteLength
+        < serialize(getCodec('json', 'foo'), numbers).byteLength);
+    });
+
+    it('round-trips a value with a custom DataTrackCodec', () => {
+      const codec = {
+        id: 16,
+        encode: value => new Uint8Array([value * 2]),
+        decode: data => new Uint8Array(data)[0] / 2
+      };
+      assert.equal(deserialize(getDecodingCodecs(codec), serialize(codec, 21)), 21);
+    });
+
+    it('throws when deserializing a message with an unknown DataTrackCodec', () => {
+      assert.throws(() => deserialize(getDecodingCodecs(null), new Uint8Array([0x54, 0x56, 0x44, 0x53, 16, 0]).buffer));
+    });
+
+    it('throws when deserializing binary data that was not serialized', () => {
+      assert.throws(() => deserialize(getDecodingCodecs(null), new Uint8Array([2, 0]).buffer));
+    });
+  });
+
+  describe('isSerialized', () => {
+    it('returns true for a serialized message', () => {
+      assert.equal(isSerialized(serialize(getCodec('json', 'foo'), null)), true);
+    });
+
+    [
+      ['a string', 'foo'],
+      ['binary data starting with the ID of a built-in DataTrackCodec', new Uint8Array([2, 0]).buffer],
+      ['binary data shorter than the header', new Uint8Array([0x54, 0x56, 0x44, 0x53]).buffer]
+    ].forEach(([description, data]) => {
+      it(`returns false for ${description}`, () => {
+        assert.equal(isSerialized(data), false);
+      });
+    });
+
+    it('throws a TypeError when serializing a function with the "binary" DataTrackCodec', () => {
+      assert.throws(() => serialize(getCodec('binary', 'foo'), () => {}), TypeError);
+    });
+  });
+});
@@ -32,6 +32,7 @@ const LocalVideoTrack = sinon.spy(function LocalVideoTrack(mediaStreamTrack, opt
   options = options || {};
   EventEmitter.call(this);
   if (mediaStreamTrack) {
+    this.content = options.content || null;
     this.id = mediaStreamTrack.id;
     this.kind = mediaStreamTrack.kind;
     this.mediaStreamTrack = mediaStreamTrack;
@@ -283,6 +284,102 @@ describe('LocalParticipant', () => {
       });
     });
 
+    context('when called with an invalid .priority', () => {
+      it('should return a rejected Promise with a RangeError', async () => {
+        const localTrack = new LocalAudioTrack(new FakeMediaStreamTrack('audio'));
+        try {
+          await test.participant.publishTrack(localTrack, { priority: 'foo' });
+        } catch (error) {
+          assert(error instanceof RangeError);
+          sinon.assert.notCalled(test.signaling.addTrack);
+          return;
+        }
+        throw new Error('Unexpected resolution');
+      });
+    });
+
+    [
+      ['with', { priority: 'high' }, 'high'],
+      ['without', {}, 'standard']
+    ].forEach(([withOrWithout, options, expectedPriority]) => {
+      context(`when called ${withOrWithout} a .priority`, () => {
+        it(`should call .addTrack on the underlying ParticipantSignaling with the priority "${expectedPriority}"`, () => {
+          const localTrack = new LocalVideoTrack(new FakeMediaStreamTrack('video'));
+          test.participant.publishTrack(localTrack, options);
+          assert.equal(test.signaling.addTrack.args[0][2], expectedPriority);
+        });
+      });
+    });
+
+    context('when called with an invalid .maxBitrate', () => {
+      it('should return a rejected Promise with a TypeError', async () => {
+        const localTrack = new LocalVideoTrack(new FakeMediaStreamTrack('video'));
+        try {
+          await test.participant.publishTrack(localTrack, { maxBitrate: 'foo' });
+        } catch (error) {
+          assert(error instanceof TypeError);
+          sinon.assert.notCalled(test.signaling.addTrack);
+          return;
+        }
+        throw new Error('Unexpected resolution');
+      });
+    });
+
+    context('when called with TrackEncodingParameters', () => {
+      it('should set the encoding parameters of the LocalTrack\'s MediaTrackSender before adding it', () => {
+        const localTrack = new LocalVideoTrack(new FakeMediaStreamTrack('video'));
+        test.participant.publishTrack(localTrack, { maxBitrate: 1000, scaleResolutionDownBy: 2 });
+        assert.deepEqual(localTrack._trackSender.encodingParameters, {
+          maxBitrate: 1000,
+          maxFramerate: null,
+          scaleResolutionDownBy: 2
+        });
+        assert.equal(test.signaling.addTrack.args[0][0], localTrack._trackSender);
+      });
+    });
+
+    context('when called with an invalid .contentHint', () => {
+      it('should return a rejected Promise with a RangeError', async () => {
+        const localTrack = new LocalVideoTrack(new FakeMediaStreamTrack('video'));
+        try {
+          await test.participant.publishTrack(localTrack, { contentHint: 'foo' });
+        } catch (error) {
+          assert(error instanceof RangeError);
+          sinon.assert.notCalled(test.signaling.addTrack);
+          return;
+        }
+        throw new Error('Unexpected resolution');
+      });
+    });
+
+    [
+      ['video', 1],
+      ['audio', 0]
+    ].forEach(([kind, callCount]) => {
+      context(`when called with a .contentHint and a Local${capitalize(kind)}Track`, () => {
+        it(`should ${callCount ? '' : 'not '}set the LocalTrack's content hint`, () => {
+          const LocalTrack = kind === 'video' ? LocalVideoTrack : LocalAudioTrack;
+          const localTrack = new LocalTrack(new FakeMediaStreamTrack(kind));
+          localTrack._setContentHint = sinon.spy();
+          test.participant.publishTrack(localTrack, { contentHint: 'detail' });
+          sinon.assert.callCount(localTrack._setContentHint, callCount);
+        });
+      });
+    });
+
+    [
+      ['a screen share', { content: 'screen' }, 'screen'],
+      ['a camera', {}, null]
+    ].forEach(([description, localTrackOptions, expectedContent]) => {
+      context(`when called with a LocalVideoTrack for ${description}`, () => {
+        it(`should call .addTrack on the underlying ParticipantSignaling with the content ${expectedContent}`, () => {
+          const localTrack = new LocalVideoTrack(new FakeMediaStreamTrack('video'), localTrackOptions);
+          test.participant.publishTrack(localTrack);
+          assert.equal(test.signaling.addTrack.args[0][3], expectedContent);
+        });
+      });
+    });
+
     [
       [
         'LocalTrack',
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const sinon = require('sinon');
+
+const { Devices } = require('../../../../lib/media/devices');
+
+describe('Devices', () => {
+  let devices;
+  let mediaDevices;
+
+  beforeEach(() => {
+    mediaDevices = new FakeMediaDevices([
+      { deviceId: 'mic1', groupId: 'a', kind: 'audioinput', label: 'Microphone 1' },
+      { deviceId: 'speaker1', groupId: 'a', kind: 'audiooutput', label: 'Speaker 1' },
+      { deviceId: 'camera1', groupId: 'b', kind: 'videoinput', label: 'Camera 1' }
+    ]);
+    devices = new Devices({ navigator: { mediaDevices } });
+  });
+
+  describe('#list', () => {
+    it('should resolve with the microphones and cameras', async () => {
+      const list = await devices.list();
+      assert.deepEqual(list.map(device => device.deviceId), ['mic1', 'camera1']);
+    });
+
+    it('should resolve with an empty Array if enumerateDevices is not supported', async () => {
+      devices = new Devices({ navigator: {} });
+      assert.deepEqual(await devices.list(), []);
+    });
+  });
+
+  describe('"devicechange" listener', () => {
+    it('should not be added until a listener is added', () => {
+      sinon.assert.notCalled(mediaDevices.addEventListener);
+      devices.on('deviceAdded', () => {});
+      sinon.assert.calledOnce(mediaDevices.addEventListener);
+      devices.on('deviceRemoved', () => {});
+      sinon.assert.calledOnce(mediaDevices.addEventListener);
+    });
+
+    it('should be removed when the last listener is removed', () => {
+      function listener() {}
+      devices.on('changed', listener);
+      devices.on('deviceAdded', listener);
+      devices.removeListener('changed', listener);
+      sinon.assert.notCalled(mediaDevices.removeEventListener);
+      devices.removeListener('deviceAdded', listener);
+      sinon.assert.calledOnce(mediaDevices.removeEventListener);
+    });
+  });
+
+  describe('when a microphone or camera is plugged in or unplugged', () => {
+    let changed;
+    let deviceAdded;
+    let deviceRemoved;
+
+    beforeEach(async () => {
+      changed = sinon.spy();
+      deviceAdded = sinon.spy();
+      deviceRemoved = sinon.spy();
+      devices.on('changed', changed);
+      devices.on('deviceAdded', deviceAdded);
+      devices.on('deviceRemoved', deviceRemoved);
+      await devices._updatePromise;
+    });
+
+    it('should emit "deviceAdded", "deviceRemoved" and "changed"', async () => {
+      const mic2 = { deviceId: 'mic2', groupId: 'c', kind: 'audioinput', label: 'Microphone 2' };
+      mediaDevices.devices = [mediaDevices.devices[0], mediaDevices.devices[1], mic2];
+      mediaDevices.emit('devicechange');
+      await devices._updatePromise;
+      sinon.assert.calledWith(deviceAdded, mic2);
+      sinon.assert.calledWith(deviceRemoved, sinon.match({ deviceId: 'camera1' }));
+      sinon.assert.calledOnce(changed);
+      assert.deepEqual(changed.args[0][0].map(device => device.deviceId), ['mic1', 'mic2']);
+    });
+
+    it('should only emit "changed" when the default device changes', async () => {
+      mediaDevices.devices = mediaDevices.devices.map(device => Object.assign({}, device, {
+        groupId: device.deviceId === 'mic1' ? 'c' : device.groupId
+      }));
+      mediaDevices.emit('devicechange');
+      await devices._updatePromise;
+      sinon.assert.notCalled(deviceAdded);
+      sinon.assert.notCalled(deviceRemoved);
+      sinon.assert.calledOnce(changed);
+    });
+
+    it('should not emit anything when only the output devices change', async () => {
+      mediaDevices.devices = mediaDevices.devices.filter(device => device.kind !== 'audiooutput');
+      mediaDevices.emit('devicechange');
+      await devices._updatePromise;
+      sinon.assert.notCalled(deviceAdded);
+      sinon.assert.notCalled(deviceRemoved);
+      sinon.assert.notCalled(changed);
+    });
+  });
+});
+
+function FakeMediaDevices(devices) {
+  const mediaDevices = new EventEmitter();
+  mediaDevices.devices = devices;
+  mediaDevices.addEventListener = sinon.spy(mediaDevices.addListener.bind(mediaDevices));
+  mediaDevices.removeEventListener = sinon.spy(mediaDevices.removeListener.bind(mediaDevices));
+  mediaDevices.enumerateDevices = () => Promise.resolve(mediaDevices.devices.slice());
+  return mediaDevices;
+}
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const AudioProcessorPipeline = require('../../../../../lib/media/processors/audioprocessorpipeline');
+const { AudioContextFactory } = require('../../../../../lib/webaudio/audiocontext');
+
+const log = require('../../../../lib/fakelog');
+
+describe('AudioProcessorPipeline', () => {
+  let audioContext;
+  let audioContextFactory;
+  let mediaStreamTrack;
+  let pipeline;
+
+  beforeEach(() => {
+    audioContextFactory = new AudioContextFactory({
+      AudioContext: function() {
+        audioContext = makeAudioContext();
+        return audioContext;
+      }
+    });
+    mediaStreamTrack = { id: 'foo', kind: 'audio' };
+    pipeline = new AudioProcessorPipeline(mediaStreamTrack, {
+      audioContextFactory,
+      log,
+      MediaStream: function MediaStream(tracks) { this.tracks = tracks; }
+    });
+  });
+
+  describe('constructor', () => {
+    it('should route the MediaStreamTrack straight to the destination', () => {
+      assert.deepEqual(audioContext.source.stream.tracks, [mediaStreamTrack]);
+      assert.deepEqual(audioContext.source.outputs, [audioContext.destination]);
+    });
+
+    it('should set .track to the destination\'s MediaStreamTrack', () => {
+      assert.equal(pipeline.track, audioContext.destination.track);
+    });
+
+    it('should throw if Web Audio is not supported', () => {
+      const factory = new AudioContextFactory({ AudioContext: null });
+      assert.throws(() => new AudioProcessorPipeline(mediaStreamTrack, { audioContextFactory: factory, log }));
+      assert.equal(factory._holders.size, 0);
+    });
+  });
+
+  describe('#setProcessors', () => {
+    it('should connect the processors\' nodes in order', () => {
+      const node1 = makeNode();
+      const node2 = { dispose: sinon.spy(), input: makeNode(), output: makeNode() };
+      const processor1 = { createNode: sinon.spy(() => node1) };
+      const processor2 = { createNode: sinon.spy(() => node2) };
+      pipeline.setProcessors([processor1, processor2]);
+      sinon.assert.calledWith(processor1.createNode, audioContext);
+      assert.deepEqual(audioContext.source.outputs, [node1]);
+      assert.deepEqual(node1.outputs, [node2.input]);
+      assert.deepEqual(node2.output.outputs, [audioContext.destination]);
+    });
+
+    it('should reuse the nodes of processors that remain, and dispose of the others', () => {
+      const node1 = makeNode();
+      const node2 = { dispose: sinon.spy(), input: makeNode(), output: makeNode() };
+      const processor1 = { createNode: sinon.spy(() => node1) };
+      const processor2 = { createNode: sinon.spy(() => node2) };
+      pipeline.setProcessors([processor1, processor2]);
+      pipeline.setProcessors([processor1]);
+      sinon.assert.calledOnce(processor1.createNode);
+      sinon.assert.calledOnce(node2.dispose);
+      assert.deepEqual(audioContext.source.outputs, [node1]);
+      assert.deepEqual(node1.outputs, [audioContext.destination]);
+    });
+
+    it('should skip a processor whose node cannot be created', () => {
+      pipeline.setProcessors([{ createNode: () => { throw new Error('foo'); } }]);
+      assert.deepEqual(audioContext.source.outputs, [audioContext.destination]);
+    });
+  });
+
+  describe('#start', () => {
+    it('should resume the AudioContext if it is suspended', () => {
+      audioContext.state = 'suspended';
+      assert.equal(pipeline.start(), pipeline);
+      sinon.assert.calledOnce(audioContext.resume);
+    });
+  });
+
+  describe('#stop', () => {
+    it('should dispose of the nodes, stop the processed MediaStreamTrack, and release the AudioContext', () => {
+      const node = { dispose: sinon.spy(), input: makeNode(), output: makeNode() };
+      pipeline.setProcessors([{ createNode: () => node }]);
+      assert.equal(pipeline.stop(), pipeline);
+      sinon.assert.calledOnce(node.dispose);
+      sinon.assert.calledOnce(pipeline.track.stop);
+      assert.deepEqual(audioContext.source.outputs, []);
+      sinon.assert.calledOnce(audioContext.close);
+    });
+  });
+});
+
+function makeNode() {
+  const node = { outputs: [] };
+  node.connect = destination => node.outputs.push(destination);
+  node.disconnect = () => { node.outputs = []; };
+  return node;
+}
+
+function makeAudioContext() {
+  const audioContext = {
+    close: sinon.spy(),
+    resume: sinon.spy(() => Promise.resolve()),
+    state: 'running'
+  };
+  audioContext.createMediaStreamSource = stream => {
+    audioContext.source = Object.assign(makeNode(), { stream });
+    return audioContext.source;
+  };
+  audioContext.createMediaStreamDestination = () => {
+    const track = { stop: sinon.spy() };
+    audioContext.destination = Object.assign(makeNode(), {
+      stream: { getAudioTracks: () => [track] },
+      track
+    });
+    return audioContext.destination;
+  };
+  return audioContext;
+}
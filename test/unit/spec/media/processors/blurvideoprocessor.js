@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+
+const BlurVideoProcessor = require('../../../../../lib/media/processors/blurvideoprocessor');
+
+describe('BlurVideoProcessor', () => {
+  describe('constructor', () => {
+    it('should set .radius', () => {
+      assert.equal(new BlurVideoProcessor({ document: makeDocument(), radius: 3 }).radius, 3);
+    });
+
+    [0, 1.5, 'foo'].forEach(radius => {
+      it(`should throw a TypeError if the radius is ${JSON.stringify(radius)}`, () => {
+        assert.throws(() => new BlurVideoProcessor({ document: makeDocument(), radius }), TypeError);
+      });
+    });
+
+    it('should use an OffscreenCanvas, if supported', () => {
+      function OffscreenCanvas(width, height) {
+        Object.assign(this, makeCanvas(), { height, width });
+      }
+      const processor = new BlurVideoProcessor({ OffscreenCanvas });
+      assert(processor._canvas instanceof OffscreenCanvas);
+    });
+  });
+
+  describe('#processFrame', () => {
+    it('should return a canvas with the frame blurred', () => {
+      const processor = new BlurVideoProcessor({ document: makeDocument(), radius: 1 });
+      const frame = makeFrame(3, 1, [0, 90, 0]);
+      const canvas = processor.processFrame(frame);
+      assert.equal(canvas.width, 3);
+      assert.equal(canvas.height, 1);
+      assert.deepEqual(getRedChannel(canvas), [30, 30, 30]);
+    });
+
+    it('should leave a uniform frame unchanged', () => {
+      const processor = new BlurVideoProcessor({ document: makeDocument(), radius: 2 });
+      const frame = makeFrame(4, 3, new Array(12).fill(200));
+      assert.deepEqual(getRedChannel(processor.processFrame(frame)), new Array(12).fill(200));
+    });
+
+    it('should blur vertically as well as horizontally', () => {
+      const processor = new BlurVideoProcessor({ document: makeDocument(), radius: 1 });
+      const frame = makeFrame(1, 3, [0, 90, 0]);
+      assert.deepEqual(getRedChannel(processor.processFrame(frame)), [30, 30, 30]);
+    });
+  });
+});
+
+function makeDocument() {
+  return { createElement: makeCanvas };
+}
+
+function makeCanvas() {
+  const canvas = { height: 150, pixels: null, width: 300 };
+  canvas.getContext = () => ({
+    drawImage(frame) {
+      canvas.pixels = Uint8ClampedArray.from(frame.pixels);
+    },
+    getImageData() {
+      return { data: Uint8ClampedArray.from(canvas.pixels) };
+    },
+    putImageData(imageData) {
+      canvas.pixels = imageData.data;
+    }
+  });
+  return canvas;
+}
+
+function makeFrame(width, height, reds) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  reds.forEach((red, i) => {
+    pixels[i * 4] = red;
+    pixels[i * 4 + 3] = 255;
+  });
+  return { height, pixels, width };
+}
+
+function getRedChannel(canvas) {
+  return Array.from(canvas.pixels).filter((value, i) => i % 4 === 0);
+}
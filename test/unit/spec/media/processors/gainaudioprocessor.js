@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('assert');
+
+const GainAudioProcessor = require('../../../../../lib/media/processors/gainaudioprocessor');
+
+describe('GainAudioProcessor', () => {
+  describe('constructor', () => {
+    it('should set .gain to 1 by default', () => {
+      assert.equal(new GainAudioProcessor().gain, 1);
+    });
+
+    [-1, NaN, 'foo'].forEach(gain => {
+      it(`should throw a TypeError if the gain is ${gain}`, () => {
+        assert.throws(() => new GainAudioProcessor({ gain }), TypeError);
+      });
+    });
+  });
+
+  describe('#createNode', () => {
+    it('should return a GainNode with the gain', () => {
+      const node = new GainAudioProcessor({ gain: 2 }).createNode(makeAudioContext());
+      assert.equal(node.input, node.output);
+      assert.equal(node.input.gain.value, 2);
+    });
+  });
+
+  describe('#setGain', () => {
+    it('should set .gain, and the gain of each GainNode that has not been disposed of', () => {
+      const processor = new GainAudioProcessor();
+      const node1 = processor.createNode(makeAudioContext());
+      const node2 = processor.createNode(makeAudioContext());
+      node2.dispose();
+      assert.equal(processor.setGain(0.5), processor);
+      assert.equal(processor.gain, 0.5);
+      assert.equal(node1.input.gain.value, 0.5);
+      assert.equal(node2.input.gain.value, 1);
+    });
+
+    it('should throw a TypeError if the gain is negative', () => {
+      assert.throws(() => new GainAudioProcessor().setGain(-1), TypeError);
+    });
+  });
+});
+
+function makeAudioContext() {
+  return { createGain: () => ({ gain: { value: 1 } }) };
+}
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const NoiseGateAudioProcessor = require('../../../../../lib/media/processors/noisegateaudioprocessor');
+
+describe('NoiseGateAudioProcessor', () => {
+  let audioContext;
+  let clock;
+  let processor;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    audioContext = makeAudioContext();
+    processor = new NoiseGateAudioProcessor({ holdTime: 100, interval: 10, threshold: -40 });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('constructor', () => {
+    it('should throw a TypeError if the threshold is positive', () => {
+      assert.throws(() => new NoiseGateAudioProcessor({ threshold: 1 }), TypeError);
+    });
+
+    it('should throw a TypeError if the hold time is negative', () => {
+      assert.throws(() => new NoiseGateAudioProcessor({ holdTime: -1 }), TypeError);
+    });
+  });
+
+  describe('#createNode', () => {
+    it('should return an AnalyserNode connected to a closed gate', () => {
+      const node = processor.createNode(audioContext);
+      assert.equal(node.input, audioContext.analyser);
+      assert.equal(node.output, audioContext.gainNode);
+      assert.deepEqual(audioContext.analyser.outputs, [audioContext.gainNode]);
+      assert.equal(audioContext.gainNode.gain.value, 0);
+    });
+
+    it('should open the gate when the level rises above the threshold', () => {
+      processor.createNode(audioContext);
+      audioContext.analyser.amplitude = 64;
+      clock.tick(10);
+      sinon.assert.calledWith(audioContext.gainNode.gain.setTargetAtTime, 1);
+    });
+
+    it('should close the gate once the level has been below the threshold for the hold time', () => {
+      processor.createNode(audioContext);
+      audioContext.analyser.amplitude = 64;
+      clock.tick(10);
+      audioContext.analyser.amplitude = 0;
+      clock.tick(100);
+      sinon.assert.calledOnce(audioContext.gainNode.gain.setTargetAtTime);
+      clock.tick(10);
+      sinon.assert.calledTwice(audioContext.gainNode.gain.setTargetAtTime);
+      sinon.assert.calledWith(audioContext.gainNode.gain.setTargetAtTime.secondCall, 0);
+    });
+
+    it('should stop measuring the level once disposed of', () => {
+      const node = processor.createNode(audioContext);
+      node.dispose();
+      audioContext.analyser.amplitude = 64;
+      clock.tick(10);
+      sinon.assert.notCalled(audioContext.gainNode.gain.setTargetAtTime);
+    });
+  });
+});
+
+function makeAudioContext() {
+  const audioContext = { currentTime: 0 };
+  audioContext.createAnalyser = () => {
+    const analyser = { amplitude: 0, fftSize: 2048, outputs: [] };
+    analyser.connect = node => analyser.outputs.push(node);
+    analyser.disconnect = () => { analyser.outputs = []; };
+    analyser.getByteTimeDomainData = samples => {
+      samples.forEach((sample, i) => {
+        samples[i] = 128 + (i % 2 ? analyser.amplitude : -analyser.amplitude);
+      });
+    };
+    audioContext.analyser = analyser;
+    return analyser;
+  };
+  audioContext.createGain = () => {
+    audioContext.gainNode = { gain: { setTargetAtTime: sinon.spy(), value: 1 } };
+    return audioContext.gainNode;
+  };
+  return audioContext;
+}
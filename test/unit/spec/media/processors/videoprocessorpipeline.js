@@ -0,0 +1,140 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const VideoProcessorPipeline = require('../../../../../lib/media/processors/videoprocessorpipeline');
+
+const log = require('../../../../lib/fakelog');
+
+describe('VideoProcessorPipeline', () => {
+  let document;
+  let mediaStreamTrack;
+  let pipeline;
+  let timers;
+
+  beforeEach(() => {
+    document = makeDocument();
+    mediaStreamTrack = { id: 'foo', kind: 'video' };
+    timers = [];
+    pipeline = new VideoProcessorPipeline(mediaStreamTrack, {
+      clearTimeout: sinon.spy(),
+      document,
+      frameRate: 10,
+      log,
+      MediaStream: function MediaStream(tracks) { this.tracks = tracks; },
+      setTimeout: (callback, delay) => timers.push({ callback, delay })
+    });
+  });
+
+  describe('constructor', () => {
+    it('should play the MediaStreamTrack in a muted <video> element', () => {
+      const [video] = document.videos;
+      assert.deepEqual(video.srcObject.tracks, [mediaStreamTrack]);
+      assert(video.muted);
+    });
+
+    it('should set .track to a MediaStreamTrack captured from the output canvas at the frame rate', () => {
+      const outputCanvas = document.canvases[1];
+      assert.equal(pipeline.track, outputCanvas.capturedTrack);
+      sinon.assert.calledWith(outputCanvas.captureStream, 10);
+    });
+  });
+
+  describe('#start', () => {
+    it('should play the <video> element, and schedule a frame', () => {
+      assert.equal(pipeline.start(), pipeline);
+      sinon.assert.calledOnce(document.videos[0].play);
+      assert.equal(timers.length, 1);
+    });
+
+    it('should do nothing if already started', () => {
+      pipeline.start();
+      pipeline.start();
+      sinon.assert.calledOnce(document.videos[0].play);
+      assert.equal(timers.length, 1);
+    });
+  });
+
+  describe('#stop', () => {
+    it('should stop the processed MediaStreamTrack, and stop scheduling frames', async () => {
+      pipeline.start();
+      assert.equal(pipeline.stop(), pipeline);
+      sinon.assert.calledOnce(pipeline.track.stop);
+      assert.equal(document.videos[0].srcObject, null);
+      await runFrame(timers);
+      assert.equal(timers.length, 1);
+    });
+  });
+
+  describe('processing a frame', () => {
+    it('should pass the frame through each processor in order, and draw the result on the output canvas', async () => {
+      const [video] = document.videos;
+      const [inputCanvas, outputCanvas] = document.canvases;
+      const processedFrame1 = { name: 'processedFrame1' };
+      const processedFrame2 = { name: 'processedFrame2' };
+      const processor1 = { processFrame: sinon.spy(() => processedFrame1) };
+      const processor2 = { processFrame: sinon.spy(() => Promise.resolve(processedFrame2)) };
+      pipeline.setProcessors([processor1, processor2]).start();
+      await runFrame(timers);
+      assert.equal(inputCanvas.width, 640);
+      assert.equal(outputCanvas.height, 480);
+      sinon.assert.calledWith(inputCanvas.context.drawImage, video);
+      sinon.assert.calledWith(processor1.processFrame, inputCanvas);
+      sinon.assert.calledWith(processor2.processFrame, processedFrame1);
+      sinon.assert.calledWith(outputCanvas.context.drawImage, processedFrame2);
+      assert.equal(timers.length, 2);
+    });
+
+    it('should drop the frame if a processor throws', async () => {
+      const outputCanvas = document.canvases[1];
+      pipeline.setProcessors([{ processFrame: () => { throw new Error('foo'); } }]).start();
+      await runFrame(timers);
+      sinon.assert.notCalled(outputCanvas.context.drawImage);
+      assert.equal(timers.length, 2);
+    });
+
+    it('should skip the frame if the <video> element has no data yet', async () => {
+      const [video] = document.videos;
+      const [inputCanvas] = document.canvases;
+      video.readyState = 1;
+      pipeline.start();
+      await runFrame(timers);
+      sinon.assert.notCalled(inputCanvas.context.drawImage);
+      assert.equal(timers.length, 2);
+    });
+  });
+});
+
+function makeDocument() {
+  const document = { canvases: [], videos: [] };
+  document.createElement = tagName => {
+    if (tagName === 'video') {
+      const video = {
+        pause: sinon.spy(),
+        play: sinon.spy(() => Promise.resolve()),
+        readyState: 4,
+        videoHeight: 480,
+        videoWidth: 640
+      };
+      document.videos.push(video);
+      return video;
+    }
+    const canvas = {
+      capturedTrack: { stop: sinon.spy() },
+      context: { drawImage: sinon.spy() },
+      height: 150,
+      width: 300
+    };
+    canvas.captureStream = sinon.spy(() => ({ getVideoTracks: () => [canvas.capturedTrack] }));
+    canvas.getContext = () => canvas.context;
+    document.canvases.push(canvas);
+    return canvas;
+  };
+  return document;
+}
+
+async function runFrame(timers) {
+  timers[timers.length - 1].callback();
+  await new Promise(resolve => setTimeout(resolve));
+}
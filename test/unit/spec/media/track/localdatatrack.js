@@ -5,6 +5,7 @@ const sinon = require('sinon');
 
 const DataTrackSender = require('../../../../../lib/data/sender');
 const LocalDataTrack = require('../../../../../lib/media/track/localdatatrack');
+const { deserialize, getDecodingCodecs } = require('../../../../../lib/data/serializer');
 const { combinationContext, randomName } = require('../../../../lib/util');
 
 describe('LocalDataTrack', () => {
@@ -69,6 +70,9 @@ describe('LocalDataTrack', () => {
     combinationContext([
       [
         [
+          { option: 'maxMessageSize',
+            defaultValue: 16 * 1024 * 1024,
+            randomValue: () => Math.floor(Math.random() * 1000) + 1 },
           { option: 'maxPacketLifeTime',
             defaultValue: null,
             randomValue: () => Math.floor(Math.random() * 1000) },
@@ -129,4 +133,47 @@ describe('LocalDataTrack', () => {
       sinon.assert.calledWith(dataTrackSender.send, data);
     });
   });
+
+  describe('#send, when constructed with a serializer', () => {
+    it('serializes the message with the DataTrackCodec', () => {
+      const track = new LocalDataTrack({ serializer: 'json' });
+      track._trackSender.send = sinon.spy();
+      track.send({ foo: 'bar' });
+      const data = track._trackSender.send.args[0][0];
+      assert.deepEqual(deserialize(getDecodingCodecs(null), data), { foo: 'bar' });
+      assert.equal(track.serializer, 'json');
+    });
+
+    it('throws a TypeError if the serializer is invalid', () => {
+      assert.throws(() => new LocalDataTrack({ serializer: { id: 1, encode() {}, decode() {} } }), TypeError);
+      assert.throws(() => new LocalDataTrack({ serializer: 'xml' }), RangeError);
+    });
+  });
+
+  describe('#sendAsync', () => {
+    it('returns the Promise returned by #sendAsync on the underlying DataTrackSender', () => {
+      const data = randomName();
+      const promise = Promise.resolve();
+      dataTrackSender.sendAsync = sinon.spy(() => promise);
+      assert.equal(dataTrack.sendAsync(data), promise);
+      sinon.assert.calledWith(dataTrackSender.sendAsync, data);
+    });
+  });
+
+  describe('.bufferedAmount', () => {
+    it('returns the underlying DataTrackSender\'s .bufferedAmount', () => {
+      dataTrackSender.addDataChannel({ bufferedAmount: 42 });
+      assert.equal(dataTrack.bufferedAmount, 42);
+    });
+  });
+
+  describe('when the underlying DataTrackSender emits "sendFailed"', () => {
+    it('emits "sendFailed"', () => {
+      const error = new Error('foo');
+      const sendFailed = sinon.spy();
+      dataTrack.on('sendFailed', sendFailed);
+      dataTrackSender.emit('sendFailed', error);
+      sinon.assert.calledWith(sendFailed, error, dataTrack);
+    });
+  });
 });
@@ -174,9 +174,638 @@ const log = require('../../../../lib/fakelog');
         track.emit('started', track);
       });
     });
+
+    describe('#restart', () => {
+      let getUserMedia;
+      let mediaStreamTrack;
+      let newMediaStreamTrack;
+
+      beforeEach(() => {
+        mediaStreamTrack = new MediaStreamTrack('1', kind[description]);
+        newMediaStreamTrack = new MediaStreamTrack('2', kind[description]);
+        getUserMedia = sinon.spy(() => Promise.resolve({ getTracks: () => [newMediaStreamTrack] }));
+        track = new LocalMediaTrack(mediaStreamTrack, { getUserMedia, log });
+        track._trackSender.setMediaStreamTrack = sinon.spy(() => Promise.resolve());
+      });
+
+      it('should acquire a new MediaStreamTrack with the given constraints', async () => {
+        await track.restart({ deviceId: 'foo' });
+        sinon.assert.calledWith(getUserMedia, { [kind[description]]: { deviceId: 'foo' } });
+      });
+
+      it('should default to the constraints of the current MediaStreamTrack', async () => {
+        mediaStreamTrack.getConstraints = () => ({ deviceId: 'bar' });
+        await track.restart();
+        sinon.assert.calledWith(getUserMedia, { [kind[description]]: { deviceId: 'bar' } });
+      });
+
+      it(`should replace the MediaStreamTrack, keeping the ${description}'s ID and enabled state`, async () => {
+        track.disable();
+        await track.restart();
+        assert.equal(track.mediaStreamTrack, newMediaStreamTrack);
+        assert.equal(track.id, '1');
+        assert.equal(newMediaStreamTrack.enabled, false);
+        sinon.assert.calledWith(track._trackSender.setMediaStreamTrack, newMediaStreamTrack);
+      });
+
+      it('should stop the old MediaStreamTrack, without emitting "stopped"', async () => {
+        const stopped = sinon.spy();
+        mediaStreamTrack.stop = sinon.spy(mediaStreamTrack.stop);
+        track.on('stopped', stopped);
+        await track.restart();
+        sinon.assert.calledOnce(mediaStreamTrack.stop);
+        sinon.assert.notCalled(stopped);
+      });
+
+      it('should emit "stopped" when the new MediaStreamTrack ends', async () => {
+        const stopped = sinon.spy();
+        track.on('stopped', stopped);
+        await track.restart();
+        newMediaStreamTrack.stop();
+        sinon.assert.calledOnce(stopped);
+      });
+
+      it('should retry after stopping the old MediaStreamTrack if acquiring a new one fails', async () => {
+        const stopped = sinon.spy();
+        let calls = 0;
+        track = new LocalMediaTrack(mediaStreamTrack, {
+          getUserMedia: () => ++calls === 1
+            ? Promise.reject(new Error('NotReadableError'))
+            : Promise.resolve({ getTracks: () => [newMediaStreamTrack] }),
+          log
+        });
+        track._trackSender.setMediaStreamTrack = sinon.spy(() => Promise.resolve());
+        track.on('stopped', stopped);
+        await track.restart();
+        assert.equal(calls, 2);
+        assert.equal(track.mediaStreamTrack, newMediaStreamTrack);
+        sinon.assert.notCalled(stopped);
+      });
+
+      it('should reject, and emit "stopped", if the retry fails too', async () => {
+        const stopped = sinon.spy();
+        track = new LocalMediaTrack(mediaStreamTrack, {
+          getUserMedia: () => Promise.reject(new Error('NotReadableError')),
+          log
+        });
+        track.on('stopped', stopped);
+        const error = await track.restart().then(() => null, error => error);
+        assert.equal(error.message, 'NotReadableError');
+        sinon.assert.calledOnce(stopped);
+      });
+
+      it(`should reject if the ${description} is stopped`, async () => {
+        track.stop();
+        const error = await track.restart().then(() => null, error => error);
+        assert(error instanceof Error);
+        sinon.assert.notCalled(getUserMedia);
+      });
+
+      it('should reject with a TypeError if the constraints are not an object', async () => {
+        const error = await track.restart('foo').then(() => null, error => error);
+        assert(error instanceof TypeError);
+      });
+
+      it('should recreate the processor pipeline for the new MediaStreamTrack', async () => {
+        track = new LocalMediaTrack(mediaStreamTrack, {
+          AudioProcessorPipeline: FakeProcessorPipeline,
+          getUserMedia,
+          log,
+          VideoProcessorPipeline: FakeProcessorPipeline
+        });
+        track._trackSender.setMediaStreamTrack = sinon.spy(() => Promise.resolve());
+        track._trackSender.setOutgoingTrack = sinon.spy(() => Promise.resolve());
+        const processor = { createNode: () => {}, processFrame: frame => frame };
+        track.addProcessor(processor);
+        const pipeline = track._processorPipeline;
+        await track.restart();
+        sinon.assert.calledOnce(pipeline.stop);
+        assert.equal(track._processorPipeline.mediaStreamTrack, newMediaStreamTrack);
+        assert.deepEqual(track._processorPipeline.processors, [processor]);
+        sinon.assert.calledWith(track._trackSender.setOutgoingTrack, track.processedTrack);
+      });
+    });
+
+    describe('"deviceFailover" option', () => {
+      let devices;
+      let getUserMedia;
+      let mediaStreamTrack;
+      let newMediaStreamTrack;
+
+      beforeEach(() => {
+        devices = new EventEmitter();
+        devices.list = sinon.spy(() => Promise.resolve([
+          { deviceId: 'default', groupId: 'bar', kind: `${kind[description]}input` },
+          { deviceId: 'foo', groupId: 'bar', kind: `${kind[description]}input` }
+        ]));
+        mediaStreamTrack = new MediaStreamTrack('1', kind[description]);
+        mediaStreamTrack.getConstraints = () => ({ deviceId: { exact: 'foo' }, frameRate: 30 });
+        mediaStreamTrack.getSettings = () => ({ deviceId: 'foo', groupId: 'bar' });
+        newMediaStreamTrack = new MediaStreamTrack('2', kind[description]);
+        newMediaStreamTrack.getSettings = () => ({ deviceId: 'default', groupId: 'baz' });
+        getUserMedia = sinon.spy(() => Promise.resolve({ getTracks: () => [newMediaStreamTrack] }));
+        track = new LocalMediaTrack(mediaStreamTrack, { deviceFailover: true, devices, getUserMedia, log });
+        track._trackSender.setMediaStreamTrack = sinon.spy(() => Promise.resolve());
+      });
+
+      context('when the MediaStreamTrack ends', () => {
+        it('should restart on the default device, and emit "deviceChanged" instead of "stopped"', async () => {
+          const deviceChanged = new Promise(resolve => track.once('deviceChanged', (...args) => resolve(args)));
+          const stopped = sinon.spy();
+          track.on('stopped', stopped);
+          mediaStreamTrack.readyState = 'ended';
+          mediaStreamTrack.emit('ended');
+          assert.deepEqual(await deviceChanged, [track, 'foo', 'default']);
+          sinon.assert.calledWith(getUserMedia, { [kind[description]]: { frameRate: 30 } });
+          assert.equal(track.mediaStreamTrack, newMediaStreamTrack);
+          sinon.assert.notCalled(stopped);
+        });
+
+        it('should emit "stopped" if the LocalMediaTrack cannot restart', async () => {
+          track = new LocalMediaTrack(mediaStreamTrack, {
+            deviceFailover: true,
+            devices,
+            getUserMedia: () => Promise.reject(new Error('NotFoundError')),
+            log
+          });
+          const stopped = new Promise(resolve => track.once('stopped', resolve));
+          mediaStreamTrack.readyState = 'ended';
+          mediaStreamTrack.emit('ended');
+          assert.equal(await stopped, track);
+        });
+      });
+
+      context('when the devices change', () => {
+        it('should restart on the default device if the current device is gone', async () => {
+          devices.list = () => Promise.resolve([{ deviceId: 'default', groupId: 'baz', kind: `${kind[description]}input` }]);
+          devices.emit('changed');
+          await track._restartPromise;
+          assert.equal(track.mediaStreamTrack, newMediaStreamTrack);
+        });
+
+        it('should not restart if the current device is still there', async () => {
+          devices.emit('changed');
+          await track._restartPromise;
+          sinon.assert.calledOnce(devices.list);
+          sinon.assert.notCalled(getUserMedia);
+        });
+
+        it('should restart if the LocalMediaTrack uses the default device, and it changed', async () => {
+          mediaStreamTrack.getConstraints = () => ({});
+          mediaStreamTrack.getSettings = () => ({ deviceId: 'default', groupId: 'qux' });
+          devices.emit('changed');
+          await track._restartPromise;
+          assert.equal(track.mediaStreamTrack, newMediaStreamTrack);
+        });
+      });
+
+      it(`should stop listening to the devices when the ${description} stops`, () => {
+        assert.equal(devices.listenerCount('changed'), 1);
+        track.stop();
+        assert.equal(devices.listenerCount('changed'), 0);
+      });
+
+      it('should be disabled by default', () => {
+        track = new LocalMediaTrack(mediaStreamTrack, { devices, getUserMedia, log });
+        assert.equal(devices.listenerCount('changed'), 1);
+      });
+    });
   });
 });
 
+describe('LocalVideoTrack', () => {
+  describe('constructor', () => {
+    it('should set .content and .contentHint to null by default', () => {
+      const track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { log });
+      assert.equal(track.content, null);
+      assert.equal(track.contentHint, null);
+    });
+
+    it('should set .content', () => {
+      const track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { content: 'screen', log });
+      assert.equal(track.content, 'screen');
+    });
+
+    it('should set .contentHint, and call .setContentHint on the MediaTrackSender', () => {
+      const mediaStreamTrack = new MediaStreamTrack('1', 'video');
+      mediaStreamTrack.contentHint = '';
+      const track = new LocalVideoTrack(mediaStreamTrack, { contentHint: 'motion', log });
+      assert.equal(track.contentHint, 'motion');
+      assert.equal(mediaStreamTrack.contentHint, 'motion');
+    });
+  });
+
+  describe('#_setContentHint', () => {
+    it('should update .contentHint and call .setContentHint on the MediaTrackSender only if it changes', () => {
+      const track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { log });
+      track._trackSender.setContentHint = sinon.spy();
+      track._setContentHint('text');
+      track._setContentHint('text');
+      assert.equal(track.contentHint, 'text');
+      sinon.assert.calledOnce(track._trackSender.setContentHint);
+      sinon.assert.calledWith(track._trackSender.setContentHint, 'text');
+    });
+  });
+
+  describe('#restart', () => {
+    it('should reject if the LocalVideoTrack was created with createLocalScreenTrack', async () => {
+      const getUserMedia = sinon.spy();
+      const track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { content: 'screen', getUserMedia, log });
+      const error = await track.restart().then(() => null, error => error);
+      assert(error instanceof Error);
+      sinon.assert.notCalled(getUserMedia);
+    });
+  });
+
+  describe('"deviceFailover" option', () => {
+    it('should be ignored if the LocalVideoTrack was created with createLocalScreenTrack', async () => {
+      const devices = new EventEmitter();
+      devices.list = sinon.spy(() => Promise.resolve([]));
+      const getUserMedia = sinon.spy();
+      const mediaStreamTrack = new MediaStreamTrack('1', 'video');
+      const track = new LocalVideoTrack(mediaStreamTrack, { content: 'screen', deviceFailover: true, devices, getUserMedia, log });
+      assert.equal(devices.listenerCount('changed'), 0);
+      const stopped = new Promise(resolve => track.once('stopped', resolve));
+      mediaStreamTrack.readyState = 'ended';
+      mediaStreamTrack.emit('ended');
+      assert.equal(await stopped, track);
+      sinon.assert.notCalled(getUserMedia);
+    });
+  });
+
+  describe('#addProcessor', () => {
+    let track;
+
+    beforeEach(() => {
+      track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { log, VideoProcessorPipeline: FakeProcessorPipeline });
+      track._trackSender.setOutgoingTrack = sinon.spy(() => Promise.resolve());
+    });
+
+    it('should throw a TypeError if the processor does not have a processFrame method', () => {
+      assert.throws(() => track.addProcessor({}), TypeError);
+    });
+
+    it('should start a VideoProcessorPipeline, and send its MediaStreamTrack', () => {
+      const processor = { processFrame: frame => frame };
+      assert.equal(track.addProcessor(processor), track);
+      const pipeline = track._processorPipeline;
+      assert.equal(pipeline.mediaStreamTrack, track.mediaStreamTrack);
+      sinon.assert.calledOnce(pipeline.start);
+      assert.deepEqual(pipeline.processors, [processor]);
+      assert.equal(track.processedTrack, pipeline.track);
+      sinon.assert.calledWith(track._trackSender.setOutgoingTrack, pipeline.track);
+    });
+
+    it('should add further processors to the same VideoProcessorPipeline, in order', () => {
+      const processor1 = { processFrame: frame => frame };
+      const processor2 = { processFrame: frame => frame };
+      track.addProcessor(processor1);
+      const pipeline = track._processorPipeline;
+      track.addProcessor(processor2);
+      track.addProcessor(processor1);
+      assert.equal(track._processorPipeline, pipeline);
+      assert.deepEqual(pipeline.processors, [processor1, processor2]);
+      assert.deepEqual(track.processors, [processor1, processor2]);
+      sinon.assert.calledOnce(track._trackSender.setOutgoingTrack);
+    });
+
+    it('should mirror #enable and #disable on the processed MediaStreamTrack', () => {
+      track.addProcessor({ processFrame: frame => frame });
+      track.disable();
+      assert.equal(track.processedTrack.enabled, false);
+      track.enable();
+      assert.equal(track.processedTrack.enabled, true);
+    });
+
+    it('should stop the VideoProcessorPipeline when the LocalVideoTrack stops', () => {
+      track.addProcessor({ processFrame: frame => frame });
+      const pipeline = track._processorPipeline;
+      track.stop();
+      sinon.assert.calledOnce(pipeline.stop);
+    });
+  });
+
+  describe('#removeProcessor', () => {
+    let track;
+
+    beforeEach(() => {
+      track = new LocalVideoTrack(new MediaStreamTrack('1', 'video'), { log, VideoProcessorPipeline: FakeProcessorPipeline });
+      track._trackSender.setOutgoingTrack = sinon.spy(() => Promise.resolve());
+    });
+
+    it('should remove the processor from the VideoProcessorPipeline', () => {
+      const processor1 = { processFrame: frame => frame };
+      const processor2 = { processFrame: frame => frame };
+      track.addProcessor(processor1).addProcessor(processor2);
+      assert.equal(track.removeProcessor(processor1), track);
+      assert.deepEqual(track._processorPipeline.processors, [processor2]);
+      assert.deepEqual(track.processors, [processor2]);
+    });
+
+    it('should stop the VideoProcessorPipeline, and send the MediaStreamTrack again, once the last processor is removed', () => {
+      const processor = { processFrame: frame => frame };
+      track.addProcessor(processor);
+      const pipeline = track._processorPipeline;
+      track.removeProcessor(processor);
+      sinon.assert.calledOnce(pipeline.stop);
+      sinon.assert.calledWith(track._trackSender.setOutgoingTrack, null);
+      assert.equal(track.processedTrack, null);
+    });
+
+    it('should do nothing if the processor was not added', () => {
+      track.removeProcessor({ processFrame: frame => frame });
+      sinon.assert.notCalled(track._trackSender.setOutgoingTrack);
+    });
+  });
+});
+
+describe('LocalAudioTrack', () => {
+  let track;
+
+  beforeEach(() => {
+    track = new LocalAudioTrack(new MediaStreamTrack('1', 'audio'), { AudioProcessorPipeline: FakeProcessorPipeline, log });
+    track._trackSender.setOutgoingTrack = sinon.spy(() => Promise.resolve());
+  });
+
+  describe('#addProcessor', () => {
+    it('should throw a TypeError if the processor does not have a createNode method', () => {
+      assert.throws(() => track.addProcessor({ processFrame: frame => frame }), TypeError);
+    });
+
+    it('should start an AudioProcessorPipeline, and send its MediaStreamTrack', () => {
+      const processor = { createNode: () => {} };
+      assert.equal(track.addProcessor(processor), track);
+      const pipeline = track._processorPipeline;
+      assert.equal(pipeline.mediaStreamTrack, track.mediaStreamTrack);
+      sinon.assert.calledOnce(pipeline.start);
+      assert.deepEqual(track.processors, [processor]);
+      assert.equal(track.processedTrack, pipeline.track);
+      sinon.assert.calledWith(track._trackSender.setOutgoingTrack, pipeline.track);
+    });
+
+    it('should throw, and not add the processor, if the AudioProcessorPipeline cannot be created', () => {
+      track = new LocalAudioTrack(new MediaStreamTrack('1', 'audio'), {
+        AudioProcessorPipeline: function() { throw new Error('Web Audio is not supported'); },
+        log
+      });
+      assert.throws(() => track.addProcessor({ createNode: () => {} }), /Web Audio/);
+      assert.deepEqual(track.processors, []);
+      assert.equal(track.processedTrack, null);
+    });
+  });
+
+  describe('#removeProcessor', () => {
+    it('should stop the AudioProcessorPipeline, and send the MediaStreamTrack again, once the last processor is removed', () => {
+      const processor1 = { createNode: () => {} };
+      const processor2 = { createNode: () => {} };
+      track.addProcessor(processor1).addProcessor(processor2);
+      const pipeline = track._processorPipeline;
+      track.removeProcessor(processor1);
+      assert.deepEqual(pipeline.processors, [processor2]);
+      sinon.assert.notCalled(pipeline.stop);
+      track.removeProcessor(processor2);
+      sinon.assert.calledOnce(pipeline.stop);
+      sinon.assert.calledWith(track._trackSender.setOutgoingTrack, null);
+      assert.equal(track.processedTrack, null);
+    });
+  });
+
+  describe('audio level', () => {
+    let clock;
+    let meter;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      meter = null;
+      track = new LocalAudioTrack(new MediaStreamTrack('1', 'audio'), {
+        AudioLevelMeter: function AudioLevelMeter() {
+          const audioLevelMeter = new FakeAudioLevelMeter();
+          meter = meter || audioLevelMeter;
+          return audioLevelMeter;
+        },
+        getUserMedia: () => Promise.resolve({ getTracks: () => [new MediaStreamTrack('2', 'audio')] }),
+        log
+      });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    describe('"audioLevelChanged" event', () => {
+      it('should start the AudioLevelMeter when the first listener is added', () => {
+        sinon.assert.notCalled(meter.start);
+        track.on('audioLevelChanged', () => {});
+        track.on('audioLevelChanged', () => {});
+        sinon.assert.calledOnce(meter.start);
+        sinon.assert.calledWith(meter.start, track.mediaStreamTrack);
+      });
+
+      it('should be emitted every 100 milliseconds while the audio level changes', () => {
+        const audioLevelChanged = sinon.spy();
+        track.on('audioLevelChanged', audioLevelChanged);
+        meter.level = 0.5;
+        clock.tick(100);
+        sinon.assert.calledWith(audioLevelChanged, track, 0.5);
+        clock.tick(100);
+        sinon.assert.calledOnce(audioLevelChanged);
+        meter.level = 0.25;
+        clock.tick(100);
+        sinon.assert.calledTwice(audioLevelChanged);
+        sinon.assert.calledWith(audioLevelChanged.lastCall, track, 0.25);
+      });
+
+      it('should stop the AudioLevelMeter when the last listener is removed', () => {
+        const audioLevelChanged = sinon.spy();
+        function listener() {}
+        track.on('audioLevelChanged', audioLevelChanged);
+        track.on('audioLevelChanged', listener);
+        track.removeListener('audioLevelChanged', listener);
+        sinon.assert.notCalled(meter.stop);
+        track.removeListener('audioLevelChanged', audioLevelChanged);
+        sinon.assert.calledOnce(meter.stop);
+        meter.level = 0.5;
+        clock.tick(100);
+        sinon.assert.notCalled(audioLevelChanged);
+      });
+
+      it('should stop the AudioLevelMeter when the LocalAudioTrack is stopped', () => {
+        const audioLevelChanged = sinon.spy();
+        track.on('audioLevelChanged', audioLevelChanged);
+        track.stop();
+        sinon.assert.calledOnce(meter.stop);
+        meter.level = 0.5;
+        clock.tick(100);
+        sinon.assert.notCalled(audioLevelChanged);
+        track.removeListener('audioLevelChanged', audioLevelChanged);
+        sinon.assert.calledOnce(meter.stop);
+      });
+
+      it('should measure the new MediaStreamTrack after a restart', async () => {
+        track._trackSender.setMediaStreamTrack = sinon.spy(() => Promise.resolve());
+        track.on('audioLevelChanged', () => {});
+        await track.restart();
+        sinon.assert.calledTwice(meter.start);
+        sinon.assert.calledWith(meter.start.lastCall, track.mediaStreamTrack);
+      });
+    });
+
+    describe('#getAudioLevel', () => {
+      it('should measure the audio level for 100 milliseconds, and then stop the AudioLevelMeter', async () => {
+        meter.level = 0.5;
+        const promise = track.getAudioLevel();
+        sinon.assert.calledOnce(meter.start);
+        clock.tick(100);
+        assert.equal(await promise, 0.5);
+        sinon.assert.calledOnce(meter.stop);
+      });
+
+      it('should resolve immediately with the current audio level while emitting "audioLevelChanged"', async () => {
+        track.on('audioLevelChanged', () => {});
+        meter.level = 0.75;
+        assert.equal(await track.getAudioLevel(), 0.75);
+        sinon.assert.calledOnce(meter.start);
+        sinon.assert.notCalled(meter.stop);
+      });
+
+      it('should return a rejected Promise if Web Audio is not supported', async () => {
+        meter.start = sinon.spy(() => false);
+        const error = await track.getAudioLevel().then(() => null, error => error);
+        assert(error instanceof Error);
+        sinon.assert.notCalled(meter.stop);
+      });
+    });
+  });
+
+  describe('"speakingWhileMuted" event', () => {
+    let clock;
+    let clone;
+    let meter;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      const meters = [];
+      const mediaStreamTrack = new MediaStreamTrack('1', 'audio');
+      clone = new MediaStreamTrack('2', 'audio');
+      clone.stop = sinon.spy();
+      mediaStreamTrack.clone = () => {
+        clone.enabled = mediaStreamTrack.enabled;
+        return clone;
+      };
+      track = new LocalAudioTrack(mediaStreamTrack, {
+        AudioLevelMeter: function AudioLevelMeter() {
+          const meter = new FakeAudioLevelMeter();
+          meters.push(meter);
+          return meter;
+        },
+        log
+      });
+      // NOTE(mroberts): The first AudioLevelMeter measures the audio level of
+      // the AudioTrack; the second, the microphone while muted.
+      meter = meters[1];
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    function speak(ms) {
+      meter.level = 0.5;
+      clock.tick(ms);
+    }
+
+    function pause(ms) {
+      meter.level = 0;
+      clock.tick(ms);
+    }
+
+    it('should not watch the microphone while the LocalAudioTrack is enabled', () => {
+      track.on('speakingWhileMuted', () => {});
+      sinon.assert.notCalled(meter.start);
+    });
+
+    it('should watch an enabled clone of the MediaStreamTrack while the LocalAudioTrack is disabled', () => {
+      track.on('speakingWhileMuted', () => {});
+      track.disable();
+      sinon.assert.calledWith(meter.start, clone);
+      assert.equal(clone.enabled, true);
+      assert.equal(track.mediaStreamTrack.enabled, false);
+      track.enable();
+      sinon.assert.calledOnce(meter.stop);
+      sinon.assert.calledOnce(clone.stop);
+    });
+
+    it('should be emitted once speech lasts one second, despite short pauses', () => {
+      const speakingWhileMuted = sinon.spy();
+      track.disable();
+      track.on('speakingWhileMuted', speakingWhileMuted);
+      speak(500);
+      pause(300);
+      speak(300);
+      sinon.assert.calledOnce(speakingWhileMuted);
+      sinon.assert.calledWith(speakingWhileMuted, track);
+      speak(2000);
+      sinon.assert.calledOnce(speakingWhileMuted);
+    });
+
+    it('should not be emitted for speech shorter than one second', () => {
+      const speakingWhileMuted = sinon.spy();
+      track.disable();
+      track.on('speakingWhileMuted', speakingWhileMuted);
+      speak(500);
+      pause(1000);
+      speak(500);
+      sinon.assert.notCalled(speakingWhileMuted);
+    });
+
+    it('should be emitted again after a long pause', () => {
+      const speakingWhileMuted = sinon.spy();
+      track.disable();
+      track.on('speakingWhileMuted', speakingWhileMuted);
+      speak(1100);
+      pause(1000);
+      speak(1100);
+      sinon.assert.calledTwice(speakingWhileMuted);
+    });
+
+    it('should stop watching the microphone when the last listener is removed', () => {
+      function listener() {}
+      track.disable();
+      track.on('speakingWhileMuted', listener);
+      track.removeListener('speakingWhileMuted', listener);
+      sinon.assert.calledOnce(meter.stop);
+      sinon.assert.calledOnce(clone.stop);
+    });
+
+    it('should stop watching the microphone when the LocalAudioTrack stops', () => {
+      track.disable();
+      track.on('speakingWhileMuted', () => {});
+      track.stop();
+      sinon.assert.calledOnce(meter.stop);
+      sinon.assert.calledOnce(clone.stop);
+    });
+  });
+});
+
+function FakeAudioLevelMeter() {
+  this.level = 0;
+  this.measure = sinon.spy(() => this.level);
+  this.start = sinon.spy(() => true);
+  this.stop = sinon.spy();
+}
+
+function FakeProcessorPipeline(mediaStreamTrack) {
+  this.mediaStreamTrack = mediaStreamTrack;
+  this.processors = [];
+  this.track = { enabled: true, id: 'processed', kind: 'video' };
+  this.setProcessors = sinon.spy(processors => {
+    this.processors = processors.slice();
+    return this;
+  });
+  this.start = sinon.spy(() => this);
+  this.stop = sinon.spy(() => this);
+}
+
 function createLocalMediaTrack(LocalMediaTrack, id, kind, name) {
   const mediaStreamTrack = new MediaStreamTrack(id, kind);
   const options = name ? { log, name } : { log };
@@ -48,8 +48,109 @@ const { FakeMediaStreamTrack } = require('../../../../lib/fakemediastream');
           assert.equal(localTrackPublication[prop], expectedValue);
         });
       });
+
+      it('should set the .priority property to "standard" by default', () => {
+        const localTrackPublication = new LocalTrackPublication('foo', localTrack, () => {});
+        assert.equal(localTrackPublication.priority, 'standard');
+      });
+
+      it('should set the .priority property to the given priority', () => {
+        const localTrackPublication = new LocalTrackPublication('foo', localTrack, () => {}, { priority: 'low' });
+        assert.equal(localTrackPublication.priority, 'low');
+      });
     });
 
+    describe('#setParameters', () => {
+      let localTrackPublication;
+
+      beforeEach(() => {
+        localTrackPublication = new LocalTrackPublication('foo', localTrack, () => {});
+        if (kind !== 'data') {
+          localTrack._trackSender.setEncodingParameters = sinon.spy();
+        }
+      });
+
+      [
+        ['a non-object', 'foo', TypeError],
+        ['an array', [{ maxBitrate: 1000 }], TypeError],
+        ['an invalid .maxBitrate', { maxBitrate: 'foo' }, TypeError],
+        ['an invalid .maxFramerate', { maxFramerate: true }, TypeError],
+        ['an invalid .scaleResolutionDownBy', { scaleResolutionDownBy: {} }, TypeError],
+        ['a NaN .maxBitrate', { maxBitrate: NaN }, RangeError],
+        ['a negative .maxBitrate', { maxBitrate: -1 }, RangeError],
+        ['a zero .maxFramerate', { maxFramerate: 0 }, RangeError],
+        ['an infinite .maxFramerate', { maxFramerate: Infinity }, RangeError],
+        ['a .scaleResolutionDownBy less than 1', { scaleResolutionDownBy: 0.5 }, RangeError]
+      ].forEach(([description, encodingParameters, ErrorClass]) => {
+        context(`when called with ${description}`, () => {
+          it(`should throw a ${ErrorClass.name}`, () => {
+            assert.throws(() => localTrackPublication.setParameters(encodingParameters), ErrorClass);
+          });
+        });
+      });
+
+      [
+        ['TrackEncodingParameters', { maxBitrate: 1000 }, { maxBitrate: 1000 }],
+        ['null', null, { maxBitrate: null, maxFramerate: null, scaleResolutionDownBy: null }]
+      ].forEach(([description, encodingParameters, expectedEncodingParameters]) => {
+        context(`when called with ${description}`, () => {
+          it('should return the LocalTrackPublication', () => {
+            assert.equal(localTrackPublication.setParameters(encodingParameters), localTrackPublication);
+          });
+
+          if (kind === 'data') {
+            return;
+          }
+
+          it('should call .setEncodingParameters on the LocalTrack\'s MediaTrackSender', () => {
+            localTrackPublication.setParameters(encodingParameters);
+            sinon.assert.calledWith(localTrack._trackSender.setEncodingParameters, expectedEncodingParameters);
+          });
+        });
+      });
+    });
+
+    if (kind === 'video') {
+      describe('#setSimulcastLayers', () => {
+        let localTrackPublication;
+
+        beforeEach(() => {
+          localTrackPublication = new LocalTrackPublication('foo', localTrack, () => {});
+          localTrack._trackSender.setSimulcastLayers = sinon.spy();
+        });
+
+        [
+          ['a non-object', 'foo', TypeError],
+          ['an invalid .layers', { layers: 4 }, RangeError],
+          ['an invalid .active', { layers: 2, active: [true, 'foo'] }, TypeError],
+          ['an .active with the wrong number of layers', { layers: 2, active: [true, true, true] }, TypeError]
+        ].forEach(([description, simulcastLayers, ErrorClass]) => {
+          context(`when called with ${description}`, () => {
+            it(`should throw a ${ErrorClass.name}`, () => {
+              assert.throws(() => localTrackPublication.setSimulcastLayers(simulcastLayers), ErrorClass);
+            });
+          });
+        });
+
+        [
+          ['only .layers', { layers: 2 }, { layers: 2, active: [true, true] }],
+          ['.layers and .active', { layers: 3, active: [false, true, true] }, { layers: 3, active: [false, true, true] }],
+          ['only .active', { active: [true, true, false] }, { layers: 3, active: [true, true, false] }]
+        ].forEach(([description, simulcastLayers, expectedSimulcastLayers]) => {
+          context(`when called with ${description}`, () => {
+            it('should return the LocalVideoTrackPublication', () => {
+              assert.equal(localTrackPublication.setSimulcastLayers(simulcastLayers), localTrackPublication);
+            });
+
+            it('should call .setSimulcastLayers on the LocalVideoTrack\'s MediaTrackSender', () => {
+              localTrackPublication.setSimulcastLayers(simulcastLayers);
+              sinon.assert.calledWith(localTrack._trackSender.setSimulcastLayers, expectedSimulcastLayers);
+            });
+          });
+        });
+      });
+    }
+
     describe('#unpublish', () => {
       let localTrackPublication;
       let ret;
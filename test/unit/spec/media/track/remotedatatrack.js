@@ -6,6 +6,7 @@ const { EventEmitter } = require('events');
 const DataTrackReceiver = require('../../../../../lib/data/receiver');
 const EventTarget = require('../../../../../lib/eventtarget');
 const RemoteDataTrack = require('../../../../../lib/media/track/remotedatatrack');
+const { getCodec, serialize } = require('../../../../../lib/data/serializer');
 const { makeUUID } = require('../../../../../lib/util');
 
 describe('RemoteDataTrack', () => {
@@ -87,6 +88,56 @@ describe('RemoteDataTrack', () => {
       });
     });
   });
+
+  describe('"message" event, when constructed with a serializer', () => {
+    const codec = {
+      id: 42,
+      encode: value => new Uint8Array([value]),
+      decode: data => new Uint8Array(data)[0]
+    };
+
+    let dataTrack;
+    let messages;
+
+    beforeEach(() => {
+      dataTrack = new RemoteDataTrack(dataTrackReceiver, makeTrackSignaling(true, makeUUID()), { serializer: codec });
+      messages = [];
+      dataTrack.on('message', data => messages.push(data));
+    });
+
+    it('sets .serializer', () => {
+      assert.equal(dataTrack.serializer, codec);
+    });
+
+    it('decodes messages serialized with the built-in DataTrackCodecs', () => {
+      dataTrackReceiver.emit('message', serialize(getCodec('json'), { foo: 'bar' }));
+      dataTrackReceiver.emit('message', serialize(getCodec('binary'), [1, 2]));
+      assert.deepEqual(messages, [{ foo: 'bar' }, [1, 2]]);
+    });
+
+    it('decodes messages serialized with its DataTrackCodec', () => {
+      dataTrackReceiver.emit('message', serialize(codec, 7));
+      assert.deepEqual(messages, [7]);
+    });
+
+    it('emits strings and unknown binary messages as-is', () => {
+      const data = new Uint8Array([99, 1]).buffer;
+      dataTrackReceiver.emit('message', 'foo');
+      dataTrackReceiver.emit('message', data);
+      assert.deepEqual(messages, ['foo', data]);
+    });
+
+    it('emits binary messages from LocalDataTracks without a serializer unchanged, even if they start with the ID of a DataTrackCodec', () => {
+      const data = [
+        new Uint8Array([1, 0x7b, 0x7d]).buffer,
+        new Uint8Array([2, 0x00]).buffer,
+        new Uint8Array([42, 7]).buffer
+      ];
+      data.forEach(data => dataTrackReceiver.emit('message', data));
+      assert.deepEqual(messages, data);
+      messages.forEach((message, i) => assert.equal(message, data[i]));
+    });
+  });
 });
 
 function makeDataChannel() {
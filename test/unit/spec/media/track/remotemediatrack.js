@@ -1,13 +1,14 @@
 'use strict';
 
 const assert = require('assert');
+const sinon = require('sinon');
 const log = require('../../../../lib/fakelog');
 const { capitalize, randomBoolean, randomName } = require('../../../../lib/util');
 const MediaTrackReceiver = require('../../../../../lib/media/track/receiver');
 const RemoteAudioTrack = require('../../../../../lib/media/track/remoteaudiotrack');
 const RemoteVideoTrack = require('../../../../../lib/media/track/remotevideotrack');
 const { EventEmitter } = require('events');
-const { FakeMediaStreamTrack } = require('../../../../lib/fakemediastream');
+const { FakeMediaStream, FakeMediaStreamTrack } = require('../../../../lib/fakemediastream');
 
 [
   ['audio', RemoteAudioTrack],
@@ -73,14 +74,396 @@ const { FakeMediaStreamTrack } = require('../../../../lib/fakemediastream');
         });
       });
     });
+
+    describe('"updated" event on the RemoteTrackSignaling', () => {
+      let signaling;
+      let track;
+
+      beforeEach(() => {
+        const mediaStreamTrack = new FakeMediaStreamTrack(kind);
+        const mediaTrackReceiver = new MediaTrackReceiver('foo', mediaStreamTrack);
+        signaling = makeSignaling(true, true, randomName());
+        track = new RemoteTrack(mediaTrackReceiver, signaling);
+      });
+
+      [
+        [false, 'disabled'],
+        [true, 'enabled']
+      ].forEach(([isEnabled, event]) => {
+        it(`should emit "${event}" only if .isEnabled changes to ${isEnabled}`, () => {
+          signaling.isEnabled = !isEnabled;
+          signaling.emit('updated');
+          const events = [];
+          track.on(event, () => events.push(event));
+          signaling.isEnabled = isEnabled;
+          signaling.emit('updated');
+          signaling.emit('updated');
+          assert.deepEqual(events, [event]);
+        });
+      });
+
+      if (kind === 'video') {
+        [
+          [true, 'switchedOff'],
+          [false, 'switchedOn']
+        ].forEach(([isSwitchedOff, event]) => {
+          it(`should emit "${event}" only if .isSwitchedOff changes to ${isSwitchedOff}`, () => {
+            signaling.isSwitchedOff = !isSwitchedOff;
+            signaling.emit('updated');
+            const events = [];
+            track.on(event, () => events.push(event));
+            signaling.isSwitchedOff = isSwitchedOff;
+            signaling.emit('updated');
+            signaling.emit('updated');
+            assert.deepEqual(events, [event]);
+            assert.equal(track.isSwitchedOff, isSwitchedOff);
+          });
+        });
+
+        it('should not emit "enabled" or "disabled" when .isSwitchedOff changes', () => {
+          let emitted = false;
+          track.on('enabled', () => { emitted = true; });
+          track.on('disabled', () => { emitted = true; });
+          signaling.isSwitchedOff = true;
+          signaling.emit('updated');
+          assert(!emitted);
+        });
+      }
+    });
+
+    if (kind === 'audio') {
+      describe('"audioLevelChanged" event', () => {
+        let clock;
+
+        beforeEach(() => {
+          clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+          clock.restore();
+        });
+
+        it('should stop the AudioLevelMeter when the RemoteAudioTrack is unsubscribed', () => {
+          const meter = {
+            measure: sinon.spy(() => 0.5),
+            start: sinon.spy(() => true),
+            stop: sinon.spy()
+          };
+          const mediaStreamTrack = new FakeMediaStreamTrack(kind);
+          const mediaTrackReceiver = new MediaTrackReceiver('foo', mediaStreamTrack);
+          const track = new RemoteTrack(mediaTrackReceiver, makeSignaling(true, true, randomName()), {
+            AudioLevelMeter: function AudioLevelMeter() { return meter; },
+            log
+          });
+          const audioLevelChanged = sinon.spy();
+          track.on('audioLevelChanged', audioLevelChanged);
+          sinon.assert.calledOnce(meter.start);
+          track._unsubscribe();
+          sinon.assert.calledOnce(meter.stop);
+          clock.tick(100);
+          sinon.assert.notCalled(audioLevelChanged);
+        });
+      });
+
+      describe('#setOutputDevice', () => {
+        let signaling;
+        let track;
+        let WebAudioOutput;
+
+        function makeElement(supportsSetSinkId) {
+          const el = { muted: false };
+          if (supportsSetSinkId) {
+            el.setSinkId = sinon.spy(() => Promise.resolve());
+          }
+          return el;
+        }
+
+        function makeTrack(options) {
+          const mediaStreamTrack = new FakeMediaStreamTrack(kind);
+          const mediaTrackReceiver = new MediaTrackReceiver('foo', mediaStreamTrack);
+          signaling = makeSignaling(true, true, randomName());
+          return new RemoteTrack(mediaTrackReceiver, signaling, Object.assign({
+            log,
+            MediaStream: FakeMediaStream,
+            WebAudioOutput
+          }, options));
+        }
+
+        beforeEach(() => {
+          WebAudioOutput = sinon.spy(function WebAudioOutput(mediaStreamTrack) {
+            this.mediaStreamTrack = mediaStreamTrack;
+            this.setSinkId = sinon.spy(() => Promise.resolve());
+            this.stop = sinon.spy();
+          });
+          track = makeTrack();
+        });
+
+        it('should return a Promise rejected with a TypeError if the deviceId is not a string', async () => {
+          const error = await track.setOutputDevice(null).then(() => null, error => error);
+          assert(error instanceof TypeError);
+          assert.equal(track.outputDeviceId, null);
+        });
+
+        it('should call setSinkId on the HTMLMediaElements attached now and later', async () => {
+          const el1 = track.attach(makeElement(true));
+          await track.setOutputDevice('bar');
+          assert.equal(track.outputDeviceId, 'bar');
+          sinon.assert.calledWith(el1.setSinkId, 'bar');
+          const el2 = track.attach(makeElement(true));
+          sinon.assert.calledWith(el2.setSinkId, 'bar');
+          sinon.assert.notCalled(WebAudioOutput);
+        });
+
+        it('should default to the .audioOutputDevice option', () => {
+          track = makeTrack({ audioOutputDevice: 'baz' });
+          assert.equal(track.outputDeviceId, 'baz');
+          const el = track.attach(makeElement(true));
+          sinon.assert.calledWith(el.setSinkId, 'baz');
+        });
+
+        it('should not call setSinkId if no audio output device was chosen', () => {
+          const el = track.attach(makeElement(true));
+          sinon.assert.notCalled(el.setSinkId);
+        });
+
+        context('when an HTMLMediaElement does not support setSinkId', () => {
+          it('should mute it, and play the RemoteAudioTrack with a WebAudioOutput instead', async () => {
+            const el = track.attach(makeElement(false));
+            await track.setOutputDevice('bar');
+            sinon.assert.calledWith(WebAudioOutput, track.mediaStreamTrack);
+            sinon.assert.calledWith(track._webAudioOutput.setSinkId, 'bar');
+            assert.equal(el.muted, true);
+          });
+
+          it('should unmute it, and stop the WebAudioOutput, when it is detached', async () => {
+            const el = track.attach(makeElement(false));
+            await track.setOutputDevice('bar');
+            const webAudioOutput = track._webAudioOutput;
+            track.detach(el);
+            assert.equal(el.muted, false);
+            sinon.assert.calledOnce(webAudioOutput.stop);
+          });
+
+          it('should stop the WebAudioOutput when the RemoteAudioTrack is unsubscribed', async () => {
+            const el = track.attach(makeElement(false));
+            await track.setOutputDevice('bar');
+            const webAudioOutput = track._webAudioOutput;
+            track._unsubscribe();
+            assert.equal(el.muted, false);
+            sinon.assert.calledOnce(webAudioOutput.stop);
+          });
+
+          it('should warn only once if Web Audio cannot select the audio output device either', async () => {
+            WebAudioOutput = function WebAudioOutput() {
+              throw new Error('Selecting the audio output device is not supported');
+            };
+            const warn = sinon.spy();
+            const trackLog = Object.assign({}, log, { warn });
+            trackLog.createLog = () => trackLog;
+            track = makeTrack({ audioOutputDevice: 'bar', log: trackLog });
+            track.attach(makeElement(false));
+            track.attach(makeElement(false));
+            await new Promise(resolve => setTimeout(resolve));
+            sinon.assert.calledOnce(warn);
+          });
+
+          it('should return a rejected Promise if Web Audio cannot select the audio output device either', async () => {
+            WebAudioOutput = function WebAudioOutput() {
+              throw new Error('Selecting the audio output device is not supported');
+            };
+            track = makeTrack();
+            const el = track.attach(makeElement(false));
+            const error = await track.setOutputDevice('bar').then(() => null, error => error);
+            assert(error instanceof Error);
+            assert.equal(el.muted, false);
+          });
+        });
+      });
+    }
+
+    if (kind === 'video') {
+      describe('render hints', () => {
+        let ResizeObserver;
+        let signaling;
+        let track;
+
+        beforeEach(() => {
+          const mediaStreamTrack = new FakeMediaStreamTrack(kind);
+          const mediaTrackReceiver = new MediaTrackReceiver('foo', mediaStreamTrack);
+          signaling = makeSignaling(true, true, randomName());
+          ResizeObserver = sinon.spy(function ResizeObserver(callback) {
+            this.callback = callback;
+            this.disconnect = sinon.spy();
+            this.observe = sinon.spy();
+          });
+          track = new RemoteTrack(mediaTrackReceiver, signaling, { MediaStream: FakeMediaStream, ResizeObserver });
+        });
+
+        describe('#setRenderDimensions', () => {
+          [
+            ['a string other than "auto"', 'foo'],
+            ['an object without .height', { width: 320 }]
+          ].forEach(([description, dimensions]) => {
+            it(`should throw a TypeError when called with ${description}`, () => {
+              assert.throws(() => track.setRenderDimensions(dimensions), TypeError);
+            });
+          });
+
+          it('should set the RenderHint of the RemoteTrackSignaling only if it changes', () => {
+            assert.equal(track.setRenderDimensions({ width: 320, height: 180 }), track);
+            track.setRenderDimensions({ width: 320, height: 180 });
+            sinon.assert.calledOnce(signaling.setRenderHint);
+            sinon.assert.calledWith(signaling.setRenderHint, { dimensions: { width: 320, height: 180 }, layer: null, switchOff: false });
+          });
+
+          it('should remove the RenderHint of the RemoteTrackSignaling when called with null', () => {
+            track.setRenderDimensions({ width: 320, height: 180 });
+            track.setRenderDimensions(null);
+            sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+          });
+
+          context('when called with "auto"', () => {
+            let el1;
+            let el2;
+
+            beforeEach(() => {
+              el1 = { clientWidth: 160, clientHeight: 90 };
+              el2 = { clientWidth: 640, clientHeight: 360 };
+              track.attach(el1);
+              track.setRenderDimensions('auto');
+            });
+
+            it('should set the RenderHint of the RemoteTrackSignaling to the dimensions of the attached element', () => {
+              sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: { width: 160, height: 90 }, layer: null, switchOff: false });
+            });
+
+            it('should set the RenderHint of the RemoteTrackSignaling to the dimensions of the largest element when another is attached', () => {
+              track.attach(el2);
+              sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: { width: 640, height: 360 }, layer: null, switchOff: false });
+            });
+
+            it('should update the RenderHint of the RemoteTrackSignaling when an element is detached', () => {
+              track.attach(el2);
+              track.detach(el2);
+              sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: { width: 160, height: 90 }, layer: null, switchOff: false });
+            });
+
+            it('should update the RenderHint of the RemoteTrackSignaling when an attached element is resized', () => {
+              const resizeObserver = track._resizeObserver;
+              sinon.assert.calledWith(resizeObserver.observe, el1);
+              el1.clientWidth = 320;
+              el1.clientHeight = 180;
+              resizeObserver.callback();
+              sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: { width: 320, height: 180 }, layer: null, switchOff: false });
+            });
+
+            it('should stop observing the attached elements when called again with other dimensions', () => {
+              const resizeObserver = track._resizeObserver;
+              track.setRenderDimensions({ width: 320, height: 180 });
+              sinon.assert.calledOnce(resizeObserver.disconnect);
+            });
+          });
+        });
+
+        describe('#setLayerPreference', () => {
+          it('should throw a RangeError when called with an invalid layer', () => {
+            assert.throws(() => track.setLayerPreference('foo'), RangeError);
+          });
+
+          it('should set the RenderHint of the RemoteTrackSignaling, keeping the render dimensions', () => {
+            track.setRenderDimensions({ width: 320, height: 180 });
+            assert.equal(track.setLayerPreference('low'), track);
+            sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: { width: 320, height: 180 }, layer: 'low', switchOff: false });
+          });
+
+          it('should remove the RenderHint of the RemoteTrackSignaling when called with null, if there are no render dimensions', () => {
+            track.setLayerPreference('high');
+            track.setLayerPreference(null);
+            sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+          });
+        });
+      });
+
+      describe('when constructed with switchOffWhenInvisible', () => {
+        let doc;
+        let IntersectionObserver;
+        let signaling;
+        let track;
+
+        function setVisibilityState(visibilityState) {
+          doc.visibilityState = visibilityState;
+          doc.addEventListener.args.forEach(([event, listener]) => {
+            if (event === 'visibilitychange') {
+              listener();
+            }
+          });
+        }
+
+        beforeEach(() => {
+          const mediaStreamTrack = new FakeMediaStreamTrack(kind);
+          const mediaTrackReceiver = new MediaTrackReceiver('foo', mediaStreamTrack);
+          signaling = makeSignaling(true, true, randomName());
+          doc = {
+            addEventListener: sinon.spy(),
+            removeEventListener: sinon.spy(),
+            visibilityState: 'visible'
+          };
+          IntersectionObserver = sinon.spy(function IntersectionObserver(callback) {
+            this.callback = callback;
+            this.disconnect = sinon.spy();
+            this.observe = sinon.spy();
+          });
+          track = new RemoteTrack(mediaTrackReceiver, signaling, {
+            document: doc,
+            IntersectionObserver,
+            MediaStream: FakeMediaStream,
+            switchOffWhenInvisible: true
+          });
+        });
+
+        it('should ask to switch off the RemoteVideoTrack while it is not attached to any element', () => {
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: null, layer: null, switchOff: true });
+          const el = {};
+          track.attach(el);
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+          track.detach(el);
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: null, layer: null, switchOff: true });
+        });
+
+        it('should ask to switch off the RemoteVideoTrack while none of its elements intersect the viewport', () => {
+          const el = {};
+          track.attach(el);
+          track._intersectionObserver.callback([{ isIntersecting: false, target: el }]);
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: null, layer: null, switchOff: true });
+          track._intersectionObserver.callback([{ isIntersecting: true, target: el }]);
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+        });
+
+        it('should ask to switch off the RemoteVideoTrack while the document is hidden', () => {
+          track.attach({});
+          setVisibilityState('hidden');
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, { dimensions: null, layer: null, switchOff: true });
+          setVisibilityState('visible');
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+        });
+
+        it('should remove its RenderHint and stop listening for visibility changes when unsubscribed', () => {
+          track._unsubscribe();
+          sinon.assert.calledWith(signaling.setRenderHint.lastCall, null);
+          sinon.assert.calledWith(doc.removeEventListener, 'visibilitychange', doc.addEventListener.args[0][1]);
+        });
+      });
+    }
   });
 });
 
 function makeSignaling(isEnabled, isSubscribed, sid) {
   const signaling = new EventEmitter();
   signaling.isEnabled = isEnabled;
+  signaling.isSwitchedOff = false;
   signaling.isSubscribed = isSubscribed;
   signaling.name = randomName();
+  signaling.setRenderHint = sinon.spy();
   signaling.sid = sid;
   return signaling;
 }
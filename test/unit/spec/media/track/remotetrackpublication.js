@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const sinon = require('sinon');
+
+const RemoteTrackPublication = require('../../../../../lib/media/track/remotetrackpublication');
+const log = require('../../../../lib/fakelog');
+
+describe('RemoteTrackPublication', () => {
+  describe('constructor', () => {
+    let publication;
+    let signaling;
+
+    before(() => {
+      signaling = makeSignaling({ content: 'screen', priority: 'high' });
+      publication = new RemoteTrackPublication(signaling, { log });
+    });
+
+    [
+      ['content', 'content'],
+      ['isTrackEnabled', 'isEnabled'],
+      ['kind', 'kind'],
+      ['publishPriority', 'priority'],
+      ['trackName', 'name'],
+      ['trackSid', 'sid']
+    ].forEach(([prop, signalingProp]) => {
+      it(`should set the .${prop} property to the RemoteTrackSignaling's .${signalingProp}`, () => {
+        assert.equal(publication[prop], signaling[signalingProp]);
+      });
+    });
+
+    it('should set the .track property to null', () => {
+      assert.equal(publication.track, null);
+    });
+  });
+
+  describe('"updated" event on the RemoteTrackSignaling', () => {
+    [
+      [false, 'trackDisabled'],
+      [true, 'trackEnabled']
+    ].forEach(([isEnabled, event]) => {
+      it(`should emit "${event}" only if .isEnabled changes to ${isEnabled}, even if the RemoteTrack is not subscribed to`, () => {
+        const signaling = makeSignaling({ isEnabled: !isEnabled });
+        const publication = new RemoteTrackPublication(signaling, { log });
+        const events = [];
+        publication.on('trackDisabled', () => events.push('trackDisabled'));
+        publication.on('trackEnabled', () => events.push('trackEnabled'));
+        signaling.isEnabled = isEnabled;
+        signaling.emit('updated');
+        signaling.emit('updated');
+        assert.deepEqual(events, [event]);
+        assert.equal(publication.isTrackEnabled, isEnabled);
+        assert.equal(publication.track, null);
+      });
+    });
+  });
+
+  [
+    ['subscribe', true],
+    ['unsubscribe', false]
+  ].forEach(([method, isSubscribed]) => {
+    describe(`#${method}`, () => {
+      it(`should call .requestSubscription(${isSubscribed}) on the RemoteTrackSignaling`, () => {
+        const signaling = makeSignaling();
+        const publication = new RemoteTrackPublication(signaling, { log });
+        publication[method]();
+        sinon.assert.calledWith(signaling.requestSubscription, isSubscribed);
+      });
+
+      it('should return a Promise that resolves to the RemoteTrackPublication', async () => {
+        const signaling = makeSignaling();
+        const publication = new RemoteTrackPublication(signaling, { log });
+        assert.equal(await publication[method](), publication);
+      });
+
+      it('should return a Promise that rejects if the request fails', async () => {
+        const error = new Error('foo');
+        const signaling = makeSignaling({ error });
+        const publication = new RemoteTrackPublication(signaling, { log });
+        try {
+          await publication[method]();
+        } catch (error_) {
+          assert.equal(error_, error);
+          return;
+        }
+        throw new Error('Unexpected resolution');
+      });
+    });
+  });
+});
+
+function makeSignaling(options) {
+  options = options || {};
+  const signaling = new EventEmitter();
+  signaling.content = options.content || null;
+  signaling.isEnabled = 'isEnabled' in options ? options.isEnabled : true;
+  signaling.kind = 'video';
+  signaling.name = 'foo';
+  signaling.priority = options.priority;
+  signaling.sid = 'MT1';
+  signaling.requestSubscription = sinon.spy(() => options.error
+    ? Promise.reject(options.error)
+    : Promise.resolve());
+  return signaling;
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('assert');
+const sinon = require('sinon');
 const MediaTrackSender = require('../../../../../lib/media/track/sender');
 
 describe('MediaTrackSender', () => {
@@ -73,4 +74,363 @@ describe('MediaTrackSender', () => {
       });
     });
   });
+
+  describe('#setContentHint', () => {
+    [
+      ['detail', 'maintain-resolution'],
+      ['motion', 'maintain-framerate'],
+      ['text', 'maintain-resolution'],
+      [null, 'balanced']
+    ].forEach(([contentHint, degradationPreference]) => {
+      context(`when called with ${contentHint}`, () => {
+        let rtpSender;
+        let ret;
+        let track;
+
+        beforeEach(() => {
+          track = { contentHint: 'foo', id: 'bar', kind: 'video' };
+          rtpSender = makeRTCRtpSender();
+          sender = new MediaTrackSender(track);
+          sender.addSender(rtpSender);
+          ret = sender.setContentHint(contentHint);
+        });
+
+        it('should return the MediaTrackSender', () => {
+          assert.equal(ret, sender);
+        });
+
+        it('should set the MediaStreamTrack\'s .contentHint', () => {
+          assert.equal(track.contentHint, contentHint || '');
+        });
+
+        it(`should set the RTCRtpSender's degradation preference to "${degradationPreference}"`, async () => {
+          await Promise.resolve();
+          sinon.assert.calledWith(rtpSender.setParameters, sinon.match({ degradationPreference }));
+        });
+
+        it(`should set the degradation preference of RTCRtpSenders added later to "${degradationPreference}"`, async () => {
+          const rtpSender = makeRTCRtpSender();
+          sender.addSender(rtpSender);
+          await Promise.resolve();
+          sinon.assert.calledWith(rtpSender.setParameters, sinon.match({ degradationPreference }));
+        });
+      });
+    });
+
+    it('should not set the MediaStreamTrack\'s .contentHint if it is not supported', () => {
+      const track = { id: 'bar', kind: 'video' };
+      new MediaTrackSender(track).setContentHint('detail');
+      assert(!('contentHint' in track));
+    });
+
+    it('should ignore RTCRtpSenders which do not support setParameters', () => {
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender({ track: 'foo' });
+      assert.equal(sender.setContentHint('detail'), sender);
+    });
+
+    it('should log, and otherwise ignore, RTCRtpSenders whose setParameters rejects', async () => {
+      const log = { createLog: () => log, warn: sinon.spy() };
+      const rtpSender = makeRTCRtpSender();
+      rtpSender.setParameters = sinon.spy(() => Promise.reject(new Error('Not yet negotiated')));
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' }, { log });
+      sender.addSender(rtpSender);
+      sender.setContentHint('detail');
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.calledOnce(rtpSender.setParameters);
+      sinon.assert.calledWith(log.warn, sinon.match(/Not yet negotiated/));
+    });
+  });
+
+  describe('#setEncodingParameters', () => {
+    let rtpSender;
+
+    beforeEach(() => {
+      rtpSender = makeRTCRtpSender();
+      rtpSender.parameters = { encodings: [{ active: true }] };
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender(rtpSender);
+    });
+
+    it('should set .encodingParameters, keeping the values of any properties not specified', () => {
+      sender.setEncodingParameters({ maxBitrate: 1000, scaleResolutionDownBy: 2 });
+      sender.setEncodingParameters({ maxFramerate: 15, scaleResolutionDownBy: null });
+      assert.deepEqual(sender.encodingParameters, {
+        maxBitrate: 1000,
+        maxFramerate: 15,
+        scaleResolutionDownBy: null
+      });
+    });
+
+    it('should set the encodings of each RTCRtpSender', async () => {
+      sender.setEncodingParameters({ maxBitrate: 1000, maxFramerate: 15 });
+      await Promise.resolve();
+      assert.deepEqual(rtpSender.parameters.encodings, [{ active: true, maxBitrate: 1000, maxFramerate: 15 }]);
+    });
+
+    it('should remove the limits set to null from the encodings of each RTCRtpSender', async () => {
+      sender.setEncodingParameters({ maxBitrate: 1000, maxFramerate: 15 });
+      await Promise.resolve();
+      sender.setEncodingParameters({ maxBitrate: null });
+      await Promise.resolve();
+      assert.deepEqual(rtpSender.parameters.encodings, [{ active: true, maxFramerate: 15 }]);
+    });
+
+    it('should set the encodings of RTCRtpSenders added later', async () => {
+      sender.setEncodingParameters({ maxBitrate: 1000 });
+      const rtpSender = makeRTCRtpSender();
+      rtpSender.parameters = { encodings: [{}] };
+      sender.addSender(rtpSender);
+      await Promise.resolve();
+      assert.deepEqual(rtpSender.parameters.encodings, [{ maxBitrate: 1000 }]);
+    });
+
+    context('when an RTCRtpSender has more than one encoding', () => {
+      beforeEach(() => {
+        rtpSender.parameters = {
+          encodings: [
+            { active: true, maxBitrate: 150000, scaleResolutionDownBy: 4 },
+            { active: true, maxBitrate: 500000, scaleResolutionDownBy: 2 },
+            { active: true, maxBitrate: 2500000, scaleResolutionDownBy: 1 }
+          ]
+        };
+      });
+
+      it('should set the limits of the highest quality encoding only', async () => {
+        sender.setEncodingParameters({ maxBitrate: 1000000, scaleResolutionDownBy: 1.5 });
+        await Promise.resolve();
+        assert.deepEqual(rtpSender.parameters.encodings, [
+          { active: true, maxBitrate: 150000, scaleResolutionDownBy: 4 },
+          { active: true, maxBitrate: 500000, scaleResolutionDownBy: 2 },
+          { active: true, maxBitrate: 1000000, scaleResolutionDownBy: 1.5 }
+        ]);
+      });
+
+      it('should not remove limits that were not previously set', async () => {
+        sender.setEncodingParameters({ maxBitrate: null, maxFramerate: 15, scaleResolutionDownBy: null });
+        await Promise.resolve();
+        sender.updateSenders();
+        await Promise.resolve();
+        assert.deepEqual(rtpSender.parameters.encodings, [
+          { active: true, maxBitrate: 150000, scaleResolutionDownBy: 4 },
+          { active: true, maxBitrate: 500000, scaleResolutionDownBy: 2 },
+          { active: true, maxBitrate: 2500000, maxFramerate: 15, scaleResolutionDownBy: 1 }
+        ]);
+      });
+
+      it('should remove only the limits that were previously set when they are set to null', async () => {
+        sender.setEncodingParameters({ maxFramerate: 15 });
+        await Promise.resolve();
+        sender.setEncodingParameters({ maxFramerate: null });
+        await Promise.resolve();
+        assert.deepEqual(rtpSender.parameters.encodings, [
+          { active: true, maxBitrate: 150000, scaleResolutionDownBy: 4 },
+          { active: true, maxBitrate: 500000, scaleResolutionDownBy: 2 },
+          { active: true, maxBitrate: 2500000, scaleResolutionDownBy: 1 }
+        ]);
+      });
+    });
+
+    it('should emit "encodingParametersChanged" only if the .encodingParameters change', () => {
+      const encodingParametersChanged = sinon.spy();
+      sender.on('encodingParametersChanged', encodingParametersChanged);
+      sender.setEncodingParameters({ maxBitrate: 1000 });
+      sender.setEncodingParameters({ maxBitrate: 1000 });
+      sender.setEncodingParameters({});
+      sinon.assert.calledOnce(encodingParametersChanged);
+    });
+  });
+
+  describe('#setSimulcastLayers', () => {
+    let rtpSender;
+
+    beforeEach(() => {
+      rtpSender = makeRTCRtpSender();
+      rtpSender.parameters = { encodings: [{ active: true }, { active: true }, { active: true }] };
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender(rtpSender);
+    });
+
+    it('should set .simulcastLayers', () => {
+      assert.equal(sender.simulcastLayers, null);
+      sender.setSimulcastLayers({ layers: 3, active: [true, false, true] });
+      assert.deepEqual(sender.simulcastLayers, { layers: 3, active: [true, false, true] });
+    });
+
+    it('should set the active flag of each encoding of each RTCRtpSender', async () => {
+      sender.setSimulcastLayers({ layers: 3, active: [true, true, false] });
+      await Promise.resolve();
+      assert.deepEqual(rtpSender.parameters.encodings, [{ active: true }, { active: true }, { active: false }]);
+    });
+
+    it('should not deactivate the encoding of an RTCRtpSender whose simulcast layers have not been negotiated', async () => {
+      rtpSender.parameters = { encodings: [{ active: true }] };
+      sender.setSimulcastLayers({ layers: 3, active: [false, true, true] });
+      await Promise.resolve();
+      sinon.assert.notCalled(rtpSender.setParameters);
+    });
+
+    it('should emit "simulcastLayersChanged" only if the .simulcastLayers change', () => {
+      const simulcastLayersChanged = sinon.spy();
+      sender.on('simulcastLayersChanged', simulcastLayersChanged);
+      sender.setSimulcastLayers({ layers: 2, active: [true, true] });
+      sender.setSimulcastLayers({ layers: 2, active: [true, true] });
+      sender.setSimulcastLayers({ layers: 2, active: [true, false] });
+      sinon.assert.calledTwice(simulcastLayersChanged);
+    });
+  });
+
+  describe('#updateSenders', () => {
+    it('should not set the degradation preference if #setContentHint has not been called', async () => {
+      const rtpSender = makeRTCRtpSender();
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender(rtpSender);
+      sender.updateSenders();
+      await Promise.resolve();
+      sinon.assert.notCalled(rtpSender.setParameters);
+    });
+
+    it('should set the degradation preference again if an RTCRtpSender\'s parameters were reset', async () => {
+      const rtpSender = makeRTCRtpSender();
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender(rtpSender);
+      sender.setContentHint('motion');
+      await Promise.resolve();
+      rtpSender.parameters = {};
+      sender.updateSenders();
+      await Promise.resolve();
+      sinon.assert.calledTwice(rtpSender.setParameters);
+    });
+
+    it('should not set the degradation preference again if it has not changed', async () => {
+      const rtpSender = makeRTCRtpSender();
+      sender = new MediaTrackSender({ id: 'bar', kind: 'video' });
+      sender.addSender(rtpSender);
+      sender.setContentHint('motion');
+      await Promise.resolve();
+      sender.updateSenders();
+      await Promise.resolve();
+      sinon.assert.calledOnce(rtpSender.setParameters);
+    });
+  });
+
+  describe('#setOutgoingTrack', () => {
+    const track = { id: 'bar', kind: 'video' };
+    const processedTrack = { id: 'qux', kind: 'video' };
+
+    beforeEach(() => {
+      sender = new MediaTrackSender(track);
+    });
+
+    it('should set .outgoingTrack', () => {
+      assert.equal(sender.outgoingTrack, track);
+      sender.setOutgoingTrack(processedTrack);
+      assert.equal(sender.outgoingTrack, processedTrack);
+    });
+
+    it('should replace the MediaStreamTrack of each RTCRtpSender', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      sender.addSender(rtpSender);
+      await sender.setOutgoingTrack(processedTrack);
+      sinon.assert.calledWith(rtpSender.replaceTrack, processedTrack);
+    });
+
+    it('should replace the MediaStreamTrack of RTCRtpSenders added later', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      await sender.setOutgoingTrack(processedTrack);
+      sender.addSender(rtpSender);
+      await Promise.resolve();
+      sinon.assert.calledWith(rtpSender.replaceTrack, processedTrack);
+    });
+
+    it('should send the .track again when called with null', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      sender.addSender(rtpSender);
+      await sender.setOutgoingTrack(processedTrack);
+      await sender.setOutgoingTrack(null);
+      assert.equal(sender.outgoingTrack, track);
+      assert.equal(rtpSender.track, track);
+    });
+
+    it('should emit "replaceTrackFailed" for RTCRtpSenders which do not support replaceTrack', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      const replaceTrackFailed = sinon.spy();
+      delete rtpSender.replaceTrack;
+      sender.addSender(rtpSender);
+      sender.on('replaceTrackFailed', replaceTrackFailed);
+      await sender.setOutgoingTrack(processedTrack);
+      assert.equal(rtpSender.track, track);
+      sinon.assert.calledWith(replaceTrackFailed, rtpSender);
+    });
+
+    it('should emit "replaceTrackFailed" if an RTCRtpSender fails to replace its MediaStreamTrack', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      const replaceTrackFailed = sinon.spy();
+      rtpSender.replaceTrack = sinon.spy(() => Promise.reject(new Error('foo')));
+      sender.addSender(rtpSender);
+      sender.on('replaceTrackFailed', replaceTrackFailed);
+      await sender.setOutgoingTrack(processedTrack);
+      sinon.assert.calledWith(replaceTrackFailed, rtpSender, sinon.match.has('message', 'foo'));
+    });
+
+    it('should not emit "replaceTrackFailed" for an RTCRtpSender removed in the meantime', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      const replaceTrackFailed = sinon.spy();
+      rtpSender.replaceTrack = sinon.spy(() => Promise.reject(new Error('foo')));
+      sender.addSender(rtpSender);
+      sender.on('replaceTrackFailed', replaceTrackFailed);
+      const promise = sender.setOutgoingTrack(processedTrack);
+      sender.removeSender(rtpSender);
+      await promise;
+      sinon.assert.notCalled(replaceTrackFailed);
+    });
+  });
+
+  describe('#setMediaStreamTrack', () => {
+    const track = { contentHint: 'motion', id: 'bar', kind: 'video', readyState: 'live' };
+    const newTrack = { contentHint: '', id: 'qux', kind: 'video', readyState: 'live' };
+
+    beforeEach(() => {
+      sender = new MediaTrackSender(track);
+    });
+
+    it('should set .track, keeping the .id, and copy the content hint', () => {
+      sender.setMediaStreamTrack(newTrack);
+      assert.equal(sender.track, newTrack);
+      assert.equal(sender.outgoingTrack, newTrack);
+      assert.equal(sender.id, 'bar');
+      assert.equal(newTrack.contentHint, 'motion');
+    });
+
+    it('should replace the MediaStreamTrack of each RTCRtpSender', async () => {
+      const rtpSender = makeRTCRtpSender(track);
+      sender.addSender(rtpSender);
+      await sender.setMediaStreamTrack(newTrack);
+      sinon.assert.calledWith(rtpSender.replaceTrack, newTrack);
+    });
+
+    it('should not replace the MediaStreamTrack of each RTCRtpSender if .outgoingTrack is set', async () => {
+      const processedTrack = { id: 'quux', kind: 'video' };
+      const rtpSender = makeRTCRtpSender(track);
+      sender.addSender(rtpSender);
+      await sender.setOutgoingTrack(processedTrack);
+      await sender.setMediaStreamTrack(newTrack);
+      sinon.assert.calledOnce(rtpSender.replaceTrack);
+      assert.equal(rtpSender.track, processedTrack);
+    });
+  });
 });
+
+function makeRTCRtpSender(track) {
+  const rtpSender = { parameters: {}, track: track || 'foo' };
+  rtpSender.getParameters = () => Object.assign({}, rtpSender.parameters);
+  rtpSender.setParameters = sinon.spy(parameters => {
+    rtpSender.parameters = parameters;
+    return Promise.resolve();
+  });
+  rtpSender.replaceTrack = sinon.spy(track => {
+    rtpSender.track = track;
+    return Promise.resolve();
+  });
+  return rtpSender;
+}
@@ -247,6 +247,17 @@ describe('RemoteParticipant', () => {
     });
   });
 
+  describe('.networkQualityLevel and .networkQualityStats', () => {
+    it('return the RemoteParticipantSignaling\'s .networkQualityLevel and .networkQualityStats', () => {
+      const test = makeTest();
+      const stats = {};
+      test.signaling.networkQualityLevel = 4;
+      test.signaling.networkQualityStats = stats;
+      assert.equal(test.participant.networkQualityLevel, 4);
+      assert.equal(test.participant.networkQualityStats, stats);
+    });
+  });
+
   describe('.tracks', () => {
     context('when the RemoteParticipant begins in .state "connected"', () => {
       it('re-emits "dimensionsChanged" events', () => {
@@ -457,6 +468,40 @@ describe('RemoteParticipant', () => {
       });
     });
 
+    context('"networkQualityLevelChanged" event', () => {
+      context('when the RemoteParticipant .state begins in "connected"', () => {
+        it('re-emits the "networkQualityLevelChanged" event', () => {
+          const test = makeTest();
+          const stats = {};
+          let args;
+          test.participant.once('networkQualityLevelChanged', (...rest) => { args = rest; });
+          test.signaling.emit('networkQualityLevelChanged', 3, stats);
+          assert.deepEqual(args, [3, stats]);
+        });
+      });
+
+      context('when the RemoteParticipant .state transitions to "disconnected"', () => {
+        it('does not re-emit the "networkQualityLevelChanged" event', () => {
+          const test = makeTest();
+          let networkQualityLevelChanged;
+          test.signaling.emit('stateChanged', 'disconnected');
+          test.participant.once('networkQualityLevelChanged', () => { networkQualityLevelChanged = true; });
+          test.signaling.emit('networkQualityLevelChanged', 3, null);
+          assert(!networkQualityLevelChanged);
+        });
+      });
+
+      context('when the RemoteParticipant .state begins in "disconnected"', () => {
+        it('does not re-emit the "networkQualityLevelChanged" event', () => {
+          const test = makeTest({ state: 'disconnected' });
+          let networkQualityLevelChanged;
+          test.participant.once('networkQualityLevelChanged', () => { networkQualityLevelChanged = true; });
+          test.signaling.emit('networkQualityLevelChanged', 3, null);
+          assert(!networkQualityLevelChanged);
+        });
+      });
+    });
+
     context('"trackAdded" event', () => {
       context('when the RemoteParticipant .state begins in "connected"', () => {
         it('calls .getTrackTransceiver on the RemoteTrackSignaling', () => {
@@ -567,6 +612,105 @@ describe('RemoteParticipant', () => {
               assert.equal(test.tracks[2], subscribed[2]);
             });
           });
+
+          it('sets the .track of the RemoteTrackPublication to the newly-constructed RemoteTrack', () => {
+            const test = makeTest();
+            const videoTrack = makeTrackSignaling({ kind: 'video' });
+            test.signaling.emit('trackAdded', videoTrack);
+            return videoTrack.getTrackTransceiverDeferred.promise.then(() => {
+              assert.equal(test.participant.trackPublications.get(videoTrack.sid).track, test.tracks[0]);
+            });
+          });
+
+          [
+            ['switchedOff', 'trackSwitchedOff'],
+            ['switchedOn', 'trackSwitchedOn']
+          ].forEach(([trackEvent, participantEvent]) => {
+            it(`re-emits "${trackEvent}" events on the RemoteTrack as "${participantEvent}"`, () => {
+              const test = makeTest();
+              const videoTrack = makeTrackSignaling({ kind: 'video' });
+              test.signaling.emit('trackAdded', videoTrack);
+              return videoTrack.getTrackTransceiverDeferred.promise.then(() => {
+                let track;
+                test.participant.once(participantEvent, _track => { track = _track; });
+                test.tracks[0].emit(trackEvent, test.tracks[0]);
+                assert.equal(track, test.tracks[0]);
+              });
+            });
+          });
+        });
+
+        it('emits "trackPublished" with the RemoteTrackPublication', () => {
+          const test = makeTest();
+          const videoTrack = makeTrackSignaling({ kind: 'video' });
+          let publication;
+          test.participant.once('trackPublished', _publication => { publication = _publication; });
+          test.signaling.emit('trackAdded', videoTrack);
+          assert(publication instanceof RemoteTrackPublication);
+          assert.equal(publication, test.participant.trackPublications.get(videoTrack.sid));
+        });
+
+        context('when the RemoteTrackSignaling is later unsubscribed from', () => {
+          let publication;
+          let test;
+          let track;
+          let unsubscribed;
+          let videoTrack;
+
+          beforeEach(async () => {
+            test = makeTest();
+            videoTrack = makeTrackSignaling({ kind: 'video' });
+            test.signaling.emit('trackAdded', videoTrack);
+            await videoTrack.getTrackTransceiverDeferred.promise;
+            publication = test.participant.trackPublications.get(videoTrack.sid);
+            track = publication.track;
+            test.participant.once('trackUnsubscribed', _track => { unsubscribed = _track; });
+            videoTrack.isSubscribed = false;
+            videoTrack.getTrackTransceiverDeferred = defer();
+            videoTrack.emit('updated');
+          });
+
+          it('removes the RemoteTrack and emits "trackUnsubscribed"', () => {
+            assert.equal(unsubscribed, track);
+            assert(!test.participant.tracks.has(track.id));
+            assert.equal(publication.track, null);
+          });
+
+          it('constructs a new RemoteTrack and emits "trackSubscribed" when it is subscribed to again', async () => {
+            let subscribed;
+            test.participant.once('trackSubscribed', _track => { subscribed = _track; });
+            videoTrack.isSubscribed = true;
+            videoTrack.getTrackTransceiverDeferred.resolve(videoTrack.trackTransceiver);
+            await videoTrack.getTrackTransceiverDeferred.promise;
+            assert(subscribed);
+            assert.notEqual(subscribed, track);
+            assert.equal(publication.track, subscribed);
+            assert.equal(test.participant.tracks.get(videoTrack.id), subscribed);
+          });
+        });
+
+        it('adds a RemoteTrackPublication to the RemoteParticipant\'s RemoteTrackPublication collections', () => {
+          const test = makeTest();
+          const audioTrack = makeTrackSignaling({ kind: 'audio' });
+          const videoTrack = makeTrackSignaling({ kind: 'video', priority: 'high' });
+          const dataTrack = makeTrackSignaling({ kind: 'data' });
+          test.signaling.emit('trackAdded', audioTrack);
+          test.signaling.emit('trackAdded', videoTrack);
+          test.signaling.emit('trackAdded', dataTrack);
+          assert.equal(test.participant.trackPublications.size, 3);
+          [
+            [audioTrack, test.participant.audioTrackPublications, 'standard'],
+            [videoTrack, test.participant.videoTrackPublications, 'high'],
+            [dataTrack, test.participant.dataTrackPublications, 'standard']
+          ].forEach(([track, publications, priority]) => {
+            const publication = test.participant.trackPublications.get(track.sid);
+            assert(publication instanceof RemoteTrackPublication);
+            assert.equal(publications.get(track.sid), publication);
+            assert.equal(publication.kind, track.kind);
+            assert.equal(publication.publishPriority, priority);
+            assert.equal(publication.trackName, track.name);
+            assert.equal(publication.trackSid, track.sid);
+          });
         });
       });
 
@@ -853,6 +997,34 @@ describe('RemoteParticipant', () => {
           });
         });
 
+        it('emits "trackUnpublished" with the RemoteTrackPublication', () => {
+          const test = makeTest();
+          const videoTrack = makeTrackSignaling({ kind: 'video' });
+          test.signaling.emit('trackAdded', videoTrack);
+          const expectedPublication = test.participant.trackPublications.get(videoTrack.sid);
+          let publication;
+          test.participant.once('trackUnpublished', _publication => { publication = _publication; });
+          test.signaling.emit('trackRemoved', videoTrack);
+          assert.equal(publication, expectedPublication);
+        });
+
+        it('removes the RemoteTrackPublication from the RemoteParticipant\'s RemoteTrackPublication collections', () => {
+          const test = makeTest();
+          const audioTrack = makeTrackSignaling({ kind: 'audio' });
+          const videoTrack = makeTrackSignaling({ kind: 'video' });
+          const dataTrack = makeTrackSignaling({ kind: 'data' });
+          test.signaling.emit('trackAdded', audioTrack);
+          test.signaling.emit('trackAdded', videoTrack);
+          test.signaling.emit('trackAdded', dataTrack);
+          test.signaling.emit('trackRemoved', audioTrack);
+          test.signaling.emit('trackRemoved', videoTrack);
+          test.signaling.emit('trackRemoved', dataTrack);
+          assert.equal(test.participant.trackPublications.size, 0);
+          assert.equal(test.participant.audioTrackPublications.size, 0);
+          assert.equal(test.participant.videoTrackPublications.size, 0);
+          assert.equal(test.participant.dataTrackPublications.size, 0);
+        });
+
         context('and a RemoteTrack with an .id matching that of the RemoteTrackSignaling does not exist in the RemoteParticipant\'s RemoteTrack collections', () => {
           it('does not call ._removeTrack on the RemoteParticipant', () => {
             const test = makeTest();
@@ -987,6 +1159,15 @@ describe('RemoteParticipant', () => {
             });
           });
 
+          it('constructs the RemoteAudioTrack with the .audioOutputDevice', async () => {
+            const test = makeTest({
+              audioOutputDevice: 'foo',
+              trackSignalings: [{ kind: 'audio' }]
+            });
+            await test.trackSignalings[0].getTrackTransceiverDeferred.promise;
+            assert.equal(test.RemoteAudioTrack.args[0][2].audioOutputDevice, 'foo');
+          });
+
           it('calls ._addTrack on the RemoteParticipant with the newly-constructed RemoteTrack', () => {
             const test = makeTest({
               trackSignalings: [
@@ -1123,6 +1304,7 @@ function makeTest(options) {
     this.kind = signaling.kind;
     this.mediaStreamTrack = mediaStreamTrack;
     this.name = signaling.name;
+    this.sid = signaling.sid;
     this.signaling = signaling;
     this._unsubscribe = this.emit.bind(this, 'unsubscribed', this);
     options.tracks.push(this);
@@ -1135,6 +1317,7 @@ function makeTest(options) {
     this.kind = signaling.kind;
     this.mediaStreamTrack = mediaStreamTrack;
     this.name = signaling.name;
+    this.sid = signaling.sid;
     this.signaling = signaling;
     this._unsubscribe = this.emit.bind(this, 'unsubscribed', this);
     options.tracks.push(this);
@@ -1146,6 +1329,7 @@ function makeTest(options) {
     this.id = signaling.id;
     this.kind = signaling.kind;
     this.name = signaling.name;
+    this.sid = signaling.sid;
     this._dataTrackReceiver = dataTrackReceiver;
     this.signaling = signaling;
     this._unsubscribe = this.emit.bind(this, 'unsubscribed', this);
@@ -1173,6 +1357,10 @@ function makeId() {
   return makeUUID();
 }
 
+function makeTrackSid() {
+  return `MT${makeUUID()}`;
+}
+
 function makeKind() {
   return ['audio', 'video'][Number(Math.random() > 0.5)];
 }
@@ -1183,6 +1371,8 @@ function makeTrackSignaling(options) {
   track.id = options.id || makeId();
   track.kind = options.kind || makeKind();
   track.name = options.name || track.id;
+  track.priority = options.priority;
+  track.sid = options.sid || makeTrackSid();
   track.subscribeFailed = error => {
     track.error = error;
     track.emit('updated');
@@ -4,6 +4,8 @@ const assert = require('assert');
 const sinon = require('sinon');
 
 const Room = require('../../../lib/room');
+const RPC = require('../../../lib/rpc');
+const SharedState = require('../../../lib/sharedstate');
 const ParticipantSignaling = require('../../../lib/signaling/participant');
 const RemoteParticipantSignaling = require('../../../lib/signaling/remoteparticipant');
 const RoomSignaling = require('../../../lib/signaling/room');
@@ -27,6 +29,28 @@ describe('Room', () => {
     room = new Room(localParticipant, signaling, options);
   });
 
+  describe('.rpc', () => {
+    it('should be an RPC', () => {
+      assert(room.rpc instanceof RPC);
+    });
+  });
+
+  describe('#createSharedState', () => {
+    it('should return a SharedState with the given name', () => {
+      const sharedState = room.createSharedState('foo');
+      assert(sharedState instanceof SharedState);
+      assert.equal(sharedState.name, 'foo');
+    });
+
+    it('should return the same SharedState when called again with the same name', () => {
+      assert.equal(room.createSharedState('foo'), room.createSharedState('foo'));
+    });
+
+    it('should throw a TypeError if the name is not a string', () => {
+      assert.throws(() => room.createSharedState(42), TypeError);
+    });
+  });
+
   describe('#disconnect()', () => {
     it('should return the Room', () => {
       assert.equal(room, room.disconnect());
@@ -63,6 +87,41 @@ describe('Room', () => {
     });
   });
 
+  describe('#setSubscriptionRules', () => {
+    beforeEach(() => {
+      signaling.setSubscriptionRules = sinon.spy();
+    });
+
+    it('should return the Room', () => {
+      assert.equal(room, room.setSubscriptionRules([]));
+    });
+
+    it('should call .setSubscriptionRules on the underlying RoomSignaling with the rules', () => {
+      const rules = [
+        { type: 'include', kind: 'audio' },
+        { type: 'exclude', publisher: 'alice', track: 'screen', priority: 'low' }
+      ];
+      room.setSubscriptionRules(rules);
+      sinon.assert.calledWith(signaling.setSubscriptionRules, rules);
+    });
+
+    [
+      ['rules that are not an Array', { type: 'include' }, TypeError],
+      ['a rule that is not an object', [null], TypeError],
+      ['a rule without a .type', [{ kind: 'audio' }], RangeError],
+      ['a rule with an invalid .type', [{ type: 'foo' }], RangeError],
+      ['a rule with an invalid .kind', [{ type: 'include', kind: 'foo' }], RangeError],
+      ['a rule with an invalid .priority', [{ type: 'include', priority: 'foo' }], RangeError],
+      ['a rule with a .publisher that is not a string', [{ type: 'include', publisher: 1 }], TypeError],
+      ['a rule with a .track that is not a string', [{ type: 'include', track: {} }], TypeError]
+    ].forEach(([description, rules, ErrorClass]) => {
+      it(`should throw a ${ErrorClass.name} when called with ${description}`, () => {
+        assert.throws(() => room.setSubscriptionRules(rules), ErrorClass);
+        sinon.assert.notCalled(signaling.setSubscriptionRules);
+      });
+    });
+  });
+
   describe('RemoteParticipant events', () => {
     let participants;
 
@@ -117,6 +176,14 @@ describe('Room', () => {
       assert.equal(spy.callCount, 1);
     });
 
+    it('should re-emit RemoteParticipants trackPublished event for matching RemoteParticipant only', () => {
+      const spy = sinon.spy();
+      room.on('trackPublished', spy);
+
+      participants.foo.emit('trackPublished');
+      assert.equal(spy.callCount, 1);
+    });
+
     it('should re-emit RemoteParticipants trackRemoved event for matching RemoteParticipant only', () => {
       const spy = sinon.spy();
       room.on('trackRemoved', spy);
@@ -149,6 +216,14 @@ describe('Room', () => {
       assert.equal(spy.callCount, 1);
     });
 
+    it('should re-emit RemoteParticipants trackUnpublished event for matching RemoteParticipant only', () => {
+      const spy = sinon.spy();
+      room.on('trackUnpublished', spy);
+
+      participants.bar.emit('trackUnpublished');
+      assert.equal(spy.callCount, 1);
+    });
+
     it('should re-emit RemoteParticipants trackUnsubscribed event for matching RemoteParticipant only', () => {
       const spy = sinon.spy();
       room.on('trackUnsubscribed', spy);
@@ -166,10 +241,12 @@ describe('Room', () => {
       room.on('trackDisabled', spy);
       room.on('trackEnabled', spy);
       room.on('trackMessage', spy);
+      room.on('trackPublished', spy);
       room.on('trackRemoved', spy);
       room.on('trackStarted', spy);
       room.on('trackSubscribed', spy);
       room.on('trackSubscriptionFailed', spy);
+      room.on('trackUnpublished', spy);
       room.on('trackUnsubscribed', spy);
 
       participants.foo.emit('trackAdded');
@@ -177,10 +254,12 @@ describe('Room', () => {
       participants.foo.emit('trackDisabled');
       participants.foo.emit('trackEnabled');
       participants.foo.emit('trackMessage');
+      participants.foo.emit('trackPublished');
       participants.foo.emit('trackRemoved');
       participants.foo.emit('trackStarted');
       participants.foo.emit('trackSubscribed');
       participants.foo.emit('trackSubscriptionFailed');
+      participants.foo.emit('trackUnpublished');
       participants.foo.emit('trackUnsubscribed');
       assert.equal(spy.callCount, 0);
     });
@@ -226,6 +305,16 @@ describe('Room', () => {
       assert.equal(spy.args[0][0].code, 53405);
       assert.equal(room.state, 'reconnecting');
     });
+
+    it('should trigger the same event on the Room with the RoomSignaling\'s TwilioError, if any', () => {
+      const spy = sinon.spy();
+      const error = new SignalingConnectionDisconnectedError();
+      room.on('reconnecting', spy);
+      signaling.preempt('reconnecting', null, [error]);
+      assert.equal(spy.callCount, 1);
+      assert.equal(spy.args[0][0], error);
+      assert.equal(spy.args[0][0].code, 53001);
+    });
   });
 
   describe('RoomSignaling state changed to "connected"', () => {
@@ -238,4 +327,37 @@ describe('Room', () => {
       assert.equal(room.state, 'connected');
     });
   });
+
+  describe('RoomSignaling "dominantSpeakerChanged" event', () => {
+    it('should trigger the same event on the Room with the dominant RemoteParticipant', () => {
+      signaling.connectParticipant(new RemoteParticipantSignaling('PA000', 'foo'));
+      const spy = sinon.spy();
+      room.on('dominantSpeakerChanged', spy);
+      signaling.setDominantSpeaker('PA000');
+      assert.equal(spy.callCount, 1);
+      assert.equal(spy.args[0][0], room.participants.get('PA000'));
+      assert.equal(room.dominantSpeaker, room.participants.get('PA000'));
+    });
+
+    it('should trigger the same event on the Room with null when the dominant speaker leaves', () => {
+      const participantSignaling = new RemoteParticipantSignaling('PA000', 'foo');
+      signaling.connectParticipant(participantSignaling);
+      signaling.setDominantSpeaker('PA000');
+      const spy = sinon.spy();
+      room.on('dominantSpeakerChanged', spy);
+      participantSignaling.disconnect();
+      assert.equal(spy.callCount, 1);
+      assert.equal(spy.args[0][0], null);
+      assert.equal(room.dominantSpeaker, null);
+    });
+
+    it('should not be re-emitted after the Room is disconnected', () => {
+      signaling.connectParticipant(new RemoteParticipantSignaling('PA000', 'foo'));
+      room.disconnect();
+      const spy = sinon.spy();
+      room.on('dominantSpeakerChanged', spy);
+      signaling.setDominantSpeaker('PA000');
+      assert.equal(spy.callCount, 0);
+    });
+  });
 });
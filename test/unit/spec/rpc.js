@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const sinon = require('sinon');
+
+const RPC = require('../../../lib/rpc');
+const { RPCError, RPCParticipantDisconnectedError, RPCTimeoutError } = RPC;
+
+const log = require('../../lib/fakelog');
+
+describe('RPC', () => {
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    alice = makeRoom('alice');
+    bob = makeRoom('bob');
+    connect(alice, bob);
+    connect(bob, alice);
+  });
+
+  describe('#call', () => {
+    it('resolves with the result of the RemoteParticipant\'s handler', async () => {
+      const handler = sinon.spy(params => params.a + params.b);
+      bob.rpc.register('add', handler);
+      const result = await alice.rpc.call('bob', 'add', { a: 1, b: 2 });
+      assert.equal(result, 3);
+      sinon.assert.calledWith(handler, { a: 1, b: 2 }, bob.participants.get('PA1'));
+    });
+
+    it('resolves with the value of the Promise returned by the RemoteParticipant\'s handler', async () => {
+      bob.rpc.register('echo', params => Promise.resolve(params));
+      assert.equal(await alice.rpc.call('bob', 'echo', 'foo'), 'foo');
+    });
+
+    it('rejects with an RPCError if the RemoteParticipant\'s handler throws', async () => {
+      bob.rpc.register('fail', () => { throw new Error('Oops'); });
+      const error = await alice.rpc.call('bob', 'fail').then(() => null, error => error);
+      assert(error instanceof RPCError);
+      assert.equal(error.message, 'Oops');
+    });
+
+    it('rejects with an RPCError if the method is not registered', async () => {
+      const error = await alice.rpc.call('bob', 'foo').then(() => null, error => error);
+      assert(error instanceof RPCError);
+    });
+
+    it('rejects with an RPCParticipantDisconnectedError if the RemoteParticipant is not connected', async () => {
+      const error = await alice.rpc.call('charlie', 'foo').then(() => null, error => error);
+      assert(error instanceof RPCParticipantDisconnectedError);
+      assert.equal(error.identity, 'charlie');
+    });
+
+    it('rejects with an RPCParticipantDisconnectedError if the RemoteParticipant disconnects', async () => {
+      bob.rpc.register('wait', () => new Promise(() => {}));
+      const promise = alice.rpc.call('bob', 'wait');
+      alice.emit('participantDisconnected', alice.participants.get('PA2'));
+      const error = await promise.then(() => null, error => error);
+      assert(error instanceof RPCParticipantDisconnectedError);
+    });
+
+    it('rejects with an RPCError if the Room disconnects', async () => {
+      bob.rpc.register('wait', () => new Promise(() => {}));
+      const promise = alice.rpc.call('bob', 'wait');
+      alice.emit('disconnected', alice);
+      const error = await promise.then(() => null, error => error);
+      assert(error instanceof RPCError);
+    });
+
+    it('rejects with an RPCTimeoutError if the RemoteParticipant does not respond in time', async () => {
+      bob.rpc.register('wait', () => new Promise(() => {}));
+      const error = await alice.rpc.call('bob', 'wait', null, { timeout: 1 }).then(() => null, error => error);
+      assert(error instanceof RPCTimeoutError);
+      assert.equal(error.timeout, 1);
+    });
+
+    it('rejects with an RPCError if no reliable and ordered LocalDataTrack is published', async () => {
+      alice.localParticipant.dataTrackPublications.clear();
+      const error = await alice.rpc.call('bob', 'foo').then(() => null, error => error);
+      assert(error instanceof RPCError);
+    });
+
+    it('rejects with a TypeError if the method is not a string', async () => {
+      const error = await alice.rpc.call('bob', 42).then(() => null, error => error);
+      assert(error instanceof TypeError);
+    });
+
+    it('ignores responses from other RemoteParticipants', async () => {
+      bob.rpc.register('wait', () => new Promise(() => {}));
+      const promise = alice.rpc.call('bob', 'wait', null, { timeout: 10 });
+      const [request] = bob.sent;
+      alice.emit('trackMessage', JSON.stringify({
+        type: 'twilio-video:rpc-response',
+        id: JSON.parse(request).id,
+        to: 'alice',
+        result: 'foo'
+      }), {}, { identity: 'mallory' });
+      const error = await promise.then(() => null, error => error);
+      assert(error instanceof RPCTimeoutError);
+    });
+  });
+
+  describe('#register', () => {
+    it('throws a TypeError if the handler is not a function', () => {
+      assert.throws(() => alice.rpc.register('foo', 'bar'), TypeError);
+    });
+
+    it('replaces the handler of a method registered again', async () => {
+      bob.rpc.register('foo', () => 'bar');
+      bob.rpc.register('foo', () => 'baz');
+      assert.equal(await alice.rpc.call('bob', 'foo'), 'baz');
+    });
+  });
+
+  describe('#unregister', () => {
+    it('unregisters the method', async () => {
+      bob.rpc.register('foo', () => 'bar');
+      bob.rpc.unregister('foo');
+      const error = await alice.rpc.call('bob', 'foo').then(() => null, error => error);
+      assert(error instanceof RPCError);
+    });
+  });
+
+  it('ignores requests addressed to other Participants', async () => {
+    const handler = sinon.spy();
+    bob.rpc.register('foo', handler);
+    bob.emit('trackMessage', JSON.stringify({
+      type: 'twilio-video:rpc-request',
+      id: '1',
+      to: 'charlie',
+      method: 'foo'
+    }), {}, { identity: 'alice' });
+    await new Promise(resolve => setTimeout(resolve));
+    sinon.assert.notCalled(handler);
+  });
+});
+
+function makeRoom(identity) {
+  const room = new EventEmitter();
+  room.participants = new Map();
+  room.sent = [];
+  room.localParticipant = {
+    dataTrackPublications: new Map([['MT1', {
+      track: {
+        _trackSender: {
+          send: data => room.send(data)
+        },
+        ordered: true,
+        reliable: true
+      }
+    }]]),
+    identity
+  };
+  room.rpc = new RPC(room, { log });
+  return room;
+}
+
+function connect(from, to) {
+  const participant = { identity: from.localParticipant.identity };
+  to.participants.set(from.localParticipant.identity === 'alice' ? 'PA1' : 'PA2', participant);
+  from.send = data => {
+    to.sent.push(data);
+    setTimeout(() => to.emit('trackMessage', data, {}, participant));
+  };
+}
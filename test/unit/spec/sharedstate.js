@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const sinon = require('sinon');
+
+const SharedState = require('../../../lib/sharedstate');
+
+const log = require('../../lib/fakelog');
+
+describe('SharedState', () => {
+  let room;
+  let sharedState;
+
+  beforeEach(() => {
+    room = makeRoom('bob');
+    sharedState = new SharedState(room, 'foo', { log });
+  });
+
+  describe('#set', () => {
+    it('sets the value of the key', () => {
+      sharedState.set('x', { y: 1 });
+      assert.deepEqual(sharedState.get('x'), { y: 1 });
+      assert(sharedState.has('x'));
+      assert.equal(sharedState.size, 1);
+      assert.deepEqual(sharedState.toJSON(), { x: { y: 1 } });
+    });
+
+    it('emits "changed" with the LocalParticipant', () => {
+      const changed = sinon.spy();
+      sharedState.on('changed', changed);
+      sharedState.set('x', 1);
+      sinon.assert.calledWith(changed, 'x', 1, room.localParticipant);
+    });
+
+    it('does not emit "changed" if the value did not change', () => {
+      const changed = sinon.spy();
+      sharedState.set('x', 1);
+      sharedState.on('changed', changed);
+      sharedState.set('x', 1);
+      sinon.assert.notCalled(changed);
+    });
+
+    it('sends the register over the published LocalDataTrack', () => {
+      sharedState.set('x', 1);
+      assert.deepEqual(JSON.parse(room.sent[0]), {
+        type: 'twilio-video:shared-state',
+        name: 'foo',
+        isSnapshot: false,
+        registers: [{ clock: 1, deleted: false, key: 'x', value: 1, writer: 'bob' }]
+      });
+    });
+
+    it('still sets the value of the key if no reliable and ordered LocalDataTrack is published', () => {
+      room.localParticipant.dataTrackPublications.clear();
+      sharedState.set('x', 1);
+      assert.equal(sharedState.get('x'), 1);
+    });
+
+    it('throws a TypeError if the key is not a string', () => {
+      assert.throws(() => sharedState.set(1, 1), TypeError);
+    });
+
+    it('throws a TypeError if the value is not JSON-serializable', () => {
+      assert.throws(() => sharedState.set('x', () => {}), TypeError);
+    });
+  });
+
+  describe('#delete', () => {
+    it('deletes the key, and emits "changed" with an undefined value', () => {
+      const changed = sinon.spy();
+      sharedState.set('x', 1);
+      sharedState.on('changed', changed);
+      sharedState.delete('x');
+      assert(!sharedState.has('x'));
+      assert.equal(sharedState.size, 0);
+      sinon.assert.calledWith(changed, 'x', sinon.match.typeOf('undefined'));
+    });
+  });
+
+  describe('when a RemoteParticipant sends a register', () => {
+    const alice = { identity: 'alice' };
+    const charlie = { identity: 'charlie' };
+
+    it('applies a register with a later Lamport clock, and emits "changed" with the RemoteParticipant', () => {
+      const changed = sinon.spy();
+      sharedState.on('changed', changed);
+      sharedState.set('x', 1);
+      receive(room, alice, 'foo', [{ clock: 2, deleted: false, key: 'x', value: 2, writer: 'alice' }]);
+      assert.equal(sharedState.get('x'), 2);
+      sinon.assert.calledWith(changed, 'x', 2, alice);
+    });
+
+    it('ignores a register with an earlier Lamport clock', () => {
+      sharedState.set('x', 1);
+      sharedState.set('x', 2);
+      receive(room, alice, 'foo', [{ clock: 1, deleted: false, key: 'x', value: 3, writer: 'alice' }]);
+      assert.equal(sharedState.get('x'), 2);
+    });
+
+    it('breaks ties between Lamport clocks by the writer\'s identity', () => {
+      sharedState.set('x', 1);
+      receive(room, alice, 'foo', [{ clock: 1, deleted: false, key: 'x', value: 2, writer: 'alice' }]);
+      assert.equal(sharedState.get('x'), 1);
+      receive(room, charlie, 'foo', [{ clock: 1, deleted: false, key: 'x', value: 3, writer: 'charlie' }]);
+      assert.equal(sharedState.get('x'), 3);
+    });
+
+    it('converges regardless of the order in which registers arrive', () => {
+      const registers = [
+        { clock: 3, deleted: false, key: 'x', value: 'a', writer: 'alice' },
+        { clock: 3, deleted: false, key: 'x', value: 'c', writer: 'charlie' },
+        { clock: 2, deleted: false, key: 'x', value: 'b', writer: 'alice' }
+      ];
+      const other = new SharedState(makeRoom('dave'), 'foo', { log });
+      receive(room, alice, 'foo', registers);
+      receive(other._room, alice, 'foo', registers.slice().reverse());
+      assert.equal(sharedState.get('x'), 'c');
+      assert.equal(other.get('x'), 'c');
+    });
+
+    it('advances the Lamport clock', () => {
+      receive(room, alice, 'foo', [{ clock: 10, deleted: false, key: 'x', value: 1, writer: 'alice' }]);
+      sharedState.set('y', 1);
+      assert.equal(JSON.parse(room.sent[0]).registers[0].clock, 11);
+    });
+
+    it('ignores registers of SharedStates with other names', () => {
+      receive(room, alice, 'bar', [{ clock: 1, deleted: false, key: 'x', value: 1, writer: 'alice' }]);
+      assert(!sharedState.has('x'));
+    });
+
+    it('replies to the RemoteParticipant\'s first snapshot with a snapshot', () => {
+      sharedState.set('x', 1);
+      room.sent = [];
+      receive(room, alice, 'foo', [], true);
+      receive(room, alice, 'foo', [], true);
+      assert.equal(room.sent.length, 1);
+      assert.deepEqual(JSON.parse(room.sent[0]).registers.map(register => register.key), ['x']);
+    });
+  });
+
+  describe('when a RemoteDataTrack is subscribed to', () => {
+    it('sends a snapshot', () => {
+      sharedState.set('x', 1);
+      sharedState.set('y', 2);
+      room.emit('trackSubscribed', { kind: 'data' }, {}, { identity: 'alice' });
+      const message = JSON.parse(room.sent[2]);
+      assert(message.isSnapshot);
+      assert.deepEqual(message.registers.map(register => register.key), ['x', 'y']);
+    });
+
+    it('does not send a snapshot for a RemoteMediaTrack', () => {
+      room.emit('trackSubscribed', { kind: 'video' }, {}, { identity: 'alice' });
+      assert.equal(room.sent.length, 0);
+    });
+
+    it('does not send a snapshot if it already exchanged snapshots with the RemoteParticipant', () => {
+      const alice = { identity: 'alice' };
+      receive(room, alice, 'foo', [], true);
+      room.sent = [];
+      room.emit('trackSubscribed', { kind: 'data' }, {}, alice);
+      assert.equal(room.sent.length, 0);
+    });
+
+    it('sends a snapshot again after the RemoteParticipant reconnects', () => {
+      const alice = { identity: 'alice' };
+      receive(room, alice, 'foo', [], true);
+      room.emit('participantDisconnected', alice);
+      room.sent = [];
+      room.emit('trackSubscribed', { kind: 'data' }, {}, alice);
+      assert.equal(room.sent.length, 1);
+    });
+  });
+});
+
+function makeRoom(identity) {
+  const room = new EventEmitter();
+  room.sent = [];
+  room.localParticipant = {
+    dataTrackPublications: new Map([['MT1', {
+      track: {
+        _trackSender: {
+          send: data => room.sent.push(data)
+        },
+        ordered: true,
+        reliable: true
+      }
+    }]]),
+    identity
+  };
+  return room;
+}
+
+function receive(room, participant, name, registers, isSnapshot) {
+  room.emit('trackMessage', JSON.stringify({
+    type: 'twilio-video:shared-state',
+    name,
+    isSnapshot: !!isSnapshot,
+    registers
+  }), {}, participant);
+}
@@ -2,8 +2,14 @@
 
 const assert = require('assert');
 
+const RemoteParticipantSignaling = require('../../../../lib/signaling/remoteparticipant');
 const RoomSignaling = require('../../../../lib/signaling/room');
 
+const {
+  MediaConnectionError,
+  SignalingConnectionDisconnectedError
+} = require('../../../../lib/util/twilio-video-errors');
+
 const { combinations } = require('../../../lib/util');
 
 const mediaConnectionStates = [
@@ -85,4 +91,55 @@ describe('RoomSignaling', () => {
       });
     });
   });
+
+  describe('when transitioning to "reconnecting"', () => {
+    it('passes a SignalingConnectionDisconnectedError if the Signaling Connection is reconnecting', () => {
+      const room = new RoomSignalingImpl();
+      room.setMediaConnectionState('connected');
+      let error;
+      room.once('stateChanged', (state, _error) => { error = _error; });
+      room.setSignalingConnectionState('reconnecting');
+      assert(error instanceof SignalingConnectionDisconnectedError);
+    });
+
+    it('passes a MediaConnectionError if the Media Connection is reconnecting', () => {
+      const room = new RoomSignalingImpl();
+      room.setMediaConnectionState('connected');
+      let error;
+      room.once('stateChanged', (state, _error) => { error = _error; });
+      room.setMediaConnectionState('failed');
+      assert(error instanceof MediaConnectionError);
+    });
+  });
+
+  describe('#setDominantSpeaker', () => {
+    it('updates .dominantSpeakerSid and emits "dominantSpeakerChanged"', () => {
+      const room = new RoomSignalingImpl();
+      let dominantSpeakerChanged;
+      room.once('dominantSpeakerChanged', () => { dominantSpeakerChanged = true; });
+      room.setDominantSpeaker('PA123');
+      assert.equal(room.dominantSpeakerSid, 'PA123');
+      assert(dominantSpeakerChanged);
+    });
+
+    it('does not emit "dominantSpeakerChanged" if the dominant speaker did not change', () => {
+      const room = new RoomSignalingImpl();
+      room.setDominantSpeaker('PA123');
+      let dominantSpeakerChanged;
+      room.once('dominantSpeakerChanged', () => { dominantSpeakerChanged = true; });
+      room.setDominantSpeaker('PA123');
+      assert(!dominantSpeakerChanged);
+    });
+  });
+
+  describe('when the dominant speaker disconnects', () => {
+    it('sets .dominantSpeakerSid to null', () => {
+      const room = new RoomSignalingImpl();
+      const participant = new RemoteParticipantSignaling('PA123', 'foo');
+      room.connectParticipant(participant);
+      room.setDominantSpeaker('PA123');
+      participant.disconnect();
+      assert.equal(room.dominantSpeakerSid, null);
+    });
+  });
 });
@@ -0,0 +1,192 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const DominantSpeakerDetector = require('../../../../../lib/signaling/v2/dominantspeakerdetector');
+
+describe('DominantSpeakerDetector', () => {
+  describe('#start', () => {
+    it('polls the RoomV2\'s StatsReports at the configured interval', () => {
+      const test = makeTest({ interval: 10 });
+      test.detector.start();
+      test.detector.start();
+      sinon.assert.calledOnce(test.roomV2._pollStats);
+      sinon.assert.calledWith(test.roomV2._pollStats, 10);
+    });
+
+    it('updates the dominant speaker with the RoomV2\'s StatsReports', () => {
+      const test = makeTest();
+      test.detector.update = sinon.spy();
+      test.detector.start();
+      test.roomV2.onStats(test.reports);
+      sinon.assert.calledWith(test.detector.update, test.reports);
+    });
+  });
+
+  describe('#stop', () => {
+    it('stops polling the RoomV2\'s StatsReports', () => {
+      const test = makeTest();
+      test.detector.start();
+      test.detector.stop();
+      sinon.assert.calledOnce(test.roomV2.stopPollingStats);
+    });
+
+    it('disconnects any AnalyserNodes and releases the AudioContext', () => {
+      const test = makeTest({ participants: { PA1: ['foo'] }, trackReceivers: ['foo'] });
+      test.detector.start();
+      test.detector.update([makeReport([{ trackId: 'foo', audioLevel: null }])], 0);
+      test.detector.stop();
+      sinon.assert.calledOnce(test.audioContext.sources[0].disconnect);
+      sinon.assert.calledWith(test.audioContextFactory.release, test.detector);
+    });
+  });
+
+  describe('#update', () => {
+    context('when a RemoteParticipantV2 is the loudest speaker', () => {
+      it('does not set the dominant speaker before the switch delay elapses', () => {
+        const test = makeTest({ participants: { PA1: ['foo'], PA2: ['bar'] } });
+        const reports = [makeReport([{ trackId: 'foo', audioLevel: 5000 }, { trackId: 'bar', audioLevel: 2000 }])];
+        test.detector.update(reports, 0);
+        test.detector.update(reports, 500);
+        sinon.assert.notCalled(test.roomV2.setDominantSpeaker);
+      });
+
+      it('sets the dominant speaker after the switch delay elapses', () => {
+        const test = makeTest({ participants: { PA1: ['foo'], PA2: ['bar'] } });
+        const reports = [makeReport([{ trackId: 'foo', audioLevel: 5000 }, { trackId: 'bar', audioLevel: 2000 }])];
+        test.detector.update(reports, 0);
+        test.detector.update(reports, 1000);
+        sinon.assert.calledWith(test.roomV2.setDominantSpeaker, 'PA1');
+      });
+    });
+
+    context('when the loudest speaker changes before the switch delay elapses', () => {
+      it('does not set the dominant speaker', () => {
+        const test = makeTest({ participants: { PA1: ['foo'], PA2: ['bar'] } });
+        test.detector.update([makeReport([{ trackId: 'foo', audioLevel: 5000 }, { trackId: 'bar', audioLevel: 2000 }])], 0);
+        test.detector.update([makeReport([{ trackId: 'foo', audioLevel: 2000 }, { trackId: 'bar', audioLevel: 5000 }])], 500);
+        test.detector.update([makeReport([{ trackId: 'foo', audioLevel: 5000 }, { trackId: 'bar', audioLevel: 2000 }])], 1000);
+        sinon.assert.notCalled(test.roomV2.setDominantSpeaker);
+      });
+    });
+
+    context('when nobody speaks above the threshold', () => {
+      it('keeps the current dominant speaker', () => {
+        const test = makeTest({ participants: { PA1: ['foo'], PA2: ['bar'] } });
+        test.roomV2.dominantSpeakerSid = 'PA1';
+        const reports = [makeReport([{ trackId: 'foo', audioLevel: 10 }, { trackId: 'bar', audioLevel: 500 }])];
+        test.detector.update(reports, 0);
+        test.detector.update(reports, 2000);
+        sinon.assert.notCalled(test.roomV2.setDominantSpeaker);
+      });
+    });
+
+    context('when the RemoteAudioTrackStats do not include an AudioLevel', () => {
+      it('measures the AudioLevel with an AnalyserNode', () => {
+        const test = makeTest({ participants: { PA1: ['foo'] }, trackReceivers: ['foo'], amplitude: 64 });
+        const reports = [makeReport([{ trackId: 'foo', audioLevel: null }])];
+        test.detector.update(reports, 0);
+        test.detector.update(reports, 1000);
+        assert.equal(test.audioContext.sources.length, 1);
+        assert.deepEqual(test.audioContext.sources[0].stream.tracks, [test.trackReceivers[0].track]);
+        sinon.assert.calledWith(test.roomV2.setDominantSpeaker, 'PA1');
+      });
+
+      it('does not measure silence as speaking', () => {
+        const test = makeTest({ participants: { PA1: ['foo'] }, trackReceivers: ['foo'], amplitude: 0 });
+        const reports = [makeReport([{ trackId: 'foo', audioLevel: null }])];
+        test.detector.update(reports, 0);
+        test.detector.update(reports, 1000);
+        sinon.assert.notCalled(test.roomV2.setDominantSpeaker);
+      });
+
+      it('disconnects the AnalyserNode once the MediaStreamTrack is no longer received', () => {
+        const test = makeTest({ participants: { PA1: ['foo'] }, trackReceivers: ['foo'] });
+        test.detector.update([makeReport([{ trackId: 'foo', audioLevel: null }])], 0);
+        test.detector.update([makeReport([])], 1000);
+        sinon.assert.calledOnce(test.audioContext.sources[0].disconnect);
+      });
+
+      it('releases the AudioContext once no AnalyserNodes remain', () => {
+        const test = makeTest({ participants: { PA1: ['foo'] }, trackReceivers: ['foo'] });
+        test.detector.update([makeReport([{ trackId: 'foo', audioLevel: null }])], 0);
+        sinon.assert.notCalled(test.audioContextFactory.release);
+        test.detector.update([makeReport([])], 1000);
+        sinon.assert.calledWith(test.audioContextFactory.release, test.detector);
+      });
+    });
+  });
+});
+
+function makeTest(options) {
+  options = Object.assign({
+    amplitude: 0,
+    interval: 250,
+    participants: {},
+    trackReceivers: []
+  }, options);
+
+  const reports = [];
+  const roomV2 = {
+    _pollStats: sinon.spy((intervalMs, onStats) => {
+      roomV2.onStats = onStats;
+      return roomV2.stopPollingStats;
+    }),
+    dominantSpeakerSid: null,
+    participants: new Map(Object.keys(options.participants).map(sid => [sid, {
+      sid,
+      tracks: new Map(options.participants[sid].map(trackId => [trackId, {}]))
+    }])),
+    setDominantSpeaker: sinon.spy(sid => { roomV2.dominantSpeakerSid = sid; }),
+    stopPollingStats: sinon.spy()
+  };
+
+  const trackReceivers = options.trackReceivers.map(id => ({ id, kind: 'audio', track: { id } }));
+  const peerConnectionManager = { getTrackReceivers: () => trackReceivers };
+
+  const audioContext = makeAudioContext(options.amplitude);
+  const audioContextFactory = {
+    getOrCreate: sinon.spy(() => audioContext),
+    release: sinon.spy()
+  };
+
+  const detector = new DominantSpeakerDetector(roomV2, peerConnectionManager, {
+    audioContextFactory,
+    interval: options.interval,
+    MediaStream: FakeMediaStream
+  });
+
+  return { audioContext, audioContextFactory, detector, reports, roomV2, trackReceivers };
+}
+
+function makeAudioContext(amplitude) {
+  const audioContext = { sources: [] };
+  audioContext.createMediaStreamSource = stream => {
+    const source = { connect: sinon.spy(), disconnect: sinon.spy(), stream };
+    audioContext.sources.push(source);
+    return source;
+  };
+  audioContext.createAnalyser = () => ({
+    fftSize: 32,
+    getByteTimeDomainData(samples) {
+      samples.fill(128);
+      samples[0] = 128 + amplitude;
+    }
+  });
+  return audioContext;
+}
+
+function FakeMediaStream(tracks) {
+  this.tracks = tracks;
+}
+
+function makeReport(remoteAudioTrackStats) {
+  return {
+    localAudioTrackStats: [],
+    localVideoTrackStats: [],
+    peerConnectionId: 'foo',
+    remoteAudioTrackStats,
+    remoteVideoTrackStats: []
+  };
+}
@@ -41,6 +41,24 @@ describe('LocalTrackPublicationV2', () => {
       assert.equal(localTrackPublicationV2.name, name);
     });
 
+    it('should set the .priority property to "standard" by default', () => {
+      assert.equal(localTrackPublicationV2.priority, 'standard');
+    });
+
+    it('should set the .priority property', () => {
+      const publication = new LocalTrackPublicationV2(mediaTrackSender, name, 'high');
+      assert.equal(publication.priority, 'high');
+    });
+
+    it('should set the .content property to null by default', () => {
+      assert.equal(localTrackPublicationV2.content, null);
+    });
+
+    it('should set the .content property', () => {
+      const publication = new LocalTrackPublicationV2(mediaTrackSender, name, 'high', 'screen');
+      assert.equal(publication.content, 'screen');
+    });
+
     [
       ['id', 'id'],
       ['kind', 'kind'],
@@ -65,10 +83,12 @@ describe('LocalTrackPublicationV2', () => {
 
       context('should return an object whose', () => {
         [
+          ['content', 'content'],
           ['id', 'id'],
           ['kind', 'kind'],
           ['enabled', 'isEnabled'],
-          ['name', 'name']
+          ['name', 'name'],
+          ['priority', 'priority']
         ].forEach(([stateProp, ltProp]) => {
           it(`.${stateProp} is equal to the LocalTrackPublicationV2's ${ltProp}`, () => {
             assert.equal(state[stateProp], localTrackPublicationV2[ltProp]);
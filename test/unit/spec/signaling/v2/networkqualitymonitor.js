@@ -0,0 +1,184 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const NetworkQualityMonitor = require('../../../../../lib/signaling/v2/networkqualitymonitor');
+const NetworkQualityStats = require('../../../../../lib/stats/networkqualitystats');
+
+describe('NetworkQualityMonitor', () => {
+  describe('#start', () => {
+    it('polls the RoomV2\'s StatsReports at the configured interval', () => {
+      const test = makeTest({ interval: 10 });
+      test.monitor.start();
+      test.monitor.start();
+      sinon.assert.calledOnce(test.roomV2._pollStats);
+      sinon.assert.calledWith(test.roomV2._pollStats, 10);
+    });
+
+    it('updates the NetworkQualityLevels with the StatsReports', () => {
+      const test = makeTest();
+      test.monitor.update = sinon.spy();
+      test.monitor.start();
+      test.roomV2.onStats(test.reports);
+      sinon.assert.calledWith(test.monitor.update, test.reports);
+    });
+  });
+
+  describe('#stop', () => {
+    it('stops polling the RoomV2\'s StatsReports', () => {
+      const test = makeTest();
+      test.monitor.start();
+      test.monitor.stop();
+      sinon.assert.calledOnce(test.roomV2.stopPollingStats);
+    });
+  });
+
+  describe('#update', () => {
+    context('when called for the first time', () => {
+      it('does not update any NetworkQualityLevels', () => {
+        const test = makeTest();
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        sinon.assert.notCalled(test.roomV2.localParticipant.setNetworkQualityLevel);
+      });
+    });
+
+    context('when called with StatsReports for a good network', () => {
+      it('sets the LocalParticipantV2\'s NetworkQualityLevel to 5', () => {
+        const test = makeTest();
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ bytesSent: 20000, packetsSent: 200, timestamp: 2000 })] })]);
+        sinon.assert.calledWith(test.roomV2.localParticipant.setNetworkQualityLevel, 5, null);
+      });
+    });
+
+    context('when called with StatsReports for a lossy network', () => {
+      it('sets the LocalParticipantV2\'s NetworkQualityLevel accordingly', () => {
+        const test = makeTest();
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ bytesSent: 20000, packetsLost: 30, packetsSent: 200, timestamp: 2000 })] })]);
+        sinon.assert.calledWith(test.roomV2.localParticipant.setNetworkQualityLevel, 1, null);
+      });
+    });
+
+    context('when called with StatsReports for a network with high round trip time', () => {
+      it('sets the LocalParticipantV2\'s NetworkQualityLevel accordingly', () => {
+        const test = makeTest();
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ bytesSent: 20000, packetsSent: 200, roundTripTime: 300, timestamp: 2000 })] })]);
+        sinon.assert.calledWith(test.roomV2.localParticipant.setNetworkQualityLevel, 3, null);
+      });
+    });
+
+    context('when called with StatsReports in which no packets were sent', () => {
+      it('sets the LocalParticipantV2\'s NetworkQualityLevel to 0', () => {
+        const test = makeTest();
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ timestamp: 2000 })] })]);
+        sinon.assert.calledWith(test.roomV2.localParticipant.setNetworkQualityLevel, 0, null);
+      });
+    });
+
+    context('when called with StatsReports containing remote TrackStats', () => {
+      it('sets the NetworkQualityLevel of the RemoteParticipantV2 which published the Track', () => {
+        const test = makeTest();
+        const remoteParticipant = makeParticipant(['bar']);
+        const otherRemoteParticipant = makeParticipant(['baz']);
+        test.roomV2.participants.set('PA1', remoteParticipant);
+        test.roomV2.participants.set('PA2', otherRemoteParticipant);
+        test.monitor.update([makeReport({ remoteVideoTrackStats: [makeRemoteTrackStats({ trackId: 'bar' })] })]);
+        test.monitor.update([makeReport({ remoteVideoTrackStats: [makeRemoteTrackStats({ bytesReceived: 10000, jitter: 100, packetsReceived: 100, timestamp: 2000, trackId: 'bar' })] })]);
+        sinon.assert.calledWith(remoteParticipant.setNetworkQualityLevel, 2, null);
+        sinon.assert.notCalled(otherRemoteParticipant.setNetworkQualityLevel);
+      });
+
+      it('also takes the remote TrackStats into account for the LocalParticipantV2', () => {
+        const test = makeTest();
+        test.roomV2.participants.set('PA1', makeParticipant(['bar']));
+        test.monitor.update([makeReport({ remoteAudioTrackStats: [makeRemoteTrackStats({ trackId: 'bar' })] })]);
+        test.monitor.update([makeReport({ remoteAudioTrackStats: [makeRemoteTrackStats({ jitter: 60, packetsReceived: 100, timestamp: 2000, trackId: 'bar' })] })]);
+        sinon.assert.calledWith(test.roomV2.localParticipant.setNetworkQualityLevel, 3, null);
+      });
+    });
+
+    context('when the NetworkQualityVerbosity is "moderate"', () => {
+      it('passes NetworkQualityStats along with the NetworkQualityLevel', () => {
+        const test = makeTest({ local: 2 });
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ bytesSent: 20000, packetsLost: 2, packetsSent: 198, roundTripTime: 100, timestamp: 2000 })] })]);
+        const [level, stats] = test.roomV2.localParticipant.setNetworkQualityLevel.args[0];
+        assert.equal(level, 4);
+        assert(stats instanceof NetworkQualityStats);
+        assert.equal(stats.level, 4);
+        assert.equal(stats.video, null);
+        assert.equal(stats.audio.level, 4);
+        assert.equal(stats.audio.fractionLost, 0.01);
+        assert.equal(stats.audio.roundTripTime, 100);
+        assert.equal(stats.audio.bandwidth, 160000);
+      });
+    });
+
+    context('when the NetworkQualityVerbosity is "none"', () => {
+      it('does not set the NetworkQualityLevel', () => {
+        const test = makeTest({ local: 0 });
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats()] })]);
+        test.monitor.update([makeReport({ localAudioTrackStats: [makeLocalTrackStats({ packetsSent: 200, timestamp: 2000 })] })]);
+        sinon.assert.notCalled(test.roomV2.localParticipant.setNetworkQualityLevel);
+      });
+    });
+  });
+});
+
+function makeTest(configuration) {
+  const reports = [];
+  const roomV2 = {
+    _pollStats: sinon.spy((intervalMs, onStats) => {
+      roomV2.onStats = onStats;
+      return roomV2.stopPollingStats;
+    }),
+    localParticipant: makeParticipant([]),
+    participants: new Map(),
+    stopPollingStats: sinon.spy()
+  };
+  const monitor = new NetworkQualityMonitor(roomV2, configuration);
+  return { monitor, reports, roomV2 };
+}
+
+function makeParticipant(trackIds) {
+  return {
+    setNetworkQualityLevel: sinon.spy(),
+    tracks: new Map(trackIds.map(trackId => [trackId, {}]))
+  };
+}
+
+function makeReport(options) {
+  return Object.assign({
+    localAudioTrackStats: [],
+    localVideoTrackStats: [],
+    peerConnectionId: 'foo',
+    remoteAudioTrackStats: [],
+    remoteVideoTrackStats: []
+  }, options);
+}
+
+function makeLocalTrackStats(options) {
+  return Object.assign({
+    bytesSent: 0,
+    packetsLost: 0,
+    packetsSent: 0,
+    roundTripTime: 50,
+    timestamp: 1000,
+    trackId: 'foo'
+  }, options);
+}
+
+function makeRemoteTrackStats(options) {
+  return Object.assign({
+    bytesReceived: 0,
+    jitter: 10,
+    packetsLost: 0,
+    packetsReceived: 0,
+    timestamp: 1000,
+    trackId: 'foo'
+  }, options);
+}
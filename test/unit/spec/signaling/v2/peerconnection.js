@@ -8,6 +8,7 @@ const EventTarget = require('../../../../../lib/eventtarget');
 const PeerConnectionV2 = require('../../../../../lib/signaling/v2/peerconnection');
 const { MediaClientLocalDescFailedError } = require('../../../../../lib/util/twilio-video-errors');
 const { FakeMediaStreamTrack } = require('../../../../lib/fakemediastream');
+const { makeSdpWithTracks } = require('../../../../lib/mocksdp');
 const { a, combinationContext, makeEncodingParameters } = require('../../../../lib/util');
 
 describe('PeerConnectionV2', () => {
@@ -173,7 +174,7 @@ describe('PeerConnectionV2', () => {
           stream = { getTracks() { return tracks; } };
           const trackSender = makeMediaTrackSender(tracks[0]);
           setup(test, trackSender);
-          test.pc.addTrack = sinon.spy(() => {});
+          test.pc.addTrack = sinon.spy(track => ({ track }));
           result = test.pcv2.addMediaTrackSender(trackSender);
         });
 
@@ -195,6 +196,225 @@ describe('PeerConnectionV2', () => {
     });
   });
 
+  describe('"encodingParametersChanged" event on a MediaTrackSender', () => {
+    [
+      ['cannot', {}, 1],
+      ['can', { getParameters() {}, setParameters() {} }, 0]
+    ].forEach(([canOrCannot, senderMethods, expectedOffers]) => {
+      context(`when the parameters of its RTCRtpSender ${canOrCannot} be set`, () => {
+        it(`should ${expectedOffers ? '' : 'not '}renegotiate`, async () => {
+          const test = makeTest();
+          const trackSender = makeMediaTrackSender({ id: 1 });
+          test.pc.addTrack = sinon.spy(track => Object.assign({ track }, senderMethods));
+          test.pcv2.addMediaTrackSender(trackSender);
+          test.pc.createOffer = sinon.spy(test.pc.createOffer);
+          trackSender.emit('encodingParametersChanged');
+          await new Promise(resolve => setTimeout(resolve));
+          sinon.assert.callCount(test.pc.createOffer, expectedOffers);
+        });
+      });
+    });
+  });
+
+  describe('"simulcastLayersChanged" event on a MediaTrackSender', () => {
+    [
+      ['differs from', 2, 1],
+      ['matches', 3, 0]
+    ].forEach(([differsOrMatches, layers, expectedOffers]) => {
+      context(`when its number of simulcast layers ${differsOrMatches} the number of negotiated simulcast SSRCs`, () => {
+        let test;
+
+        beforeEach(async () => {
+          test = makeTest();
+          const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+          test.pcv2.addMediaTrackSender(trackSender);
+          test.pcv2._trackIdsToAttributes.set('1', { primarySSRCs: new Set(['1', '2', '3']) });
+          test.pc.createOffer = sinon.spy(test.pc.createOffer);
+          trackSender.simulcastLayers = { layers, active: Array(layers).fill(true) };
+          trackSender.emit('simulcastLayersChanged');
+          await new Promise(resolve => setTimeout(resolve));
+        });
+
+        it(`should ${expectedOffers ? '' : 'not '}renegotiate`, () => {
+          sinon.assert.callCount(test.pc.createOffer, expectedOffers);
+        });
+
+        it(`should ${expectedOffers ? '' : 'not '}forget the MediaStreamTrack's simulcast SSRCs`, () => {
+          assert.equal(test.pcv2._trackIdsToAttributes.has('1'), !expectedOffers);
+        });
+      });
+    });
+  });
+
+  describe('"replaceTrackFailed" event on a MediaTrackSender', () => {
+    let newTrack;
+    let sender;
+    let test;
+    let trackSender;
+
+    beforeEach(() => {
+      test = makeTest({ offers: [{ type: 'offer', sdp: makeSdpWithTracks('unified', { video: ['2'] }) }] });
+      trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+      newTrack = { id: '2', kind: 'video' };
+      trackSender.outgoingTrack = newTrack;
+      test.pcv2.addMediaTrackSender(trackSender);
+      sender = test.pc.senders[0];
+      test.pc.createOffer = sinon.spy(test.pc.createOffer);
+      test.pc.removeTrack = sinon.spy(test.pc.removeTrack);
+    });
+
+    it('should send the MediaTrackSender\'s outgoing MediaStreamTrack with a new RTCRtpSender, and renegotiate', async () => {
+      trackSender.emit('replaceTrackFailed', sender, new Error('foo'));
+      sinon.assert.calledWith(test.pc.removeTrack, sender);
+      sinon.assert.calledWith(trackSender.removeSender, sender);
+      const newSender = test.pc.senders[0];
+      assert.equal(newSender.track, newTrack);
+      sinon.assert.calledWith(trackSender.addSender, newSender);
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.calledOnce(test.pc.createOffer);
+    });
+
+    it('should signal the MediaTrackSender\'s ID instead of the new MediaStreamTrack\'s ID', async () => {
+      trackSender.emit('replaceTrackFailed', sender, new Error('foo'));
+      await test.pcv2.offer();
+      const sdp = test.pcv2.getState().description.sdp;
+      assert(/^a=msid:stream 1$/m.test(sdp));
+      assert(!/^a=msid:stream 2$/m.test(sdp));
+    });
+
+    it('should apply an answer which references the MediaTrackSender\'s ID, limiting the bitrate of the new RTCRtpSender\'s m= section', async () => {
+      trackSender.encodingParameters.maxBitrate = 1000;
+      trackSender.emit('replaceTrackFailed', sender, new Error('foo'));
+      await test.pcv2.offer();
+      const offer = test.pcv2.getState().description;
+      test.pc.setRemoteDescription = sinon.spy(test.pc.setRemoteDescription);
+      await test.pcv2.update(test.state().setDescription({ type: 'answer', sdp: offer.sdp }, offer.revision));
+      sinon.assert.calledOnce(test.pc.setRemoteDescription);
+      assert(/^a=msid:stream 1$/m.test(test.pc.setRemoteDescription.args[0][0].sdp));
+      assert.deepEqual(Array.from(test.setBitrateParameters.lastCall.args[4]), [['mid_2', 1000]]);
+      assert.equal(test.pc.signalingState, 'stable');
+    });
+
+    it('should do nothing for an RTCRtpSender that is no longer used', async () => {
+      trackSender.emit('replaceTrackFailed', { track: newTrack }, new Error('foo'));
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.notCalled(test.pc.removeTrack);
+      sinon.assert.notCalled(test.pc.createOffer);
+    });
+
+    it('should not be handled once the MediaTrackSender is removed', () => {
+      test.pcv2.removeMediaTrackSender(trackSender);
+      assert.equal(trackSender.listenerCount('replaceTrackFailed'), 0);
+    });
+
+  describe('when renegotiating in response to an event on a MediaTrackSender fails', () => {
+    [
+      ['encodingParametersChanged', test => {
+        const trackSender = makeMediaTrackSender({ id: '1' });
+        test.pc.addTrack = sinon.spy(track => ({ track }));
+        test.pcv2.addMediaTrackSender(trackSender);
+        trackSender.emit('encodingParametersChanged');
+      }],
+      ['simulcastLayersChanged', test => {
+        const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+        test.pcv2.addMediaTrackSender(trackSender);
+        test.pcv2._trackIdsToAttributes.set('1', { primarySSRCs: new Set(['1', '2', '3']) });
+        trackSender.simulcastLayers = { layers: 2, active: [true, true] };
+        trackSender.emit('simulcastLayersChanged');
+      }],
+      ['replaceTrackFailed', test => {
+        const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+        trackSender.outgoingTrack = { id: '2', kind: 'video' };
+        test.pcv2.addMediaTrackSender(trackSender);
+        trackSender.emit('replaceTrackFailed', test.pc.senders[0], new Error('foo'));
+      }]
+    ].forEach(([event, emitEvent]) => {
+      it(`should log the failure, and not leave an unhandled rejection, for "${event}"`, async () => {
+        const test = makeTest();
+        const unhandledRejection = sinon.spy();
+        process.on('unhandledRejection', unhandledRejection);
+        test.pc.createOffer = sinon.spy(() => Promise.reject(new Error('bar')));
+        sinon.stub(test.pcv2._log, 'warn');
+        emitEvent(test);
+        await new Promise(resolve => setTimeout(resolve));
+        await new Promise(resolve => setTimeout(resolve));
+        process.removeListener('unhandledRejection', unhandledRejection);
+        sinon.assert.calledOnce(test.pc.createOffer);
+        sinon.assert.calledWith(test.pcv2._log.warn, sinon.match(/^Failed to renegotiate/));
+        sinon.assert.notCalled(unhandledRejection);
+      });
+    });
+  });
+  });
+
+  describe('#addMediaTrackSender, when VP8 simulcast is enabled with SimulcastLayers', () => {
+    const preferredcodecs = {
+      audio: [],
+      video: [{ codec: 'VP8', simulcast: { layers: 2, active: [true, false] } }]
+    };
+
+    it('should set the SimulcastLayers of a video MediaTrackSender which has none', () => {
+      const test = makeTest({ preferredcodecs });
+      const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+      test.pcv2.addMediaTrackSender(trackSender);
+      sinon.assert.calledWith(trackSender.setSimulcastLayers, { layers: 2, active: [true, false] });
+    });
+
+    it('should not change the SimulcastLayers of a video MediaTrackSender which already has some', () => {
+      const test = makeTest({ preferredcodecs });
+      const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+      trackSender.simulcastLayers = { layers: 3, active: [true, true, true] };
+      test.pcv2.addMediaTrackSender(trackSender);
+      sinon.assert.notCalled(trackSender.setSimulcastLayers);
+    });
+
+    it('should not set the SimulcastLayers of an audio MediaTrackSender', () => {
+      const test = makeTest({ preferredcodecs });
+      const trackSender = makeMediaTrackSender({ id: '1', kind: 'audio' });
+      test.pcv2.addMediaTrackSender(trackSender);
+      sinon.assert.notCalled(trackSender.setSimulcastLayers);
+    });
+  });
+
+  describe('#_getMidsToMaxBitrates', () => {
+    [
+      ['cannot', {}, [['mid_1', 1000]]],
+      ['can', { getParameters() {}, setParameters() {} }, []]
+    ].forEach(([canOrCannot, senderMethods, expectedMidsToMaxBitrates]) => {
+      context(`when the parameters of a MediaTrackSender's RTCRtpSender ${canOrCannot} be set`, () => {
+        it(`should ${expectedMidsToMaxBitrates.length ? '' : 'not '}return the MediaTrackSender's maxBitrate for its m= section`, () => {
+          const test = makeTest();
+          const trackSender = makeMediaTrackSender({ id: '1', kind: 'video' });
+          trackSender.encodingParameters.maxBitrate = 1000;
+          test.pc.addTrack = sinon.spy(track => Object.assign({ track }, senderMethods));
+          test.pcv2.addMediaTrackSender(trackSender);
+          test.pcv2._localDescription = {
+            sdp: makeSdpWithTracks('unified', { audio: ['2'], video: ['1'] })
+          };
+          assert.deepEqual(Array.from(test.pcv2._getMidsToMaxBitrates()), expectedMidsToMaxBitrates);
+        });
+      });
+    });
+  });
+
+  describe('"signalingstatechange" event', () => {
+    [
+      ['stable', true],
+      ['have-local-offer', false]
+    ].forEach(([signalingState, shouldUpdate]) => {
+      context(`when the RTCPeerConnection's .signalingState changes to "${signalingState}"`, () => {
+        it(`should ${shouldUpdate ? '' : 'not '}call .updateSenders on each MediaTrackSender`, () => {
+          const test = makeTest();
+          const trackSender = makeMediaTrackSender({ id: 1 });
+          test.pcv2.addMediaTrackSender(trackSender);
+          test.pc.signalingState = signalingState;
+          test.pc.emit('signalingstatechange');
+          sinon.assert.callCount(trackSender.updateSenders, shouldUpdate ? 1 : 0);
+        });
+      });
+    });
+  });
+
   describe('#close', () => {
     ['closed', 'stable', 'have-local-offer'].forEach(signalingState => {
       let test;
@@ -859,10 +1079,10 @@ describe('PeerConnectionV2', () => {
 
       function itShouldApplyBandwidthConstraints() {
         it('should apply the specified bandwidth constraints to the remote description', () => {
-          const maxVideoBitrate = test.setBitrateParameters.args[0].pop();
-          const maxAudioBitrate = test.setBitrateParameters.args[0].pop();
+          const [, , maxAudioBitrate, maxVideoBitrate, midsToMaxBitrates] = test.setBitrateParameters.args[0];
           assert.equal(maxAudioBitrate, test.maxAudioBitrate);
           assert.equal(maxVideoBitrate, test.maxVideoBitrate);
+          assert(midsToMaxBitrates instanceof Map);
         });
       }
 
@@ -2078,13 +2298,24 @@ function makeDataTrackSender(id) {
 function makeMediaTrackSender(track) {
   const id = track.id || makeId();
   const kind = track.kind || makeMediaKind();
-  return {
+  const mediaTrackSender = new EventEmitter();
+  return Object.assign(mediaTrackSender, {
+    encodingParameters: {
+      maxBitrate: null,
+      maxFramerate: null,
+      scaleResolutionDownBy: null
+    },
     id,
     kind,
     track,
     addSender: sinon.spy(() => {}),
-    removeSender: sinon.spy(() => {})
-  };
+    removeSender: sinon.spy(() => {}),
+    setSimulcastLayers: sinon.spy(simulcastLayers => {
+      mediaTrackSender.simulcastLayers = simulcastLayers;
+    }),
+    simulcastLayers: null,
+    updateSenders: sinon.spy(() => {})
+  });
 }
 
 function makeDataChannel(id) {
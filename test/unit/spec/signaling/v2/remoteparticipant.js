@@ -891,6 +891,46 @@ describe('RemoteParticipantV2', () => {
     });
   });
 
+  describe('#setNetworkQualityLevel', () => {
+    context('when the NetworkQualityLevel changes', () => {
+      it('updates .networkQualityLevel and .networkQualityStats', () => {
+        const test = makeTest();
+        const stats = {};
+        test.participant.setNetworkQualityLevel(4, stats);
+        assert.equal(test.participant.networkQualityLevel, 4);
+        assert.equal(test.participant.networkQualityStats, stats);
+      });
+
+      it('emits the "networkQualityLevelChanged" event', () => {
+        const test = makeTest();
+        const stats = {};
+        let args;
+        test.participant.once('networkQualityLevelChanged', (...rest) => { args = rest; });
+        test.participant.setNetworkQualityLevel(4, stats);
+        assert.deepEqual(args, [4, stats]);
+      });
+    });
+
+    context('when the NetworkQualityLevel does not change', () => {
+      it('updates .networkQualityStats', () => {
+        const test = makeTest();
+        const stats = {};
+        test.participant.setNetworkQualityLevel(4, {});
+        test.participant.setNetworkQualityLevel(4, stats);
+        assert.equal(test.participant.networkQualityStats, stats);
+      });
+
+      it('does not emit the "networkQualityLevelChanged" event', () => {
+        const test = makeTest();
+        test.participant.setNetworkQualityLevel(4);
+        let networkQualityLevelChanged;
+        test.participant.once('networkQualityLevelChanged', () => { networkQualityLevelChanged = true; });
+        test.participant.setNetworkQualityLevel(4);
+        assert(!networkQualityLevelChanged);
+      });
+    });
+  });
+
   describe('#removeTrack', () => {
     context('when the RemoteTrackV2 to remove was previously added', () => {
       it('returns true', () => {
@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('assert');
+const sinon = require('sinon');
 
 const RemoteTrackV2 = require('../../../../../lib/signaling/v2/remotetrack');
 const { makeUUID } = require('../../../../../lib/util');
@@ -43,6 +44,58 @@ describe('RemoteTrackV2', () => {
       })).sid);
     });
 
+    it('sets .priority', () => {
+      assert.equal('low', (new RemoteTrackV2({
+        enabled: makeEnabled(),
+        id: makeId(),
+        kind: makeKind(),
+        name: makeUUID(),
+        priority: 'low',
+        sid: makeSid()
+      })).priority);
+    });
+
+    it('sets .priority to "standard" if trackState.priority is absent', () => {
+      assert.equal('standard', (new RemoteTrackV2({
+        enabled: makeEnabled(),
+        id: makeId(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      })).priority);
+    });
+
+    it('sets .content', () => {
+      assert.equal('screen', (new RemoteTrackV2({
+        content: 'screen',
+        enabled: makeEnabled(),
+        id: makeId(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      })).content);
+    });
+
+    it('sets .content to null if trackState.content is absent', () => {
+      assert.equal(null, (new RemoteTrackV2({
+        enabled: makeEnabled(),
+        id: makeId(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      })).content);
+    });
+
+    it('sets .isSwitchedOff to false', () => {
+      assert.equal(false, (new RemoteTrackV2({
+        enabled: makeEnabled(),
+        id: makeId(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      })).isSwitchedOff);
+    });
+
     context('when trackState.enabled is true', () => {
       it('sets .isEnabled to true', () => {
         assert((new RemoteTrackV2({
@@ -281,6 +334,33 @@ describe('RemoteTrackV2', () => {
   // TrackSignaling
   // --------------
 
+  describe('#setSwitchedOff', () => {
+    [true, false].forEach(isSwitchedOff => {
+      context(`called with ${isSwitchedOff} when .isSwitchedOff is ${!isSwitchedOff}`, () => {
+        it(`sets .isSwitchedOff to ${isSwitchedOff} and emits "updated"`, () => {
+          const track = new RemoteTrackV2({ enabled: true, id: makeId(), kind: 'video', name: makeUUID(), sid: makeSid() });
+          track.setSwitchedOff(!isSwitchedOff);
+          let updated;
+          track.once('updated', () => { updated = true; });
+          track.setSwitchedOff(isSwitchedOff);
+          assert.equal(track.isSwitchedOff, isSwitchedOff);
+          assert(updated);
+        });
+      });
+
+      context(`called with ${isSwitchedOff} when .isSwitchedOff is ${isSwitchedOff}`, () => {
+        it('does not emit "updated"', () => {
+          const track = new RemoteTrackV2({ enabled: true, id: makeId(), kind: 'video', name: makeUUID(), sid: makeSid() });
+          track.setSwitchedOff(isSwitchedOff);
+          let updated;
+          track.once('updated', () => { updated = true; });
+          track.setSwitchedOff(isSwitchedOff);
+          assert(!updated);
+        });
+      });
+    });
+  });
+
   describe('#disable', () => {
     context('called when the RemoteTrackV2 is enabled', () => {
       it('returns the RemoteTrackV2', () => {
@@ -652,6 +732,120 @@ describe('RemoteTrackV2', () => {
       const mediaTrackReceiver = {};
       assert.equal(track, track.setTrackTransceiver(mediaTrackReceiver));
     });
+
+    it('sets .isSubscribed to true and emits "updated"', () => {
+      const track = new RemoteTrackV2({
+        id: makeId(),
+        enabled: makeEnabled(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      });
+      let isSubscribed;
+      track.once('updated', () => { isSubscribed = track.isSubscribed; });
+      track.setTrackTransceiver({});
+      assert.equal(isSubscribed, true);
+    });
+
+    context('when called with null after a TrackTransceiver was set', () => {
+      let track;
+
+      beforeEach(() => {
+        track = new RemoteTrackV2({
+          id: makeId(),
+          enabled: makeEnabled(),
+          kind: makeKind(),
+          name: makeUUID(),
+          sid: makeSid()
+        });
+        track.setTrackTransceiver({});
+      });
+
+      it('sets .isSubscribed to false and emits "updated"', () => {
+        let isSubscribed;
+        track.once('updated', () => { isSubscribed = track.isSubscribed; });
+        track.setTrackTransceiver(null);
+        assert.equal(isSubscribed, false);
+        assert.equal(track.trackTransceiver, null);
+      });
+
+      it('resets .error', () => {
+        track.subscribeFailed(new Error('foo'));
+        track.setTrackTransceiver(null);
+        assert.equal(track.error, null);
+      });
+
+      it('causes .getTrackTransceiver to return a Promise for the next TrackTransceiver', () => {
+        const mediaTrackReceiver = {};
+        track.setTrackTransceiver(null);
+        const promise = track.getTrackTransceiver().then(trackReceiver => {
+          assert.equal(trackReceiver, mediaTrackReceiver);
+        });
+        track.setTrackTransceiver(mediaTrackReceiver);
+        return promise;
+      });
+    });
+  });
+
+  describe('#requestSubscription', () => {
+    [true, false].forEach(isSubscribed => {
+      it(`calls the requestSubscription function passed to the constructor with the Track SID and ${isSubscribed}`, async () => {
+        const requestSubscription = sinon.spy(() => Promise.resolve());
+        const track = new RemoteTrackV2({
+          id: makeId(),
+          enabled: makeEnabled(),
+          kind: makeKind(),
+          name: makeUUID(),
+          sid: makeSid()
+        }, { requestSubscription });
+        await track.requestSubscription(isSubscribed);
+        sinon.assert.calledWith(requestSubscription, track.sid, isSubscribed);
+      });
+    });
+
+    it('returns a rejected Promise if no requestSubscription function was passed to the constructor', async () => {
+      const track = new RemoteTrackV2({
+        id: makeId(),
+        enabled: makeEnabled(),
+        kind: makeKind(),
+        name: makeUUID(),
+        sid: makeSid()
+      });
+      try {
+        await track.requestSubscription(true);
+      } catch (error) {
+        assert(error instanceof Error);
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+  });
+
+  describe('#setRenderHint', () => {
+    it('calls the setRenderHint function passed to the constructor with the Track SID and the RenderHint', () => {
+      const setRenderHint = sinon.spy();
+      const track = new RemoteTrackV2({
+        id: makeId(),
+        enabled: makeEnabled(),
+        kind: 'video',
+        name: makeUUID(),
+        sid: makeSid()
+      }, { setRenderHint });
+      const renderHint = { dimensions: { width: 320, height: 180 }, layer: null };
+      assert.equal(track.setRenderHint(renderHint), track);
+      sinon.assert.calledWith(setRenderHint, track.sid, renderHint);
+    });
+
+    it('does nothing if no setRenderHint function was passed to the constructor', () => {
+      const track = new RemoteTrackV2({
+        id: makeId(),
+        enabled: makeEnabled(),
+        kind: 'video',
+        name: makeUUID(),
+        sid: makeSid()
+      });
+      assert.equal(track.setRenderHint({ dimensions: null, layer: 'low' }), track);
+    });
   });
 });
 
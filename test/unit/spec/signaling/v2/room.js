@@ -42,6 +42,67 @@ describe('RoomV2', () => {
         test.room.state);
     });
 
+    context('when the dominantSpeaker option is', () => {
+      context('true', () => {
+        it('constructs and starts a DominantSpeakerDetector', () => {
+          const DominantSpeakerDetector = makeDominantSpeakerDetectorConstructor();
+          const test = makeTest({ dominantSpeaker: true, DominantSpeakerDetector });
+          const detector = DominantSpeakerDetector.instances[0];
+          assert.equal(detector.roomV2, test.room);
+          assert.equal(detector.peerConnectionManager, test.peerConnectionManager);
+          sinon.assert.calledOnce(detector.start);
+        });
+
+        it('stops the DominantSpeakerDetector when the RoomV2 is disconnected', () => {
+          const DominantSpeakerDetector = makeDominantSpeakerDetectorConstructor();
+          const test = makeTest({ dominantSpeaker: true, DominantSpeakerDetector });
+          test.room.disconnect();
+          sinon.assert.calledOnce(DominantSpeakerDetector.instances[0].stop);
+        });
+      });
+
+      context('false', () => {
+        it('does not construct a DominantSpeakerDetector', () => {
+          const DominantSpeakerDetector = makeDominantSpeakerDetectorConstructor();
+          makeTest({ dominantSpeaker: false, DominantSpeakerDetector });
+          assert.equal(DominantSpeakerDetector.instances.length, 0);
+        });
+      });
+    });
+
+    context('when the networkQuality option is', () => {
+      [
+        ['true', true, {}],
+        ['a NetworkQualityConfiguration', { interval: 2000 }, { interval: 2000 }]
+      ].forEach(([description, networkQuality, expectedConfiguration]) => {
+        context(description, () => {
+          it('constructs and starts a NetworkQualityMonitor', () => {
+            const NetworkQualityMonitor = makeNetworkQualityMonitorConstructor();
+            const test = makeTest({ networkQuality, NetworkQualityMonitor });
+            const monitor = NetworkQualityMonitor.instances[0];
+            assert.equal(monitor.roomV2, test.room);
+            assert.deepEqual(monitor.configuration, expectedConfiguration);
+            sinon.assert.calledOnce(monitor.start);
+          });
+
+          it('stops the NetworkQualityMonitor when the RoomV2 is disconnected', () => {
+            const NetworkQualityMonitor = makeNetworkQualityMonitorConstructor();
+            const test = makeTest({ networkQuality, NetworkQualityMonitor });
+            test.room.disconnect();
+            sinon.assert.calledOnce(NetworkQualityMonitor.instances[0].stop);
+          });
+        });
+      });
+
+      context('false', () => {
+        it('does not construct a NetworkQualityMonitor', () => {
+          const NetworkQualityMonitor = makeNetworkQualityMonitorConstructor();
+          makeTest({ networkQuality: false, NetworkQualityMonitor });
+          assert.equal(NetworkQualityMonitor.instances.length, 0);
+        });
+      });
+    });
+
     describe('.localParticipant', () => {
       it('should call .update on the LocalParticipant with the `published` payload before calling `connect`', () => {
         const localParticipant = makeLocalParticipant({ localTracks: [] });
@@ -287,6 +348,347 @@ describe('RoomV2', () => {
     });
   });
 
+  describe('#_setRenderHint', () => {
+    it('publishes the Room state with .render_hints once per tick', async () => {
+      const test = makeTest();
+      const publishCount = test.transport.publish.callCount;
+      test.room._setRenderHint('MT1', { dimensions: { width: 320, height: 180 }, layer: null });
+      test.room._setRenderHint('MT2', { dimensions: null, layer: 'low' });
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.callCount(test.transport.publish, publishCount + 1);
+      assert.deepEqual(test.transport.publish.lastCall.args[0].render_hints, {
+        revision: 2,
+        tracks: [
+          { sid: 'MT1', dimensions: { height: 180, width: 320 } },
+          { sid: 'MT2', layer: 'low' }
+        ]
+      });
+    });
+
+    it('publishes { off: true } for a Track SID whose RenderHint asks to switch it off', async () => {
+      const test = makeTest();
+      test.room._setRenderHint('MT1', { dimensions: null, layer: null, switchOff: true });
+      await new Promise(resolve => setTimeout(resolve));
+      assert.deepEqual(test.transport.publish.lastCall.args[0].render_hints.tracks, [
+        { sid: 'MT1', off: true }
+      ]);
+    });
+
+    it('removes the RenderHint of the Track SID when called with null', async () => {
+      const test = makeTest();
+      test.room._setRenderHint('MT1', { dimensions: null, layer: 'high' });
+      test.room._setRenderHint('MT1', null);
+      await new Promise(resolve => setTimeout(resolve));
+      assert.deepEqual(test.transport.publish.lastCall.args[0].render_hints, {
+        revision: 2,
+        tracks: []
+      });
+    });
+
+    it('does not publish the Room state when removing a RenderHint that was never set', async () => {
+      const test = makeTest();
+      const publishCount = test.transport.publish.callCount;
+      test.room._setRenderHint('MT1', null);
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.callCount(test.transport.publish, publishCount);
+    });
+  });
+
+  describe('#_requestSubscription', () => {
+    [true, false].forEach(isSubscribed => {
+      it(`publishes the Room state with .subscribe including { subscribe: ${isSubscribed} } for the Track SID`, () => {
+        const test = makeTest();
+        test.room._requestSubscription('MT1', !isSubscribed).catch(() => {});
+        test.room._requestSubscription('MT1', isSubscribed).catch(() => {});
+        assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe, {
+          revision: 2,
+          tracks: [
+            { sid: 'MT1', subscribe: isSubscribed }
+          ]
+        });
+      });
+    });
+
+    it('resolves once the subscribed Tracks of a Room state include the Track SID', async () => {
+      const test = makeTest();
+      let resolved = false;
+      const promise = test.room._requestSubscription('MT1', true).then(() => { resolved = true; });
+      test.room._update({ subscribed: { revision: 1, tracks: [] } });
+      await Promise.resolve();
+      assert(!resolved);
+      test.room._update({ subscribed: { revision: 2, tracks: [{ id: '1', sid: 'MT1' }] } });
+      await promise;
+    });
+
+    it('rejects with a TwilioError if the subscribed Tracks of a Room state include an error for the Track SID', async () => {
+      const test = makeTest();
+      const promise = test.room._requestSubscription('MT1', true);
+      test.room._update({ subscribed: { revision: 1, tracks: [{ error: { code: 53401, message: 'foo' }, sid: 'MT1' }] } });
+      try {
+        await promise;
+      } catch (error) {
+        assert.equal(error.code, 53401);
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+
+    it('resolves an unsubscribe request once the subscribed Tracks of a Room state omit the Track SID', async () => {
+      const test = makeTest();
+      test.room._update({ subscribed: { revision: 1, tracks: [{ id: '1', sid: 'MT1' }] } });
+      const promise = test.room._requestSubscription('MT1', false);
+      test.room._update({ subscribed: { revision: 2, tracks: [] } });
+      await promise;
+    });
+
+    it('resolves immediately if the Track is already in the requested state', async () => {
+      const test = makeTest();
+      test.room._update({ subscribed: { revision: 1, tracks: [{ id: '1', sid: 'MT1' }] } });
+      await test.room._requestSubscription('MT1', true);
+    });
+
+    it('rejects a pending request which is superseded by an opposite request', async () => {
+      const test = makeTest();
+      const promise = test.room._requestSubscription('MT1', true);
+      test.room._requestSubscription('MT1', false);
+      try {
+        await promise;
+      } catch (error) {
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+
+    it('rejects pending requests when the RoomV2 disconnects', async () => {
+      const test = makeTest();
+      const promise = test.room._requestSubscription('MT1', true);
+      test.room.disconnect();
+      try {
+        await promise;
+      } catch (error) {
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+
+    it('forgets the Track SID once the RemoteParticipantV2 removes the RemoteTrackV2', () => {
+      const test = makeTest();
+      test.transport.emit('message', {
+        participants: [{ sid: 'PA1', tracks: [{ sid: 'MT1' }, { sid: 'MT2' }] }]
+      });
+      test.room._requestSubscription('MT1', true);
+      test.room._requestSubscription('MT2', true);
+      const participantV2 = test.participantV2s[0];
+      participantV2.emit('trackRemoved', participantV2.tracks.get('MT1'));
+      test.room._requestSubscription('MT3', true);
+      assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe.tracks, [
+        { sid: 'MT2', subscribe: true },
+        { sid: 'MT3', subscribe: true }
+      ]);
+    });
+
+    it('forgets the Track SIDs of a RemoteParticipantV2 once it disconnects', () => {
+      const test = makeTest();
+      test.transport.emit('message', {
+        participants: [{ sid: 'PA1', tracks: [{ sid: 'MT1' }] }]
+      });
+      test.room._requestSubscription('MT1', true);
+      test.participantV2s[0].disconnect();
+      test.room._requestSubscription('MT2', true);
+      assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe.tracks, [
+        { sid: 'MT2', subscribe: true }
+      ]);
+    });
+
+    ['syncing', 'reconnecting'].forEach(state => {
+      it(`publishes the Room state again when the Transport transitions from "${state}" to "connected"`, () => {
+        const test = makeTest();
+        test.room._requestSubscription('MT1', true);
+        test.room._setRenderHint('MT1', { dimensions: null, layer: 'high' });
+        test.transport.emit('stateChanged', state);
+        const publishCount = test.transport.publish.callCount;
+        test.transport.emit('stateChanged', 'connected');
+        sinon.assert.callCount(test.transport.publish, publishCount + 1);
+        const roomState = test.transport.publish.lastCall.args[0];
+        assert.deepEqual(roomState.subscribe.tracks, [
+          { sid: 'MT1', subscribe: true }
+        ]);
+        assert.equal(roomState.render_hints.tracks.length, 1);
+      });
+    });
+
+    it('returns a rejected Promise if the RoomV2 is disconnected', async () => {
+      const test = makeTest();
+      test.room.disconnect();
+      try {
+        await test.room._requestSubscription('MT1', true);
+      } catch (error) {
+        sinon.assert.notCalled(test.transport.publish);
+        return;
+      }
+      throw new Error('Unexpected resolution');
+    });
+  });
+
+  describe('#setSubscriptionRules', () => {
+    function participantState(identity, sid, tracks) {
+      return { identity, sid, state: 'connected', tracks };
+    }
+
+    it('returns the RoomV2', () => {
+      const test = makeTest();
+      assert.equal(test.room.setSubscriptionRules([]), test.room);
+    });
+
+    it('requests to subscribe (or unsubscribe) to every RemoteTrackV2 in a single update', () => {
+      const test = makeTest();
+      test.room._update({
+        participants: [
+          participantState('alice', 'PA1', [
+            { id: '1', kind: 'audio', sid: 'MT1' },
+            { id: '2', kind: 'video', sid: 'MT2' }
+          ]),
+          participantState('bob', 'PA2', [
+            { id: '3', kind: 'video', sid: 'MT3' }
+          ])
+        ]
+      });
+      test.room.setSubscriptionRules([
+        { type: 'include', kind: 'audio' },
+        { type: 'include', publisher: 'bob' }
+      ]);
+      sinon.assert.calledOnce(test.transport.publish);
+      assert.deepEqual(test.transport.publish.args[0][0].subscribe, {
+        revision: 1,
+        tracks: [
+          { sid: 'MT1', subscribe: true },
+          { sid: 'MT2', subscribe: false },
+          { sid: 'MT3', subscribe: true }
+        ]
+      });
+    });
+
+    it('re-evaluates the rules when new RemoteTrackV2s are added', () => {
+      const test = makeTest();
+      test.room.setSubscriptionRules([{ type: 'include', kind: 'audio' }]);
+      test.room._update({
+        participants: [
+          participantState('alice', 'PA1', [
+            { id: '1', kind: 'audio', sid: 'MT1' }
+          ])
+        ]
+      });
+      assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe, {
+        revision: 1,
+        tracks: [
+          { sid: 'MT1', subscribe: true }
+        ]
+      });
+    });
+
+    it('does not request again for RemoteTrackV2s whose decision did not change', () => {
+      const test = makeTest();
+      const state = {
+        participants: [
+          participantState('alice', 'PA1', [
+            { id: '1', kind: 'audio', sid: 'MT1' }
+          ])
+        ]
+      };
+      test.room._update(state);
+      test.room.setSubscriptionRules([{ type: 'include' }]);
+      test.room._requestSubscription('MT1', false).catch(() => {});
+      const callCount = test.transport.publish.callCount;
+      test.room._update(state);
+      assert.equal(test.transport.publish.callCount, callCount);
+      assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe.tracks, [
+        { sid: 'MT1', subscribe: false }
+      ]);
+    });
+
+    it('re-applies every decision when called again', () => {
+      const test = makeTest();
+      test.room._update({
+        participants: [
+          participantState('alice', 'PA1', [
+            { id: '1', kind: 'audio', sid: 'MT1' }
+          ])
+        ]
+      });
+      test.room.setSubscriptionRules([{ type: 'include' }]);
+      test.room._requestSubscription('MT1', false).catch(() => {});
+      test.room.setSubscriptionRules([{ type: 'include' }]);
+      assert.deepEqual(test.transport.publish.lastCall.args[0].subscribe.tracks, [
+        { sid: 'MT1', subscribe: true }
+      ]);
+    });
+  });
+
+  describe('when a subscribed RemoteTrackV2 is missing from the subscribed Tracks of a Room state', () => {
+    function makeRemoteTrackV2() {
+      const track = { id: '1', kind: 'video', sid: 'MT1', isSubscribed: true };
+      track.setTrackTransceiver = sinon.spy(trackTransceiver => { track.isSubscribed = !!trackTransceiver; });
+      return track;
+    }
+
+    function update(test, revision, track, tracks) {
+      test.room._update({
+        subscribed: { revision, tracks },
+        participants: [
+          { identity: 'alice', sid: 'PA1', state: 'connected', tracks: [track] }
+        ]
+      });
+    }
+
+    it('calls .setTrackTransceiver(null) on the RemoteTrackV2', () => {
+      const test = makeTest();
+      const track = makeRemoteTrackV2();
+      update(test, 1, track, [{ id: '1', sid: 'MT1' }]);
+      update(test, 2, track, []);
+      sinon.assert.calledWith(track.setTrackTransceiver, null);
+    });
+
+    it('sets the RemoteTrackV2\'s next TrackTransceiver once it reappears in the subscribed Tracks', async () => {
+      const trackReceiver = { id: '1', kind: 'video', readyState: 'live' };
+      const test = makeTest();
+      const track = makeRemoteTrackV2();
+      update(test, 1, track, [{ id: '1', sid: 'MT1' }]);
+      update(test, 2, track, []);
+      update(test, 3, track, [{ id: '1', sid: 'MT1' }]);
+      test.room._addTrackReceiver(trackReceiver);
+      await new Promise(resolve => setTimeout(resolve));
+      sinon.assert.calledWith(track.setTrackTransceiver, trackReceiver);
+    });
+  });
+
+  describe('"off" in the subscribed Tracks of a Room state', () => {
+    [true, false].forEach(off => {
+      it(`calls .setSwitchedOff(${off}) on the matching RemoteTrackV2`, () => {
+        const test = makeTest();
+        test.room._update({
+          subscribed: {
+            revision: 1,
+            tracks: [
+              { id: '1', sid: 'MT1', off }
+            ]
+          },
+          participants: [
+            {
+              identity: 'alice',
+              sid: 'PA1',
+              state: 'connected',
+              tracks: [
+                { id: '1', kind: 'video', sid: 'MT1' }
+              ]
+            }
+          ]
+        });
+        const remoteTrack = test.room.participants.get('PA1').tracks.get('MT1');
+        sinon.assert.calledWith(remoteTrack.setSwitchedOff, off);
+      });
+    });
+  });
+
   describe('#getStats', () => {
     it('only returns results for published Local- or Remote-Tracks', async () => {
       const test = makeTest({
@@ -1192,8 +1594,12 @@ function makeRemoteParticipantV2Constructor(testOptions) {
 
   function RemoteParticipantV2(initialState, getTrackTransceiver) {
     EventEmitter.call(this);
-    this.tracks = (initialState.tracks || []).reduce((tracks, track) => tracks.set(track.sid, track), new Map());
+    this.tracks = (initialState.tracks || []).reduce((tracks, track) => {
+      track.setSwitchedOff = track.setSwitchedOff || sinon.spy();
+      return tracks.set(track.sid, track);
+    }, new Map());
     this.state = initialState.state || 'connected';
+    this.identity = initialState.identity;
     this.sid = initialState.sid;
     this.getTrackTransceiver = getTrackTransceiver;
     this.disconnect = sinon.spy(() => {
@@ -1209,6 +1615,30 @@ function makeRemoteParticipantV2Constructor(testOptions) {
   return RemoteParticipantV2;
 }
 
+function makeDominantSpeakerDetectorConstructor() {
+  function DominantSpeakerDetector(roomV2, peerConnectionManager) {
+    this.roomV2 = roomV2;
+    this.peerConnectionManager = peerConnectionManager;
+    this.start = sinon.spy();
+    this.stop = sinon.spy();
+    DominantSpeakerDetector.instances.push(this);
+  }
+  DominantSpeakerDetector.instances = [];
+  return DominantSpeakerDetector;
+}
+
+function makeNetworkQualityMonitorConstructor() {
+  function NetworkQualityMonitor(roomV2, configuration) {
+    this.roomV2 = roomV2;
+    this.configuration = configuration;
+    this.start = sinon.spy();
+    this.stop = sinon.spy();
+    NetworkQualityMonitor.instances.push(this);
+  }
+  NetworkQualityMonitor.instances = [];
+  return NetworkQualityMonitor;
+}
+
 function makeRoomV2(options) {
   return new RoomV2(options.localParticipant, options, options.transport, options.peerConnectionManager, options);
 }
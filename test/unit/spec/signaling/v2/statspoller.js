@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const StatsPoller = require('../../../../../lib/signaling/v2/statspoller');
+
+describe('StatsPoller', () => {
+  let clock;
+  let getStats;
+  let reports;
+  let statsPoller;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    reports = [];
+    getStats = sinon.spy(() => Promise.resolve(reports));
+    statsPoller = new StatsPoller(getStats);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#add', () => {
+    it('calls the consumer with new StatsReports once its interval elapses', async () => {
+      const onStats = sinon.spy();
+      statsPoller.add(100, onStats);
+      clock.tick(99);
+      sinon.assert.notCalled(getStats);
+      clock.tick(1);
+      await flushPromises();
+      sinon.assert.calledOnce(getStats);
+      sinon.assert.calledWith(onStats, reports);
+    });
+
+    it('calls each consumer at its own interval', async () => {
+      const onStats1 = sinon.spy();
+      const onStats2 = sinon.spy();
+      statsPoller.add(100, onStats1);
+      statsPoller.add(300, onStats2);
+      for (let i = 0; i < 3; i++) {
+        clock.tick(100);
+        await flushPromises();
+      }
+      sinon.assert.callCount(getStats, 3);
+      sinon.assert.callCount(onStats1, 3);
+      sinon.assert.calledOnce(onStats2);
+    });
+
+    it('shares a single call between consumers that are due at about the same time', async () => {
+      const onStats1 = sinon.spy();
+      const onStats2 = sinon.spy();
+      statsPoller.add(100, onStats1);
+      clock.tick(10);
+      statsPoller.add(100, onStats2);
+      clock.tick(90);
+      await flushPromises();
+      sinon.assert.calledOnce(getStats);
+      sinon.assert.calledOnce(onStats1);
+      sinon.assert.calledOnce(onStats2);
+    });
+
+    it('does not call again while a call is in flight', () => {
+      getStats = sinon.spy(() => new Promise(() => {}));
+      statsPoller = new StatsPoller(getStats);
+      statsPoller.add(100, sinon.spy());
+      clock.tick(500);
+      sinon.assert.calledOnce(getStats);
+    });
+
+    it('keeps polling after a call fails', async () => {
+      getStats = sinon.spy(() => Promise.reject(new Error('foo')));
+      statsPoller = new StatsPoller(getStats);
+      const onStats = sinon.spy();
+      statsPoller.add(100, onStats);
+      clock.tick(100);
+      await flushPromises();
+      clock.tick(100);
+      await flushPromises();
+      sinon.assert.calledTwice(getStats);
+      sinon.assert.notCalled(onStats);
+    });
+
+    it('returns a function which stops calling the consumer', async () => {
+      const onStats = sinon.spy();
+      const stop = statsPoller.add(100, onStats);
+      clock.tick(100);
+      stop();
+      await flushPromises();
+      clock.tick(1000);
+      await flushPromises();
+      sinon.assert.calledOnce(getStats);
+      sinon.assert.notCalled(onStats);
+    });
+
+    it('stops polling once no consumers remain', () => {
+      const stop1 = statsPoller.add(100, sinon.spy());
+      const stop2 = statsPoller.add(300, sinon.spy());
+      stop1();
+      stop2();
+      clock.tick(1000);
+      sinon.assert.notCalled(getStats);
+      assert.equal(statsPoller._timeout, null);
+    });
+  });
+});
+
+async function flushPromises() {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+}
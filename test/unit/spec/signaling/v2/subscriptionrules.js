@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('assert');
+
+const SubscriptionRules = require('../../../../../lib/signaling/v2/subscriptionrules');
+
+describe('SubscriptionRules', () => {
+  describe('#shouldSubscribe', () => {
+    const alice = { identity: 'alice', sid: 'PA1' };
+    const bob = { identity: 'bob', sid: 'PA2' };
+    const audio = { kind: 'audio', name: 'mic', priority: 'standard', sid: 'MT1' };
+    const video = { kind: 'video', name: 'camera', priority: 'low', sid: 'MT2' };
+    const screen = { kind: 'video', name: 'screen', priority: 'high', sid: 'MT3' };
+
+    [
+      ['there are no rules', [], [alice, audio], false],
+      ['an "include" rule without any other properties', [{ type: 'include' }], [bob, screen], true],
+      ['an "include" rule whose .kind matches', [{ type: 'include', kind: 'audio' }], [alice, audio], true],
+      ['an "include" rule whose .kind does not match', [{ type: 'include', kind: 'audio' }], [alice, video], false],
+      ['an "include" rule whose .publisher matches the identity', [{ type: 'include', publisher: 'alice' }], [alice, video], true],
+      ['an "include" rule whose .publisher matches the Participant SID', [{ type: 'include', publisher: 'PA2' }], [bob, video], true],
+      ['an "include" rule whose .publisher does not match', [{ type: 'include', publisher: 'alice' }], [bob, video], false],
+      ['an "include" rule whose .track matches the name', [{ type: 'include', track: 'screen' }], [bob, screen], true],
+      ['an "include" rule whose .track matches the Track SID', [{ type: 'include', track: 'MT2' }], [bob, video], true],
+      ['an "include" rule whose .priority matches', [{ type: 'include', priority: 'high' }], [bob, screen], true],
+      ['an "include" rule whose .priority does not match', [{ type: 'include', priority: 'high' }], [bob, video], false],
+      ['an "include" rule where only some properties match', [{ type: 'include', kind: 'video', publisher: 'alice' }], [bob, video], false],
+      ['matching "include" and "exclude" rules', [{ type: 'include', kind: 'video' }, { type: 'exclude', publisher: 'bob' }], [bob, video], false],
+      ['a matching "include" rule and a non-matching "exclude" rule', [{ type: 'include', kind: 'video' }, { type: 'exclude', publisher: 'bob' }], [alice, video], true]
+    ].forEach(([description, rules, [participant, track], expected]) => {
+      it(`returns ${expected} when ${description}`, () => {
+        assert.equal(new SubscriptionRules(rules).shouldSubscribe(participant, track), expected);
+      });
+    });
+
+    it('is not affected by changes to the rules passed to the constructor', () => {
+      const rules = [{ type: 'include', kind: 'audio' }];
+      const subscriptionRules = new SubscriptionRules(rules);
+      rules[0].kind = 'video';
+      assert(subscriptionRules.shouldSubscribe(alice, audio));
+    });
+  });
+});
@@ -111,11 +111,24 @@ describe('Transport', () => {
               assert.equal('connect', message.type);
             });
 
+            it('does not have .subscribe', () => {
+              assert(!('subscribe' in message));
+            });
+
             it('has .version 1', () => {
               assert.equal(1, message.version);
             });
           });
 
+          context('"connecting", and the Transport was constructed with .automaticSubscription false, returns an RSP message that', () => {
+            it('has .subscribe with .automatic false', () => {
+              test = makeTest({ automaticSubscription: false });
+              test.ua.invite.args[0][1].mediaHandlerFactory();
+              const message = test.mediaHandler.createMessage();
+              assert.deepEqual({ automatic: false }, message.subscribe);
+            });
+          });
+
           context('"disconnected", returns an RSP message that', () => {
             let message;
 
@@ -157,6 +170,28 @@ describe('Transport', () => {
               assert.equal(1, message.version);
             });
           });
+
+          context('"syncing", and the Transport was constructed with .automaticSubscription false, returns an RSP message that', () => {
+            it('has .subscribe with .automatic false', () => {
+              test = makeTest({ automaticSubscription: false });
+              test.ua.invite.args[0][1].mediaHandlerFactory();
+              test.connect();
+              test.transport.sync();
+              const message = test.mediaHandler.createMessage();
+              assert.equal('sync', message.type);
+              assert.deepEqual({ automatic: false }, message.subscribe);
+            });
+          });
+
+          context('"connected", and the Transport was constructed with .automaticSubscription false, returns an RSP message that', () => {
+            it('does not have .subscribe', () => {
+              test = makeTest({ automaticSubscription: false });
+              test.ua.invite.args[0][1].mediaHandlerFactory();
+              test.connect();
+              const message = test.mediaHandler.createMessage();
+              assert(!('subscribe' in message));
+            });
+          });
         });
       });
     });
@@ -343,6 +378,19 @@ describe('Transport', () => {
           revision: 1,
           tracks: []
         },
+        subscribe: {
+          revision: 2,
+          tracks: [
+            { sid: 'MT1', subscribe: false }
+          ]
+        },
+        // eslint-disable-next-line camelcase
+        render_hints: {
+          revision: 1,
+          tracks: [
+            { sid: 'MT1', dimensions: { height: 90, width: 160 } }
+          ]
+        },
         // eslint-disable-next-line camelcase
         peer_connections: [
           {
@@ -368,6 +416,19 @@ describe('Transport', () => {
             { fizz: 'buzz' }
           ]
         },
+        subscribe: {
+          revision: 1,
+          tracks: [
+            { sid: 'MT1', subscribe: true }
+          ]
+        },
+        // eslint-disable-next-line camelcase
+        render_hints: {
+          revision: 2,
+          tracks: [
+            { sid: 'MT1', dimensions: { height: 720, width: 1280 }, layer: 'high' }
+          ]
+        },
         // eslint-disable-next-line camelcase
         peer_connections: [
           {
@@ -404,6 +465,19 @@ describe('Transport', () => {
           { fizz: 'buzz' }
         ]
       },
+      subscribe: {
+        revision: 2,
+        tracks: [
+          { sid: 'MT1', subscribe: false }
+        ]
+      },
+      // eslint-disable-next-line camelcase
+      render_hints: {
+        revision: 2,
+        tracks: [
+          { sid: 'MT1', dimensions: { height: 720, width: 1280 }, layer: 'high' }
+        ]
+      },
       // eslint-disable-next-line camelcase
       peer_connections: [
         {
@@ -543,6 +617,12 @@ describe('Transport', () => {
                 JSON.parse(test.session.sendRequest.args[0][1].body));
             });
 
+            it('sets the body to an update RSP message with the .render_hints .publish-ed with the highest revision', () => {
+              assert.deepEqual(
+                expectedPublish.render_hints,
+                JSON.parse(test.session.sendRequest.args[0][1].body).render_hints);
+            });
+
             it('sets the Content-Type to "application/room-signaling+json"', () => {
               assert(test.session.sendRequest.args[0][1].extraHeaders.includes(
                 'Content-Type: application/room-signaling+json'));
@@ -2267,74 +2347,170 @@ describe('Transport', () => {
   });
 
   describe('the underlying SIP.js UA emits', () => {
-    describe('"disconnected", and the Transport\'s .state is', () => {
-      let test;
-
-      beforeEach(() => {
-        test = makeTest();
-        test.connect();
-      });
+    [
+      ['disconnected', SignalingConnectionDisconnectedError],
+      ['keepAliveTimeout', SignalingConnectionTimeoutError]
+    ].forEach(([event, ExpectedError]) => {
+      describe(`"${event}", and the Transport's .state is`, () => {
+        let test;
 
-      describe('"connected"', () => {
-        it('emits "disconnected" with a SignalingConnectionDisconnectedError', () => {
-          let state;
-          let error;
-          test.transport.once('stateChanged', (_state, _error) => {
-            state = _state;
-            error = _error;
-          });
-          test.ua.emit('disconnected');
-          assert.equal(state, 'disconnected');
-          assert(error instanceof SignalingConnectionDisconnectedError);
+        beforeEach(() => {
+          test = makeTest({ reconnectTimeout: 50 });
         });
-      });
 
-      describe('"disconnected"', () => {
-        beforeEach(() => {
+        afterEach(() => {
           test.transport.disconnect();
         });
 
-        it('does not emit "disconnected"', () => {
-          let didEmitEvent = false;
-          test.transport.once('stateChanged', () => { didEmitEvent = true; });
-          test.ua.emit('disconnected');
-          assert(!didEmitEvent);
+        describe('"connecting"', () => {
+          it(`emits "disconnected" with a ${ExpectedError.name}`, () => {
+            let state;
+            let error;
+            test.transport.once('stateChanged', (_state, _error) => {
+              state = _state;
+              error = _error;
+            });
+            test.ua.emit(event);
+            assert.equal(state, 'disconnected');
+            assert(error instanceof ExpectedError);
+          });
         });
-      });
-    });
 
-    describe('"keepAliveTimeout", and the Transport\'s .state is', () => {
-      let test;
+        ['connected', 'syncing'].forEach(initialState => {
+          describe(`"${initialState}"`, () => {
+            beforeEach(() => {
+              test.connect();
+              if (initialState === 'syncing') {
+                test.transport.sync();
+              }
+            });
 
-      beforeEach(() => {
-        test = makeTest();
-        test.connect();
-      });
+            it(`emits "reconnecting" with a ${ExpectedError.name}`, () => {
+              let state;
+              let error;
+              test.transport.once('stateChanged', (_state, _error) => {
+                state = _state;
+                error = _error;
+              });
+              test.ua.emit(event);
+              assert.equal(state, 'reconnecting');
+              assert(error instanceof ExpectedError);
+            });
+
+            context('when the SIP.js UA is connected', () => {
+              beforeEach(() => {
+                test.isUAConnected = true;
+                test.ua.emit(event);
+              });
+
+              it('calls .invite on the underlying SIP.js UA again', () => {
+                assert(test.ua.invite.calledTwice);
+              });
+
+              it('creates a new SIP.js Session whose createMessage function returns an RSP message with .type "sync"', () => {
+                assert.equal(test.transport._session, test.sessions[1]);
+                assert.equal(test.ua.invite.args[1][1].mediaHandlerFactory().createMessage().type, 'sync');
+              });
+
+              it('queues RSP updates published while reconnecting', () => {
+                assert(test.transport.publish({ foo: 'bar' }));
+                sinon.assert.notCalled(test.sessions[1].sendRequest);
+              });
+
+              context('and the new SIP.js Session is accepted with a "synced" RSP message', () => {
+                let messages;
+
+                beforeEach(() => {
+                  messages = [];
+                  test.transport.on('message', message => messages.push(message));
+                  test.transport.publish({ foo: 'bar' });
+                  test.transitions = [];
+                  test.sessions[1].emit('accepted', { body: JSON.stringify({ type: 'synced' }) });
+                });
+
+                it('transitions .state to "connected"', () => {
+                  assert.deepEqual(['connected'], test.transitions);
+                });
+
+                it('emits the "synced" RSP message', () => {
+                  assert.deepEqual([{ type: 'synced' }], messages);
+                });
+
+                it('publishes the queued RSP updates', () => {
+                  sinon.assert.calledOnce(test.sessions[1].sendRequest);
+                });
+
+                it('does not transition .state to "disconnected" once the reconnect timeout expires', async () => {
+                  await new Promise(resolve => setTimeout(resolve, 100));
+                  assert.deepEqual(['connected'], test.transitions);
+                });
+              });
+
+              context('and the new SIP.js Session fails because of a connection error', () => {
+                beforeEach(() => {
+                  test.sessions[1].emit('failed', null, 'Connection Error');
+                });
 
-      describe('"connected"', () => {
-        it('emits "disconnected" with a SignalingConnectionTimeoutError', () => {
-          let state;
-          let error;
-          test.transport.once('stateChanged', (_state, _error) => {
-            state = _state;
-            error = _error;
+                it('does not transition .state to "disconnected"', () => {
+                  assert.equal(test.transport.state, 'reconnecting');
+                });
+
+                it('calls .invite on the underlying SIP.js UA again', () => {
+                  assert(test.ua.invite.calledThrice);
+                });
+              });
+
+              context('and the new SIP.js Session fails with a TwilioError', () => {
+                beforeEach(() => {
+                  test.transitions = [];
+                  test.sessions[1].emit('failed', { headers: { 'X-Twilio-Error': [{ raw: '53106 Room not found' }] } });
+                });
+
+                it('transitions .state to "disconnected"', () => {
+                  assert.deepEqual(['disconnected'], test.transitions);
+                });
+              });
+            });
+
+            context('when the SIP.js UA is not connected', () => {
+              beforeEach(() => {
+                test.isUAConnected = false;
+                test.ua.emit(event);
+              });
+
+              it('does not call .invite on the underlying SIP.js UA again', () => {
+                assert(test.ua.invite.calledOnce);
+              });
+
+              it('calls .invite on the underlying SIP.js UA again once it emits "connected"', () => {
+                test.isUAConnected = true;
+                test.ua.emit('connected');
+                assert(test.ua.invite.calledTwice);
+              });
+
+              it(`emits "disconnected" with a ${ExpectedError.name} once the reconnect timeout expires`, async () => {
+                const [state, error] = await new Promise(resolve => {
+                  test.transport.once('stateChanged', (...args) => resolve(args));
+                });
+                assert.equal(state, 'disconnected');
+                assert(error instanceof ExpectedError);
+              });
+            });
           });
-          test.ua.emit('keepAliveTimeout');
-          assert.equal(state, 'disconnected');
-          assert(error instanceof SignalingConnectionTimeoutError);
         });
-      });
 
-      describe('"disconnected"', () => {
-        beforeEach(() => {
-          test.transport.disconnect();
-        });
+        describe('"disconnected"', () => {
+          beforeEach(() => {
+            test.connect();
+            test.transport.disconnect();
+          });
 
-        it('does not emit "disconnected"', () => {
-          let didEmitEvent = false;
-          test.transport.once('stateChanged', () => { didEmitEvent = true; });
-          test.ua.emit('keepAliveTimeout');
-          assert(!didEmitEvent);
+          it(`does not emit "${event}"`, () => {
+            let didEmitEvent = false;
+            test.transport.once('stateChanged', () => { didEmitEvent = true; });
+            test.ua.emit(event);
+            assert(!didEmitEvent);
+          });
         });
       });
     });
@@ -2415,7 +2591,13 @@ function makeSession(options) {
 
 function makeUA(options) {
   const ua = new EventEmitter();
-  ua.invite = sinon.spy(() => options.session);
+  options.sessions = [];
+  ua.invite = sinon.spy(() => {
+    const session = options.sessions.length ? makeSession(options) : options.session;
+    options.sessions.push(session);
+    return session;
+  });
+  ua.isConnected = sinon.spy(() => !!options.isUAConnected);
   ua.once = sinon.spy(ua.once.bind(ua));
   ua.stop = sinon.spy(() => {});
   return ua;
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const getDisplayMedia = require('../../../../lib/util/getdisplaymedia');
+
+describe('getDisplayMedia', () => {
+  const constraints = { audio: false, video: { frameRate: 5 } };
+
+  context('when navigator.mediaDevices.getDisplayMedia is supported', () => {
+    it('should call navigator.mediaDevices.getDisplayMedia with the given constraints', async () => {
+      const options = makeOptions({ browser: 'chrome', extensionId: 'foo' });
+      options.navigator.mediaDevices.getDisplayMedia = sinon.spy(() => Promise.resolve('bar'));
+      assert.equal(await getDisplayMedia(constraints, options), 'bar');
+      sinon.assert.calledWith(options.navigator.mediaDevices.getDisplayMedia, constraints);
+      sinon.assert.notCalled(options.getUserMedia);
+    });
+  });
+
+  context('when navigator.getDisplayMedia is supported', () => {
+    it('should call navigator.getDisplayMedia with the given constraints', async () => {
+      const options = makeOptions();
+      options.navigator.getDisplayMedia = sinon.spy(() => Promise.resolve('bar'));
+      assert.equal(await getDisplayMedia(constraints, options), 'bar');
+      sinon.assert.calledWith(options.navigator.getDisplayMedia, constraints);
+    });
+  });
+
+  context('when getDisplayMedia is not supported in Chrome', () => {
+    context('and an .extensionId is provided', () => {
+      it('should call getUserMedia with the desktop source ID chosen by the extension', async () => {
+        const options = makeOptions({ browser: 'chrome', extensionId: 'foo' });
+        options.chrome.runtime.sendMessage = sinon.spy((extensionId, message, callback) => {
+          callback({ sourceId: 'baz' });
+        });
+        assert.equal(await getDisplayMedia(constraints, options), 'bar');
+        assert.equal(options.chrome.runtime.sendMessage.args[0][0], 'foo');
+        assert.equal(options.chrome.runtime.sendMessage.args[0][1].type, 'getDesktopSourceId');
+        sinon.assert.calledWith(options.getUserMedia, {
+          audio: false,
+          video: {
+            mandatory: {
+              chromeMediaSource: 'desktop',
+              chromeMediaSourceId: 'baz'
+            }
+          }
+        });
+      });
+
+      [
+        ['the extension responds with an error', () => ({ error: 'qux' }), 'qux'],
+        ['the extension cannot be reached', options => {
+          options.chrome.runtime.lastError = { message: 'qux' };
+        }, 'qux']
+      ].forEach(([description, respond, message]) => {
+        it(`should return a rejected Promise if ${description}`, async () => {
+          const options = makeOptions({ browser: 'chrome', extensionId: 'foo' });
+          options.chrome.runtime.sendMessage = (extensionId, message, callback) => {
+            callback(respond(options));
+          };
+          try {
+            await getDisplayMedia(constraints, options);
+          } catch (error) {
+            assert.equal(error.message, message);
+            sinon.assert.notCalled(options.getUserMedia);
+            return;
+          }
+          throw new Error('Unexpected resolution');
+        });
+      });
+    });
+
+    context('and an .extensionId is not provided', () => {
+      it('should return a rejected Promise', async () => {
+        const options = makeOptions({ browser: 'chrome' });
+        try {
+          await getDisplayMedia(constraints, options);
+        } catch (error) {
+          assert(error instanceof Error);
+          return;
+        }
+        throw new Error('Unexpected resolution');
+      });
+    });
+  });
+
+  context('when getDisplayMedia is not supported in Firefox', () => {
+    it('should call getUserMedia with the "screen" mediaSource', async () => {
+      const options = makeOptions({ browser: 'firefox' });
+      assert.equal(await getDisplayMedia(constraints, options), 'bar');
+      sinon.assert.calledWith(options.getUserMedia, {
+        audio: false,
+        video: { frameRate: 5, mediaSource: 'screen' }
+      });
+    });
+  });
+});
+
+function makeOptions(options) {
+  return Object.assign({
+    browser: null,
+    chrome: { runtime: {} },
+    extensionId: null,
+    getUserMedia: sinon.spy(() => Promise.resolve('bar')),
+    navigator: { mediaDevices: {} }
+  }, options);
+}
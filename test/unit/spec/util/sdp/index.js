@@ -3,7 +3,7 @@
 const assert = require('assert');
 
 const { flatMap } = require('../../../../../lib/util');
-const { setBitrateParameters, setCodecPreferences, setSimulcast } = require('../../../../../lib/util/sdp');
+const { createMidToTrackIds, replaceTrackIds, setBitrateParameters, setCodecPreferences, setSimulcast } = require('../../../../../lib/util/sdp');
 
 const { makeSdpForSimulcast, makeSdpWithTracks } = require('../../../../lib/mocksdp');
 const { combinationContext } = require('../../../../lib/util');
@@ -108,6 +108,75 @@ describe('setBitrateParameters', () => {
   });
 });
 
+describe('createMidToTrackIds', () => {
+  it('should map the MID of each m= section to the IDs of the MediaStreamTracks it carries', () => {
+    const sdp = makeSdpWithTracks('unified', {
+      audio: ['audio-1'],
+      video: ['video-1', 'video-2']
+    });
+    assert.deepEqual(Array.from(createMidToTrackIds(sdp)), [
+      ['mid_audio-1', new Set(['audio-1'])],
+      ['mid_video-1', new Set(['video-1'])],
+      ['mid_video-2', new Set(['video-2'])]
+    ]);
+  });
+
+  it('should ignore m= sections without a MID', () => {
+    const sdp = makeSdpWithTracks('planb', {
+      audio: ['audio-1'],
+      video: ['video-1', 'video-2']
+    });
+    assert.equal(createMidToTrackIds(sdp).size, 0);
+  });
+});
+
+describe('replaceTrackIds', () => {
+  ['planb', 'unified'].forEach(sdpType => {
+    context(`when called with ${sdpType === 'planb' ? 'Plan B' : 'Unified Plan'} SDP`, () => {
+      it('should replace the given MediaStreamTrack IDs in the msid attributes', () => {
+        const sdp = makeSdpWithTracks(sdpType, { audio: ['foo'], video: ['bar'] });
+        const expectedSdp = makeSdpWithTracks(sdpType, { audio: ['foo'], video: ['baz'] })
+          .replace(/a=mid:mid_baz/, 'a=mid:mid_bar');
+        assert.equal(replaceTrackIds(sdp, new Map([['bar', 'baz']])), expectedSdp);
+      });
+    });
+  });
+
+  it('should return the SDP unchanged if there are no MediaStreamTrack IDs to replace', () => {
+    const sdp = makeSdpWithTracks('unified', { audio: ['foo'] });
+    assert.equal(replaceTrackIds(sdp, new Map()), sdp);
+  });
+});
+
+describe('setBitrateParameters, called with max bitrates for some MIDs', () => {
+  [
+    [8000, 3000, 3000, 8000],
+    [2000, 3000, 2000, 2000],
+    [null, 3000, 3000, null]
+  ].forEach(([maxVideoBitrate, maxTrackBitrate, expectedMaxBitrate1, expectedMaxBitrate2]) => {
+    context(`when maxVideoBitrate is ${maxVideoBitrate} and the max bitrate of one m=video section is ${maxTrackBitrate}`, () => {
+      let sections;
+
+      before(() => {
+        const sdp = setBitrateParameters(makeSdpWithTracks('unified', {
+          video: ['video-1', 'video-2']
+        }), 'TIAS', null, maxVideoBitrate, new Map([['mid_video-1', maxTrackBitrate]]));
+        sections = sdp.split('\r\nm=').slice(1);
+      });
+
+      it(`should set the b= line of that m=video section to ${expectedMaxBitrate1}`, () => {
+        assert(new RegExp(`\r\nb=TIAS:${expectedMaxBitrate1}(\r\n|$)`).test(sections[0]));
+      });
+
+      it(`should ${expectedMaxBitrate2 ? `set the b= line of the other m=video section to ${expectedMaxBitrate2}` : 'not add a b= line to the other m=video section'}`, () => {
+        assert(expectedMaxBitrate2
+          ? new RegExp(`\r\nb=TIAS:${expectedMaxBitrate2}(\r\n|$)`).test(sections[1])
+          : !/\r\nb=TIAS/.test(sections[1]));
+      });
+    });
+  });
+});
+
 describe('setCodecPreferences', () => {
   combinationContext([
     [
@@ -231,6 +300,55 @@ describe('setSimulcast', () => {
   });
 });
 
+describe('setSimulcast, when called with the number of simulcast layers', () => {
+  [
+    ['01234'],
+    ['01234', '56789']
+  ].forEach(ssrcs => {
+    context(`when retransmission is${ssrcs.length === 2 ? '' : ' not'} supported`, () => {
+      function trackIdsToLayers(layers) {
+        return new Map([['video-1', layers]]);
+      }
+
+      function getSimGroups(sdp) {
+        const videoSection = `m=${sdp.split('\r\nm=')[2]}`;
+        return (videoSection.match(/^a=ssrc-group:SIM .+$/gm) || []).map(line => line.split(' ').slice(1));
+      }
+
+      function getSSRCs(sdp) {
+        const videoSection = `m=${sdp.split('\r\nm=')[2]}`;
+        return (videoSection.match(/^a=ssrc:.+ msid:.+$/gm) || []).map(line => line.match(/^a=ssrc:([0-9]+)/)[1]);
+      }
+
+      [2, 3].forEach(layers => {
+        it(`should add a simulcast group of ${layers} SSRCs`, () => {
+          const simSdp = setSimulcast(makeSdpForSimulcast(ssrcs), new Map(), trackIdsToLayers(layers));
+          const simGroups = getSimGroups(simSdp);
+          assert.equal(simGroups.length, 1);
+          assert.equal(simGroups[0].length, layers);
+          assert.equal(simGroups[0][0], ssrcs[0]);
+          assert.equal(getSSRCs(simSdp).length, layers * ssrcs.length);
+        });
+      });
+
+      [[2, 3], [3, 2]].forEach(([fromLayers, toLayers]) => {
+        it(`should replace the simulcast group when the number of layers changes from ${fromLayers} to ${toLayers}`, () => {
+          const sdp = setSimulcast(makeSdpForSimulcast(ssrcs), new Map(), trackIdsToLayers(fromLayers));
+          const oldSSRCs = getSimGroups(sdp)[0];
+          const simSdp = setSimulcast(sdp, new Map(), trackIdsToLayers(toLayers));
+          const simGroups = getSimGroups(simSdp);
+          assert.equal(simGroups.length, 1);
+          assert.equal(simGroups[0].length, toLayers);
+          assert.deepEqual(simGroups[0].slice(0, Math.min(fromLayers, toLayers)),
+            oldSSRCs.slice(0, Math.min(fromLayers, toLayers)));
+          assert.equal(getSSRCs(simSdp).length, toLayers * ssrcs.length);
+          assert.equal((simSdp.match(/^a=ssrc-group:FID .+$/gm) || []).length, ssrcs.length === 2 ? toLayers : 0);
+        });
+      });
+    });
+  });
+});
+
 function itShouldHaveCodecOrder(sdpType, preferredAudioCodecs, preferredVideoCodecs, expectedAudioCodecIds, expectedVideoCodecIds) {
   const sdp = makeSdpWithTracks(sdpType, {
     audio: ['audio-1', 'audio-2'],
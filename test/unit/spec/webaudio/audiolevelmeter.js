@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const AudioLevelMeter = require('../../../../lib/webaudio/audiolevelmeter');
+const { AudioContextFactory } = require('../../../../lib/webaudio/audiocontext');
+
+const { FakeMediaStreamTrack } = require('../../../lib/fakemediastream');
+
+describe('AudioLevelMeter', () => {
+  let analyser;
+  let audioContextFactory;
+  let meter;
+  let sources;
+
+  beforeEach(() => {
+    analyser = {
+      fftSize: 4,
+      samples: [128, 128, 128, 128],
+      getByteTimeDomainData: sinon.spy(samples => samples.set(analyser.samples))
+    };
+    sources = [];
+    audioContextFactory = new AudioContextFactory({
+      AudioContext: function AudioContext() {
+        this.close = sinon.spy();
+        this.createAnalyser = sinon.spy(() => analyser);
+        this.createMediaStreamSource = sinon.spy(() => {
+          const source = { connect: sinon.spy(), disconnect: sinon.spy() };
+          sources.push(source);
+          return source;
+        });
+      }
+    });
+    meter = new AudioLevelMeter({ audioContextFactory, MediaStream: sinon.spy() });
+  });
+
+  describe('#start', () => {
+    it('should connect the MediaStreamTrack to an AnalyserNode', () => {
+      const mediaStreamTrack = new FakeMediaStreamTrack('audio');
+      assert.equal(meter.start(mediaStreamTrack), true);
+      sinon.assert.calledWith(sources[0].connect, analyser);
+      assert.equal(meter.mediaStreamTrack, mediaStreamTrack);
+    });
+
+    it('should switch to another MediaStreamTrack when called again', () => {
+      meter.start(new FakeMediaStreamTrack('audio'));
+      meter.start(new FakeMediaStreamTrack('audio'));
+      sinon.assert.calledOnce(sources[0].disconnect);
+      sinon.assert.calledWith(sources[1].connect, analyser);
+    });
+
+    it('should return false if Web Audio is not supported', () => {
+      meter = new AudioLevelMeter({
+        audioContextFactory: new AudioContextFactory({ AudioContext: null }),
+        MediaStream: sinon.spy()
+      });
+      assert.equal(meter.start(new FakeMediaStreamTrack('audio')), false);
+    });
+  });
+
+  describe('#stop', () => {
+    it('should disconnect the MediaStreamTrack and release the AudioContext', () => {
+      meter.start(new FakeMediaStreamTrack('audio'));
+      const audioContext = audioContextFactory.getOrCreate(meter);
+      meter.stop();
+      sinon.assert.calledOnce(sources[0].disconnect);
+      sinon.assert.calledOnce(audioContext.close);
+      assert.equal(meter.mediaStreamTrack, null);
+    });
+  });
+
+  describe('#measure', () => {
+    it('should return 0 if not started', () => {
+      assert.equal(meter.measure(), 0);
+    });
+
+    it('should return 0 for silence', () => {
+      meter.start(new FakeMediaStreamTrack('audio'));
+      assert.equal(meter.measure(), 0);
+    });
+
+    it('should return 1 for full-scale audio', () => {
+      meter.start(new FakeMediaStreamTrack('audio'));
+      analyser.samples = [0, 0, 0, 0];
+      assert.equal(meter.measure(), 1);
+    });
+
+    it('should return a level between 0 and 1 for quieter audio', () => {
+      meter.start(new FakeMediaStreamTrack('audio'));
+      analyser.samples = [160, 96, 160, 96];
+      const level = meter.measure();
+      assert(level > 0 && level < 1);
+      assert.equal(level, Math.round(level * 100) / 100);
+    });
+  });
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+const assert = require('assert');
+
+const measureLevel = require('../../../../lib/webaudio/measurelevel');
+
+describe('measureLevel', () => {
+  it('returns -Infinity for silence', () => {
+    assert.equal(measureLevel(new Uint8Array([128, 128, 128, 128])), -Infinity);
+  });
+
+  it('returns 0 dBFS for a full-scale square wave', () => {
+    assert.equal(measureLevel(new Uint8Array([0, 0, 0, 0])), 0);
+  });
+
+  it('returns the RMS level, in dBFS', () => {
+    assert.equal(Math.round(measureLevel(new Uint8Array([192, 64, 192, 64]))), -6);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const WebAudioOutput = require('../../../../lib/webaudio/webaudiooutput');
+
+const { FakeMediaStream, FakeMediaStreamTrack } = require('../../../lib/fakemediastream');
+
+describe('WebAudioOutput', () => {
+  let audioContext;
+  let AudioContext;
+  let source;
+
+  beforeEach(() => {
+    source = {
+      connect: sinon.spy(),
+      disconnect: sinon.spy()
+    };
+    audioContext = {
+      close: sinon.spy(),
+      createMediaStreamSource: sinon.spy(() => source),
+      destination: {},
+      setSinkId: sinon.spy(() => Promise.resolve())
+    };
+    AudioContext = sinon.spy(function AudioContext() {
+      return audioContext;
+    });
+    AudioContext.prototype.setSinkId = () => {};
+  });
+
+  describe('constructor', () => {
+    it('should play the MediaStreamTrack through a new AudioContext', () => {
+      const mediaStreamTrack = new FakeMediaStreamTrack('audio');
+      const MediaStream = sinon.spy();
+      // eslint-disable-next-line no-new
+      new WebAudioOutput(mediaStreamTrack, { AudioContext, MediaStream });
+      sinon.assert.calledOnce(AudioContext);
+      sinon.assert.calledWith(MediaStream, [mediaStreamTrack]);
+      assert(audioContext.createMediaStreamSource.args[0][0] instanceof MediaStream);
+      sinon.assert.calledWith(source.connect, audioContext.destination);
+    });
+
+    it('should throw if AudioContexts do not support setSinkId', () => {
+      delete AudioContext.prototype.setSinkId;
+      assert.throws(() => new WebAudioOutput(new FakeMediaStreamTrack('audio'), {
+        AudioContext,
+        MediaStream: FakeMediaStream
+      }));
+      sinon.assert.notCalled(AudioContext);
+    });
+  });
+
+  describe('#setSinkId', () => {
+    it('should call setSinkId on the AudioContext', async () => {
+      const output = new WebAudioOutput(new FakeMediaStreamTrack('audio'), { AudioContext, MediaStream: FakeMediaStream });
+      await output.setSinkId('foo');
+      sinon.assert.calledWith(audioContext.setSinkId, 'foo');
+    });
+  });
+
+  describe('#stop', () => {
+    it('should disconnect the MediaStreamTrack and close the AudioContext', async () => {
+      const output = new WebAudioOutput(new FakeMediaStreamTrack('audio'), { AudioContext, MediaStream: FakeMediaStream });
+      output.stop();
+      sinon.assert.calledOnce(source.disconnect);
+      await Promise.resolve();
+      sinon.assert.calledOnce(audioContext.close);
+    });
+
+    it('should handle a rejection when closing the AudioContext', async () => {
+      const unhandledRejection = sinon.spy();
+      process.on('unhandledRejection', unhandledRejection);
+      audioContext.close = sinon.spy(() => Promise.reject(new Error('Already closed')));
+      const output = new WebAudioOutput(new FakeMediaStreamTrack('audio'), { AudioContext, MediaStream: FakeMediaStream });
+      output.stop();
+      await new Promise(resolve => setTimeout(resolve));
+      process.removeListener('unhandledRejection', unhandledRejection);
+      sinon.assert.calledOnce(audioContext.close);
+      sinon.assert.notCalled(unhandledRejection);
+    });
+  });
+});